@@ -0,0 +1,64 @@
+/**
+ * /api/agent/* 中间件：按 agentId 限速（每秒最多 1 次请求）
+ *
+ * Cloudflare Pages Function
+ *
+ * agentId 从 JSON 请求体（POST）或 query 参数（GET）中读取。
+ *
+ * KV 存储结构（复用 SUDOKU_COUNTER 命名空间）:
+ * - Key: sudoku:agent:ratelimit:<agentId>
+ * - Value: 上次请求的 Unix 时间戳（毫秒）
+ * - TTL: 60 秒（KV 允许的最小值）
+ *
+ * 返回格式:
+ * - 缺少或非法 agentId: 400 { "error": "INVALID_AGENT_ID", ... }
+ * - 超出频率: 429 { "error": "RATE_LIMITED", "retryAfterMs": 420, ... }
+ */
+
+import { errorResponse, jsonResponse } from './utils/response.js';
+import { isValidAgentId } from './utils/game-helpers.js';
+
+export const RATE_LIMIT_WINDOW = 1000;
+const RATE_LIMIT_TTL = 60;
+
+async function extractAgentId(request) {
+    if (request.method === 'GET') {
+        return new URL(request.url).searchParams.get('agentId');
+    }
+    try {
+        // clone 后读取，保留原始请求体给后续处理函数
+        const body = await request.clone().json();
+        return body?.agentId;
+    } catch {
+        return null;
+    }
+}
+
+export async function onRequest(context) {
+    const { env, request } = context;
+
+    if (!env.SUDOKU_COUNTER) {
+        return errorResponse('KV_NOT_BOUND', 'KV namespace not bound. Please bind SUDOKU_COUNTER in Cloudflare Dashboard.', 500);
+    }
+
+    const agentId = await extractAgentId(request);
+    if (!isValidAgentId(agentId)) {
+        return errorResponse('INVALID_AGENT_ID', 'agentId is required: 1-64 letters, digits, ".", "_" or "-".');
+    }
+
+    const key = `sudoku:agent:ratelimit:${agentId}`;
+    const now = Date.now();
+    const last = parseInt(await env.SUDOKU_COUNTER.get(key)) || 0;
+    const wait = last + RATE_LIMIT_WINDOW - now;
+
+    if (wait > 0) {
+        return jsonResponse({
+            error: 'RATE_LIMITED',
+            message: 'Only one request per second is allowed per agent.',
+            retryAfterMs: wait
+        }, 429, { 'Retry-After': String(Math.ceil(wait / 1000)) });
+    }
+
+    await env.SUDOKU_COUNTER.put(key, now.toString(), { expirationTtl: RATE_LIMIT_TTL });
+    return context.next();
+}
@@ -0,0 +1,92 @@
+/**
+ * POST /api/agent/game/move
+ * 填写（或用 value 0 清除）一个格子
+ *
+ * Cloudflare Pages Function（限速由 ../_middleware.js 处理）
+ *
+ * 请求体: { "gameId": "...", "agentId": "openclaw-v1", "row": 0, "col": 2, "value": 4 }
+ * 每次请求只能操作一个格子，不接受 moves 数组或整块棋盘。
+ *
+ * 返回格式:
+ * - 有效: { "success": true, "valid": true, "isComplete": false, "currentBoard": [[...]], "moveCount": 1, "elapsedTime": 1234 }
+ * - 违反规则（不写入棋盘，计入错误数）:
+ *   { "success": false, "valid": false, "reason": "RULE_VIOLATION", "conflicts": [{ "type": "row", "position": 0, "value": 4 }], ... }
+ * - 完成: 额外包含 "score" 与 "stats": { totalMoves, invalidMoves, duration, suspicious }
+ * - 参数错误: 400 { "error": "INVALID_MOVE" | "ONE_CELL_PER_REQUEST" | "CELL_IS_GIVEN", ... }
+ * - 对局不存在: 404 GAME_NOT_FOUND；不属于该 agent: 403 AGENT_MISMATCH；已完成: 409 GAME_COMPLETED
+ */
+
+import { errorResponse, jsonResponse, readJSONBody } from '../utils/response.js';
+import { applyMove, loadGame, saveGame, validateMoveInput } from '../utils/game-helpers.js';
+import { calculateScore, detectSuspiciousPlay } from '../utils/scoring.js';
+
+export async function onRequestPost(context) {
+    const { env, request } = context;
+
+    const body = await readJSONBody(request);
+    if (!body) {
+        return errorResponse('INVALID_MOVE', 'Request body must be a JSON object.');
+    }
+
+    const inputError = validateMoveInput(body);
+    if (inputError === 'ONE_CELL_PER_REQUEST') {
+        return errorResponse(inputError, 'Only one cell can be filled per request.');
+    }
+    if (inputError) {
+        return errorResponse(inputError, 'row and col must be integers 0-8, value an integer 0-9 (0 clears the cell).');
+    }
+
+    try {
+        const kv = env.SUDOKU_COUNTER;
+        const game = await loadGame(kv, body.gameId);
+        if (!game) {
+            return errorResponse('GAME_NOT_FOUND', 'Game not found or expired.', 404);
+        }
+        if (game.agentId !== body.agentId) {
+            return errorResponse('AGENT_MISMATCH', 'This game belongs to another agent.', 403);
+        }
+        if (game.completedAt !== null) {
+            return errorResponse('GAME_COMPLETED', 'This game is already complete.', 409);
+        }
+        if (game.puzzle[body.row][body.col] !== 0) {
+            return errorResponse('CELL_IS_GIVEN', 'Given cells cannot be changed.');
+        }
+
+        const now = Date.now();
+        const { valid, conflicts, isComplete } = applyMove(game, body, now);
+
+        if (isComplete) {
+            game.score = calculateScore(game.difficulty, now - game.startTime, game.errors);
+            game.suspicious = detectSuspiciousPlay(game);
+        }
+        await saveGame(kv, game);
+
+        const result = {
+            success: valid,
+            valid,
+            isComplete,
+            currentBoard: game.board,
+            moveCount: game.moves.length,
+            errorCount: game.errors,
+            elapsedTime: now - game.startTime
+        };
+
+        if (!valid) {
+            return jsonResponse({ ...result, reason: 'RULE_VIOLATION', conflicts });
+        }
+
+        if (isComplete) {
+            result.score = game.score;
+            result.stats = {
+                totalMoves: game.moves.length,
+                invalidMoves: game.errors,
+                duration: now - game.startTime,
+                suspicious: game.suspicious.length > 0
+            };
+        }
+
+        return jsonResponse(result);
+    } catch (error) {
+        return errorResponse('KV_ERROR', error.message, 500);
+    }
+}
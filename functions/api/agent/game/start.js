@@ -0,0 +1,40 @@
+/**
+ * POST /api/agent/game/start
+ * 为 agent 创建一局新游戏
+ *
+ * Cloudflare Pages Function（限速由 ../_middleware.js 处理）
+ *
+ * 请求体: { "agentId": "openclaw-v1", "agentName": "OpenClaw Agent", "difficulty": "medium" }
+ *
+ * 返回格式:
+ * - 成功: { "gameId": "...", "puzzle": [[...]], "difficulty": "medium", "startTime": "2026-10-19T02:42:58.000Z" }
+ *   （不包含答案）
+ * - 参数错误: { "error": "INVALID_DIFFICULTY", ... }
+ */
+
+import { errorResponse, jsonResponse, readJSONBody } from '../utils/response.js';
+import { DIFFICULTIES, createAgentGame, saveGame } from '../utils/game-helpers.js';
+
+export async function onRequestPost(context) {
+    const { env, request } = context;
+
+    const body = await readJSONBody(request);
+    const difficulty = body?.difficulty || 'medium';
+    if (!DIFFICULTIES.includes(difficulty)) {
+        return errorResponse('INVALID_DIFFICULTY', `Difficulty must be one of: ${DIFFICULTIES.join(', ')}.`);
+    }
+
+    try {
+        const game = createAgentGame({ agentId: body.agentId, agentName: body.agentName, difficulty });
+        await saveGame(env.SUDOKU_COUNTER, game);
+
+        return jsonResponse({
+            gameId: game.gameId,
+            puzzle: game.puzzle,
+            difficulty,
+            startTime: new Date(game.startTime).toISOString()
+        }, 201);
+    } catch (error) {
+        return errorResponse('KV_ERROR', error.message, 500);
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * GET /api/agent/game/status?gameId=xxx&agentId=xxx
+ * 查询对局状态与移动历史
+ *
+ * Cloudflare Pages Function（限速由 ../_middleware.js 处理）
+ *
+ * 返回格式:
+ * - 成功: { "gameId", "difficulty", "puzzle", "currentBoard", "isComplete", "moveCount", "errorCount",
+ *           "startTime", "elapsedTime", "moves": [{ row, col, value, previous, valid, at }] }
+ *   已完成的对局额外包含 "score" 与 "suspicious"
+ * - 对局不存在或已过期: 404 { "error": "GAME_NOT_FOUND", ... }
+ * - 不属于该 agent: 403 { "error": "AGENT_MISMATCH", ... }
+ */
+
+import { errorResponse, jsonResponse } from '../utils/response.js';
+import { getPublicStatus, loadGame } from '../utils/game-helpers.js';
+
+export async function onRequestGet(context) {
+    const { env, request } = context;
+    const params = new URL(request.url).searchParams;
+
+    try {
+        const game = await loadGame(env.SUDOKU_COUNTER, params.get('gameId'));
+        if (!game) {
+            return errorResponse('GAME_NOT_FOUND', 'Game not found or expired.', 404);
+        }
+        if (game.agentId !== params.get('agentId')) {
+            return errorResponse('AGENT_MISMATCH', 'This game belongs to another agent.', 403);
+        }
+
+        return jsonResponse(getPublicStatus(game));
+    } catch (error) {
+        return errorResponse('KV_ERROR', error.message, 500);
+    }
+}
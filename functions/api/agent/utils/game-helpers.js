@@ -0,0 +1,189 @@
+/**
+ * Agent 对局会话工具：生成、落子校验、KV 读写
+ *
+ * KV 存储结构（复用 SUDOKU_COUNTER 命名空间）:
+ * - Key: sudoku:agent:game:<gameId>
+ * - Value: JSON 会话（见 createAgentGame）
+ * - TTL: 1 小时，每次落子后续期
+ */
+
+import { generatePuzzle } from '../../../../public/js/core/generator.js';
+import { cloneBoard, getBlockIndex, isValidPlacement } from '../../../../public/js/core/sudoku-engine.js';
+import { isComplete } from '../../../../public/js/core/validator.js';
+import { GRID_SIZE, BLOCK_SIZE } from '../../../../public/js/config/constants.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+export const GAME_TTL = 60 * 60; // 1小时
+
+const AGENT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_AGENT_NAME_LENGTH = 64;
+
+/**
+ * 校验 agentId（1-64 位字母、数字、点、下划线或连字符）
+ * @param {*} agentId
+ * @returns {boolean}
+ */
+export function isValidAgentId(agentId) {
+    return typeof agentId === 'string' && AGENT_ID_PATTERN.test(agentId);
+}
+
+function gameKey(gameId) {
+    return `sudoku:agent:game:${gameId}`;
+}
+
+/**
+ * 创建新的对局会话
+ * @param {Object} options
+ * @param {string} options.agentId - Agent 标识
+ * @param {string} [options.agentName] - 展示名称
+ * @param {string} options.difficulty - 难度级别
+ * @param {number} [now=Date.now()] - 开始时间（毫秒）
+ * @returns {Object} 会话对象（包含答案，只保存在服务端）
+ */
+export function createAgentGame({ agentId, agentName, difficulty }, now = Date.now()) {
+    const { puzzle, solution, seed } = generatePuzzle(difficulty);
+
+    return {
+        gameId: crypto.randomUUID(),
+        agentId,
+        agentName: typeof agentName === 'string' && agentName.trim()
+            ? agentName.trim().slice(0, MAX_AGENT_NAME_LENGTH)
+            : agentId,
+        difficulty,
+        seed,
+        puzzle,
+        solution,
+        board: cloneBoard(puzzle),
+        startTime: now,
+        completedAt: null,
+        moves: [],
+        errors: 0,
+        score: null,
+        suspicious: []
+    };
+}
+
+/**
+ * 从 KV 读取会话
+ * @param {Object} kv - KV 命名空间
+ * @param {string} gameId
+ * @returns {Promise<Object|null>}
+ */
+export async function loadGame(kv, gameId) {
+    if (typeof gameId !== 'string' || !gameId) return null;
+    return kv.get(gameKey(gameId), { type: 'json' });
+}
+
+/**
+ * 写回会话并续期 TTL
+ * @param {Object} kv - KV 命名空间
+ * @param {Object} game - 会话对象
+ * @returns {Promise<void>}
+ */
+export async function saveGame(kv, game) {
+    await kv.put(gameKey(game.gameId), JSON.stringify(game), { expirationTtl: GAME_TTL });
+}
+
+/**
+ * 列出落子与同行、同列、同宫已有数字的冲突
+ * @param {number[][]} board - 当前棋盘
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @param {number} value - 要填入的数字
+ * @returns {Array<{type: 'row'|'col'|'box', position: number, value: number}>} 冲突列表
+ */
+export function findMoveConflicts(board, row, col, value) {
+    if (isValidPlacement(board, row, col, value)) return [];
+
+    const conflicts = [];
+    if (board[row].some((cell, c) => c !== col && cell === value)) {
+        conflicts.push({ type: 'row', position: row, value });
+    }
+    if (board.some((cells, r) => r !== row && cells[col] === value)) {
+        conflicts.push({ type: 'col', position: col, value });
+    }
+
+    const { blockRow, blockCol } = getBlockIndex(row, col);
+    for (let r = blockRow * BLOCK_SIZE; r < (blockRow + 1) * BLOCK_SIZE; r++) {
+        for (let c = blockCol * BLOCK_SIZE; c < (blockCol + 1) * BLOCK_SIZE; c++) {
+            if ((r !== row || c !== col) && board[r][c] === value) {
+                conflicts.push({ type: 'box', position: blockRow * BLOCK_SIZE + blockCol, value });
+                return conflicts;
+            }
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * 校验单个落子的参数（每次请求只能填写一个格子）
+ * @param {Object} body - 请求体
+ * @returns {string|null} 错误代码，合法时为 null
+ */
+export function validateMoveInput(body) {
+    const { row, col, value } = body;
+    if ('moves' in body || 'board' in body || [row, col, value].some(Array.isArray)) {
+        return 'ONE_CELL_PER_REQUEST';
+    }
+    const isIndex = n => Number.isInteger(n) && n >= 0 && n < GRID_SIZE;
+    if (!isIndex(row) || !isIndex(col) || !Number.isInteger(value) || value < 0 || value > GRID_SIZE) {
+        return 'INVALID_MOVE';
+    }
+    return null;
+}
+
+/**
+ * 执行落子（value 为 0 表示清除），并记录到移动历史
+ *
+ * 违反规则的落子不会写入棋盘，只计入错误数。
+ * @param {Object} game - 会话对象（会被修改）
+ * @param {{row: number, col: number, value: number}} move - 落子
+ * @param {number} [now=Date.now()] - 当前时间（毫秒）
+ * @returns {{valid: boolean, conflicts: Array, isComplete: boolean}} 落子结果
+ */
+export function applyMove(game, { row, col, value }, now = Date.now()) {
+    const previous = game.board[row][col];
+    const conflicts = value === 0 ? [] : findMoveConflicts(game.board, row, col, value);
+    const valid = conflicts.length === 0;
+
+    game.moves.push({ row, col, value, previous, valid, at: now - game.startTime });
+
+    if (!valid) {
+        game.errors++;
+        return { valid, conflicts, isComplete: false };
+    }
+
+    game.board[row][col] = value;
+    const complete = isComplete(game.board);
+    if (complete) {
+        game.completedAt = now;
+    }
+    return { valid, conflicts, isComplete: complete };
+}
+
+/**
+ * 会话的公开状态（不包含答案）
+ * @param {Object} game - 会话对象
+ * @param {number} [now=Date.now()] - 当前时间（毫秒）
+ * @returns {Object}
+ */
+export function getPublicStatus(game, now = Date.now()) {
+    const isFinished = game.completedAt !== null;
+    const status = {
+        gameId: game.gameId,
+        difficulty: game.difficulty,
+        puzzle: game.puzzle,
+        currentBoard: game.board,
+        isComplete: isFinished,
+        moveCount: game.moves.length,
+        errorCount: game.errors,
+        startTime: new Date(game.startTime).toISOString(),
+        elapsedTime: (isFinished ? game.completedAt : now) - game.startTime,
+        moves: game.moves
+    };
+    if (isFinished) {
+        status.score = game.score;
+        status.suspicious = game.suspicious.length > 0;
+    }
+    return status;
+}
@@ -0,0 +1,43 @@
+/**
+ * Agent API 公共响应工具
+ */
+
+/**
+ * 返回 JSON 响应
+ * @param {Object} body - 响应体
+ * @param {number} [status=200] - HTTP 状态码
+ * @param {Object} [headers] - 额外响应头
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+    });
+}
+
+/**
+ * 返回错误响应: { error, message }
+ * @param {string} error - 错误代码
+ * @param {string} message - 说明
+ * @param {number} [status=400] - HTTP 状态码
+ * @param {Object} [headers] - 额外响应头
+ * @returns {Response}
+ */
+export function errorResponse(error, message, status = 400, headers = {}) {
+    return jsonResponse({ error, message }, status, headers);
+}
+
+/**
+ * 读取 JSON 请求体，解析失败时返回 null
+ * @param {Request} request
+ * @returns {Promise<Object|null>}
+ */
+export async function readJSONBody(request) {
+    try {
+        const body = await request.json();
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Agent 对局评分与异常行为检测
+ */
+
+import { RATE_LIMIT_WINDOW } from '../_middleware.js';
+
+const BASE_SCORES = { easy: 100, medium: 200, hard: 400, expert: 800 };
+const MAX_TIME_BONUS = 1000;
+const ERROR_PENALTY = 10;
+
+// 每步在限速间隔之外至少需要的推理时间（毫秒）：限速下每个空格至少 RATE_LIMIT_WINDOW，
+// 每步用时不超过 RATE_LIMIT_WINDOW + HUMAN_MOVE_MARGIN 的对局视为按限速直接填写
+const HUMAN_MOVE_MARGIN = 1000;
+
+/**
+ * 可疑完成用时阈值：空格数 × (限速间隔 + 每步推理时间)
+ * @param {number[][]} puzzle - 初始题目
+ * @returns {number} 阈值（毫秒）
+ */
+export function getMinHumanlikeDuration(puzzle) {
+    const holes = puzzle.flat().filter(value => value === 0).length;
+    return holes * (RATE_LIMIT_WINDOW + HUMAN_MOVE_MARGIN);
+}
+
+/**
+ * 计算对局得分
+ * @param {string} difficulty - 难度级别
+ * @param {number} durationMs - 用时（毫秒）
+ * @param {number} errorsCount - 违规落子次数
+ * @returns {number} 得分（不低于 0）
+ * @example
+ * calculateScore('medium', 120000, 2); // 200 + 880 - 20 = 1060
+ */
+export function calculateScore(difficulty, durationMs, errorsCount) {
+    const timeBonus = Math.max(0, MAX_TIME_BONUS - Math.floor(durationMs / 1000));
+    const score = (BASE_SCORES[difficulty] || 0) + timeBonus - errorsCount * ERROR_PENALTY;
+    return Math.max(0, score);
+}
+
+/**
+ * 判断已完成对局是否可疑（求解器直接填写的典型特征）
+ *
+ * 可疑记录不会被拒绝，只做标记供后续审查。
+ * @param {Object} game - 已完成的对局会话
+ * @returns {string[]} 命中的可疑原因，空数组表示正常
+ */
+export function detectSuspiciousPlay(game) {
+    const reasons = [];
+    const duration = game.completedAt - game.startTime;
+
+    if (duration < getMinHumanlikeDuration(game.puzzle)) {
+        reasons.push('TOO_FAST');
+    }
+
+    // 从未出错、从未修改且严格按行优先顺序填写
+    const moves = game.moves;
+    const placements = moves.filter(move => move.valid && move.value !== 0);
+    const isRowMajor = placements.every((move, index) =>
+        index === 0 || move.row * 9 + move.col > placements[index - 1].row * 9 + placements[index - 1].col
+    );
+    if (game.errors === 0 && placements.length === moves.length && placements.length > 1 && isRowMajor) {
+        reasons.push('MECHANICAL_ORDER');
+    }
+
+    return reasons;
+}
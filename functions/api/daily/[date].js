@@ -0,0 +1,177 @@
+/**
+ * GET  /api/daily/:date?difficulty=medium
+ * POST /api/daily/:date
+ * 每日一题：每个难度每个 UTC 日一道固定题目
+ *
+ * Cloudflare Pages Function
+ *
+ * :date 为 YYYY-MM-DD（UTC）或 today，不提供未来日期的题目。
+ *
+ * 配置（均为可选）:
+ * - KV 绑定 SUDOKU_COUNTER: 缓存当日生成结果，避免每次请求重新生成
+ * - 环境变量 DAILY_SECRET: 参与种子计算，防止他人用开源生成器提前算出未来的题目
+ *
+ * KV 存储结构:
+ * - Key: sudoku:daily:<date>:<difficulty>
+ * - Value: JSON { puzzle, solution, rating }
+ *
+ * 返回格式:
+ * - GET 成功: { "date": "2026-10-19", "difficulty": "medium", "puzzle": [[...]], "rating": 2.3 }
+ *   （不包含答案）
+ * - POST { difficulty, board } 校验答案: { "correct": true | false }（任何情况下都不返回答案）
+ * - 参数错误: { "error": "INVALID_DATE" | "INVALID_DIFFICULTY" | "INVALID_BOARD", ... }
+ * - 未来日期: { "error": "DATE_NOT_AVAILABLE", ... }
+ */
+
+import { generatePuzzle } from '../../../public/js/core/generator.js';
+import { getUtcDate } from '../../../public/js/utils/helpers.js';
+import { hashSeed } from '../../../public/js/utils/random.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CACHE_TTL = 60 * 60 * 24 * 7; // 7天
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+function errorResponse(error, message, status = 400) {
+    return jsonResponse({ error, message }, status);
+}
+
+/**
+ * 校验并解析日期参数
+ * @param {string} param - 路由参数（YYYY-MM-DD 或 today）
+ * @param {Date} [now] - 当前时间
+ * @returns {{date: string|null, error: string|null}} 解析结果
+ */
+export function resolveDate(param, now = new Date()) {
+    const today = getUtcDate(now);
+    if (param === 'today') {
+        return { date: today, error: null };
+    }
+
+    if (!DATE_PATTERN.test(param || '')) {
+        return { date: null, error: 'INVALID_DATE' };
+    }
+
+    // 排除 2026-02-30 这类不存在的日期
+    const parsed = new Date(`${param}T00:00:00Z`);
+    if (isNaN(parsed.getTime()) || getUtcDate(parsed) !== param) {
+        return { date: null, error: 'INVALID_DATE' };
+    }
+
+    if (param > today) {
+        return { date: null, error: 'DATE_NOT_AVAILABLE' };
+    }
+
+    return { date: param, error: null };
+}
+
+/**
+ * 计算每日题目种子
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [secret] - 服务端密钥
+ * @returns {string} 种子
+ */
+export function createDailySeed(date, secret = '') {
+    return hashSeed(`daily:${secret}:${date}`).toString(36);
+}
+
+/**
+ * 获取（或生成并缓存）指定日期和难度的题目
+ * @param {Object} env - Pages Function 环境
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} difficulty - 难度级别
+ * @returns {Promise<{puzzle: number[][], solution: number[][], rating: number}>}
+ */
+export async function loadDailyPuzzle(env, date, difficulty) {
+    const key = `sudoku:daily:${date}:${difficulty}`;
+    const kv = env.SUDOKU_COUNTER;
+
+    if (kv) {
+        const cached = await kv.get(key, { type: 'json' });
+        if (cached) return cached;
+    }
+
+    const { puzzle, solution, grade } = generatePuzzle(difficulty, {
+        seed: createDailySeed(date, env.DAILY_SECRET)
+    });
+    const entry = { puzzle, solution, rating: grade.rating };
+
+    if (kv) {
+        await kv.put(key, JSON.stringify(entry), { expirationTtl: CACHE_TTL });
+    }
+
+    return entry;
+}
+
+function isValidBoard(board) {
+    return Array.isArray(board) &&
+        board.length === 9 &&
+        board.every(row => Array.isArray(row) && row.length === 9 &&
+            row.every(value => Number.isInteger(value) && value >= 0 && value <= 9));
+}
+
+export async function onRequestGet(context) {
+    const { env, params, request } = context;
+
+    const { date, error: dateError } = resolveDate(params.date);
+    if (dateError === 'DATE_NOT_AVAILABLE') {
+        return errorResponse(dateError, 'Daily puzzles are only available up to the current UTC date.', 404);
+    }
+    if (dateError) {
+        return errorResponse(dateError, 'Date must be YYYY-MM-DD or "today".');
+    }
+
+    const difficulty = new URL(request.url).searchParams.get('difficulty') || 'medium';
+    if (!DIFFICULTIES.includes(difficulty)) {
+        return errorResponse('INVALID_DIFFICULTY', `Difficulty must be one of: ${DIFFICULTIES.join(', ')}.`);
+    }
+
+    try {
+        const { puzzle, rating } = await loadDailyPuzzle(env, date, difficulty);
+        return jsonResponse({ date, difficulty, puzzle, rating }, 200, {
+            // today 的结果会在 UTC 零点变化，只允许短时间缓存
+            'Cache-Control': params.date === 'today' ? 'public, max-age=60' : 'public, max-age=3600'
+        });
+    } catch (error) {
+        return errorResponse('GENERATION_FAILED', error.message, 500);
+    }
+}
+
+export async function onRequestPost(context) {
+    const { env, params, request } = context;
+
+    const { date, error: dateError } = resolveDate(params.date);
+    if (dateError) {
+        return errorResponse(dateError, 'Date must be YYYY-MM-DD or "today" and not in the future.');
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return errorResponse('INVALID_BOARD', 'Request body must be JSON.');
+    }
+
+    const { difficulty, board } = body || {};
+    if (!DIFFICULTIES.includes(difficulty)) {
+        return errorResponse('INVALID_DIFFICULTY', `Difficulty must be one of: ${DIFFICULTIES.join(', ')}.`);
+    }
+    if (!isValidBoard(board)) {
+        return errorResponse('INVALID_BOARD', 'Board must be a 9x9 array of integers 0-9.');
+    }
+
+    try {
+        const { solution } = await loadDailyPuzzle(env, date, difficulty);
+        const correct = board.every((row, r) => row.every((value, c) => value === solution[r][c]));
+
+        return jsonResponse({ correct });
+    } catch (error) {
+        return errorResponse('GENERATION_FAILED', error.message, 500);
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * GET /api/leaderboard?difficulty=medium&period=week&page=1&pageSize=20&userId=<uuid>
+ * 分难度排行榜（每个玩家取该难度最快用时）和跨难度积分榜（difficulty=all）
+ *
+ * 不同难度的用时不可比，积分榜先在每个难度内排名，再按名次折算积分求和
+ * （见 ./utils/leaderboard-store.js 的 rankGlobalEntries）。
+ *
+ * Cloudflare Pages Function
+ *
+ * 参数（difficulty 必填，其余可选）:
+ * - difficulty: easy | medium | hard | expert | all（积分榜）
+ * - period: day | week | month | all（默认 all，按最近 1/7/30 天计算）
+ * - page: 页码，从 1 开始
+ * - pageSize: 每页条数，1-100（默认 20）
+ * - userId: 需要定位排名的玩家，结果中的 userRank 为该玩家的排名
+ *
+ * 存储由 ./utils/leaderboard-store.js 提供，可通过 context.data.leaderboardStore 替换。
+ *
+ * 返回格式:
+ * - 成功: { "difficulty", "period", "page", "pageSize", "total",
+ *           "entries": [{ "rank", "player", "difficulty", "time", "achievedAt", "isCurrentUser" }],
+ *           "userRank": { "rank", "difficulty", "time", "achievedAt" } | null, "updatedAt" }
+ * - 积分榜: entries 为 [{ "rank", "player", "points", "ranks": { 难度: 名次 }, "isCurrentUser" }]，
+ *           userRank 为 { "rank", "points", "ranks" } | null，其余字段相同
+ * - 参数错误: { "error": "INVALID_DIFFICULTY" | "INVALID_PERIOD" | "INVALID_PAGE", ... }
+ */
+
+import { createLeaderboardStore } from './utils/leaderboard-store.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const GLOBAL_DIFFICULTY = 'all';
+const PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    all: null
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PLAYER_TAG_LENGTH = 8;
+
+function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+function errorResponse(error, message, status = 400) {
+    return jsonResponse({ error, message }, status);
+}
+
+function parsePositiveInt(value, fallback) {
+    if (value === null) return fallback;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * 公开展示用的玩家标识（不暴露完整用户 ID）
+ * @param {string} userId
+ * @returns {string}
+ */
+export function toPlayerTag(userId) {
+    return String(userId).replace(/-/g, '').slice(0, PLAYER_TAG_LENGTH);
+}
+
+export async function onRequestGet(context) {
+    const { env, request } = context;
+    const params = new URL(request.url).searchParams;
+
+    const difficulty = params.get('difficulty');
+    const global = difficulty === GLOBAL_DIFFICULTY;
+    if (!global && !DIFFICULTIES.includes(difficulty)) {
+        return errorResponse('INVALID_DIFFICULTY', `Difficulty is required and must be one of: ${[...DIFFICULTIES, GLOBAL_DIFFICULTY].join(', ')}.`);
+    }
+
+    const period = params.get('period') || 'all';
+    if (!(period in PERIODS)) {
+        return errorResponse('INVALID_PERIOD', `Period must be one of: ${Object.keys(PERIODS).join(', ')}.`);
+    }
+
+    const page = parsePositiveInt(params.get('page'), 1);
+    const pageSize = parsePositiveInt(params.get('pageSize'), DEFAULT_PAGE_SIZE);
+    if (!(page >= 1) || !(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+        return errorResponse('INVALID_PAGE', `page must be >= 1 and pageSize between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const userId = params.get('userId');
+    const now = Date.now();
+
+    try {
+        const store = context.data?.leaderboardStore || createLeaderboardStore(env);
+        const filters = {
+            since: PERIODS[period] === null ? null : now - PERIODS[period],
+            offset: (page - 1) * pageSize,
+            limit: pageSize,
+            userId
+        };
+        const { entries, total, userEntry } = global
+            ? await store.queryGlobal(filters)
+            : await store.query({ difficulty, ...filters });
+        const toResult = entry => (global
+            ? { rank: entry.rank, points: entry.points, ranks: entry.ranks }
+            : { rank: entry.rank, difficulty: entry.difficulty, time: entry.time, achievedAt: entry.achievedAt });
+
+        return jsonResponse({
+            difficulty,
+            period,
+            page,
+            pageSize,
+            total,
+            entries: entries.map(entry => ({
+                ...toResult(entry),
+                player: toPlayerTag(entry.userId),
+                isCurrentUser: !!userId && entry.userId === userId
+            })),
+            userRank: userEntry && toResult(userEntry),
+            updatedAt: new Date(now).toISOString()
+        }, 200, {
+            'Cache-Control': userId ? 'private, max-age=30' : 'public, max-age=30'
+        });
+    } catch (error) {
+        return errorResponse('STORE_ERROR', error.message, 502);
+    }
+}
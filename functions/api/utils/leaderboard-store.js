@@ -0,0 +1,283 @@
+/**
+ * 排行榜存储：可替换的后端实现
+ *
+ * 所有实现都提供同一个接口:
+ *   query({ difficulty, since, offset, limit, userId })
+ *     → Promise<{ entries, total, userEntry }>
+ *   queryGlobal({ since, offset, limit, userId })
+ *     → Promise<{ entries, total, userEntry }>
+ *
+ * - difficulty: 难度级别（必填，排名只在同一难度内进行）
+ * - since: 起始时间（毫秒），null 表示不限时间
+ * - entries: query 为 [{ rank, userId, difficulty, time, achievedAt }]，按用时升序；
+ *   queryGlobal 为 [{ rank, userId, points, ranks }]，按积分降序（见 rankGlobalEntries）
+ * - userEntry: userId 对应用户的最佳排名条目，未上榜为 null
+ *
+ * 每个用户在每个难度只保留最快的一次。
+ */
+
+import { SUPABASE_CONFIG } from '../../../public/js/config/constants.js';
+
+// 限定时间段或跨难度排名时需要在函数内聚合，每次最多扫描这么多行
+const PERIOD_SCAN_LIMIT = 1000;
+
+// 每个难度第一名得到的积分
+const DIFFICULTY_POINTS = 1000;
+
+function compareEntries(a, b) {
+    return a.time - b.time || a.achievedAt.localeCompare(b.achievedAt);
+}
+
+/**
+ * 把原始成绩聚合为排行榜页
+ * @param {Array<{userId: string, difficulty: string, time: number, achievedAt: string}>} rows - 原始成绩
+ * @param {Object} options
+ * @param {number} options.offset - 跳过条数
+ * @param {number} options.limit - 返回条数
+ * @param {string|null} [options.userId] - 需要定位排名的用户
+ * @returns {{entries: Object[], total: number, userEntry: Object|null}}
+ */
+export function rankEntries(rows, { offset, limit, userId = null }) {
+    const bestByPlayer = new Map();
+    rows.forEach((row) => {
+        const key = `${row.userId}:${row.difficulty}`;
+        const current = bestByPlayer.get(key);
+        if (!current || compareEntries(row, current) < 0) {
+            bestByPlayer.set(key, row);
+        }
+    });
+
+    const ranked = [...bestByPlayer.values()]
+        .sort(compareEntries)
+        .map((row, index) => ({ ...row, rank: index + 1 }));
+
+    return {
+        entries: ranked.slice(offset, offset + limit),
+        total: ranked.length,
+        userEntry: (userId && ranked.find(entry => entry.userId === userId)) || null
+    };
+}
+
+/**
+ * 跨难度积分排名
+ *
+ * 不同难度的用时不能直接比较，所以先在每个难度内排名，再按排名折算积分：
+ * 在 n 名玩家中排第 r 名得到 round(DIFFICULTY_POINTS * (n - r + 1) / n) 分，
+ * 总积分为各难度积分之和（玩得越多难度、排得越靠前，积分越高）。
+ * 积分相同时先达成各难度最佳成绩的玩家在前。
+ * @param {Array<{userId: string, difficulty: string, time: number, achievedAt: string}>} rows - 原始成绩
+ * @param {Object} options
+ * @param {number} options.offset - 跳过条数
+ * @param {number} options.limit - 返回条数
+ * @param {string|null} [options.userId] - 需要定位排名的用户
+ * @returns {{entries: Array<{rank: number, userId: string, points: number, ranks: Object.<string, number>}>, total: number, userEntry: Object|null}}
+ */
+export function rankGlobalEntries(rows, { offset, limit, userId = null }) {
+    const byDifficulty = new Map();
+    rows.forEach((row) => {
+        if (!byDifficulty.has(row.difficulty)) byDifficulty.set(row.difficulty, []);
+        byDifficulty.get(row.difficulty).push(row);
+    });
+
+    const players = new Map();
+    byDifficulty.forEach((difficultyRows, difficulty) => {
+        const { entries, total } = rankEntries(difficultyRows, { offset: 0, limit: Infinity });
+        entries.forEach((entry) => {
+            const player = players.get(entry.userId) || { userId: entry.userId, points: 0, ranks: {}, lastAchievedAt: '' };
+            player.points += Math.round(DIFFICULTY_POINTS * (total - entry.rank + 1) / total);
+            player.ranks[difficulty] = entry.rank;
+            if (entry.achievedAt > player.lastAchievedAt) player.lastAchievedAt = entry.achievedAt;
+            players.set(entry.userId, player);
+        });
+    });
+
+    const ranked = [...players.values()]
+        .sort((a, b) => b.points - a.points || a.lastAchievedAt.localeCompare(b.lastAchievedAt))
+        .map(({ userId: id, points, ranks }, index) => ({ rank: index + 1, userId: id, points, ranks }));
+
+    return {
+        entries: ranked.slice(offset, offset + limit),
+        total: ranked.length,
+        userEntry: (userId && ranked.find(entry => entry.userId === userId)) || null
+    };
+}
+
+/**
+ * 内存排行榜（测试与本地开发用）
+ * @param {Array<{userId: string, difficulty: string, time: number, achievedAt: string}>} [initialRows] - 初始成绩
+ * @returns {{add: Function, query: Function}}
+ * @example
+ * const store = createMemoryLeaderboardStore();
+ * store.add({ userId: 'u1', difficulty: 'easy', time: 61000, achievedAt: '2026-10-19T00:00:00.000Z' });
+ */
+export function createMemoryLeaderboardStore(initialRows = []) {
+    const rows = [...initialRows];
+
+    return {
+        add(row) {
+            rows.push(row);
+        },
+
+        async query({ difficulty, since = null, offset, limit, userId = null }) {
+            const sinceIso = since === null ? null : new Date(since).toISOString();
+            const matching = rows.filter(row =>
+                row.difficulty === difficulty &&
+                (!sinceIso || row.achievedAt >= sinceIso)
+            );
+            return rankEntries(matching, { offset, limit, userId });
+        },
+
+        async queryGlobal({ since = null, offset, limit, userId = null }) {
+            const sinceIso = since === null ? null : new Date(since).toISOString();
+            const matching = rows.filter(row => !sinceIso || row.achievedAt >= sinceIso);
+            return rankGlobalEntries(matching, { offset, limit, userId });
+        }
+    };
+}
+
+function parseTotal(response) {
+    // PostgREST: Content-Range: 0-19/123
+    const range = response.headers.get('Content-Range') || '';
+    return parseInt(range.split('/')[1]) || 0;
+}
+
+/**
+ * Supabase 排行榜（通过 PostgREST 读取 best_scores 与 games 表）
+ * @param {Object} options
+ * @param {string} options.url - Supabase 项目地址
+ * @param {string} options.key - API key
+ * @param {Function} [options.fetch] - fetch 实现
+ * @returns {{query: Function, queryGlobal: Function}}
+ */
+export function createSupabaseLeaderboardStore({ url, key, fetch: fetchImpl = (...args) => fetch(...args) }) {
+    async function request(table, params, headers = {}) {
+        const response = await fetchImpl(`${url}/rest/v1/${table}?${new URLSearchParams(params)}`, {
+            headers: { apikey: key, Authorization: `Bearer ${key}`, ...headers }
+        });
+        if (!response.ok) {
+            throw new Error(`Supabase ${table} query failed: ${response.status}`);
+        }
+        return response;
+    }
+
+    // 不限时间：best_scores 每个用户每个难度只有一行，可以直接在数据库里分页
+    async function queryAllTime({ difficulty, offset, limit, userId }) {
+        const filters = { difficulty: `eq.${difficulty}` };
+        const toEntry = row => ({
+            userId: row.user_id,
+            difficulty: row.difficulty,
+            time: row.best_duration_ms,
+            achievedAt: row.achieved_at
+        });
+
+        const response = await request('best_scores', {
+            select: 'user_id,difficulty,best_duration_ms,achieved_at',
+            ...filters,
+            order: 'best_duration_ms.asc,achieved_at.asc',
+            offset,
+            limit
+        }, { Prefer: 'count=exact' });
+        const entries = (await response.json()).map((row, index) => ({ ...toEntry(row), rank: offset + index + 1 }));
+
+        let userEntry = null;
+        if (userId) {
+            const own = await (await request('best_scores', {
+                select: 'user_id,difficulty,best_duration_ms,achieved_at',
+                user_id: `eq.${userId}`,
+                ...filters,
+                order: 'best_duration_ms.asc',
+                limit: 1
+            })).json();
+
+            if (own.length > 0) {
+                const ahead = await request('best_scores', {
+                    select: 'user_id',
+                    ...filters,
+                    best_duration_ms: `lt.${own[0].best_duration_ms}`,
+                    limit: 0
+                }, { Prefer: 'count=exact' });
+                userEntry = { ...toEntry(own[0]), rank: parseTotal(ahead) + 1 };
+            }
+        }
+
+        return { entries, total: parseTotal(response), userEntry };
+    }
+
+    // 限定时间：best_scores 只保存历史最佳，需要从 games 表按用户聚合
+    async function queryPeriod({ difficulty, since, offset, limit, userId }) {
+        const rows = await (await request('games', {
+            select: 'user_id,difficulty,duration_ms,created_at',
+            success: 'eq.true',
+            created_at: `gte.${new Date(since).toISOString()}`,
+            difficulty: `eq.${difficulty}`,
+            order: 'duration_ms.asc',
+            limit: PERIOD_SCAN_LIMIT
+        })).json();
+
+        return rankEntries(rows.map(row => ({
+            userId: row.user_id,
+            difficulty: row.difficulty,
+            time: row.duration_ms,
+            achievedAt: new Date(row.created_at).toISOString()
+        })), { offset, limit, userId });
+    }
+
+    // 跨难度积分：需要所有难度的最佳成绩，不限时间读 best_scores，限定时间读 games
+    async function queryGlobal({ since, offset, limit, userId }) {
+        const rows = since === null
+            ? (await (await request('best_scores', {
+                select: 'user_id,difficulty,best_duration_ms,achieved_at',
+                order: 'best_duration_ms.asc',
+                limit: PERIOD_SCAN_LIMIT
+            })).json()).map(row => ({
+                userId: row.user_id,
+                difficulty: row.difficulty,
+                time: row.best_duration_ms,
+                achievedAt: row.achieved_at
+            }))
+            : (await (await request('games', {
+                select: 'user_id,difficulty,duration_ms,created_at',
+                success: 'eq.true',
+                created_at: `gte.${new Date(since).toISOString()}`,
+                order: 'duration_ms.asc',
+                limit: PERIOD_SCAN_LIMIT
+            })).json()).map(row => ({
+                userId: row.user_id,
+                difficulty: row.difficulty,
+                time: row.duration_ms,
+                achievedAt: new Date(row.created_at).toISOString()
+            }));
+
+        return rankGlobalEntries(rows, { offset, limit, userId });
+    }
+
+    return {
+        async query(options) {
+            return options.since === null ? queryAllTime(options) : queryPeriod(options);
+        },
+        queryGlobal
+    };
+}
+
+// 本地开发（LEADERBOARD_STORE=memory）共用同一个内存实例
+let sharedMemoryStore = null;
+
+/**
+ * 根据环境选择排行榜存储
+ *
+ * - LEADERBOARD_STORE=memory: 内存存储（wrangler 本地开发）
+ * - 否则使用 Supabase；SUPABASE_URL / SUPABASE_KEY 可覆盖前端使用的公开配置
+ * @param {Object} env - Pages Function 环境
+ * @returns {{query: Function, queryGlobal: Function}}
+ */
+export function createLeaderboardStore(env = {}) {
+    if (env.LEADERBOARD_STORE === 'memory') {
+        sharedMemoryStore = sharedMemoryStore || createMemoryLeaderboardStore();
+        return sharedMemoryStore;
+    }
+
+    return createSupabaseLeaderboardStore({
+        url: env.SUPABASE_URL || SUPABASE_CONFIG.url,
+        key: env.SUPABASE_KEY || SUPABASE_CONFIG.anonKey
+    });
+}
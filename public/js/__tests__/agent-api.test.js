@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { onRequest as rateLimit } from '../../../functions/api/agent/_middleware.js';
+import { onRequestPost as startGame } from '../../../functions/api/agent/game/start.js';
+import { onRequestPost as makeMove } from '../../../functions/api/agent/game/move.js';
+import { onRequestGet as getStatus } from '../../../functions/api/agent/game/status.js';
+import { findMoveConflicts } from '../../../functions/api/agent/utils/game-helpers.js';
+import { calculateScore, detectSuspiciousPlay, getMinHumanlikeDuration } from '../../../functions/api/agent/utils/scoring.js';
+
+const BASE_URL = 'https://sudoku.test/api/agent';
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, options) {
+      const value = store.get(key) ?? null;
+      return value !== null && options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    }
+  };
+}
+
+function post(path, body) {
+  return new Request(`${BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function start(env, body = { agentId: 'test-agent', difficulty: 'easy' }) {
+  const data = await (await startGame({ env, request: post('/game/start', body) })).json();
+  const session = JSON.parse(env.SUDOKU_COUNTER.store.get(`sudoku:agent:game:${data.gameId}`));
+  return { data, session };
+}
+
+function move(env, body) {
+  return makeMove({ env, request: post('/game/move', { agentId: 'test-agent', ...body }) });
+}
+
+function emptyCells(puzzle) {
+  const cells = [];
+  puzzle.forEach((row, r) => row.forEach((value, c) => {
+    if (value === 0) cells.push([r, c]);
+  }));
+  return cells;
+}
+
+describe('agent rate limiting middleware', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('allows one request per second per agent', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-19T00:00:00Z'));
+    const env = { SUDOKU_COUNTER: createKV() };
+    const next = vi.fn(async () => new Response('ok'));
+    const call = agentId => rateLimit({ env, next, request: post('/game/move', { agentId }) });
+
+    expect((await call('agent-a')).status).toBe(200);
+
+    const limited = await call('agent-a');
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toMatchObject({ error: 'RATE_LIMITED', retryAfterMs: 1000 });
+
+    expect((await call('agent-b')).status).toBe(200);
+
+    vi.advanceTimersByTime(1000);
+    expect((await call('agent-a')).status).toBe(200);
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  it('reads the agent from the query string and rejects missing ids', async () => {
+    const env = { SUDOKU_COUNTER: createKV() };
+    const next = vi.fn(async () => new Response('ok'));
+
+    const status = await rateLimit({ env, next, request: new Request(`${BASE_URL}/game/status?gameId=x&agentId=reader`) });
+    expect(status.status).toBe(200);
+    expect(env.SUDOKU_COUNTER.store.has('sudoku:agent:ratelimit:reader')).toBe(true);
+
+    const missing = await rateLimit({ env, next, request: post('/game/start', { difficulty: 'easy' }) });
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).error).toBe('INVALID_AGENT_ID');
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('agent game endpoints', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { SUDOKU_COUNTER: createKV() };
+  });
+
+  it('starts a game in KV without exposing the solution', async () => {
+    const { data, session } = await start(env);
+
+    expect(data).toMatchObject({ difficulty: 'easy', puzzle: session.puzzle });
+    expect(data).not.toHaveProperty('solution');
+    expect(session).toMatchObject({ agentId: 'test-agent', agentName: 'test-agent', moves: [], errors: 0 });
+    expect(session.board).toEqual(session.puzzle);
+  });
+
+  it('rejects unknown difficulties, given cells and multi-cell requests', async () => {
+    const difficulty = await startGame({ env, request: post('/game/start', { agentId: 'test-agent', difficulty: 'insane' }) });
+    expect((await difficulty.json()).error).toBe('INVALID_DIFFICULTY');
+
+    const { data, session } = await start(env);
+    const given = session.puzzle.flat().findIndex(value => value !== 0);
+    const givenResponse = await move(env, { gameId: data.gameId, row: Math.floor(given / 9), col: given % 9, value: 1 });
+    expect(givenResponse.status).toBe(400);
+    expect((await givenResponse.json()).error).toBe('CELL_IS_GIVEN');
+
+    const batch = await move(env, { gameId: data.gameId, moves: [{ row: 0, col: 0, value: 1 }] });
+    expect((await batch.json()).error).toBe('ONE_CELL_PER_REQUEST');
+
+    const outOfRange = await move(env, { gameId: data.gameId, row: 9, col: 0, value: 1 });
+    expect((await outOfRange.json()).error).toBe('INVALID_MOVE');
+
+    const other = await makeMove({ env, request: post('/game/move', { gameId: data.gameId, agentId: 'intruder', row: 0, col: 0, value: 1 }) });
+    expect(other.status).toBe(403);
+
+    const missing = await move(env, { gameId: 'nope', row: 0, col: 0, value: 1 });
+    expect(missing.status).toBe(404);
+  });
+
+  it('reports rule violations without changing the board', async () => {
+    const { data, session } = await start(env);
+    const [row, col] = emptyCells(session.puzzle)[0];
+    const clash = session.puzzle[row].find(value => value !== 0);
+
+    const result = await (await move(env, { gameId: data.gameId, row, col, value: clash })).json();
+
+    expect(result).toMatchObject({ success: false, valid: false, reason: 'RULE_VIOLATION', errorCount: 1 });
+    expect(result.conflicts).toContainEqual({ type: 'row', position: row, value: clash });
+    expect(result.currentBoard[row][col]).toBe(0);
+  });
+
+  it('plays a game to completion, scores it and keeps the move history', async () => {
+    const { data, session } = await start(env);
+    const cells = emptyCells(session.puzzle);
+    const [firstRow, firstCol] = cells[0];
+
+    await move(env, { gameId: data.gameId, row: firstRow, col: firstCol, value: session.solution[firstRow][firstCol] });
+    await move(env, { gameId: data.gameId, row: firstRow, col: firstCol, value: 0 });
+
+    let result;
+    for (const [row, col] of cells) {
+      result = await (await move(env, { gameId: data.gameId, row, col, value: session.solution[row][col] })).json();
+    }
+
+    expect(result).toMatchObject({ success: true, isComplete: true, currentBoard: session.solution });
+    expect(result.score).toBe(calculateScore('easy', result.stats.duration, 0));
+    expect(result.stats).toMatchObject({ totalMoves: cells.length + 2, invalidMoves: 0, suspicious: true });
+
+    const after = await move(env, { gameId: data.gameId, row: firstRow, col: firstCol, value: 0 });
+    expect(after.status).toBe(409);
+
+    const status = await (await getStatus({
+      env,
+      request: new Request(`${BASE_URL}/game/status?gameId=${data.gameId}&agentId=test-agent`)
+    })).json();
+    expect(status).toMatchObject({ isComplete: true, moveCount: cells.length + 2, score: result.score });
+    expect(status.moves[1]).toMatchObject({ row: firstRow, col: firstCol, value: 0, previous: session.solution[firstRow][firstCol], valid: true });
+    expect(status).not.toHaveProperty('solution');
+  });
+});
+
+describe('agent scoring helpers', () => {
+  it('lists row, column and box conflicts for a placement', () => {
+    const board = Array.from({ length: 9 }, () => Array(9).fill(0));
+    board[0][8] = 5;
+    board[8][0] = 5;
+    board[1][1] = 5;
+
+    expect(findMoveConflicts(board, 0, 0, 5)).toEqual([
+      { type: 'row', position: 0, value: 5 },
+      { type: 'col', position: 0, value: 5 },
+      { type: 'box', position: 0, value: 5 }
+    ]);
+    expect(findMoveConflicts(board, 4, 4, 5)).toEqual([]);
+  });
+
+  it('adds a time bonus and subtracts invalid moves without going below zero', () => {
+    expect(calculateScore('medium', 120000, 2)).toBe(1060);
+    expect(calculateScore('easy', 5000000, 50)).toBe(0);
+  });
+
+  it('flags games finished at the rate limit pace as too fast', () => {
+    const puzzle = Array.from({ length: 9 }, (_, row) => Array.from({ length: 9 }, (__, col) => (row * 9 + col < 40 ? 0 : 1)));
+    const game = { puzzle, startTime: 0, errors: 1, moves: [] };
+
+    expect(getMinHumanlikeDuration(puzzle)).toBe(80000);
+    // 限速 1 次/秒下 40 个空格最快约 40 秒
+    expect(detectSuspiciousPlay({ ...game, completedAt: 41000 })).toEqual(['TOO_FAST']);
+    expect(detectSuspiciousPlay({ ...game, completedAt: 120000 })).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { DEVICE_ID_STORAGE_KEY } from '../config/constants.js';
+import { getCurrentSession, getSupabaseClient } from '../auth/auth-handler.js';
+import { chooseSavedGame, cloudGameStateAdapter, getDeviceId } from '../storage/cloud-game-state.js';
+
+vi.mock('../auth/auth-handler.js', () => ({
+  getSupabaseClient: vi.fn(),
+  getCurrentSession: vi.fn()
+}));
+
+const BOARD = Array.from({ length: 9 }, () => Array(9).fill(0));
+
+function createGameState(overrides = {}) {
+  return {
+    solution: BOARD,
+    puzzle: BOARD,
+    givenMask: BOARD.map(row => row.map(() => false)),
+    currentBoard: BOARD,
+    elapsedTime: 42000,
+    difficulty: 'hard',
+    isPaused: false,
+    savedAt: 1700000000000,
+    ...overrides
+  };
+}
+
+/**
+ * game_saves 表替身：每个用户一行
+ */
+function createFakeSupabase() {
+  const rows = new Map();
+  const calls = [];
+
+  return {
+    rows,
+    calls,
+    from(table) {
+      calls.push(table);
+      return {
+        async upsert(row, options) {
+          calls.push(options);
+          rows.set(row.user_id, row);
+          return { error: null };
+        },
+        select() {
+          return {
+            eq: (column, userId) => ({
+              maybeSingle: async () => ({ data: rows.get(userId) ?? null, error: null })
+            })
+          };
+        },
+        delete() {
+          return {
+            eq: async (column, userId) => {
+              rows.delete(userId);
+              return { error: null };
+            }
+          };
+        }
+      };
+    }
+  };
+}
+
+describe('device id', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('is generated once and kept in localStorage', () => {
+    const deviceId = getDeviceId();
+
+    expect(deviceId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(getDeviceId()).toBe(deviceId);
+    expect(localStorage.getItem(DEVICE_ID_STORAGE_KEY)).toBe(deviceId);
+  });
+});
+
+describe('choosing a saved game', () => {
+  const local = { savedAt: 2000 };
+
+  it('uses the local game when there is no cloud save', () => {
+    expect(chooseSavedGame(null, null)).toBe('none');
+    expect(chooseSavedGame(local, null)).toBe('local');
+  });
+
+  it('picks the newer save silently when the cloud save came from this device', () => {
+    expect(chooseSavedGame(local, { savedAt: 3000, isFromThisDevice: true })).toBe('remote');
+    expect(chooseSavedGame(local, { savedAt: 1000, isFromThisDevice: true })).toBe('local');
+    expect(chooseSavedGame(null, { savedAt: 1000, isFromThisDevice: true })).toBe('remote');
+  });
+
+  it('asks before taking over a game from another device', () => {
+    expect(chooseSavedGame(null, { savedAt: 1000, isFromThisDevice: false })).toBe('ask');
+    expect(chooseSavedGame(local, { savedAt: 1000, isFromThisDevice: false })).toBe('ask');
+  });
+});
+
+describe('cloud game state adapter', () => {
+  let supabase;
+
+  beforeEach(() => {
+    localStorage.clear();
+    supabase = createFakeSupabase();
+    getSupabaseClient.mockReturnValue(supabase);
+    getCurrentSession.mockResolvedValue({ user: { id: 'user-1' } });
+  });
+
+  it('saves one row per user and reads it back with its origin device', async () => {
+    expect(await cloudGameStateAdapter.save('gameState', createGameState())).toBe(true);
+    expect(await cloudGameStateAdapter.save('gameState', createGameState({ elapsedTime: 50000 }))).toBe(true);
+
+    expect(supabase.rows.size).toBe(1);
+    expect(supabase.calls).toContainEqual({ onConflict: 'user_id' });
+    expect(supabase.rows.get('user-1')).toMatchObject({
+      device_id: getDeviceId(),
+      saved_at: new Date(1700000000000).toISOString()
+    });
+    expect(supabase.rows.get('user-1').state).not.toHaveProperty('savedAt');
+
+    const loaded = await cloudGameStateAdapter.load('gameState');
+    expect(loaded).toMatchObject({ elapsedTime: 50000, savedAt: 1700000000000, isFromThisDevice: true });
+
+    supabase.rows.get('user-1').device_id = 'phone';
+    expect(await cloudGameStateAdapter.load('gameState')).toMatchObject({ deviceId: 'phone', isFromThisDevice: false });
+  });
+
+  it('deletes the save and ignores invalid rows', async () => {
+    await cloudGameStateAdapter.save('gameState', createGameState());
+    expect(await cloudGameStateAdapter.clear('gameState')).toBe(true);
+    expect(await cloudGameStateAdapter.load('gameState')).toBeNull();
+
+    supabase.rows.set('user-1', { state: { difficulty: 'easy' }, device_id: 'x', saved_at: new Date().toISOString() });
+    expect(await cloudGameStateAdapter.load('gameState')).toBeNull();
+  });
+
+  it('does nothing when signed out', async () => {
+    getCurrentSession.mockResolvedValue(null);
+
+    expect(await cloudGameStateAdapter.save('gameState', createGameState())).toBe(false);
+    expect(await cloudGameStateAdapter.load('gameState')).toBeNull();
+    expect(supabase.calls).toEqual([]);
+  });
+
+  it('rejects unknown keys', async () => {
+    await expect(cloudGameStateAdapter.load('records')).rejects.toThrow('Unsupported key');
+  });
+});
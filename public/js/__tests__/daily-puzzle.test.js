@@ -0,0 +1,137 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import { onRequestGet, onRequestPost, resolveDate } from '../../../functions/api/daily/[date].js';
+import { solvePuzzle } from '../core/solver.js';
+import { saveDailyRecord, getDailyResults } from '../storage/daily-records.js';
+import { renderRecordsList } from '../ui/records.js';
+import { STORAGE_KEY } from '../config/constants.js';
+
+const DATE = '2026-01-15';
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, options) {
+      const value = store.get(key) ?? null;
+      return value !== null && options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, value);
+    }
+  };
+}
+
+function getDaily(env, date, difficulty = 'easy') {
+  return onRequestGet({
+    env,
+    params: { date },
+    request: new Request(`https://sudoku.test/api/daily/${date}?difficulty=${difficulty}`)
+  });
+}
+
+function postDaily(env, date, body) {
+  return onRequestPost({
+    env,
+    params: { date },
+    request: new Request(`https://sudoku.test/api/daily/${date}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+  });
+}
+
+describe('daily puzzle function', () => {
+  it('serves the same puzzle for a date and difficulty without the solution', async () => {
+    const first = await (await getDaily({ SUDOKU_COUNTER: createKV() }, DATE)).json();
+    const second = await (await getDaily({}, DATE)).json();
+
+    expect(first).toEqual(second);
+    expect(first).toMatchObject({ date: DATE, difficulty: 'easy' });
+    expect(first.puzzle).toHaveLength(9);
+    expect(first).not.toHaveProperty('solution');
+    expect(JSON.stringify(first)).not.toContain('solution');
+  });
+
+  it('serves different puzzles per difficulty, per day and per deployment secret', async () => {
+    const easy = await (await getDaily({}, DATE, 'easy')).json();
+    const medium = await (await getDaily({}, DATE, 'medium')).json();
+    const nextDay = await (await getDaily({}, '2026-01-16', 'easy')).json();
+    const secret = await (await getDaily({ DAILY_SECRET: 's3cret' }, DATE, 'easy')).json();
+
+    expect(medium.puzzle).not.toEqual(easy.puzzle);
+    expect(nextDay.puzzle).not.toEqual(easy.puzzle);
+    expect(secret.puzzle).not.toEqual(easy.puzzle);
+  });
+
+  it('caches the generated puzzle and solution in KV', async () => {
+    const kv = createKV();
+
+    await getDaily({ SUDOKU_COUNTER: kv }, DATE);
+
+    const cached = JSON.parse(kv.store.get(`sudoku:daily:${DATE}:easy`));
+    expect(cached.solution).toEqual(solvePuzzle(cached.puzzle));
+  });
+
+  it('rejects malformed dates, future dates and unknown difficulties', async () => {
+    expect(resolveDate('today', new Date('2026-10-19T23:59:00Z'))).toEqual({ date: '2026-10-19', error: null });
+    expect(resolveDate('2026-02-30').error).toBe('INVALID_DATE');
+
+    const invalid = await getDaily({}, 'yesterday');
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).error).toBe('INVALID_DATE');
+
+    const future = await getDaily({}, '2999-01-01');
+    expect(future.status).toBe(404);
+    expect((await future.json()).error).toBe('DATE_NOT_AVAILABLE');
+
+    const difficulty = await getDaily({}, DATE, 'insane');
+    expect((await difficulty.json()).error).toBe('INVALID_DIFFICULTY');
+  });
+
+  it('checks submitted boards without revealing the solution', async () => {
+    const { puzzle } = await (await getDaily({}, DATE)).json();
+    const solution = solvePuzzle(puzzle);
+    const wrong = solution.map(row => [...row]);
+    const emptyCell = puzzle.flat().indexOf(0);
+    const row = Math.floor(emptyCell / 9);
+    const col = emptyCell % 9;
+    wrong[row][col] = (wrong[row][col] % 9) + 1;
+
+    expect(await (await postDaily({}, DATE, { difficulty: 'easy', board: solution })).json()).toEqual({ correct: true });
+    expect(await (await postDaily({}, DATE, { difficulty: 'easy', board: wrong })).json()).toEqual({ correct: false });
+
+    const malformed = await postDaily({}, DATE, { difficulty: 'easy', board: [[1, 2, 3]] });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error).toBe('INVALID_BOARD');
+  });
+});
+
+describe('daily records', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps the fastest time per day and difficulty apart from the normal records', () => {
+    expect(saveDailyRecord(DATE, 'hard', 300000)).toBe(true);
+    expect(saveDailyRecord(DATE, 'hard', 320000)).toBe(false);
+    expect(saveDailyRecord(DATE, 'hard', 250000, { hints: 1 })).toBe(true);
+
+    expect(getDailyResults(DATE)).toEqual({ hard: expect.objectContaining({ time: 250000, hints: 1 }) });
+    expect(getDailyResults('2026-01-16')).toEqual({});
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it('adds a daily row to the records list when there are results for the day', () => {
+    document.body.innerHTML = '<div id="recordsList"></div>';
+    const recordsList = document.getElementById('recordsList');
+    const i18n = { t: (key, params = {}) => (key === 'records.daily' ? `Daily ${params.date}` : key) };
+
+    renderRecordsList(recordsList, {}, i18n, { date: DATE, results: {} });
+    expect(recordsList.querySelector('.record-row-daily')).toBeNull();
+
+    renderRecordsList(recordsList, {}, i18n, { date: DATE, results: { medium: { time: 61500 } } });
+    expect(recordsList.querySelector('.record-row-daily').textContent).toBe(`Daily ${DATE}difficulty.medium 01:01.50`);
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const GENERATED = {
+  solution: [[1]],
+  puzzle: [[0]],
+  grade: { rating: 1.2, techniques: { hiddenSingle: 1 } },
+  attempts: 1
+};
+
+vi.mock('../core/generator.js', () => ({
+  generatePuzzle: vi.fn((difficulty, { onProgress } = {}) => {
+    if (onProgress) onProgress({ attempt: 1, maxAttempts: 30, rating: 1.2 });
+    return GENERATED;
+  })
+}));
+
+class FakeWorker {
+  constructor() {
+    this.listeners = { message: [], error: [] };
+    this.posted = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  addEventListener(type, handler) {
+    this.listeners[type].push(handler);
+  }
+
+  removeEventListener(type, handler) {
+    this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.listeners.message.forEach(handler => handler({ data }));
+  }
+
+  fail(message) {
+    this.listeners.error.forEach(handler => handler({ message }));
+  }
+}
+FakeWorker.instances = [];
+
+describe('generator client', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    FakeWorker.instances = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('falls back to main-thread generation when workers are unavailable', async () => {
+    vi.stubGlobal('Worker', undefined);
+    const { requestPuzzle } = await import('../core/generator-client.js');
+    const onProgress = vi.fn();
+
+    const result = await requestPuzzle('easy', { onProgress });
+
+    expect(result).toBe(GENERATED);
+    expect(onProgress).toHaveBeenCalledWith({ attempt: 1, maxAttempts: 30, rating: 1.2 });
+  });
+
+  it('cancels an in-flight main-thread request when a new one starts', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('Worker', undefined);
+    const { requestPuzzle } = await import('../core/generator-client.js');
+    const { generatePuzzle } = await import('../core/generator.js');
+    generatePuzzle.mockClear();
+
+    const first = requestPuzzle('expert').catch(error => error);
+    const second = requestPuzzle('easy');
+    await vi.runAllTimersAsync();
+
+    expect(await first).toMatchObject({ name: 'AbortError' });
+    await expect(second).resolves.toBe(GENERATED);
+    expect(generatePuzzle).toHaveBeenCalledTimes(1);
+  });
+
+  it('forwards worker progress and resolves with the worker result', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const { requestPuzzle } = await import('../core/generator-client.js');
+    const onProgress = vi.fn();
+
+    const pending = requestPuzzle('hard', { onProgress });
+    const [worker] = FakeWorker.instances;
+    const { id } = worker.posted[0];
+
+    expect(worker.posted[0]).toEqual({ type: 'generate', id, difficulty: 'hard', seed: expect.any(String), variant: 'classic', size: 9 });
+
+    worker.reply({ type: 'progress', id, progress: { attempt: 3, maxAttempts: 30, rating: 2.6 } });
+    worker.reply({ type: 'result', id, result: GENERATED });
+
+    await expect(pending).resolves.toBe(GENERATED);
+    expect(onProgress).toHaveBeenCalledWith({ attempt: 3, maxAttempts: 30, rating: 2.6 });
+  });
+
+  it('terminates the worker when a second request cancels the first', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const { requestPuzzle } = await import('../core/generator-client.js');
+
+    const first = requestPuzzle('expert');
+    const second = requestPuzzle('medium');
+
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    expect(FakeWorker.instances).toHaveLength(2);
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+
+    const replacement = FakeWorker.instances[1];
+    replacement.reply({ type: 'result', id: replacement.posted[0].id, result: GENERATED });
+    await expect(second).resolves.toBe(GENERATED);
+  });
+
+  it('falls back to the main thread when the worker script fails to load', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { requestPuzzle, isWorkerSupported } = await import('../core/generator-client.js');
+
+    const pending = requestPuzzle('easy');
+    FakeWorker.instances[0].fail('module workers not supported');
+    await vi.runAllTimersAsync();
+
+    await expect(pending).resolves.toBe(GENERATED);
+    expect(isWorkerSupported()).toBe(false);
+  });
+});
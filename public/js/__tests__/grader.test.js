@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+
+import { createCandidateGrid, findNextStep, gradePuzzle, GUESSING_RATING, TECHNIQUE_WEIGHTS } from '../core/grader.js';
+import { generatePuzzle, getDifficultyForRating, getRatingDistance, isRatingInBand } from '../core/generator.js';
+import { DIFFICULTY_RATINGS } from '../config/constants.js';
+
+const SOLUTION = Array.from({ length: 9 }, (_, rowIndex) =>
+  Array.from({ length: 9 }, (_, columnIndex) => ((rowIndex * 3 + Math.floor(rowIndex / 3) + columnIndex) % 9) + 1)
+);
+
+// 每个技巧层级一道题目（最难的技巧决定评级）和它应属于的难度
+const TIER_PUZZLES = [
+  { technique: 'hiddenSingle', difficulty: 'easy', puzzle: '030090700815004009040002350078060400000238901190500002720981503080450297000023100' },
+  { technique: 'nakedSingle', difficulty: 'medium', puzzle: '800000000719000002003000450028000060000800014000510307000000103000004090490107000' },
+  { technique: 'pointing', difficulty: 'medium', puzzle: '000000064060003008109200005000609042090100003050008000600000350000030000700064900' },
+  { technique: 'boxLineReduction', difficulty: 'medium', puzzle: '590680000000000900034025000001000000070201090006700100800000000000034200050000073' },
+  { technique: 'nakedPair', difficulty: 'hard', puzzle: '700200000580900607091000200410000009005040060870095000008600905009810000100009000' },
+  { technique: 'xWing', difficulty: 'hard', puzzle: '000000400001068000080000906400070000007300010060201000006000040500019300020005790' },
+  { technique: 'hiddenPair', difficulty: 'hard', puzzle: '040207006050003008020000000000001900000300600007054000600000203100000070003400005' },
+  { technique: 'nakedTriple', difficulty: 'expert', puzzle: '047020003000710040005080000020000000900001006000007902008000001000469200230000000' },
+  { technique: 'xyWing', difficulty: 'expert', puzzle: '200900051006001073005006000940080000070000004000290080500400000003060090010000000' }
+];
+
+function toBoard(text) {
+  return Array.from({ length: 9 }, (_, r) => [...text.slice(r * 9, r * 9 + 9)].map(Number));
+}
+
+function emptyBoard() {
+  return Array.from({ length: 9 }, () => Array(9).fill(0));
+}
+
+function fullCandidates() {
+  return createCandidateGrid(emptyBoard());
+}
+
+describe('technique grader', () => {
+  it('solves a singles-only puzzle and reports the techniques used', () => {
+    const puzzle = SOLUTION.map((row, r) => row.map((value, c) => ((r + c) % 4 === 0 ? 0 : value)));
+
+    const result = gradePuzzle(puzzle);
+
+    expect(result.solved).toBe(true);
+    expect(result.board).toEqual(SOLUTION);
+    expect(result.rating).toBe(TECHNIQUE_WEIGHTS.hiddenSingle);
+    expect(result.techniques.hiddenSingle).toBeGreaterThan(0);
+    expect(result.steps).toBe(puzzle.flat().filter(value => value === 0).length);
+  });
+
+  it('rates puzzles beyond the technique set as requiring guessing', () => {
+    const result = gradePuzzle(emptyBoard());
+
+    expect(result.solved).toBe(false);
+    expect(result.rating).toBe(GUESSING_RATING);
+  });
+
+  it('finds a naked pair and eliminates its digits from the rest of the row', () => {
+    const candidates = fullCandidates();
+    candidates[0][0] = new Set([1, 2]);
+    candidates[0][1] = new Set([1, 2]);
+
+    const step = findNextStep(emptyBoard(), candidates);
+
+    expect(step.technique).toBe('nakedPair');
+    expect(step.cells).toEqual([[0, 0], [0, 1]]);
+    expect(step.eliminations).toContainEqual({ row: 0, col: 5, value: 1 });
+    expect(step.eliminations).toContainEqual({ row: 0, col: 8, value: 2 });
+  });
+
+  it('finds an X-Wing across two rows', () => {
+    const candidates = fullCandidates();
+    [1, 4].forEach(r => {
+      for (let c = 0; c < 9; c++) {
+        if (c !== 2 && c !== 7) candidates[r][c].delete(5);
+      }
+    });
+
+    const step = findNextStep(emptyBoard(), candidates);
+
+    expect(step.technique).toBe('xWing');
+    expect(step.eliminations).toContainEqual({ row: 0, col: 2, value: 5 });
+    expect(step.eliminations).toContainEqual({ row: 8, col: 7, value: 5 });
+    expect(step.eliminations.every(({ row }) => row !== 1 && row !== 4)).toBe(true);
+  });
+
+  it('finds pointing candidates confined to one row of a box', () => {
+    const candidates = fullCandidates();
+    [[1, 0], [1, 1], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([r, c]) => candidates[r][c].delete(7));
+
+    const step = findNextStep(emptyBoard(), candidates);
+
+    expect(step.technique).toBe('pointing');
+    expect(step.eliminations).toContainEqual({ row: 0, col: 3, value: 7 });
+    expect(step.eliminations.every(({ row, col }) => row === 0 && col >= 3)).toBe(true);
+  });
+});
+
+describe('rated puzzle generation', () => {
+  it('checks ratings against difficulty bands', () => {
+    expect(isRatingInBand(TECHNIQUE_WEIGHTS.hiddenSingle, 'easy')).toBe(true);
+    expect(isRatingInBand(TECHNIQUE_WEIGHTS.xyWing, 'easy')).toBe(false);
+    expect(isRatingInBand(GUESSING_RATING, 'expert')).toBe(true);
+  });
+
+  it.each(TIER_PUZZLES)('puts a $technique puzzle in exactly one band ($difficulty)', ({ technique, difficulty, puzzle }) => {
+    const { rating } = gradePuzzle(toBoard(puzzle));
+    const bands = Object.keys(DIFFICULTY_RATINGS).filter(name => isRatingInBand(rating, name));
+
+    expect(rating).toBe(TECHNIQUE_WEIGHTS[technique]);
+    expect(bands).toEqual([difficulty]);
+    expect(getDifficultyForRating(rating)).toBe(difficulty);
+  });
+
+  it('excludes the lower bound of each band', () => {
+    expect(isRatingInBand(TECHNIQUE_WEIGHTS.hiddenSingle, 'medium')).toBe(false);
+    expect(getRatingDistance(TECHNIQUE_WEIGHTS.hiddenSingle, 'medium')).toBeGreaterThan(0);
+    expect(Object.keys(DIFFICULTY_RATINGS).filter(name => isRatingInBand(GUESSING_RATING, name))).toEqual(['expert']);
+  });
+
+  it('generates an easy puzzle whose rating matches the band', () => {
+    const { solution, puzzle, grade } = generatePuzzle('easy', { maxAttempts: 5 });
+
+    expect(isRatingInBand(grade.rating, 'easy')).toBe(true);
+    expect(grade.board).toEqual(solution);
+    expect(puzzle.flat().filter(value => value === 0)).toHaveLength(36);
+  });
+});
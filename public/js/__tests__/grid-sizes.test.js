@@ -0,0 +1,246 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { formatCellValue, getGeometry, isGridSize, parseCellValue } from '../core/geometry.js';
+import { getPeers, getRegions, isVariantSupported } from '../core/regions.js';
+import { generateFullBoard, isValidPlacement } from '../core/sudoku-engine.js';
+import { hasUniqueSolution, solvePuzzle } from '../core/solver.js';
+import { detectConflicts, validateSolution } from '../core/validator.js';
+import { generatePuzzle, getHolesTarget } from '../core/generator.js';
+import { findHint } from '../core/hint.js';
+import { boardToString, createShareLink, decodePuzzle, encodePuzzle, parsePuzzleString, parseShareFragment, preparePuzzleGame, readSharedPuzzle } from '../core/puzzle-format.js';
+import { exportPuzzle } from '../core/puzzle-files.js';
+import { getVariantRecordsSummary, saveVariantRecord } from '../storage/variant-records.js';
+import { analyzePuzzleEntry } from '../ui/puzzle-entry.js';
+import { renderRecordsList } from '../ui/records.js';
+import { createRandom } from '../utils/random.js';
+
+// 按宫格形状排列的标准解（每行右移一个宫宽，每个宫带再右移一格）
+const patternSolution = size => {
+  const { boxRows, boxCols } = getGeometry(size);
+  return Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => (
+    ((r % boxRows) * boxCols + Math.floor(r / boxRows) + c) % size) + 1));
+};
+
+describe('grid geometry', () => {
+  it('describes square and rectangular boxes for every supported size', () => {
+    expect(getGeometry(4)).toEqual({ size: 4, boxRows: 2, boxCols: 2, cellCount: 16 });
+    expect(getGeometry(6)).toMatchObject({ boxRows: 2, boxCols: 3 });
+    expect(getGeometry(12)).toMatchObject({ boxRows: 3, boxCols: 4 });
+    expect(getGeometry()).toMatchObject({ size: 9, cellCount: 81 });
+    expect(isGridSize(16)).toBe(true);
+    expect(isGridSize(8)).toBe(false);
+    expect(() => getGeometry(8)).toThrow('Unsupported grid size: 8');
+  });
+
+  it('shows values above nine as letters and reads them back case-insensitively', () => {
+    expect(formatCellValue(0)).toBe('');
+    expect(formatCellValue(9)).toBe('9');
+    expect(formatCellValue(16)).toBe('G');
+    expect(parseCellValue('b', 16)).toBe(11);
+    expect(parseCellValue('B', 9)).toBe(0);
+    expect(parseCellValue('5', 4)).toBe(0);
+    expect(parseCellValue('0', 16)).toBe(0);
+  });
+
+  it('builds rows, columns and boxes from the box shape', () => {
+    const boxes = getRegions('classic', 6).filter(region => region.type === 'box');
+
+    expect(getRegions('classic', 6)).toHaveLength(18);
+    expect(boxes[1].cells).toEqual([[0, 3], [0, 4], [0, 5], [1, 3], [1, 4], [1, 5]]);
+    expect(getPeers(0, 0, 'classic', 6)).toHaveLength(12);
+    expect(getPeers(0, 0, 'classic', 16)).toHaveLength(39);
+    expect(getRegions('diagonal', 4)).toHaveLength(14);
+    expect(isVariantSupported('hyper', 6)).toBe(false);
+    expect(isVariantSupported('diagonal', 12)).toBe(true);
+    expect(() => getRegions('hyper', 6)).toThrow('Unsupported sudoku variant for 6x6 grid: hyper');
+  });
+});
+
+describe('generation on other sizes', () => {
+  it.each([4, 6, 12])('generates unique %ix%i puzzles that respect every region', (size) => {
+    const { puzzle, solution, size: generated } = generatePuzzle('easy', { seed: 'sizes1', size });
+
+    expect(generated).toBe(size);
+    expect(puzzle).toHaveLength(size);
+    expect(puzzle.flat().filter(value => value === 0)).toHaveLength(getHolesTarget('easy', size));
+    expect(hasUniqueSolution(puzzle)).toBe(true);
+    expect(validateSolution(solution, solution).isCorrect).toBe(true);
+    getRegions('classic', size).forEach(({ cells }) => {
+      expect(new Set(cells.map(([r, c]) => solution[r][c])).size).toBe(size);
+    });
+    expect(generatePuzzle('easy', { seed: 'sizes1', size }).puzzle).toEqual(puzzle);
+  });
+
+  it('gives the same seed a different puzzle on each size', () => {
+    const small = generatePuzzle('easy', { seed: 'sizes1', size: 4 });
+    const diagonal = generatePuzzle('easy', { seed: 'sizes1', size: 4, variant: 'diagonal' });
+
+    expect(diagonal.puzzle).not.toEqual(small.puzzle);
+    expect(detectConflicts(diagonal.solution, 'diagonal').hasConflicts).toBe(false);
+  });
+
+  it('fills 16x16 boards and scales the holes down for them', () => {
+    const solution = generateFullBoard(createRandom('sixteen'), 'classic', 16);
+
+    expect(detectConflicts(solution).hasConflicts).toBe(false);
+    expect(solution.flat().every(value => value >= 1 && value <= 16)).toBe(true);
+    expect(getHolesTarget('expert', 16)).toBeLessThan(getHolesTarget('expert', 9) * 256 / 81);
+  });
+
+  it('solves, validates and hints on the board size', () => {
+    const solution = patternSolution(6);
+    const puzzle = solution.map(row => row.slice());
+    puzzle[0][0] = 0;
+    puzzle[5][5] = 0;
+
+    expect(isValidPlacement(puzzle, 0, 0, solution[0][1])).toBe(false);
+    expect(solvePuzzle(puzzle)).toEqual(solution);
+    expect(findHint(puzzle, solution).placement).toMatchObject({ value: expect.any(Number) });
+  });
+});
+
+describe('puzzle strings and links on other sizes', () => {
+  it('writes and reads letters for 16x16 puzzles', () => {
+    const board = patternSolution(16);
+    board[0][0] = 0;
+    const text = boardToString(board);
+
+    expect(text).toHaveLength(256);
+    expect(text.startsWith('.23456789ABCDEFG')).toBe(true);
+    expect(parsePuzzleString(text.toLowerCase(), 16)).toEqual({ ok: true, board });
+    expect(parsePuzzleString(text, 9)).toEqual({ ok: false, reason: 'length' });
+    expect(parsePuzzleString('1234'.repeat(3) + '123H', 4)).toEqual({ ok: false, reason: 'characters' });
+    expect(decodePuzzle(encodePuzzle(board), 16)).toEqual({ ok: true, board });
+  });
+
+  it('carries the size in share links and drops variants the size cannot use', () => {
+    const { puzzle } = generatePuzzle('easy', { seed: 'sizes1', size: 6 });
+    const link = createShareLink(puzzle, { difficulty: 'easy', baseUrl: 'https://example.com/' });
+
+    expect(link).toContain('s=6');
+    expect(parseShareFragment(new URL(link).hash)).toEqual({ ok: true, board: puzzle, difficulty: 'easy', variant: 'classic', size: 6 });
+    expect(parseShareFragment(`${new URL(link).hash}&v=hyper`).variant).toBe('classic');
+    expect(readSharedPuzzle(new URL(link).hash).game).toMatchObject({ puzzle, size: 6 });
+  });
+
+  it('refuses links and entered puzzles above 9x9 instead of counting their solutions', () => {
+    const board = patternSolution(16);
+    board[0][0] = 0;
+    const link = createShareLink(board, { baseUrl: 'https://example.com/' });
+
+    expect(link).toContain('s=16');
+    expect(parseShareFragment(new URL(link).hash)).toEqual({ ok: false, reason: 'size' });
+    expect(readSharedPuzzle(new URL(link).hash)).toEqual({ ok: false, reason: 'size' });
+    expect(preparePuzzleGame(Array.from({ length: 16 }, () => Array(16).fill(0)))).toEqual({ ok: false, reason: 'size' });
+    expect(analyzePuzzleEntry(board)).toEqual({ status: 'size', givens: 255, conflicts: 0 });
+  });
+
+  it('keeps puzzle files to 9x9', () => {
+    expect(() => exportPuzzle(patternSolution(4), 'sdm')).toThrow('Puzzle files only support 9x9 puzzles');
+  });
+});
+
+describe('board on other sizes', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="board"></div>';
+    vi.useFakeTimers();
+    vi.resetModules();
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    const { clearAll } = await import('../utils/event-bus.js');
+    clearAll();
+  });
+
+  const render = async (size, given = () => false) => {
+    const renderer = await import('../ui/board-renderer.js');
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    const mask = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (__, c) => given(r, c)));
+    renderer.initBoardRenderer('#board');
+    renderer.renderBoard(board, mask);
+    return renderer;
+  };
+
+  it('draws box borders from the box shape', async () => {
+    await render(6);
+    const boardEl = document.getElementById('board');
+
+    expect(boardEl.dataset.size).toBe('6');
+    expect(boardEl.querySelectorAll('.cell')).toHaveLength(36);
+    expect([...boardEl.querySelectorAll('.cell')].slice(0, 6).map(cell => cell.classList.contains('box-right')))
+      .toEqual([false, false, true, false, false, false]);
+    expect(boardEl.querySelectorAll('.box-bottom')).toHaveLength(12);
+    expect(boardEl.querySelector('.cell-notes').children).toHaveLength(6);
+  });
+
+  it('accepts letters on 16x16 boards and reads them as numbers', async () => {
+    const { readUserBoard, getCellState } = await render(16);
+    const { on } = await import('../utils/event-bus.js');
+    const { EVENTS } = await import('../config/events.js');
+    const onInput = vi.fn();
+    on(EVENTS.CELL_INPUT, onInput);
+
+    const input = document.querySelector('input[data-r="0"][data-c="15"]');
+    expect(input.inputMode).toBe('text');
+    input.value = 'c';
+    input.dispatchEvent(new Event('input'));
+
+    expect(input.value).toBe('C');
+    expect(readUserBoard()[0][15]).toBe(12);
+    expect(getCellState(0, 15).value).toBe(12);
+    expect(onInput).toHaveBeenCalledWith(expect.objectContaining({ row: 0, col: 15, value: 12 }));
+
+    const other = document.querySelector('input[data-r="1"][data-c="0"]');
+    other.value = 'h';
+    other.dispatchEvent(new Event('input'));
+    expect(other.value).toBe('');
+  });
+
+  it('wraps arrow-key navigation at the board edge', async () => {
+    await render(4, (r, c) => r === 0 && c === 3);
+
+    const start = document.querySelector('input[data-r="0"][data-c="2"]');
+    start.focus();
+    start.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+    expect(document.activeElement).toBe(document.querySelector('input[data-r="0"][data-c="0"]'));
+  });
+
+  it('checks conflicts with the classic rules while the variant does not fit the size', async () => {
+    const { setBoardVariant, renderBoard, getBoardVariant } = await render(9);
+    setBoardVariant('hyper');
+
+    const board = Array.from({ length: 4 }, () => Array(4).fill(0));
+    board[0][0] = 1;
+    board[0][1] = 1;
+    renderBoard(board, board.map(row => row.map(value => value !== 0)));
+
+    expect(getBoardVariant()).toBe('hyper');
+    expect(document.querySelectorAll('.conflict')).toHaveLength(2);
+    expect(document.querySelector('.region-window')).toBeNull();
+  });
+});
+
+describe('grid size records', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps each size apart and labels it in the records list', () => {
+    saveVariantRecord('classic', 'easy', 40000, { size: 4 });
+    saveVariantRecord('diagonal', 'easy', 90000);
+
+    const summary = getVariantRecordsSummary();
+    expect(summary).toEqual({ 'classic-4': { easy: 40000 }, diagonal: { easy: 90000 } });
+
+    const container = document.createElement('div');
+    const t = (key, params = {}) => (key === 'records.variant' ? `${params.variant} best` : key);
+    renderRecordsList(container, {}, { t }, null, null, summary);
+
+    const rows = [...container.querySelectorAll('.record-row-variant')];
+    expect(rows.map(row => row.dataset.variant)).toEqual(['classic-4', 'diagonal']);
+    expect(rows[0].firstChild.textContent).toBe('variant.classic size.4 best');
+    expect(rows[1].firstChild.textContent).toBe('variant.diagonal best');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+
+import { findHint } from '../core/hint.js';
+import { findNextStep } from '../core/grader.js';
+import { generatePuzzle } from '../core/generator.js';
+import { formatHintMessage } from '../ui/hints.js';
+
+const SOLUTION = Array.from({ length: 9 }, (_, rowIndex) =>
+  Array.from({ length: 9 }, (_, columnIndex) => ((rowIndex * 3 + Math.floor(rowIndex / 3) + columnIndex) % 9) + 1)
+);
+
+const MESSAGES = {
+  'hints.withEliminations': '{{techniques}} -> {{explanation}}',
+  'hints.techniques.pointing': 'Pointing',
+  'hints.techniques.nakedPair': 'Naked Pair',
+  'hints.explanations.hiddenSingle': '{{value}} fits R{{row}}C{{col}} in {{unit}}.',
+  'hints.units.box': 'box {{index}}',
+  'hints.fillPrompt': 'Press again.'
+};
+
+function t(key, params = {}) {
+  return Object.entries(params).reduce((text, [name, value]) => text.replace(`{{${name}}}`, value), MESSAGES[key] ?? key);
+}
+
+/**
+ * 用单数推进到下一步必须先删减候选数的局面
+ */
+function advanceToEliminationStep(board) {
+  for (let step = findNextStep(board); step; step = findNextStep(board)) {
+    if (step.placements.length === 0) return board;
+    step.placements.forEach(({ row, col, value }) => {
+      board[row][col] = value;
+    });
+  }
+  return null;
+}
+
+describe('hint finder', () => {
+  it('points out entries that do not match the solution first', () => {
+    const board = SOLUTION.map(row => row.map(() => 0));
+    board[4][4] = SOLUTION[4][4] === 1 ? 2 : 1;
+
+    const hint = findHint(board, SOLUTION);
+
+    expect(hint.type).toBe('mistake');
+    expect(hint.cells).toEqual([[4, 4]]);
+    expect(hint.placement).toEqual({ row: 4, col: 4, value: SOLUTION[4][4] });
+  });
+
+  it('returns the next single with the cells involved', () => {
+    const board = SOLUTION.map(row => [...row]);
+    board[2][6] = 0;
+
+    const hint = findHint(board, SOLUTION);
+
+    expect(hint).toMatchObject({
+      type: 'technique',
+      eliminations: [],
+      placement: { row: 2, col: 6, value: SOLUTION[2][6] }
+    });
+    expect(hint.cells).toContainEqual([2, 6]);
+  });
+
+  it('applies elimination techniques until a cell can be filled', () => {
+    const { puzzle, solution } = generatePuzzle('hard', { seed: 'f6' });
+    const board = advanceToEliminationStep(puzzle.map(row => [...row]));
+
+    const hint = findHint(board, solution);
+
+    expect(hint.type).toBe('technique');
+    expect(hint.eliminations.length).toBeGreaterThan(0);
+    expect(board[hint.placement.row][hint.placement.col]).toBe(0);
+    expect(hint.placement.value).toBe(solution[hint.placement.row][hint.placement.col]);
+  });
+
+  it('reveals a cell from the solution when no technique applies', () => {
+    const board = SOLUTION.map(row => row.map(() => 0));
+
+    const hint = findHint(board, SOLUTION);
+
+    expect(hint.type).toBe('reveal');
+    expect(hint.placement.value).toBe(SOLUTION[hint.placement.row][hint.placement.col]);
+  });
+
+  it('returns null once the board is solved', () => {
+    expect(findHint(SOLUTION, SOLUTION)).toBeNull();
+  });
+});
+
+describe('hint message', () => {
+  it('describes the technique, its unit and the eliminations that lead to it', () => {
+    const message = formatHintMessage({
+      type: 'technique',
+      technique: 'hiddenSingle',
+      eliminations: ['pointing', 'nakedPair'],
+      placement: { row: 6, col: 2, value: 6 },
+      cells: [],
+      unit: { type: 'box', index: 6 }
+    }, t);
+
+    expect(message).toBe('Pointing, Naked Pair -> 6 fits R7C3 in box 7. Press again.');
+  });
+});
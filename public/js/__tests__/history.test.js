@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EVENTS } from '../config/events.js';
+import { deleteRecord, getDeletedRecordIds, loadRecords, saveRecords } from '../storage/local-storage.js';
+import { parseDateInput, queryRecordHistory, renderHistoryList } from '../ui/history.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn(),
+  showError: vi.fn()
+}));
+
+const day = (date, hour = 12) => new Date(2026, 9, date, hour).getTime();
+
+const RECORDS = {
+  easy: {
+    best: 50000,
+    history: [
+      { id: 'a', time: 80000, at: day(1), hints: 0, synced: true },
+      { id: 'b', time: 50000, at: day(2), hints: 1, mistakes: 2, synced: true },
+      { id: 'c', time: 70000, at: day(3), hints: 0, synced: false },
+      { id: 'd', time: 60000, at: day(4), hints: 0, synced: false }
+    ]
+  }
+};
+
+describe('queryRecordHistory', () => {
+  it('sorts by date or time', () => {
+    const ids = sort => queryRecordHistory(RECORDS, { difficulty: 'easy', sort }).entries.map(r => r.id);
+
+    expect(ids('date-desc')).toEqual(['d', 'c', 'b', 'a']);
+    expect(ids('date-asc')).toEqual(['a', 'b', 'c', 'd']);
+    expect(ids('time-asc')).toEqual(['b', 'd', 'c', 'a']);
+    expect(ids('time-desc')).toEqual(['a', 'c', 'd', 'b']);
+  });
+
+  it('filters by local date range and synced state', () => {
+    const result = queryRecordHistory(RECORDS, {
+      difficulty: 'easy',
+      from: parseDateInput('2026-10-02'),
+      to: parseDateInput('2026-10-03', true)
+    });
+    expect(result.entries.map(r => r.id)).toEqual(['c', 'b']);
+
+    expect(queryRecordHistory(RECORDS, { difficulty: 'easy', synced: 'unsynced' }).entries.map(r => r.id)).toEqual(['d', 'c']);
+    expect(queryRecordHistory(RECORDS, { difficulty: 'easy', synced: 'synced' }).total).toBe(2);
+    expect(queryRecordHistory(RECORDS, { difficulty: 'hard' })).toEqual({ entries: [], total: 0, page: 1, pages: 1, best: null });
+  });
+
+  it('paginates and clamps the page number', () => {
+    const page = n => queryRecordHistory(RECORDS, { difficulty: 'easy', page: n, pageSize: 3 });
+
+    expect(page(1)).toMatchObject({ total: 4, page: 1, pages: 2 });
+    expect(page(2).entries.map(r => r.id)).toEqual(['a']);
+    expect(page(9).page).toBe(2);
+  });
+
+  it('parses date inputs as local days', () => {
+    expect(parseDateInput('')).toBeNull();
+    expect(parseDateInput('2026-10-02')).toBe(new Date(2026, 9, 2).getTime());
+    expect(parseDateInput('2026-10-02', true)).toBe(new Date(2026, 9, 3).getTime() - 1);
+  });
+});
+
+describe('renderHistoryList', () => {
+  const i18n = {
+    t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+  };
+
+  it('renders one row per game with a delete button and marks the best', () => {
+    const container = document.createElement('div');
+
+    renderHistoryList(container, queryRecordHistory(RECORDS, { difficulty: 'easy', sort: 'time-asc', pageSize: 2 }), i18n);
+
+    const rows = container.querySelectorAll('.history-row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].classList.contains('is-best')).toBe(true);
+    expect(rows[0].textContent).toContain('00:50.00');
+    expect(rows[0].textContent).toContain('history.mistakes {"count":2}');
+    expect(rows[1].textContent).toContain('history.localOnly');
+    expect(rows[0].querySelector('button').dataset.id).toBe('b');
+  });
+
+  it('shows an empty message', () => {
+    const container = document.createElement('div');
+
+    renderHistoryList(container, queryRecordHistory({}, { difficulty: 'easy' }), i18n);
+
+    expect(container.textContent).toBe('history.empty');
+  });
+});
+
+describe('deleteRecord', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+    saveRecords(structuredClone(RECORDS));
+  });
+
+  it('recomputes the best time from the remaining history', () => {
+    const listener = vi.fn();
+    on(EVENTS.RECORD_DELETED, listener);
+
+    const removed = deleteRecord('easy', 'b');
+
+    expect(removed.id).toBe('b');
+    expect(loadRecords().easy.best).toBe(60000);
+    expect(loadRecords().easy.history.map(r => r.id)).toEqual(['a', 'c', 'd']);
+    expect(listener).toHaveBeenCalledWith({ difficulty: 'easy', record: removed, best: 60000 });
+  });
+
+  it('remembers deleted synced records so sync does not restore them', () => {
+    deleteRecord('easy', 'a');
+    deleteRecord('easy', 'c');
+
+    expect([...getDeletedRecordIds()]).toEqual(['a']);
+  });
+
+  it('clears the best time when the last record is deleted and ignores unknown ids', () => {
+    saveRecords({ hard: { best: 1000, history: [{ id: 'x', time: 1000, at: 1, synced: false }] } });
+
+    expect(deleteRecord('hard', 'missing')).toBeNull();
+    deleteRecord('hard', 'x');
+
+    expect(loadRecords().hard).toEqual({ best: null, history: [] });
+  });
+});
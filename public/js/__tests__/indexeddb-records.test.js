@@ -0,0 +1,156 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { STORAGE_KEY } from '../config/constants.js';
+import { IndexedDBRecordsAdapter } from '../storage/indexeddb-records.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn(),
+  showError: vi.fn()
+}));
+
+const LEGACY_RECORDS = {
+  easy: {
+    best: 50000,
+    history: [
+      { time: 60000, at: 1000 },
+      { time: 50000, at: 2000, synced: true }
+    ]
+  },
+  hard: { best: 300000, history: [{ id: 'phone-run', time: 300000, at: 3000, hints: 1, synced: false }] }
+};
+
+/**
+ * 每个测试使用全新的模块状态
+ */
+async function loadStorageModule() {
+  vi.resetModules();
+  return import('../storage/local-storage.js');
+}
+
+describe('IndexedDB records backend', () => {
+  let factory;
+
+  beforeEach(() => {
+    localStorage.clear();
+    factory = new IDBFactory();
+  });
+
+  it('migrates sudoku_records_v1 once and keeps loadRecords and getAllStats unchanged', async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(LEGACY_RECORDS));
+    const storage = await loadStorageModule();
+    const statsBefore = storage.getAllStats();
+
+    expect(await storage.initRecordsStorage({ adapter: new IndexedDBRecordsAdapter(factory) })).toBe('indexedDB');
+
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(storage.getAllStats()).toEqual(statsBefore);
+    expect(storage.loadRecords()).toEqual({
+      easy: {
+        best: 50000,
+        history: [
+          { id: 'legacy-easy-1000-60000', time: 60000, at: 1000, synced: false },
+          { id: 'legacy-easy-2000-50000', time: 50000, at: 2000, synced: true }
+        ]
+      },
+      hard: LEGACY_RECORDS.hard
+    });
+
+    // 再次启动时不会重复迁移（即使旧键又出现了）
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ expert: { best: 1, history: [{ time: 1, at: 1 }] } }));
+    const again = await loadStorageModule();
+    await again.initRecordsStorage({ adapter: new IndexedDBRecordsAdapter(factory) });
+    expect(Object.keys(again.loadRecords())).toEqual(['easy', 'hard']);
+  });
+
+  it('stores each finished game as an indexed row', async () => {
+    const storage = await loadStorageModule();
+    const adapter = new IndexedDBRecordsAdapter(factory);
+    await storage.initRecordsStorage({ adapter });
+
+    const record = await storage.saveRecord('hard', 250000, { hints: 2, mistakes: 1 });
+    await storage.saveRecord('easy', 70000);
+    await storage.flushRecordWrites();
+
+    expect(await adapter.queryByDifficulty('hard')).toEqual([
+      { ...record, difficulty: 'hard', hints: 2, mistakes: 1 }
+    ]);
+    expect(await adapter.queryByDifficulty('hard', { from: record.at + 1 })).toEqual([]);
+
+    // 新的会话从 IndexedDB 读出相同的数据
+    const reloaded = await loadStorageModule();
+    await reloaded.initRecordsStorage({ adapter: new IndexedDBRecordsAdapter(factory) });
+    expect(reloaded.loadRecords()).toEqual(storage.loadRecords());
+    expect(reloaded.getAllStats().hard).toEqual({ best: 250000, count: 1, lastTime: 250000 });
+  });
+
+  it('writes only changed rows and persists sync marks and clearing', async () => {
+    const storage = await loadStorageModule();
+    const adapter = new IndexedDBRecordsAdapter(factory);
+    await storage.initRecordsStorage({ adapter });
+    // 只模拟 Date，IndexedDB 内部的定时器保持真实
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(1000);
+    const first = await storage.saveRecord('medium', 100000);
+    vi.setSystemTime(2000);
+    const second = await storage.saveRecord('medium', 90000);
+    vi.useRealTimers();
+    await storage.flushRecordWrites();
+
+    const applyChanges = vi.spyOn(adapter, 'applyChanges');
+    storage.markRecordsAsSynced([first.id]);
+    await storage.flushRecordWrites();
+
+    expect(applyChanges).toHaveBeenCalledWith({
+      put: [{ ...first, difficulty: 'medium', synced: true }],
+      remove: [],
+      bestTimes: undefined
+    });
+    expect((await adapter.load('records')).medium.history.map(r => [r.id, r.synced])).toEqual([
+      [first.id, true],
+      [second.id, false]
+    ]);
+
+    storage.clearRecords();
+    await storage.flushRecordWrites();
+    expect(storage.loadRecords()).toEqual({});
+    expect(await adapter.load('records')).toEqual({});
+  });
+
+  it('stops writing records to localStorage and reports failed IndexedDB writes', async () => {
+    const storage = await loadStorageModule();
+    const adapter = new IndexedDBRecordsAdapter(factory);
+    await storage.initRecordsStorage({ adapter });
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    vi.spyOn(adapter, 'applyChanges').mockRejectedValue(Object.assign(new Error('full'), { name: 'QuotaExceededError' }));
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { showWarning } = await import('../ui/toast.js');
+    window.i18n = { t: key => key };
+
+    await storage.saveRecord('easy', 42000);
+    await storage.flushRecordWrites();
+
+    expect(setItem).not.toHaveBeenCalledWith(STORAGE_KEY, expect.anything());
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(showWarning).toHaveBeenCalledWith('errors.storageFull');
+    setItem.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  it('falls back to localStorage when IndexedDB is unavailable', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = await loadStorageModule();
+    const adapter = new IndexedDBRecordsAdapter(factory);
+    vi.spyOn(adapter, 'open').mockRejectedValue(new Error('InvalidStateError'));
+
+    expect(await storage.initRecordsStorage({ adapter })).toBe('localStorage');
+    await storage.saveRecord('easy', 42000);
+
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).records.easy.best).toBe(42000);
+    expect(warnSpy).toHaveBeenCalled();
+
+    const unsupported = await loadStorageModule();
+    expect(await unsupported.initRecordsStorage({ adapter: { isSupported: () => false } })).toBe('localStorage');
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { onRequestGet } from '../../../functions/api/leaderboard.js';
+import {
+  createMemoryLeaderboardStore,
+  createSupabaseLeaderboardStore
+} from '../../../functions/api/utils/leaderboard-store.js';
+import { renderLeaderboard } from '../ui/leaderboard.js';
+
+const NOW = Date.now();
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+function createStore() {
+  return createMemoryLeaderboardStore([
+    { userId: 'alice-0001', difficulty: 'easy', time: 90000, achievedAt: daysAgo(20) },
+    { userId: 'alice-0001', difficulty: 'easy', time: 80000, achievedAt: daysAgo(2) },
+    { userId: 'bob-0002', difficulty: 'easy', time: 60000, achievedAt: daysAgo(40) },
+    { userId: 'carol-0003', difficulty: 'easy', time: 70000, achievedAt: daysAgo(1) },
+    { userId: 'carol-0003', difficulty: 'hard', time: 300000, achievedAt: daysAgo(1) }
+  ]);
+}
+
+async function getLeaderboard(query, store = createStore()) {
+  const response = await onRequestGet({
+    env: {},
+    data: { leaderboardStore: store },
+    request: new Request(`https://sudoku.test/api/leaderboard?${query}`)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('leaderboard function', () => {
+  it('ranks each player once per difficulty by their fastest time', async () => {
+    const { body } = await getLeaderboard('difficulty=easy');
+
+    expect(body.total).toBe(3);
+    expect(body.entries.map(entry => [entry.rank, entry.player, entry.time])).toEqual([
+      [1, 'bob0002', 60000],
+      [2, 'carol000', 70000],
+      [3, 'alice000', 80000]
+    ]);
+    expect(body.entries[0]).not.toHaveProperty('userId');
+  });
+
+  it('filters by period and only ranks times within the requested difficulty', async () => {
+    const week = await getLeaderboard('difficulty=easy&period=week');
+    expect(week.body.entries.map(entry => entry.time)).toEqual([70000, 80000]);
+
+    const hard = await getLeaderboard('difficulty=hard&period=month&userId=carol-0003');
+    expect(hard.body.entries.map(entry => [entry.rank, entry.difficulty])).toEqual([[1, 'hard']]);
+    expect(hard.body.userRank).toMatchObject({ rank: 1, difficulty: 'hard' });
+  });
+
+  it('paginates and reports the requesting user even outside the page', async () => {
+    const { body } = await getLeaderboard('difficulty=easy&page=2&pageSize=1&userId=alice-0001');
+
+    expect(body).toMatchObject({ page: 2, pageSize: 1, total: 3 });
+    expect(body.entries).toEqual([expect.objectContaining({ rank: 2, isCurrentUser: false })]);
+    expect(body.userRank).toMatchObject({ rank: 3, difficulty: 'easy', time: 80000 });
+  });
+
+  it('ranks all difficulties by points earned from each per-difficulty rank', async () => {
+    const { body } = await getLeaderboard('difficulty=all&userId=alice-0001');
+
+    expect(body).toMatchObject({ difficulty: 'all', total: 3 });
+    expect(body.entries.map(entry => [entry.rank, entry.player, entry.points, entry.ranks])).toEqual([
+      [1, 'carol000', 1667, { easy: 2, hard: 1 }],
+      [2, 'bob0002', 1000, { easy: 1 }],
+      [3, 'alice000', 333, { easy: 3 }]
+    ]);
+    expect(body.entries[0]).not.toHaveProperty('time');
+    expect(body.userRank).toEqual({ rank: 3, points: 333, ranks: { easy: 3 } });
+
+    const week = await getLeaderboard('difficulty=all&period=week&pageSize=1');
+    expect(week.body.total).toBe(2);
+    expect(week.body.entries).toEqual([expect.objectContaining({ rank: 1, points: 2000, isCurrentUser: false })]);
+  });
+
+  it('rejects invalid filters', async () => {
+    expect((await getLeaderboard('difficulty=insane')).body.error).toBe('INVALID_DIFFICULTY');
+    expect((await getLeaderboard('period=month')).body.error).toBe('INVALID_DIFFICULTY');
+    expect((await getLeaderboard('difficulty=easy&period=year')).body.error).toBe('INVALID_PERIOD');
+    expect((await getLeaderboard('difficulty=easy&page=0')).body.error).toBe('INVALID_PAGE');
+    expect((await getLeaderboard('difficulty=easy&pageSize=500')).status).toBe(400);
+  });
+});
+
+describe('supabase leaderboard store', () => {
+  it('pages best_scores in the database and counts faster players for the user rank', async () => {
+    const fetch = vi.fn(async (url) => {
+      const params = new URL(url).searchParams;
+      if (params.get('user_id')) {
+        return Response.json([{ user_id: 'me', difficulty: 'hard', best_duration_ms: 250000, achieved_at: daysAgo(3) }]);
+      }
+      if (params.get('best_duration_ms')) {
+        return new Response('[]', { headers: { 'Content-Range': '*/41' } });
+      }
+      return new Response(JSON.stringify([
+        { user_id: 'u1', difficulty: 'hard', best_duration_ms: 100000, achieved_at: daysAgo(9) }
+      ]), { headers: { 'Content-Range': '20-20/57' } });
+    });
+    const store = createSupabaseLeaderboardStore({ url: 'https://db.test', key: 'anon', fetch });
+
+    const result = await store.query({ difficulty: 'hard', since: null, offset: 20, limit: 10, userId: 'me' });
+
+    expect(result.total).toBe(57);
+    expect(result.entries[0]).toMatchObject({ rank: 21, userId: 'u1', time: 100000 });
+    expect(result.userEntry).toMatchObject({ rank: 42, time: 250000 });
+
+    const pageUrl = new URL(fetch.mock.calls[0][0]);
+    expect(pageUrl.pathname).toBe('/rest/v1/best_scores');
+    expect(pageUrl.searchParams.get('difficulty')).toBe('eq.hard');
+    expect(pageUrl.searchParams.get('order')).toBe('best_duration_ms.asc,achieved_at.asc');
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({ apikey: 'anon', Prefer: 'count=exact' });
+  });
+
+  it('aggregates recent games per player for a period', async () => {
+    const fetch = vi.fn(async () => Response.json([
+      { user_id: 'u1', difficulty: 'easy', duration_ms: 50000, created_at: daysAgo(1) },
+      { user_id: 'u2', difficulty: 'easy', duration_ms: 55000, created_at: daysAgo(1) },
+      { user_id: 'u1', difficulty: 'easy', duration_ms: 58000, created_at: daysAgo(2) }
+    ]));
+    const store = createSupabaseLeaderboardStore({ url: 'https://db.test', key: 'anon', fetch });
+
+    const result = await store.query({ difficulty: 'easy', since: NOW - 1000, offset: 0, limit: 10, userId: 'u2' });
+
+    expect(new URL(fetch.mock.calls[0][0]).pathname).toBe('/rest/v1/games');
+    expect(result.entries.map(entry => entry.userId)).toEqual(['u1', 'u2']);
+    expect(result.userEntry).toMatchObject({ rank: 2 });
+  });
+
+  it('reads every difficulty from best_scores for the all-time points ranking', async () => {
+    const fetch = vi.fn(async () => Response.json([
+      { user_id: 'u1', difficulty: 'easy', best_duration_ms: 50000, achieved_at: daysAgo(4) },
+      { user_id: 'u2', difficulty: 'easy', best_duration_ms: 55000, achieved_at: daysAgo(3) },
+      { user_id: 'u2', difficulty: 'expert', best_duration_ms: 900000, achieved_at: daysAgo(2) }
+    ]));
+    const store = createSupabaseLeaderboardStore({ url: 'https://db.test', key: 'anon', fetch });
+
+    const result = await store.queryGlobal({ since: null, offset: 0, limit: 10, userId: 'u1' });
+
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe('/rest/v1/best_scores');
+    expect(url.searchParams.has('difficulty')).toBe(false);
+    expect(result.entries.map(entry => [entry.userId, entry.points])).toEqual([['u2', 1500], ['u1', 1000]]);
+    expect(result.userEntry).toMatchObject({ rank: 2, ranks: { easy: 1 } });
+  });
+});
+
+describe('leaderboard panel', () => {
+  const i18n = {
+    t: (key, params = {}) => ({
+      'leaderboard.you': 'You',
+      'leaderboard.player': `Player ${params.tag}`,
+      'leaderboard.empty': 'No results yet',
+      'leaderboard.points': `${params.points} pts`
+    })[key] ?? key
+  };
+
+  it('highlights the signed-in user and appends their rank when it is off the page', () => {
+    const container = document.createElement('div');
+
+    renderLeaderboard(container, {
+      difficulty: 'medium',
+      entries: [
+        { rank: 1, player: 'abc', difficulty: 'medium', time: 61500, isCurrentUser: false },
+        { rank: 2, player: 'me', difficulty: 'medium', time: 62000, isCurrentUser: true }
+      ],
+      userRank: { rank: 2, difficulty: 'medium', time: 62000 }
+    }, i18n);
+
+    expect(container.querySelectorAll('.leaderboard-row')).toHaveLength(2);
+    expect(container.querySelector('.is-current-user').textContent).toBe('#2You01:02.00');
+
+    renderLeaderboard(container, {
+      difficulty: 'hard',
+      entries: [{ rank: 1, player: 'abc', difficulty: 'hard', time: 61500, isCurrentUser: false }],
+      userRank: { rank: 14, difficulty: 'hard', time: 400000 }
+    }, i18n);
+
+    expect(container.querySelector('.leaderboard-own-rank').textContent).toBe('#14You06:40.00');
+  });
+
+  it('shows points and per-difficulty ranks on the all-difficulties board', () => {
+    const container = document.createElement('div');
+
+    renderLeaderboard(container, {
+      difficulty: 'all',
+      entries: [{ rank: 1, player: 'abc', points: 1667, ranks: { easy: 2, hard: 1 }, isCurrentUser: false }],
+      userRank: { rank: 7, points: 333, ranks: { easy: 3 } }
+    }, i18n);
+
+    const rows = container.querySelectorAll('.leaderboard-row');
+    expect(container.querySelector('.leaderboard-hint').textContent).toBe('leaderboard.globalHint');
+    expect(rows[0].textContent).toBe('#1Player abc1667 pts');
+    expect(rows[0].title).toBe('difficulty.easy #2 · difficulty.hard #1');
+    expect(rows[1].textContent).toBe('#7You333 pts');
+  });
+
+  it('shows an empty message when nobody has a result', () => {
+    const container = document.createElement('div');
+
+    renderLeaderboard(container, { difficulty: 'easy', entries: [], userRank: null }, i18n);
+
+    expect(container.textContent).toBe('No results yet');
+  });
+});
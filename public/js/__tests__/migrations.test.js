@@ -0,0 +1,142 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { GAME_STATE_STORAGE_KEY, STORAGE_KEY } from '../config/constants.js';
+import {
+  GAME_STATE_MIGRATIONS,
+  GAME_STATE_SCHEMA_VERSION,
+  RECORDS_MIGRATIONS,
+  RECORDS_SCHEMA_VERSION,
+  backupBeforeMigration,
+  getBackupKey,
+  getLatestVersion,
+  getMigrationBackup,
+  runMigrations
+} from '../storage/migrations.js';
+import { importRecords, loadRecords } from '../storage/local-storage.js';
+import { createRecordsBackup } from '../storage/records-backup.js';
+import { loadGameState, saveGameState } from '../storage/game-state.js';
+import { clearAll } from '../utils/event-bus.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn(),
+  showError: vi.fn()
+}));
+
+const stepFor = (steps, version) => steps.find(step => step.version === version);
+
+const V0_RECORDS = {
+  easy: {
+    best: 50000,
+    history: [
+      { time: 60000, at: 1000 },
+      { time: 50000, at: 2000, synced: true, id: 'kept' }
+    ]
+  }
+};
+
+describe('records migration steps', () => {
+  it('v1 adds an unsynced flag without touching records that have one', () => {
+    const input = structuredClone(V0_RECORDS);
+    const output = stepFor(RECORDS_MIGRATIONS, 1).migrate(input);
+
+    expect(output.easy.history).toEqual([
+      { time: 60000, at: 1000, synced: false },
+      { time: 50000, at: 2000, synced: true, id: 'kept' }
+    ]);
+    expect(input).toEqual(V0_RECORDS);
+  });
+
+  it('v2 gives legacy records a deterministic id', () => {
+    const output = stepFor(RECORDS_MIGRATIONS, 2).migrate({
+      hard: { best: 1, history: [{ time: 1, at: 5, synced: false }, { id: 'x', time: 2, at: 6, synced: true }, null] }
+    });
+
+    expect(output.hard.history).toEqual([
+      { id: 'legacy-hard-5-1', time: 1, at: 5, synced: false },
+      { id: 'x', time: 2, at: 6, synced: true },
+      null
+    ]);
+  });
+});
+
+describe('game state migration steps', () => {
+  it('v1 renames elapsed to elapsedTime', () => {
+    const migrate = stepFor(GAME_STATE_MIGRATIONS, 1).migrate;
+
+    expect(migrate({ elapsed: 1200, difficulty: 'easy' })).toEqual({ elapsedTime: 1200, difficulty: 'easy' });
+    expect(migrate({ elapsed: 1, elapsedTime: 2 })).toEqual({ elapsedTime: 2 });
+    expect(migrate({})).toEqual({ elapsedTime: 0 });
+  });
+});
+
+describe('migration runner', () => {
+  const steps = [
+    { version: 1, description: 'a', migrate: data => [...data, 'a'] },
+    { version: 3, description: 'b', migrate: data => [...data, 'b'] }
+  ];
+
+  it('runs only the steps after the stored version, in order', () => {
+    expect(runMigrations([], 0, steps)).toEqual({ data: ['a', 'b'], version: 3, migrated: true });
+    expect(runMigrations([], 1, steps)).toEqual({ data: ['b'], version: 3, migrated: true });
+    expect(runMigrations([], 3, steps)).toEqual({ data: [], version: 3, migrated: false });
+  });
+
+  it('rejects registries that are not strictly ordered', () => {
+    expect(() => getLatestVersion([steps[1], steps[0]])).toThrow('strictly increasing');
+    expect(getLatestVersion(RECORDS_MIGRATIONS)).toBe(RECORDS_SCHEMA_VERSION);
+    expect(getLatestVersion(GAME_STATE_MIGRATIONS)).toBe(GAME_STATE_SCHEMA_VERSION);
+  });
+
+  it('names the step that failed', () => {
+    const broken = [{ version: 1, description: 'explode', migrate: () => { throw new Error('boom'); } }];
+
+    expect(() => runMigrations({}, 0, broken)).toThrow('Migration to v1 (explode) failed: boom');
+  });
+});
+
+describe('stored payload upgrades', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+  });
+
+  it('backs up unversioned records, then stores them with the current version', () => {
+    const raw = JSON.stringify(V0_RECORDS);
+    localStorage.setItem(STORAGE_KEY, raw);
+
+    const records = loadRecords();
+
+    expect(records.easy.history.map(r => r.id)).toEqual(['legacy-easy-1000-60000', 'kept']);
+    expect(getMigrationBackup('records', 0)).toBe(raw);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual({ schemaVersion: RECORDS_SCHEMA_VERSION, records });
+  });
+
+  it('keeps the first backup of a version', () => {
+    backupBeforeMigration('records', 0, 'original');
+    backupBeforeMigration('records', 0, 'later');
+
+    expect(getMigrationBackup('records', 0)).toBe('original');
+  });
+
+  it('upgrades imported backups from older versions', () => {
+    const backup = createRecordsBackup({ easy: { best: 3, history: [{ time: 3, at: 9, synced: false }] } }, { schemaVersion: 1 });
+    expect(importRecords(JSON.stringify(backup))).toBe(true);
+
+    expect(loadRecords().easy.history[0].id).toBe('legacy-easy-9-3');
+  });
+
+  it('backs up an unversioned saved game and loads it with the current version', () => {
+    const raw = JSON.stringify({ puzzle: [[0]], currentBoard: [[0]], elapsed: 700, difficulty: 'easy' });
+    localStorage.setItem(GAME_STATE_STORAGE_KEY, raw);
+
+    const state = loadGameState();
+
+    expect(state).toMatchObject({ elapsedTime: 700, schemaVersion: GAME_STATE_SCHEMA_VERSION });
+    expect(getMigrationBackup('gameState', 0)).toBe(raw);
+
+    saveGameState(state);
+    localStorage.removeItem(getBackupKey('gameState', 0));
+    loadGameState();
+    expect(getMigrationBackup('gameState', 0)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+
+import { MoveHistory } from '../core/move-history.js';
+
+const EMPTY = { value: 0, notes: [] };
+
+function input(row, col, from, to) {
+  return [{ row, col, from, to }];
+}
+
+describe('move history', () => {
+  it('undoes and redoes recorded moves in order', () => {
+    const history = new MoveHistory();
+    history.record('input', input(0, 0, EMPTY, { value: 5, notes: [] }));
+    history.record('input', input(0, 1, EMPTY, { value: 0, notes: [3] }));
+
+    expect(history.undo().changes[0]).toMatchObject({ row: 0, col: 1, from: EMPTY });
+    expect(history.undo().changes[0]).toMatchObject({ row: 0, col: 0, to: { value: 5, notes: [] } });
+    expect(history.undo()).toBeNull();
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.redo().changes[0]).toMatchObject({ row: 0, col: 0 });
+    expect(history.canUndo()).toBe(true);
+    expect(history.canRedo()).toBe(true);
+  });
+
+  it('drops the redo stack when a new move is recorded', () => {
+    const history = new MoveHistory();
+    history.record('input', input(0, 0, EMPTY, { value: 5, notes: [] }));
+    history.undo();
+
+    history.record('input', input(0, 0, EMPTY, { value: 7, notes: [] }));
+
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('ignores changes that leave the cell untouched', () => {
+    const history = new MoveHistory();
+
+    expect(history.record('input', input(1, 1, { value: 4, notes: [1, 2] }, { value: 4, notes: [1, 2] }))).toBe(false);
+    expect(history.record('reset', [
+      { row: 1, col: 1, from: EMPTY, to: EMPTY },
+      { row: 1, col: 2, from: { value: 3, notes: [] }, to: EMPTY }
+    ])).toBe(true);
+    expect(history.undo().changes).toHaveLength(1);
+  });
+
+  it('keeps only the most recent entries up to the limit', () => {
+    const history = new MoveHistory(2);
+    [1, 2, 3].forEach(value => history.record('input', input(0, 0, EMPTY, { value, notes: [] })));
+
+    expect(history.undo().changes[0].to.value).toBe(3);
+    expect(history.undo().changes[0].to.value).toBe(2);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('round-trips through JSON and rejects malformed data', () => {
+    const history = new MoveHistory();
+    history.record('input', input(2, 3, EMPTY, { value: 9, notes: [] }));
+    history.record('input', input(2, 4, EMPTY, { value: 1, notes: [] }));
+    history.undo();
+
+    const restored = new MoveHistory();
+    restored.load(JSON.parse(JSON.stringify(history)));
+    expect(restored.toJSON()).toEqual(history.toJSON());
+
+    restored.load({ undo: [{ type: 'input', changes: [{ row: 'x' }] }], redo: [] });
+    expect(restored.canUndo()).toBe(false);
+
+    restored.load(undefined);
+    expect(restored.toJSON()).toEqual({ undo: [], redo: [] });
+  });
+});
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+function emptyBoard() {
+  return Array.from({ length: 9 }, () => Array(9).fill(0));
+}
+
+function noGivens() {
+  return Array.from({ length: 9 }, () => Array(9).fill(false));
+}
+
+function typeInto(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function noteTexts(row, col) {
+  const cell = document.querySelector(`input[data-r="${row}"][data-c="${col}"]`).parentElement;
+  return Array.from(cell.querySelectorAll('.cell-notes span')).map(span => span.textContent).filter(Boolean);
+}
+
+describe('notes mode', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="board"></div>';
+    vi.resetModules();
+  });
+
+  afterEach(async () => {
+    const { clearAll } = await import('../utils/event-bus.js');
+    clearAll();
+  });
+
+  it('toggles candidates instead of filling the cell while notes mode is on', async () => {
+    const { on } = await import('../utils/event-bus.js');
+    const { EVENTS } = await import('../config/events.js');
+    const { initBoardRenderer, renderBoard, setNotesMode, getCellNotes, readUserBoard } = await import('../ui/board-renderer.js');
+    const inputs = [];
+    on(EVENTS.CELL_INPUT, payload => inputs.push(payload));
+
+    initBoardRenderer('#board');
+    renderBoard(emptyBoard(), noGivens());
+    setNotesMode(true);
+
+    const input = document.querySelector('input[data-r="2"][data-c="5"]');
+    typeInto(input, '7');
+    typeInto(input, '3');
+
+    expect(input.value).toBe('');
+    expect(readUserBoard()[2][5]).toBe(0);
+    expect(getCellNotes(2, 5)).toEqual([3, 7]);
+    expect(noteTexts(2, 5)).toEqual(['3', '7']);
+    expect(inputs).toEqual([
+      { row: 2, col: 5, value: 0, notes: [7], previous: { value: 0, notes: [] } },
+      { row: 2, col: 5, value: 0, notes: [3, 7], previous: { value: 0, notes: [7] } }
+    ]);
+
+    typeInto(input, '7');
+    expect(getCellNotes(2, 5)).toEqual([3]);
+    expect(document.getElementById('board').classList.contains('notes-mode')).toBe(true);
+  });
+
+  it('hides notes behind a placed value and shows them again once it is cleared', async () => {
+    const { initBoardRenderer, renderBoard, setCellNotes, getCellNotes } = await import('../ui/board-renderer.js');
+
+    initBoardRenderer('#board');
+    renderBoard(emptyBoard(), noGivens());
+    setCellNotes(0, 0, [2, 5]);
+
+    const input = document.querySelector('input[data-r="0"][data-c="0"]');
+    typeInto(input, '5');
+    expect(input.parentElement.classList.contains('has-value')).toBe(true);
+
+    typeInto(input, '');
+    expect(input.parentElement.classList.contains('has-value')).toBe(false);
+    expect(getCellNotes(0, 0)).toEqual([2, 5]);
+  });
+
+  it('serializes notes and restores them when rendering a saved board', async () => {
+    const { initBoardRenderer, renderBoard, toggleNote, getNotes } = await import('../ui/board-renderer.js');
+
+    initBoardRenderer('#board');
+    renderBoard(emptyBoard(), noGivens());
+    toggleNote(4, 4, 9);
+    toggleNote(4, 4, 1);
+    const saved = getNotes();
+
+    expect(saved[4][4]).toEqual([1, 9]);
+    expect(saved.flat().filter(cell => cell.length > 0)).toHaveLength(1);
+
+    renderBoard(emptyBoard(), noGivens());
+    expect(getNotes()[4][4]).toEqual([]);
+
+    renderBoard(emptyBoard(), noGivens(), saved);
+    expect(getNotes()).toEqual(saved);
+    expect(noteTexts(4, 4)).toEqual(['1', '9']);
+  });
+
+  it('ignores notes for given cells', async () => {
+    const { initBoardRenderer, renderBoard, toggleNote, getCellNotes } = await import('../ui/board-renderer.js');
+    const board = emptyBoard();
+    const given = noGivens();
+    board[0][0] = 8;
+    given[0][0] = true;
+
+    initBoardRenderer('#board');
+    renderBoard(board, given, [[[1, 2]]]);
+
+    expect(toggleNote(0, 0, 3)).toBe(false);
+    expect(getCellNotes(0, 0)).toEqual([]);
+  });
+});
+
+describe('notes controls', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="difficulty"><option value="medium">Medium</option></select>
+      <button id="notesBtn" aria-pressed="false">Notes</button>
+      <input id="email" type="email">
+      <div id="board"><input class="cell-input"></div>
+    `;
+    vi.resetModules();
+  });
+
+  afterEach(async () => {
+    const { clearAll } = await import('../utils/event-bus.js');
+    clearAll();
+  });
+
+  it('requests a notes toggle from the button and the N shortcut', async () => {
+    const { on } = await import('../utils/event-bus.js');
+    const { EVENTS } = await import('../config/events.js');
+    const { initializeControls, updateNotesButton } = await import('../ui/controls.js');
+    const toggle = vi.fn();
+    on(EVENTS.NOTES_MODE_TOGGLE, toggle);
+
+    initializeControls();
+    document.getElementById('notesBtn').click();
+    document.querySelector('.cell-input').dispatchEvent(new KeyboardEvent('keydown', { key: 'N', bubbles: true }));
+    document.getElementById('email').dispatchEvent(new KeyboardEvent('keydown', { key: 'n', bubbles: true }));
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'n', ctrlKey: true }));
+
+    expect(toggle).toHaveBeenCalledTimes(2);
+
+    updateNotesButton(true);
+    expect(document.getElementById('notesBtn').getAttribute('aria-pressed')).toBe('true');
+    expect(document.getElementById('notesBtn').classList.contains('active')).toBe(true);
+  });
+});
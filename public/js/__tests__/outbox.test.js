@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EVENTS } from '../config/events.js';
+import { OUTBOX_CONFIG, OUTBOX_STORAGE_KEY } from '../config/constants.js';
+import { getCurrentSession, getSupabaseClient } from '../auth/auth-handler.js';
+import { enqueueUpload, getDueOutboxEntries, getOutboxBackoff, loadOutbox, markOutboxAttemptFailed } from '../storage/outbox.js';
+import { loadRecords, saveRecord } from '../storage/local-storage.js';
+import { flushOutbox, uploadRecordOnComplete } from '../storage/supabase-sync.js';
+import { updateSyncBadge } from '../ui/controls.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+vi.mock('../auth/auth-handler.js', () => ({
+  getSupabaseClient: vi.fn(),
+  getCurrentSession: vi.fn()
+}));
+
+vi.mock('../ui/toast.js', () => ({
+  showSuccess: vi.fn(),
+  showError: vi.fn(),
+  showWarning: vi.fn()
+}));
+
+/**
+ * games 表 upsert 前 failures 次失败，之后成功
+ */
+function createFlakySupabase(failures) {
+  const uploaded = [];
+  const bestScores = {
+    select: () => bestScores,
+    eq: () => bestScores,
+    single: async () => ({ data: null, error: { code: 'PGRST116' } }),
+    upsert: async () => ({ error: null })
+  };
+
+  return {
+    uploaded,
+    from(table) {
+      if (table === 'best_scores') return bestScores;
+      return {
+        async upsert(rows) {
+          if (failures > 0) {
+            failures--;
+            return { error: new Error('network down') };
+          }
+          uploaded.push(...rows);
+          return { error: null };
+        }
+      };
+    }
+  };
+}
+
+async function runWithTimers(promise) {
+  await vi.runAllTimersAsync();
+  return promise;
+}
+
+describe('outbox queue', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+  });
+
+  it('persists entries once per record and backs off exponentially', () => {
+    const pending = [];
+    on(EVENTS.OUTBOX_CHANGED, payload => pending.push(payload.pending));
+    const record = { id: 'r1', time: 1000, at: 1 };
+
+    enqueueUpload('easy', record, 100);
+    enqueueUpload('easy', record, 100);
+
+    expect(JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY))).toEqual([
+      { id: 'r1', difficulty: 'easy', record, attempts: 0, nextAttemptAt: 100 }
+    ]);
+    expect(pending).toEqual([1]);
+
+    markOutboxAttemptFailed('r1', 1000);
+    markOutboxAttemptFailed('r1', 1000);
+    expect(loadOutbox()[0]).toMatchObject({ attempts: 2, nextAttemptAt: 1000 + OUTBOX_CONFIG.baseDelay * 2 });
+    expect(getDueOutboxEntries(1000)).toEqual([]);
+    expect(getDueOutboxEntries(Infinity)).toHaveLength(1);
+
+    expect(getOutboxBackoff(1)).toBe(OUTBOX_CONFIG.baseDelay);
+    expect(getOutboxBackoff(50)).toBe(OUTBOX_CONFIG.maxDelay);
+  });
+});
+
+describe('outbox delivery', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+    vi.useFakeTimers();
+    getCurrentSession.mockResolvedValue({ user: { id: 'user-1' } });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('queues a finished game when the immediate upload fails', async () => {
+    getSupabaseClient.mockReturnValue(createFlakySupabase(1));
+    const record = await saveRecord('hard', 300000);
+
+    expect(await uploadRecordOnComplete('hard', record)).toBe(false);
+
+    expect(loadOutbox()).toEqual([expect.objectContaining({ id: record.id, difficulty: 'hard' })]);
+  });
+
+  it('does not try to upload while offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const supabase = createFlakySupabase(0);
+    getSupabaseClient.mockReturnValue(supabase);
+    const record = await saveRecord('easy', 60000);
+
+    expect(await uploadRecordOnComplete('easy', record)).toBe(false);
+    expect(await flushOutbox({ force: true })).toBe(0);
+
+    expect(supabase.uploaded).toEqual([]);
+    expect(loadOutbox()).toHaveLength(1);
+  });
+
+  it('retries with backoff and marks the record synced once delivered', async () => {
+    const record = await saveRecord('medium', 120000);
+    enqueueUpload('medium', record);
+
+    // 第一轮的快速重试全部失败，条目被推迟
+    getSupabaseClient.mockReturnValue(createFlakySupabase(OUTBOX_CONFIG.retryAttempts));
+    expect(await runWithTimers(flushOutbox())).toBe(0);
+    expect(loadOutbox()[0].attempts).toBe(1);
+    expect(await flushOutbox()).toBe(0);
+
+    // 退避时间到后再次发送成功
+    vi.advanceTimersByTime(getOutboxBackoff(1));
+    const supabase = createFlakySupabase(0);
+    getSupabaseClient.mockReturnValue(supabase);
+    expect(await runWithTimers(flushOutbox())).toBe(1);
+
+    expect(supabase.uploaded).toEqual([expect.objectContaining({ client_id: record.id })]);
+    expect(loadOutbox()).toEqual([]);
+    expect(localStorage.getItem(OUTBOX_STORAGE_KEY)).toBeNull();
+    expect(loadRecords().medium.history[0].synced).toBe(true);
+  });
+});
+
+describe('sync button badge', () => {
+  it('shows the pending count and clears it when the queue is empty', () => {
+    document.body.innerHTML = '<button id="syncBtn"></button>';
+    window.i18n = { t: (key, { count }) => `${count} pending` };
+    const syncBtn = document.getElementById('syncBtn');
+
+    updateSyncBadge(3);
+    expect(syncBtn.dataset.pending).toBe('3');
+    expect(syncBtn.title).toBe('3 pending');
+
+    updateSyncBadge(0);
+    expect(syncBtn.hasAttribute('data-pending')).toBe(false);
+    expect(syncBtn.hasAttribute('title')).toBe(false);
+  });
+});
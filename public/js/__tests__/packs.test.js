@@ -0,0 +1,207 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { getPackText, normalizePackCatalogue } from '../api/packs.js';
+import { getSupabaseClient } from '../auth/auth-handler.js';
+import { getDifficultyForRating } from '../core/generator.js';
+import { gradePuzzle } from '../core/grader.js';
+import { hasUniqueSolution } from '../core/solver.js';
+import { loadPackProgress, packProgressAdapter, recordPackSolve, setLastPack } from '../storage/pack-progress.js';
+import { mergeRemotePackProgress, syncPackProgress } from '../storage/supabase-sync.js';
+import { findNextPackPuzzle, renderPackList, summarizePack } from '../ui/packs.js';
+import { EVENTS } from '../config/events.js';
+import { clearAll, on } from '../utils/event-bus.js';
+import shippedCatalogue from '../../packs/catalogue.json';
+
+vi.mock('../auth/auth-handler.js', () => ({
+  getSupabaseClient: vi.fn(),
+  getCurrentSession: vi.fn()
+}));
+
+const PUZZLE_STRING = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+const OTHER_STRING = `${PUZZLE_STRING.slice(0, 80)}.`;
+const THIRD_STRING = `.${PUZZLE_STRING.slice(1)}`;
+
+const catalogue = normalizePackCatalogue({
+  packs: [
+    { id: 'a', name: { 'en-US': 'First', 'zh-CN': '第一' }, puzzles: [{ puzzle: PUZZLE_STRING, difficulty: 'easy' }, { puzzle: OTHER_STRING }] },
+    { id: 'b', name: 'Second', puzzles: [{ puzzle: THIRD_STRING, difficulty: 'hard' }] }
+  ]
+});
+
+const i18n = {
+  currentLang: 'zh-CN',
+  t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+};
+
+describe('pack catalogue', () => {
+  it('normalizes packs and skips unreadable puzzles and empty packs', () => {
+    const result = normalizePackCatalogue({
+      packs: [
+        { id: 'a', puzzles: [{ puzzle: PUZZLE_STRING.replace(/\./g, '0'), difficulty: 'medium', rating: 120 }, { puzzle: 'bad' }] },
+        { id: 'empty', puzzles: [{ puzzle: 'x' }] },
+        { name: 'no id', puzzles: [] }
+      ]
+    });
+
+    expect(result.packs).toHaveLength(1);
+    expect(result.packs[0]).toMatchObject({ id: 'a', name: 'a', description: '' });
+    expect(result.packs[0].puzzles).toHaveLength(1);
+    expect(result.packs[0].puzzles[0]).toMatchObject({ key: PUZZLE_STRING, difficulty: 'medium', rating: 120 });
+    expect(normalizePackCatalogue(null)).toEqual({ packs: [] });
+  });
+
+  it('picks the pack text for the current language', () => {
+    expect(getPackText({ 'en-US': 'Weekend', 'zh-CN': '周末' }, 'zh-CN')).toBe('周末');
+    expect(getPackText({ 'en-US': 'Weekend', 'zh-CN': '周末' }, 'ja-JP')).toBe('Weekend');
+    expect(getPackText({ 'zh-CN': '周末' }, 'ja-JP')).toBe('周末');
+    expect(getPackText('Weekend', 'ja-JP')).toBe('Weekend');
+  });
+
+  it('ships a catalogue whose puzzles all have a unique solution', () => {
+    const { packs } = normalizePackCatalogue(shippedCatalogue);
+    const count = shippedCatalogue.packs.reduce((total, pack) => total + pack.puzzles.length, 0);
+
+    expect(packs).toHaveLength(shippedCatalogue.packs.length);
+    expect(packs.flatMap(pack => pack.puzzles)).toHaveLength(count);
+    packs.forEach((pack) => {
+      expect(getPackText(pack.name, 'ja-JP')).not.toBe('');
+      pack.puzzles.forEach(({ puzzle, difficulty }) => {
+        expect(difficulty).not.toBeNull();
+        expect(hasUniqueSolution(puzzle)).toBe(true);
+      });
+    });
+  });
+
+  it('labels every shipped puzzle with the rating and difficulty the grader gives it', () => {
+    normalizePackCatalogue(shippedCatalogue).packs.forEach((pack) => {
+      pack.puzzles.forEach(({ puzzle, key, difficulty, rating }) => {
+        const graded = gradePuzzle(puzzle).rating;
+
+        expect({ key, rating, difficulty }).toEqual({ key, rating: graded, difficulty: getDifficultyForRating(graded) });
+      });
+    });
+  });
+});
+
+describe('pack progress', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearAll();
+  });
+
+  it('keeps the best time and the first solve time per puzzle', () => {
+    const solved = vi.fn();
+    on(EVENTS.PACK_PUZZLE_SOLVED, solved);
+
+    expect(recordPackSolve(PUZZLE_STRING, 90000, { now: 1000 }).isBest).toBe(true);
+    expect(recordPackSolve(PUZZLE_STRING, 95000, { now: 2000 }).isBest).toBe(false);
+    expect(recordPackSolve(PUZZLE_STRING, 80000, { now: 3000 })).toEqual({ entry: { best: 80000, solvedAt: 1000 }, isBest: true });
+
+    expect(solved).toHaveBeenLastCalledWith({ key: PUZZLE_STRING, entry: { best: 80000, solvedAt: 1000 }, time: 80000, isBest: true });
+    expect(localStorage.getItem('sudoku_records_v1')).toBeNull();
+  });
+
+  it('is stored through the pack progress adapter', async () => {
+    setLastPack('b');
+    recordPackSolve(OTHER_STRING, 5000, { now: 10 });
+
+    expect(await packProgressAdapter.load('packProgress')).toEqual({ lastPackId: 'b', puzzles: { [OTHER_STRING]: { best: 5000, solvedAt: 10 } } });
+    await expect(packProgressAdapter.load('records')).rejects.toThrow('Unsupported key for pack progress adapter: records');
+
+    await packProgressAdapter.clear('packProgress');
+    expect(loadPackProgress()).toEqual({ lastPackId: null, puzzles: {} });
+  });
+});
+
+describe('pack list', () => {
+  const progress = { lastPackId: null, puzzles: { [PUZZLE_STRING]: { best: 61000, solvedAt: 1 } } };
+
+  it('summarizes solved puzzles and the next unsolved one', () => {
+    const summary = summarizePack(catalogue.packs[0], progress);
+
+    expect(summary).toMatchObject({ solved: 1, total: 2, next: 1 });
+    expect(summary.puzzles[0]).toEqual({ index: 0, key: PUZZLE_STRING, difficulty: 'easy', solved: true, best: 61000 });
+    expect(summary.puzzles[1]).toMatchObject({ solved: false, best: null });
+  });
+
+  it('continues the last pack and falls back to other packs once it is solved', () => {
+    expect(findNextPackPuzzle(catalogue, progress, 'b')).toEqual({ packId: 'b', index: 0 });
+    expect(findNextPackPuzzle(catalogue, progress, 'missing')).toEqual({ packId: 'a', index: 1 });
+
+    const allOfA = { lastPackId: 'a', puzzles: { ...progress.puzzles, [OTHER_STRING]: { best: 1, solvedAt: 1 } } };
+    expect(findNextPackPuzzle(catalogue, allOfA, 'a')).toEqual({ packId: 'b', index: 0 });
+    expect(findNextPackPuzzle(catalogue, { ...allOfA, puzzles: { ...allOfA.puzzles, [THIRD_STRING]: { best: 1, solvedAt: 1 } } })).toBeNull();
+  });
+
+  it('renders each pack with its progress and keeps expanded packs open', () => {
+    const container = document.createElement('div');
+    renderPackList(container, catalogue, progress, i18n);
+
+    const packs = container.querySelectorAll('.pack-item');
+    expect(packs[0].querySelector('summary').textContent).toBe('第一packs.progress {"solved":1,"total":2}');
+    expect(packs[0].querySelector('.pack-actions button').dataset.index).toBe('1');
+
+    const rows = packs[0].querySelectorAll('.pack-puzzle-row');
+    expect(rows[0].classList.contains('is-solved')).toBe(true);
+    expect(rows[0].textContent).toContain('packs.best {"time":"01:01.00"}');
+    expect(rows[1].textContent).toContain('packs.unsolved');
+
+    packs[1].open = true;
+    renderPackList(container, catalogue, { lastPackId: null, puzzles: { [THIRD_STRING]: { best: 1, solvedAt: 1 } } }, i18n);
+
+    const second = container.querySelector('details[data-pack="b"]');
+    expect(second.open).toBe(true);
+    expect(second.classList.contains('is-completed')).toBe(true);
+    expect(second.querySelector('.pack-actions button').disabled).toBe(true);
+  });
+});
+
+describe('pack progress sync', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearAll();
+  });
+
+  it('merges remote rows and reports which local entries the server lacks', () => {
+    const puzzles = {
+      [PUZZLE_STRING]: { best: 50000, solvedAt: 2000 },
+      [OTHER_STRING]: { best: 7000, solvedAt: 3000 }
+    };
+    const rows = [
+      { puzzle: PUZZLE_STRING, best_ms: 60000, solved_at: new Date(1000).toISOString() },
+      { puzzle: THIRD_STRING, best_ms: 9000, solved_at: new Date(4000).toISOString() }
+    ];
+
+    expect(mergeRemotePackProgress(puzzles, rows)).toEqual({ pulled: 2, outdated: [PUZZLE_STRING, OTHER_STRING] });
+    expect(puzzles).toEqual({
+      [PUZZLE_STRING]: { best: 50000, solvedAt: 1000 },
+      [OTHER_STRING]: { best: 7000, solvedAt: 3000 },
+      [THIRD_STRING]: { best: 9000, solvedAt: 4000 }
+    });
+  });
+
+  it('pulls remote progress and uploads what the server is missing', async () => {
+    const upserts = [];
+    const builder = {
+      select: () => builder,
+      eq: async () => ({
+        data: [{ puzzle: THIRD_STRING, best_ms: 9000, solved_at: new Date(4000).toISOString() }],
+        error: null
+      }),
+      upsert: async (rows, options) => {
+        upserts.push({ rows, options });
+        return { error: null };
+      }
+    };
+    getSupabaseClient.mockReturnValue({ from: () => builder });
+    recordPackSolve(PUZZLE_STRING, 50000, { now: 2000 });
+
+    expect(await syncPackProgress('user-1')).toBe(true);
+
+    expect(loadPackProgress().puzzles[THIRD_STRING]).toEqual({ best: 9000, solvedAt: 4000 });
+    expect(upserts).toEqual([{
+      rows: [{ user_id: 'user-1', puzzle: PUZZLE_STRING, best_ms: 50000, solved_at: new Date(2000).toISOString() }],
+      options: { onConflict: 'user_id,puzzle' }
+    }]);
+  });
+});
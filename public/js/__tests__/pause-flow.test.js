@@ -71,10 +71,12 @@ vi.mock('../core/solver.js', () => ({
 
 vi.mock('../core/validator.js', () => ({
   detectConflicts: vi.fn(() => ({ conflicts: [] })),
+  getCandidates: vi.fn(() => []),
   validateSolution: vi.fn(() => ({ isCorrect: true, errors: [] }))
 }));
 
 vi.mock('../storage/local-storage.js', () => ({
+  initRecordsStorage: vi.fn(async () => 'localStorage'),
   saveRecord: vi.fn().mockResolvedValue(undefined),
   loadRecords: vi.fn(() => ({
     easy: { history: [], best: null },
@@ -83,7 +85,8 @@ vi.mock('../storage/local-storage.js', () => ({
     expert: { history: [], best: null }
   })),
   getAllStats: vi.fn(() => ({})),
-  clearRecords: vi.fn()
+  clearRecords: vi.fn(),
+  markRecordsAsSynced: vi.fn()
 }));
 
 vi.mock('../storage/supabase-sync.js', () => ({
@@ -91,10 +94,21 @@ vi.mock('../storage/supabase-sync.js', () => ({
   uploadRecordOnComplete: vi.fn().mockResolvedValue(false)
 }));
 
-vi.mock('../storage/game-state.js', () => ({
+vi.mock('../storage/cloud-game-state.js', async (importOriginal) => ({
+  chooseSavedGame: (await importOriginal()).chooseSavedGame,
+  cloudGameStateAdapter: {
+    save: vi.fn(async () => false),
+    load: vi.fn(async () => null),
+    clear: vi.fn(async () => false)
+  }
+}));
+
+vi.mock('../storage/game-state.js', async (importOriginal) => ({
   saveGameState: vi.fn(),
   loadGameState: vi.fn(() => null),
-  clearGameState: vi.fn()
+  clearGameState: vi.fn(),
+  normalizeGameState: state => state,
+  isGameStateExpired: (await importOriginal()).isGameStateExpired
 }));
 
 vi.mock('../auth/auth-handler.js', () => ({
@@ -130,8 +144,15 @@ describe('pause flow regression', () => {
         <select id="difficulty">
           <option value="medium" selected>Medium</option>
         </select>
+        <select id="gameMode">
+          <option value="classic" selected>Classic</option>
+          <option value="daily">Daily</option>
+        </select>
         <button id="newBtn">New Game</button>
         <button id="resetBtn">Reset</button>
+        <button id="undoBtn" disabled>Undo</button>
+        <button id="redoBtn" disabled>Redo</button>
+        <button id="hintBtn">Hint</button>
         <div id="timerArea">
           <span id="timer">00:00.00</span>
         </div>
@@ -155,6 +176,7 @@ describe('pause flow regression', () => {
   });
 
   afterEach(async () => {
+    vi.unstubAllGlobals();
     const { clearAll, setGlobalState } = await import('../utils/event-bus.js');
     clearAll();
     setGlobalState('isPaused', false);
@@ -240,4 +262,227 @@ describe('pause flow regression', () => {
     expect(getGlobalState('isPaused')).toBe(true);
     expect(document.getElementById('pauseOverlay').style.display).toBe('flex');
   });
+
+  it('offers to continue a game saved on another device and takes it over', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const { cloudGameStateAdapter } = await import('../storage/cloud-game-state.js');
+    const { saveGameState } = await import('../storage/game-state.js');
+    const remoteBoard = PUZZLE.map(row => [...row]);
+    remoteBoard[0][0] = SOLUTION[0][0];
+    cloudGameStateAdapter.load.mockResolvedValue({
+      solution: SOLUTION,
+      puzzle: PUZZLE,
+      givenMask: PUZZLE.map(row => row.map(cell => cell !== 0)),
+      currentBoard: remoteBoard,
+      elapsedTime: 90000,
+      difficulty: 'medium',
+      isPaused: true,
+      savedAt: Date.now(),
+      deviceId: 'phone',
+      isFromThisDevice: false
+    });
+
+    await import('../main.js');
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(confirmSpy).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('input[data-r="0"][data-c="0"]').value).toBe(String(SOLUTION[0][0]));
+    expect(saveGameState).toHaveBeenCalledWith(expect.not.objectContaining({ deviceId: 'phone' }));
+    expect(cloudGameStateAdapter.save).toHaveBeenCalledWith('gameState', expect.objectContaining({ elapsedTime: 90000 }));
+  });
+
+  it.each([
+    ['declined', { savedAt: Date.now(), isFromThisDevice: false }, 1],
+    ['older than a day', { savedAt: Date.now() - 25 * 60 * 60 * 1000, isFromThisDevice: true }, 0]
+  ])('drops a cloud save that is %s', async (_, remote, prompts) => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const { cloudGameStateAdapter } = await import('../storage/cloud-game-state.js');
+    const remoteBoard = PUZZLE.map(row => [...row]);
+    remoteBoard[0][0] = SOLUTION[0][0];
+    cloudGameStateAdapter.load.mockResolvedValue({
+      solution: SOLUTION,
+      puzzle: PUZZLE,
+      givenMask: PUZZLE.map(row => row.map(cell => cell !== 0)),
+      currentBoard: remoteBoard,
+      elapsedTime: 90000,
+      difficulty: 'medium',
+      isPaused: false,
+      deviceId: 'phone',
+      ...remote
+    });
+
+    await import('../main.js');
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(confirmSpy).toHaveBeenCalledTimes(prompts);
+    expect(cloudGameStateAdapter.clear).toHaveBeenCalledWith('gameState');
+    expect(document.querySelector('input[data-r="0"][data-c="0"]').value).not.toBe(String(SOLUTION[0][0]));
+  });
+
+  it('offers to shelve an unfinished game before starting a new one and continues it later', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const { loadGameState } = await import('../storage/game-state.js');
+    const filledBoard = PUZZLE.map(row => [...row]);
+    filledBoard[0][0] = SOLUTION[0][0];
+    loadGameState.mockReturnValue({
+      solution: SOLUTION,
+      puzzle: PUZZLE,
+      givenMask: PUZZLE.map(row => row.map(cell => cell !== 0)),
+      currentBoard: filledBoard,
+      elapsedTime: 2400,
+      difficulty: 'medium',
+      isPaused: false,
+      savedAt: Date.now()
+    });
+
+    await import('../main.js');
+    await vi.advanceTimersByTimeAsync(300);
+
+    const { listSaveSlots } = await import('../storage/save-slots.js');
+    const { emit } = await import('../utils/event-bus.js');
+    const { EVENTS } = await import('../config/events.js');
+    const cell = () => document.querySelector('input[data-r="0"][data-c="0"]');
+
+    document.getElementById('newBtn').click();
+    await vi.advanceTimersByTimeAsync(150);
+
+    expect(confirmSpy).toHaveBeenCalledTimes(1);
+    expect(listSaveSlots()).toEqual([expect.objectContaining({ id: 'auto-medium', difficulty: 'medium', progress: 100 })]);
+    expect(cell().value).toBe('');
+
+    loadGameState.mockReturnValue(null);
+    emit(EVENTS.SAVE_SLOT_LOAD_REQUEST, { id: 'auto-medium' });
+    await vi.advanceTimersByTimeAsync(150);
+
+    expect(cell().value).toBe(String(SOLUTION[0][0]));
+    expect(listSaveSlots()).toEqual([]);
+  });
+
+  it('restores saved notes and keeps them in the paused game state', async () => {
+    const { loadGameState, saveGameState } = await import('../storage/game-state.js');
+    const notes = Array.from({ length: 9 }, () => Array.from({ length: 9 }, () => []));
+    notes[0][0] = [1, 4];
+    loadGameState.mockReturnValue({
+      solution: SOLUTION,
+      puzzle: PUZZLE,
+      givenMask: PUZZLE.map(row => row.map(cell => cell !== 0)),
+      currentBoard: PUZZLE,
+      notes,
+      elapsedTime: 2400,
+      difficulty: 'medium',
+      isPaused: false,
+      savedAt: Date.now()
+    });
+
+    await import('../main.js');
+    await vi.advanceTimersByTimeAsync(300);
+
+    const noteTexts = Array.from(document.querySelectorAll('.cell-notes span')).map(span => span.textContent);
+    expect(noteTexts.filter(Boolean)).toEqual(['1', '4']);
+
+    document.getElementById('pauseBtn').click();
+
+    expect(saveGameState).toHaveBeenCalledWith(expect.objectContaining({ isPaused: true, notes }));
+  });
+
+  it('undoes moves and resets and saves the history when pausing', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await import('../main.js');
+    await vi.runAllTimersAsync();
+
+    document.getElementById('newBtn').click();
+    await vi.advanceTimersByTimeAsync(150);
+
+    const cell = () => document.querySelector('input[data-r="0"][data-c="0"]');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    expect(undoBtn.disabled).toBe(true);
+
+    cell().value = '5';
+    cell().dispatchEvent(new Event('input', { bubbles: true }));
+    expect(undoBtn.disabled).toBe(false);
+
+    document.getElementById('resetBtn').click();
+    await vi.advanceTimersByTimeAsync(150);
+    expect(cell().value).toBe('');
+
+    undoBtn.click();
+    expect(cell().value).toBe('5');
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, cancelable: true }));
+    expect(cell().value).toBe('');
+    expect(undoBtn.disabled).toBe(true);
+
+    redoBtn.click();
+    expect(cell().value).toBe('5');
+
+    const { saveGameState } = await import('../storage/game-state.js');
+    document.getElementById('pauseBtn').click();
+
+    expect(saveGameState).toHaveBeenCalledWith(expect.objectContaining({
+      isPaused: true,
+      history: {
+        undo: [expect.objectContaining({ type: 'input' })],
+        redo: [expect.objectContaining({ type: 'reset' })]
+      }
+    }));
+    expect(undoBtn.disabled).toBe(true);
+  });
+
+  it('highlights a hint, fills it on the second press and stores the hint count', async () => {
+    await import('../main.js');
+    await vi.runAllTimersAsync();
+
+    document.getElementById('newBtn').click();
+    await vi.advanceTimersByTimeAsync(150);
+
+    const hintBtn = document.getElementById('hintBtn');
+    const cell = document.querySelector('input[data-r="0"][data-c="0"]');
+
+    hintBtn.click();
+    expect(cell.parentElement.classList.contains('hint-target')).toBe(true);
+    expect(cell.value).toBe('');
+
+    hintBtn.click();
+    expect(cell.value).toBe(String(SOLUTION[0][0]));
+    expect(document.querySelector('.hint-target')).toBeNull();
+    expect(document.getElementById('undoBtn').disabled).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(150);
+
+    const { saveRecord } = await import('../storage/local-storage.js');
+    expect(saveRecord).toHaveBeenCalledWith('medium', expect.any(Number), { hints: 1, mistakes: 0 });
+  });
+
+  it('plays the daily puzzle against the server and records it separately', async () => {
+    const fetchMock = vi.fn(async (url, options = {}) => {
+      const body = String(url).startsWith('/api/daily/') && options.method === 'POST'
+        ? { correct: true }
+        : { date: '2026-10-19', difficulty: 'medium', puzzle: PUZZLE, rating: 1.2 };
+      return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    await import('../main.js');
+    await vi.runAllTimersAsync();
+
+    document.getElementById('gameMode').value = 'daily';
+    document.getElementById('newBtn').click();
+    await vi.advanceTimersByTimeAsync(150);
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/daily/today?difficulty=medium');
+
+    const cell = document.querySelector('input[data-r="0"][data-c="0"]');
+    cell.value = String(SOLUTION[0][0]);
+    cell.dispatchEvent(new Event('input', { bubbles: true }));
+    await vi.advanceTimersByTimeAsync(150);
+
+    const [, submit] = fetchMock.mock.calls.find(([, options]) => options?.method === 'POST');
+    expect(JSON.parse(submit.body)).toEqual({ difficulty: 'medium', board: SOLUTION });
+
+    const { saveRecord } = await import('../storage/local-storage.js');
+    const { getDailyResults } = await import('../storage/daily-records.js');
+    expect(saveRecord).not.toHaveBeenCalled();
+    expect(getDailyResults('2026-10-19').medium).toMatchObject({ hints: 0 });
+  });
 });
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { parsePuzzleString } from '../core/puzzle-format.js';
+import { initBoardRenderer, renderBoard } from '../ui/board-renderer.js';
+import {
+  analyzePuzzleEntry,
+  initPuzzleEntry,
+  isPuzzleEntryActive,
+  startPuzzleEntry,
+  stopPuzzleEntry
+} from '../ui/puzzle-entry.js';
+import { getCustomRecordsSummary, loadCustomRecords, saveCustomRecord } from '../storage/custom-records.js';
+import { renderRecordsList } from '../ui/records.js';
+import { EVENTS } from '../config/events.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+const PUZZLE_STRING = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+const PUZZLE = parsePuzzleString(PUZZLE_STRING).board;
+const emptyBoard = () => Array.from({ length: 9 }, () => Array(9).fill(0));
+const emptyMask = () => Array.from({ length: 9 }, () => Array(9).fill(false));
+
+const i18n = {
+  t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+};
+
+describe('analyzePuzzleEntry', () => {
+  it('reports conflicts before counting solutions', () => {
+    const board = emptyBoard();
+    expect(analyzePuzzleEntry(board)).toEqual({ status: 'empty', givens: 0, conflicts: 0 });
+
+    board[0][0] = 5;
+    board[0][8] = 5;
+    expect(analyzePuzzleEntry(board)).toEqual({ status: 'conflicts', givens: 2, conflicts: 2 });
+  });
+
+  it('distinguishes zero, one and many solutions', () => {
+    expect(analyzePuzzleEntry(PUZZLE)).toEqual({ status: 'unique', givens: 30, conflicts: 0 });
+
+    const ambiguous = PUZZLE.map(row => [...row]);
+    ambiguous[2][2] = 0;
+    expect(analyzePuzzleEntry(ambiguous).status).toBe('multipleSolutions');
+
+    // 第一行最后一格只能填 9，但 9 已在同一列
+    const impossible = emptyBoard();
+    impossible[0] = [1, 2, 3, 4, 5, 6, 7, 8, 0];
+    impossible[3][8] = 9;
+    expect(analyzePuzzleEntry(impossible)).toEqual({ status: 'noSolution', givens: 9, conflicts: 0 });
+  });
+});
+
+describe('puzzle entry bar', () => {
+  beforeEach(() => {
+    clearAll();
+    window.i18n = i18n;
+    document.body.innerHTML = `
+      <div id="board"></div>
+      <div id="puzzleEntryBar" class="is-hidden">
+        <span id="puzzleEntryStatus"></span>
+        <button id="lockPuzzleBtn" disabled></button>
+        <button id="cancelPuzzleEntryBtn"></button>
+      </div>`;
+    initBoardRenderer('#board');
+    initPuzzleEntry();
+  });
+
+  afterEach(() => {
+    stopPuzzleEntry();
+    clearAll();
+  });
+
+  const typeInto = (row, col, value) => {
+    const input = document.querySelector(`input[data-r="${row}"][data-c="${col}"]`);
+    input.value = String(value);
+    input.dispatchEvent(new Event('input'));
+  };
+
+  it('updates the status live and enables locking only for a unique solution', () => {
+    const board = PUZZLE.map(row => [...row]);
+    board[2][2] = 0;
+    renderBoard(board, emptyMask());
+    startPuzzleEntry();
+
+    const status = document.getElementById('puzzleEntryStatus');
+    const lock = document.getElementById('lockPuzzleBtn');
+    expect(isPuzzleEntryActive()).toBe(true);
+    expect(document.getElementById('puzzleEntryBar').classList.contains('is-hidden')).toBe(false);
+    expect(status.dataset.status).toBe('multipleSolutions');
+    expect(lock.disabled).toBe(true);
+
+    typeInto(2, 2, 5);
+    expect(status.dataset.status).toBe('conflicts');
+    expect(status.textContent).toBe('customPuzzle.status.conflicts {"givens":30,"count":2}');
+
+    typeInto(2, 2, 8);
+    expect(status.dataset.status).toBe('unique');
+    expect(lock.disabled).toBe(false);
+
+    const listener = vi.fn();
+    on(EVENTS.PUZZLE_ENTRY_LOCK_REQUEST, listener);
+    lock.click();
+    expect(listener).toHaveBeenCalledWith({ board: PUZZLE });
+  });
+
+  it('hides the bar and stops reacting to input when entry ends', () => {
+    renderBoard(emptyBoard(), emptyMask());
+    startPuzzleEntry();
+    stopPuzzleEntry();
+
+    typeInto(0, 0, 4);
+
+    expect(isPuzzleEntryActive()).toBe(false);
+    expect(document.getElementById('puzzleEntryBar').classList.contains('is-hidden')).toBe(true);
+    expect(document.getElementById('puzzleEntryStatus').dataset.status).toBe('empty');
+  });
+});
+
+describe('custom records', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps the best time per puzzle separately from difficulty records', () => {
+    vi.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000).mockReturnValueOnce(3000);
+
+    expect(saveCustomRecord(PUZZLE_STRING, 90000, { hints: 1 })).toBe(true);
+    expect(saveCustomRecord(PUZZLE_STRING, 95000)).toBe(false);
+    expect(saveCustomRecord('1'.repeat(81), 40000)).toBe(true);
+
+    expect(loadCustomRecords()[PUZZLE_STRING]).toEqual({ best: 90000, lastTime: 95000, plays: 2, at: 2000, hints: 0, mistakes: 0 });
+    expect(localStorage.getItem('sudoku_records_v1')).toBeNull();
+    expect(getCustomRecordsSummary()).toEqual({ solved: 2, lastTime: 40000 });
+    vi.restoreAllMocks();
+  });
+
+  it('adds a custom puzzle row to the records list', () => {
+    const container = document.createElement('div');
+
+    renderRecordsList(container, {}, i18n, null, { solved: 3, lastTime: 61000 });
+
+    const row = container.querySelector('.record-row-custom');
+    expect(row.textContent).toContain('records.custom {"count":3}');
+    expect(row.textContent).toContain('01:01.00');
+
+    renderRecordsList(container, {}, i18n, null, { solved: 0, lastTime: null });
+    expect(container.querySelector('.record-row-custom')).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  PUZZLE_FILE_FORMATS,
+  checkPuzzleFileEntries,
+  detectPuzzleFormat,
+  exportPuzzle,
+  parsePuzzleFile
+} from '../core/puzzle-files.js';
+import { parsePuzzleString } from '../core/puzzle-format.js';
+import { PUZZLE_FILE_PAGE_SIZE, renderPuzzleFileList } from '../ui/puzzle-files.js';
+
+const PUZZLE_STRING = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+const PUZZLE = parsePuzzleString(PUZZLE_STRING).board;
+// 去掉一个已知数后不再是唯一解
+const AMBIGUOUS_STRING = `${PUZZLE_STRING.slice(0, 20)}.${PUZZLE_STRING.slice(21)}`;
+const rows = PUZZLE_STRING.match(/.{9}/g);
+
+describe('parsePuzzleFile', () => {
+  it('reads .sdk files with comments and a [Puzzle] section', () => {
+    const text = ['[Puzzle]', '#A Someone', '#D Morning paper', ...rows, '[State]', '1'.repeat(81)].join('\r\n');
+
+    expect(parsePuzzleFile(text, { fileName: 'paper.sdk' })).toEqual({
+      ok: true,
+      format: 'sdk',
+      title: 'Morning paper',
+      puzzles: [{ puzzle: PUZZLE }],
+      invalid: 0
+    });
+  });
+
+  it('reads every line of an .sdm file and checks puzzles for a unique solution on request', () => {
+    const text = [PUZZLE_STRING.replace(/\./g, '0'), 'not a puzzle', AMBIGUOUS_STRING, ''].join('\n');
+    const result = parsePuzzleFile(text, { fileName: 'pack.sdm' });
+
+    expect(result.puzzles.map(p => p.unique)).toEqual([undefined, undefined]);
+    expect(checkPuzzleFileEntries(result.puzzles, 1).map(p => p.unique)).toEqual([false]);
+    expect(result.puzzles.map(p => p.unique)).toEqual([undefined, false]);
+    expect(checkPuzzleFileEntries(result.puzzles).map(p => p.unique)).toEqual([true, false]);
+    expect(result.puzzles[0].puzzle).toEqual(PUZZLE);
+    expect(result.invalid).toBe(1);
+  });
+
+  it('reads the Simple Sudoku grid with separators and X blanks', () => {
+    const text = [
+      '*-----------*',
+      ...rows.map(row => `|${row.slice(0, 3)}|${row.slice(3, 6)}|${row.slice(6)}|`.replace(/\./g, 'X'))
+    ].join('\n').replace(/(\|[^\n]*\n){3}/g, '$&|---+---+---|\n');
+
+    expect(parsePuzzleFile(text, { fileName: 'grid.ss' }).puzzles).toEqual([{ puzzle: PUZZLE }]);
+  });
+
+  it('reads OpenSudoku XML in both versions', () => {
+    const data = PUZZLE_STRING.replace(/\./g, '0');
+    const v1 = `<?xml version="1.0"?><opensudoku><name>Easy &amp; fun</name><game data="${data}"/><game data="${data}"/></opensudoku>`;
+    const v2 = `<opensudoku version="2"><folder name="Hard"><game data="${data}" state="1"/></folder></opensudoku>`;
+
+    expect(parsePuzzleFile(v1, { fileName: 'pack.xml' })).toMatchObject({ ok: true, title: 'Easy & fun', invalid: 0 });
+    expect(parsePuzzleFile(v1).puzzles).toHaveLength(2);
+    expect(parsePuzzleFile(v2, { fileName: 'pack.opensudoku' })).toMatchObject({ title: 'Hard', puzzles: [{ puzzle: PUZZLE }] });
+  });
+
+  it('explains files without usable puzzles', () => {
+    expect(parsePuzzleFile('  \n')).toEqual({ ok: false, reason: 'empty' });
+    expect(parsePuzzleFile('<opensudoku><game', { fileName: 'bad.xml' })).toEqual({ ok: false, reason: 'format' });
+    expect(parsePuzzleFile('<sudoku/>')).toEqual({ ok: false, reason: 'format' });
+    expect(parsePuzzleFile('hello', { fileName: 'x.sdk' })).toEqual({ ok: false, reason: 'noPuzzles' });
+  });
+
+  it('detects the format from the extension or the content', () => {
+    expect(detectPuzzleFormat('', 'PACK.SDM')).toBe('sdm');
+    expect(detectPuzzleFormat(' <opensudoku/>')).toBe('opensudoku');
+    expect(detectPuzzleFormat('53.|.7.|...')).toBe('ss');
+    expect(detectPuzzleFormat(`${PUZZLE_STRING}\n${PUZZLE_STRING}`, 'pack.txt')).toBe('sdm');
+    expect(detectPuzzleFormat(rows.join('\n'))).toBe('sdk');
+  });
+});
+
+describe('exportPuzzle', () => {
+  it('writes each format so that it reads back to the same puzzle', () => {
+    Object.entries(PUZZLE_FILE_FORMATS).forEach(([format, { extension }]) => {
+      const text = exportPuzzle(PUZZLE, format, { name: 'Paper <1>' });
+
+      expect(parsePuzzleFile(text, { fileName: `puzzle.${extension}` }).puzzles).toEqual([{ puzzle: PUZZLE }]);
+    });
+  });
+
+  it('uses the conventional layout of each format', () => {
+    expect(exportPuzzle(PUZZLE, 'sdk').split('\n')[0]).toBe('53..7....');
+    expect(exportPuzzle(PUZZLE, 'sdm')).toBe(`${PUZZLE_STRING.replace(/\./g, '0')}\n`);
+    expect(exportPuzzle(PUZZLE, 'ss').split('\n').slice(0, 4)).toEqual(['53.|.7.|...', '6..|195|...', '.98|...|.6.', '-----------']);
+    expect(exportPuzzle(PUZZLE, 'opensudoku', { name: 'A & B' })).toContain('<name>A &#38; B</name>');
+    expect(() => exportPuzzle(PUZZLE, 'pdf')).toThrow('Unsupported puzzle format: pdf');
+  });
+});
+
+describe('renderPuzzleFileList', () => {
+  const i18n = {
+    t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+  };
+
+  it('lists puzzles and only lets uniquely solvable ones be played', () => {
+    const container = document.createElement('div');
+    const result = parsePuzzleFile(`${PUZZLE_STRING}\n${AMBIGUOUS_STRING}\nbad`, { fileName: 'pack.sdm' });
+
+    renderPuzzleFileList(container, result, i18n);
+
+    const items = container.querySelectorAll('.puzzle-file-row');
+    expect(container.firstChild.textContent).toBe('puzzleFiles.summary {"count":2} · puzzleFiles.invalid {"count":1}');
+    expect(items[0].textContent).toContain('puzzleFiles.puzzle {"index":1,"givens":30}');
+    expect(items[0].querySelector('button').disabled).toBe(false);
+    expect(items[1].classList.contains('is-invalid')).toBe(true);
+    expect(items[1].querySelector('button').disabled).toBe(true);
+  });
+
+  it('shows one page at a time and only checks the puzzles on it', () => {
+    const container = document.createElement('div');
+    const lines = Array.from({ length: PUZZLE_FILE_PAGE_SIZE * 2 + 1 }, (_, i) => (i === PUZZLE_FILE_PAGE_SIZE ? AMBIGUOUS_STRING : PUZZLE_STRING));
+    const result = parsePuzzleFile(lines.join('\n'), { fileName: 'big.sdm' });
+
+    expect(renderPuzzleFileList(container, result, i18n, { page: 2 })).toEqual({ page: 2, pages: 3 });
+
+    const items = container.querySelectorAll('.puzzle-file-row');
+    expect(items).toHaveLength(PUZZLE_FILE_PAGE_SIZE);
+    expect(items[0].textContent).toContain(`"index":${PUZZLE_FILE_PAGE_SIZE + 1}`);
+    expect(items[0].classList.contains('is-invalid')).toBe(true);
+    expect(items[1].querySelector('button').dataset.index).toBe(String(PUZZLE_FILE_PAGE_SIZE + 1));
+    expect(result.puzzles.filter(p => p.unique !== undefined)).toHaveLength(PUZZLE_FILE_PAGE_SIZE);
+
+    expect(renderPuzzleFileList(container, result, i18n, { page: 9 })).toEqual({ page: 3, pages: 3 });
+    expect(container.querySelectorAll('.puzzle-file-row')).toHaveLength(1);
+  });
+});
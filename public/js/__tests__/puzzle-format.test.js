@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  boardToString,
+  checkPuzzleSolutions,
+  createShareLink,
+  decodePuzzle,
+  encodePuzzle,
+  parsePuzzleString,
+  parseShareFragment,
+  readSharedPuzzle
+} from '../core/puzzle-format.js';
+import { getDifficultyForRating } from '../core/generator.js';
+
+const PUZZLE_STRING = '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79';
+const SOLUTION_STRING = '534678912672195348198342567859761423426853791713924856961537284287419635345286179';
+
+const toBoard = text => parsePuzzleString(text).board;
+
+describe('puzzle strings', () => {
+  it('round-trips the standard 81-character format with . or 0 blanks', () => {
+    const board = toBoard(PUZZLE_STRING);
+
+    expect(board[0]).toEqual([5, 3, 0, 0, 7, 0, 0, 0, 0]);
+    expect(boardToString(board)).toBe(PUZZLE_STRING);
+    expect(boardToString(board, { blank: '0' })).toBe(PUZZLE_STRING.replace(/\./g, '0'));
+    expect(toBoard(PUZZLE_STRING.replace(/\./g, '0'))).toEqual(board);
+  });
+
+  it('ignores whitespace and rejects wrong lengths or characters', () => {
+    const grid = PUZZLE_STRING.match(/.{9}/g).join('\n');
+
+    expect(parsePuzzleString(grid)).toEqual({ ok: true, board: toBoard(PUZZLE_STRING) });
+    expect(parsePuzzleString(PUZZLE_STRING.slice(1))).toEqual({ ok: false, reason: 'length' });
+    expect(parsePuzzleString(`x${PUZZLE_STRING.slice(1)}`)).toEqual({ ok: false, reason: 'characters' });
+  });
+
+  it('reports puzzles without a unique solution', () => {
+    expect(checkPuzzleSolutions(toBoard(PUZZLE_STRING))).toEqual({ ok: true });
+    expect(checkPuzzleSolutions(toBoard('.'.repeat(81)))).toEqual({ ok: false, reason: 'multipleSolutions' });
+    expect(checkPuzzleSolutions(toBoard(`55${'.'.repeat(79)}`))).toEqual({ ok: false, reason: 'noSolution' });
+  });
+});
+
+describe('share links', () => {
+  it('encodes puzzles compactly and decodes them back', () => {
+    const board = toBoard(PUZZLE_STRING);
+    const code = encodePuzzle(board);
+
+    expect(code.length).toBeLessThanOrEqual(45);
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodePuzzle(code)).toEqual({ ok: true, board });
+    // 首行为空时前导零不会丢失
+    const leadingBlanks = toBoard(`.........${PUZZLE_STRING.slice(9)}`);
+    expect(decodePuzzle(encodePuzzle(leadingBlanks)).board).toEqual(leadingBlanks);
+  });
+
+  it('builds and parses the URL fragment', () => {
+    const board = toBoard(PUZZLE_STRING);
+    const link = createShareLink(board, { difficulty: 'hard', baseUrl: 'https://example.com/play?x=1#old' });
+
+    expect(link).toMatch(/^https:\/\/example\.com\/play\?x=1#p=[A-Za-z0-9_-]+&d=hard$/);
+    expect(parseShareFragment(new URL(link).hash)).toEqual({ ok: true, board, difficulty: 'hard', variant: 'classic', size: 9 });
+    expect(parseShareFragment(`#p=${PUZZLE_STRING}&d=toString`)).toEqual({ ok: true, board, difficulty: null, variant: 'classic', size: 9 });
+    expect(parseShareFragment('#zh-CN')).toBeNull();
+    expect(parseShareFragment('#p=not*valid')).toEqual({ ok: false, reason: 'characters' });
+  });
+
+  it('prepares a shared puzzle for play or explains why it cannot be loaded', () => {
+    const shared = readSharedPuzzle(`#p=${PUZZLE_STRING}`);
+
+    expect(shared.ok).toBe(true);
+    expect(boardToString(shared.game.solution)).toBe(SOLUTION_STRING);
+    expect(shared.game.difficulty).toBe(getDifficultyForRating(shared.game.rating));
+    // 链接中的难度不可信，不影响成绩归属
+    expect(readSharedPuzzle(`#p=${PUZZLE_STRING}&d=expert`).game.difficulty).toBe(shared.game.difficulty);
+    expect(readSharedPuzzle(`#p=${'0'.repeat(81)}`)).toEqual({ ok: false, reason: 'multipleSolutions' });
+    expect(readSharedPuzzle(`#p=${'1'.repeat(60)}`)).toEqual({ ok: false, reason: 'length' });
+    expect(readSharedPuzzle('')).toBeNull();
+  });
+
+  it('maps ratings to the lowest matching difficulty', () => {
+    expect(getDifficultyForRating(1)).toBe('easy');
+    expect(getDifficultyForRating(2.5)).toBe('medium');
+    expect(getDifficultyForRating(3)).toBe('hard');
+    expect(getDifficultyForRating(10)).toBe('expert');
+  });
+});
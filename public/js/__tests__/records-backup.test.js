@@ -0,0 +1,191 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EVENTS } from '../config/events.js';
+import { RECORDS_SCHEMA_VERSION } from '../storage/migrations.js';
+import {
+  BACKUP_FORMAT,
+  createRecordsBackup,
+  diffImportedRecords,
+  mergeRecords,
+  parseRecordsBackup
+} from '../storage/records-backup.js';
+import { exportRecords, importRecords, loadRecords, saveRecords } from '../storage/local-storage.js';
+import { renderImportPreview } from '../ui/records-backup.js';
+import { showError } from '../ui/toast.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn(),
+  showError: vi.fn(),
+  showSuccess: vi.fn()
+}));
+
+const LOCAL = {
+  easy: {
+    best: 60000,
+    history: [
+      { id: 'a', time: 60000, at: 1000, hints: 0, synced: true },
+      { id: 'b', time: 70000, at: 3000, hints: 0, synced: false }
+    ]
+  }
+};
+
+const IMPORTED = {
+  easy: {
+    best: 50000,
+    history: [
+      { id: 'a', time: 60000, at: 1000, hints: 0, synced: true },
+      { id: 'c', time: 50000, at: 2000, hints: 1, synced: true }
+    ]
+  },
+  hard: { best: 300000, history: [{ id: 'd', time: 300000, at: 4000, hints: 0, synced: true }] }
+};
+
+const toFile = (records, options) => JSON.stringify(createRecordsBackup(records, options));
+
+describe('records backup file', () => {
+  it('round-trips records with format, version and checksum', () => {
+    const backup = createRecordsBackup(IMPORTED, { now: new Date('2026-10-19T08:00:00Z') });
+
+    expect(backup).toMatchObject({
+      format: BACKUP_FORMAT,
+      version: 1,
+      schemaVersion: RECORDS_SCHEMA_VERSION,
+      exportedAt: '2026-10-19T08:00:00.000Z'
+    });
+    expect(backup.checksum).toMatch(/^fnv1a:[0-9a-f]{8}$/);
+    expect(parseRecordsBackup(JSON.stringify(backup))).toEqual({
+      ok: true,
+      records: IMPORTED,
+      exportedAt: '2026-10-19T08:00:00.000Z',
+      verified: true
+    });
+  });
+
+  it('accepts older files without the backup envelope as unverified and migrates them', () => {
+    const legacy = { easy: { best: 50000, history: [{ time: 50000, at: 2000 }] } };
+    const migrated = {
+      easy: { best: 50000, history: [{ id: 'legacy-easy-2000-50000', time: 50000, at: 2000, synced: false }] }
+    };
+
+    expect(parseRecordsBackup(JSON.stringify(legacy))).toEqual({ ok: true, records: migrated, exportedAt: null, verified: false });
+    expect(parseRecordsBackup(JSON.stringify({ schemaVersion: RECORDS_SCHEMA_VERSION, records: IMPORTED })))
+      .toEqual({ ok: true, records: IMPORTED, exportedAt: null, verified: false });
+    expect(parseRecordsBackup(JSON.stringify({ schemaVersion: 1, records: { hard: { best: 1, history: [{ time: 1, at: 5, synced: true }] } } })).records)
+      .toEqual({ hard: { best: 1, history: [{ id: 'legacy-hard-5-1', time: 1, at: 5, synced: true }] } });
+    expect(parseRecordsBackup(JSON.stringify({ schemaVersion: RECORDS_SCHEMA_VERSION + 1, records: IMPORTED })))
+      .toEqual({ ok: false, reason: 'newerVersion' });
+    expect(parseRecordsBackup('{"easy":{}}')).toEqual({ ok: false, reason: 'schema' });
+  });
+
+  it('explains why a file is rejected', () => {
+    const tampered = createRecordsBackup(structuredClone(IMPORTED));
+    tampered.records.easy.best = 1;
+    const invalid = { easy: { best: 'fast', history: [] } };
+
+    expect(parseRecordsBackup('not json')).toEqual({ ok: false, reason: 'notJson' });
+    expect(parseRecordsBackup(JSON.stringify({ theme: 'dark' }))).toEqual({ ok: false, reason: 'format' });
+    expect(parseRecordsBackup('{}')).toEqual({ ok: false, reason: 'format' });
+    expect(parseRecordsBackup('[]')).toEqual({ ok: false, reason: 'format' });
+    expect(parseRecordsBackup(toFile(IMPORTED, { schemaVersion: RECORDS_SCHEMA_VERSION + 1 }))).toEqual({ ok: false, reason: 'newerVersion' });
+    expect(parseRecordsBackup(JSON.stringify(tampered))).toEqual({ ok: false, reason: 'checksum' });
+    expect(parseRecordsBackup(toFile(invalid))).toEqual({ ok: false, reason: 'schema' });
+    expect(parseRecordsBackup(toFile({ nightmare: { best: null, history: [] } }))).toEqual({ ok: false, reason: 'schema' });
+  });
+
+  it('previews new records, better bests and what replacing would drop', () => {
+    expect(diffImportedRecords(LOCAL, IMPORTED)).toEqual({
+      totalImported: 3,
+      newRecords: { easy: 1, hard: 1 },
+      newTotal: 2,
+      betterBests: [
+        { difficulty: 'easy', current: 60000, imported: 50000 },
+        { difficulty: 'hard', current: null, imported: 300000 }
+      ],
+      removedOnReplace: 1
+    });
+  });
+
+  it('merges by record id and keeps the faster best', () => {
+    const merged = mergeRecords(LOCAL, IMPORTED);
+
+    expect(merged.easy.best).toBe(50000);
+    expect(merged.easy.history.map(r => r.id)).toEqual(['a', 'c', 'b']);
+    expect(merged.hard).toEqual(IMPORTED.hard);
+    expect(mergeRecords(IMPORTED, LOCAL).easy.best).toBe(50000);
+  });
+});
+
+describe('importRecords / exportRecords', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+    vi.clearAllMocks();
+    window.i18n = { t: key => key };
+    saveRecords(LOCAL);
+  });
+
+  it('exports a file that parses back to the stored records', () => {
+    expect(parseRecordsBackup(exportRecords()).records).toEqual(LOCAL);
+  });
+
+  it('merges by default and marks newly imported records for upload', () => {
+    const listener = vi.fn();
+    on(EVENTS.RECORDS_IMPORTED, listener);
+
+    expect(importRecords(toFile(IMPORTED))).toBe(true);
+
+    const records = loadRecords();
+    expect(records.easy.history.map(r => [r.id, r.synced])).toEqual([['a', true], ['c', false], ['b', false]]);
+    expect(records.hard.best).toBe(300000);
+    expect(listener).toHaveBeenCalledWith({ records, mode: 'merge' });
+  });
+
+  it('replaces local records when asked', () => {
+    expect(importRecords(toFile(IMPORTED), { mode: 'replace' })).toBe(true);
+
+    expect(loadRecords().easy.history.map(r => r.id)).toEqual(['a', 'c']);
+  });
+
+  it('leaves local records untouched when the file is invalid', () => {
+    const listener = vi.fn();
+    on(EVENTS.RECORDS_IMPORTED, listener);
+
+    expect(importRecords('{"theme":"dark"}')).toBe(false);
+
+    expect(loadRecords()).toEqual(LOCAL);
+    expect(showError).toHaveBeenCalledWith('backup.errors.format');
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('renderImportPreview', () => {
+  const i18n = {
+    currentLang: 'en-US',
+    t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+  };
+
+  it('lists the changes and offers merge, replace and cancel', () => {
+    const container = document.createElement('div');
+    container.className = 'is-hidden';
+
+    renderImportPreview(container, diffImportedRecords(LOCAL, IMPORTED), i18n, { exportedAt: '2026-10-19T08:00:00Z' });
+
+    const items = [...container.querySelectorAll('li')].map(li => li.textContent);
+    expect(items).toHaveLength(5);
+    expect(items[0]).toContain('backup.newRecords');
+    expect(items[2]).toContain('"current":"01:00.00","imported":"00:50.00"');
+    expect(container.querySelector('.import-preview-warning').textContent).toContain('"count":1');
+    expect([...container.querySelectorAll('button')].map(b => b.dataset.action)).toEqual(['merge', 'replace', 'cancel']);
+    expect(container.classList.contains('is-hidden')).toBe(false);
+  });
+
+  it('warns when the file could not be verified', () => {
+    const container = document.createElement('div');
+
+    renderImportPreview(container, diffImportedRecords(LOCAL, IMPORTED), i18n, { verified: false });
+
+    expect(container.querySelector('li').textContent).toBe('backup.unverified');
+    expect(container.querySelector('li').className).toBe('import-preview-warning');
+  });
+});
@@ -0,0 +1,141 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EVENTS } from '../config/events.js';
+import { MAX_MANUAL_SAVE_SLOTS } from '../config/constants.js';
+import {
+  createManualSlotId,
+  deleteSlot,
+  getDifficultySlotId,
+  getGameProgress,
+  isManualSlotsFull,
+  listSaveSlots,
+  loadSlot,
+  saveToSlot
+} from '../storage/save-slots.js';
+import { renderSaveSlots } from '../ui/save-slots.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn()
+}));
+
+const PUZZLE = [
+  [1, 0, 0, 0],
+  [0, 2, 0, 0]
+];
+
+function createGameState(overrides = {}) {
+  return {
+    puzzle: PUZZLE,
+    solution: PUZZLE,
+    givenMask: PUZZLE.map(row => row.map(cell => cell !== 0)),
+    currentBoard: [
+      [1, 3, 0, 0],
+      [4, 2, 0, 0]
+    ],
+    elapsedTime: 65000,
+    difficulty: 'hard',
+    isPaused: false,
+    ...overrides
+  };
+}
+
+describe('save slots storage', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+    vi.useRealTimers();
+  });
+
+  it('computes progress over the cells that started empty', () => {
+    expect(getGameProgress(createGameState())).toBe(33);
+    expect(getGameProgress(createGameState({ currentBoard: PUZZLE }))).toBe(0);
+  });
+
+  it('keeps one shelved game per difficulty and lists the newest first', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    saveToSlot(getDifficultySlotId('hard'), createGameState());
+    vi.setSystemTime(2000);
+    saveToSlot(getDifficultySlotId('easy'), createGameState({ difficulty: 'easy' }));
+    vi.setSystemTime(3000);
+    saveToSlot(getDifficultySlotId('hard'), createGameState({ elapsedTime: 70000 }));
+
+    expect(listSaveSlots()).toEqual([
+      { id: 'auto-hard', name: null, isAuto: true, difficulty: 'hard', mode: 'classic', progress: 33, elapsedTime: 70000, savedAt: 3000 },
+      expect.objectContaining({ id: 'auto-easy', savedAt: 2000 })
+    ]);
+    expect(loadSlot('auto-hard')).toMatchObject({ currentBoard: createGameState().currentBoard, elapsedTime: 70000 });
+  });
+
+  it('limits manual slots and announces every change', () => {
+    const counts = [];
+    on(EVENTS.SAVE_SLOTS_CHANGED, ({ count }) => counts.push(count));
+
+    const ids = Array.from({ length: MAX_MANUAL_SAVE_SLOTS }, () => createManualSlotId());
+    ids.forEach((id, index) => {
+      expect(saveToSlot(id, createGameState(), { name: `Save ${index + 1}` })).toMatchObject({ name: `Save ${index + 1}`, isAuto: false });
+    });
+
+    expect(isManualSlotsFull()).toBe(true);
+    expect(saveToSlot(createManualSlotId(), createGameState())).toBeNull();
+    // 覆盖已有的手动槽和自动槽不受上限影响
+    expect(saveToSlot(ids[0], createGameState())).toMatchObject({ name: 'Save 1' });
+    expect(saveToSlot(getDifficultySlotId('hard'), createGameState())).not.toBeNull();
+
+    deleteSlot(ids[0]);
+    expect(isManualSlotsFull()).toBe(false);
+    expect(loadSlot(ids[0])).toBeNull();
+    expect(counts).toEqual([1, 2, 3, 4, 5, 5, 6, 5]);
+  });
+
+  it('ignores invalid game states', () => {
+    expect(saveToSlot(getDifficultySlotId('easy'), null)).toBeNull();
+    expect(saveToSlot(getDifficultySlotId('easy'), { difficulty: 'easy' })).toBeNull();
+    expect(listSaveSlots()).toEqual([]);
+  });
+});
+
+describe('saved games panel', () => {
+  const i18n = {
+    currentLang: 'en-US',
+    t: (key, params = {}) => ({
+      'saveSlots.autoName': `Shelved ${params.difficulty} game`,
+      'saveSlots.progress': `${params.progress}% done`,
+      'saveSlots.continue': 'Continue',
+      'saveSlots.delete': 'Delete',
+      'saveSlots.empty': 'No saved games',
+      'difficulty.hard': 'Hard'
+    })[key] ?? key
+  };
+
+  it('shows name, difficulty, progress, time and actions for each slot', () => {
+    const container = document.createElement('div');
+    const savedAt = Date.UTC(2026, 9, 19, 8, 30);
+
+    renderSaveSlots(container, [
+      { id: 'manual-1', name: 'Lunch break', isAuto: false, difficulty: 'hard', progress: 40, elapsedTime: 125000, savedAt },
+      { id: 'auto-hard', name: null, isAuto: true, difficulty: 'hard', progress: 5, elapsedTime: 1000, savedAt }
+    ], i18n);
+
+    const rows = container.querySelectorAll('.save-slot-row');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].querySelector('strong').textContent).toBe('Lunch break');
+    expect(rows[0].querySelector('.small').textContent).toBe(
+      `Hard · 40% done · 02:05.00 · ${new Date(savedAt).toLocaleString('en-US')}`
+    );
+    expect(rows[1].querySelector('strong').textContent).toBe('Shelved Hard game');
+    expect([...rows[1].querySelectorAll('button')].map(button => [button.dataset.action, button.dataset.slotId])).toEqual([
+      ['load', 'auto-hard'],
+      ['delete', 'auto-hard']
+    ]);
+  });
+
+  it('shows an empty message when there are no saved games', () => {
+    const container = document.createElement('div');
+
+    renderSaveSlots(container, [], i18n);
+
+    expect(container.textContent).toBe('No saved games');
+  });
+});
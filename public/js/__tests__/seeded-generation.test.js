@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { createRandom, generateSeed, isValidSeed, shuffle } from '../utils/random.js';
+import { generatePuzzle } from '../core/generator.js';
+import { countSolutions } from '../core/solver.js';
+import { boardToString } from '../core/puzzle-format.js';
+
+vi.mock('../ui/toast.js', () => ({
+  showWarning: vi.fn()
+}));
+
+describe('seeded random', () => {
+  it('produces a fixed sequence for a given seed', () => {
+    const random = createRandom('sudoku');
+
+    // 固定值：任何运行时都必须得到相同序列
+    expect([random(), random(), random()]).toEqual([
+      0.05227074329741299,
+      0.018053587526082993,
+      0.11828144732862711
+    ]);
+  });
+
+  it('shuffles reproducibly with a seeded source', () => {
+    const a = shuffle([1, 2, 3, 4, 5, 6, 7, 8, 9], createRandom('abc'));
+    const b = shuffle([1, 2, 3, 4, 5, 6, 7, 8, 9], createRandom('abc'));
+
+    expect(a).toEqual(b);
+    expect([...a].sort()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('generates compact seed strings', () => {
+    const seed = generateSeed();
+
+    expect(isValidSeed(seed)).toBe(true);
+    expect(seed.length).toBeLessThanOrEqual(7);
+    expect(isValidSeed('Not a seed!')).toBe(false);
+  });
+});
+
+describe('seeded puzzle generation', () => {
+  it('regenerates the same puzzle from the same seed and difficulty', () => {
+    const first = generatePuzzle('medium', { seed: 'k3x9a1z' });
+    const second = generatePuzzle('medium', { seed: 'k3x9a1z' });
+
+    expect(first.seed).toBe('k3x9a1z');
+    expect(second.puzzle).toEqual(first.puzzle);
+    expect(second.solution).toEqual(first.solution);
+    expect(countSolutions(first.puzzle)).toBe(1);
+  });
+
+  it('matches the known puzzle for a fixed seed', () => {
+    const { puzzle } = generatePuzzle('medium', { seed: 'k3x9a1z' });
+
+    expect(puzzle.flat().join('')).toBe(
+      '064710008073060000000000706006084250802900014300506980400050000038001420600008005'
+    );
+  });
+
+  // 固定值：评级区间、挖洞搜索上限等生成流程的改动不能让已分享的种子换成另一道题
+  it.each([
+    ['easy', {}, '021046000060951020500700600008507002402198063106420700243010908005809246089004105'],
+    ['medium', {}, '102000007607100040004076002005709060800413009079025300540097100760000800091000000'],
+    ['hard', {}, '030000001801000049000019735080040102004000070002000300003050000297084010000090600'],
+    ['expert', {}, '400090060070500000800001000500862030008900000000007004001000300000038070600209050'],
+    ['medium', { variant: 'diagonal' }, '200000004150700830078000000040010068016500203800000000301007085580090602004105379'],
+    ['easy', { variant: 'hyper' }, '000624108018007009627901045060005082150809634089200001000090000036102097071068523'],
+    ['easy', { size: 4 }, '2040000112340310'],
+    ['medium', { size: 6 }, '000400204530342000610002050010100604'],
+    ['easy', { size: 6, variant: 'diagonal' }, '241605603420006002020056002503010204'],
+    ['easy', { size: 12 }, '100AB00C3740280749031A0B00B000000285008004C009A6500B231A4000C7040B6900014005A68000300078020400106391C007040002405C7BA19305090A0278C00A3090005600']
+  ])('keeps the %s puzzle for seed fixture1 with %o', (difficulty, options, expected) => {
+    const { puzzle } = generatePuzzle(difficulty, { seed: 'fixture1', ...options });
+
+    expect(boardToString(puzzle, { blank: '0' })).toBe(expected);
+  });
+
+  it('gives different puzzles for the same seed at another difficulty', () => {
+    const medium = generatePuzzle('medium', { seed: 'k3x9a1z' });
+    const easy = generatePuzzle('easy', { seed: 'k3x9a1z' });
+
+    expect(easy.solution).not.toEqual(medium.solution);
+  });
+});
+
+describe('seed controls', () => {
+  beforeEach(() => {
+    window.i18n = { t: key => key };
+    document.body.innerHTML = `
+      <select id="difficulty"><option value="hard" selected>Hard</option></select>
+      <input id="seedInput">
+      <button id="newBtn">New</button>
+      <span id="seedInfo" class="is-hidden"><code id="currentSeed"></code></span>
+    `;
+    vi.resetModules();
+  });
+
+  afterEach(async () => {
+    const { clearAll } = await import('../utils/event-bus.js');
+    clearAll();
+  });
+
+  it('starts a new game from the typed seed and shows the seed of the current game', async () => {
+    const { on } = await import('../utils/event-bus.js');
+    const { EVENTS } = await import('../config/events.js');
+    const { initializeControls, updateSeedDisplay } = await import('../ui/controls.js');
+    const { showWarning } = await import('../ui/toast.js');
+    const onNewGame = vi.fn();
+    on(EVENTS.GAME_NEW, onNewGame);
+    initializeControls();
+    const seedInput = document.getElementById('seedInput');
+
+    seedInput.value = ' K3x9a1Z ';
+    document.getElementById('newBtn').click();
+    expect(onNewGame).toHaveBeenLastCalledWith({ difficulty: 'hard', seed: 'k3x9a1z' });
+    expect(seedInput.value).toBe('');
+
+    document.getElementById('newBtn').click();
+    expect(onNewGame).toHaveBeenLastCalledWith({ difficulty: 'hard', seed: undefined });
+
+    seedInput.value = 'not a seed';
+    seedInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(onNewGame).toHaveBeenCalledTimes(2);
+    expect(showWarning).toHaveBeenCalledWith('seed.invalid');
+
+    updateSeedDisplay('k3x9a1z');
+    expect(document.getElementById('currentSeed').textContent).toBe('k3x9a1z');
+    expect(document.getElementById('seedInfo').classList.contains('is-hidden')).toBe(false);
+    updateSeedDisplay(null);
+    expect(document.getElementById('seedInfo').classList.contains('is-hidden')).toBe(true);
+  });
+});
@@ -0,0 +1,135 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { cloneBoard, generateFullBoard, isValidPlacement } from '../core/sudoku-engine.js';
+import { countSearchNodes, countSolutions, digHolesWithValidation, solvePuzzle } from '../core/solver.js';
+
+const EXPERT_HOLES = 58;
+
+/**
+ * 旧版朴素回溯计数（基准参照）：顺序扫描第一个空格，依次尝试 1-9
+ * @param {Object} [stats] - 传入时把访问的搜索节点数累加到 stats.nodes
+ */
+function naiveCountSolutions(board, limit = 2, stats = { nodes: 0 }) {
+  const b = cloneBoard(board);
+  let count = 0;
+
+  function backtrack() {
+    if (count >= limit) return;
+    stats.nodes++;
+
+    let pos = null;
+    for (let i = 0; i < 9 && !pos; i++) {
+      for (let j = 0; j < 9; j++) {
+        if (b[i][j] === 0) {
+          pos = [i, j];
+          break;
+        }
+      }
+    }
+    if (!pos) {
+      count++;
+      return;
+    }
+
+    const [r, c] = pos;
+    for (let n = 1; n <= 9; n++) {
+      if (isValidPlacement(b, r, c, n)) {
+        b[r][c] = n;
+        backtrack();
+        b[r][c] = 0;
+        if (count >= limit) return;
+      }
+    }
+  }
+
+  backtrack();
+  return count;
+}
+
+/**
+ * 旧版挖空流程（基准参照），与 digHolesWithValidation 使用相同的随机序列
+ * 同时统计两种求解器在每次唯一性检查上访问的搜索节点数
+ */
+function naiveDigHoles(solBoard, holesTarget, stats) {
+  const board = cloneBoard(solBoard);
+  const positions = [];
+  for (let i = 0; i < 9; i++) {
+    for (let j = 0; j < 9; j++) {
+      positions.push([i, j]);
+    }
+  }
+  for (let i = positions.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [positions[i], positions[j]] = [positions[j], positions[i]];
+  }
+
+  let holes = 0;
+  for (let idx = 0; idx < positions.length && holes < holesTarget; idx++) {
+    const [r, c] = positions[idx];
+    const backup = board[r][c];
+    board[r][c] = 0;
+    stats.fastNodes += countSearchNodes(board, 2);
+    if (naiveCountSolutions(board, 2, stats) !== 1) {
+      board[r][c] = backup;
+    } else {
+      holes++;
+    }
+  }
+  return board;
+}
+
+function seedMathRandom(seed) {
+  let state = seed;
+  vi.spyOn(Math, 'random').mockImplementation(() => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  });
+}
+
+describe('bitmask solver', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('matches the naive solver on unique, ambiguous and invalid boards', () => {
+    seedMathRandom(42);
+    const solution = generateFullBoard();
+    const puzzle = digHolesWithValidation(solution, 50);
+
+    expect(countSolutions(puzzle)).toBe(1);
+    expect(solvePuzzle(puzzle)).toEqual(solution);
+
+    const ambiguous = cloneBoard(puzzle);
+    ambiguous[0] = Array(9).fill(0);
+    ambiguous[1] = Array(9).fill(0);
+    expect(countSolutions(ambiguous, 2)).toBe(naiveCountSolutions(ambiguous, 2));
+
+    const invalid = cloneBoard(solution);
+    invalid[0][0] = 0;
+    invalid[0][1] = solution[0][2];
+    expect(countSolutions(invalid)).toBe(0);
+    expect(solvePuzzle(invalid)).toBeNull();
+  });
+
+  it('digs 58-hole puzzles with far fewer search nodes than naive backtracking', () => {
+    const stats = { nodes: 0, fastNodes: 0 };
+
+    for (const seed of [7, 1234, 98765]) {
+      seedMathRandom(seed);
+      const solution = generateFullBoard();
+
+      seedMathRandom(seed + 1);
+      const fast = digHolesWithValidation(solution, EXPERT_HOLES);
+
+      seedMathRandom(seed + 1);
+      const naive = naiveDigHoles(solution, EXPERT_HOLES, stats);
+
+      // 相同随机序列下两种求解器应挖出相同的题目
+      expect(fast).toEqual(naive);
+      expect(countSolutions(fast)).toBe(1);
+    }
+
+    // 比较搜索节点数而不是耗时，结果与机器负载无关
+    expect(stats.nodes / stats.fastNodes).toBeGreaterThan(10);
+  }, 60000);
+});
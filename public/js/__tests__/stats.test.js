@@ -0,0 +1,144 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+
+import {
+  computeRecordStats,
+  computeStreaks,
+  hourDistribution,
+  percentile,
+  rollingAverage,
+  summarizeTimes
+} from '../utils/stats.js';
+import { clearStartedGames, loadStartedGames, recordGameFinished, recordGameStarted } from '../storage/started-games.js';
+import { renderStatsDashboard } from '../ui/stats.js';
+import { STARTED_GAMES_STORAGE_KEY } from '../config/constants.js';
+
+// 本地时间的时间戳，避免测试结果依赖时区
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+
+describe('time summaries', () => {
+  it('interpolates percentiles and summarizes times', () => {
+    expect(percentile([], 0.5)).toBeNull();
+    expect(percentile([10, 20, 30, 40], 0.5)).toBe(25);
+    expect(percentile([10, 20, 30, 40], 0.9)).toBeCloseTo(37);
+
+    expect(summarizeTimes([40, 10, 30, 20])).toEqual({
+      count: 4, mean: 25, median: 25, p25: 17.5, p75: 32.5, p90: expect.closeTo(37)
+    });
+    expect(summarizeTimes([])).toEqual({ count: 0, mean: null, median: null, p25: null, p75: null, p90: null });
+  });
+
+  it('averages over a rolling window', () => {
+    expect(rollingAverage([4, 2, 6, 8], 2)).toEqual([4, 3, 4, 7]);
+    expect(rollingAverage([], 5)).toEqual([]);
+  });
+});
+
+describe('streaks and time of day', () => {
+  it('counts consecutive local days and keeps the current streak alive until tomorrow ends', () => {
+    const played = [at(1), at(2, 8), at(2, 22), at(3), at(10), at(11)];
+
+    expect(computeStreaks(played, at(11, 20))).toEqual({ current: 2, longest: 3 });
+    expect(computeStreaks(played, at(12, 20))).toEqual({ current: 2, longest: 3 });
+    expect(computeStreaks(played, at(13, 20))).toEqual({ current: 0, longest: 3 });
+    expect(computeStreaks([], at(1))).toEqual({ current: 0, longest: 0 });
+  });
+
+  it('buckets finished games by local hour', () => {
+    const hours = hourDistribution([at(1, 9), at(2, 9), at(3, 21)]);
+
+    expect(hours).toHaveLength(24);
+    expect(hours[9]).toBe(2);
+    expect(hours[21]).toBe(1);
+  });
+});
+
+describe('computeRecordStats', () => {
+  const records = {
+    easy: {
+      best: 60000,
+      history: [
+        { id: 'a', time: 90000, at: at(1) },
+        { id: 'b', time: 60000, at: at(2) },
+        { id: 'c', time: 75000, at: at(3) }
+      ]
+    }
+  };
+
+  it('combines per-difficulty summaries, trend and completion rate', () => {
+    const stats = computeRecordStats(records, {
+      started: { since: at(2, 0), counts: { easy: 4 }, finished: { easy: 2 } },
+      trendWindow: 2,
+      now: at(3, 20)
+    });
+
+    expect(stats.byDifficulty.easy).toMatchObject({ count: 3, mean: 75000, median: 75000 });
+    expect(stats.byDifficulty.easy.trend).toEqual([90000, 75000, 67500]);
+    // 完成数取本设备的计数，而不是记录条数（记录里可能有同步或导入的对局）
+    expect(stats.byDifficulty.easy.completion).toEqual({ started: 4, finished: 2, rate: 0.5 });
+    expect(stats.byDifficulty.hard).toMatchObject({ count: 0, mean: null, trend: [] });
+    expect(stats.completion).toEqual({ started: 4, finished: 2, rate: 0.5 });
+    expect(stats.streaks).toEqual({ current: 3, longest: 3 });
+    expect(stats.hours[12]).toBe(3);
+  });
+
+  it('has no completion rate before any game was started', () => {
+    expect(computeRecordStats(records).completion).toEqual({ started: 0, finished: 0, rate: null });
+  });
+});
+
+describe('started games', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('counts started games per difficulty since the first one', () => {
+    recordGameStarted('easy', 1000);
+    recordGameStarted('easy', 2000);
+    recordGameStarted('hard', 3000);
+
+    recordGameFinished('easy');
+
+    expect(loadStartedGames()).toEqual({ since: 1000, counts: { easy: 2, hard: 1 }, finished: { easy: 1 } });
+
+    clearStartedGames();
+    expect(loadStartedGames()).toEqual({ since: null, counts: {}, finished: {} });
+  });
+
+  it('ignores finishes before counting started and restarts counts saved without finishes', () => {
+    recordGameFinished('easy');
+    expect(loadStartedGames()).toEqual({ since: null, counts: {}, finished: {} });
+
+    localStorage.setItem(STARTED_GAMES_STORAGE_KEY, JSON.stringify({ since: 1000, counts: { easy: 5 } }));
+    expect(loadStartedGames()).toEqual({ since: null, counts: {}, finished: {} });
+  });
+});
+
+describe('renderStatsDashboard', () => {
+  const i18n = {
+    t: (key, params = {}) => `${key}${Object.keys(params).length ? ` ${JSON.stringify(params)}` : ''}`
+  };
+
+  it('renders summary tiles, difficulty rows and SVG charts', () => {
+    const container = document.createElement('div');
+    const stats = computeRecordStats({
+      medium: { best: 1000, history: [{ id: 'a', time: 2000, at: at(1, 7) }, { id: 'b', time: 1000, at: at(2, 7) }] }
+    }, { now: at(2, 20) });
+
+    renderStatsDashboard(container, stats, i18n, { trendDifficulty: 'medium' });
+
+    expect(container.querySelectorAll('.stats-tile')).toHaveLength(3);
+    expect(container.querySelectorAll('.stats-row')).toHaveLength(4);
+    expect(container.querySelector('.stats-trend-line').getAttribute('points')).toBe('0.0,4.0 300.0,76.0');
+    expect(container.querySelectorAll('.stats-hour-bar')).toHaveLength(24);
+    expect(container.querySelector('.stats-tile').textContent).toContain('"count":2');
+  });
+
+  it('explains when there is not enough data for charts', () => {
+    const container = document.createElement('div');
+
+    renderStatsDashboard(container, computeRecordStats({}), i18n);
+
+    expect(container.querySelector('svg')).toBeNull();
+    expect(container.textContent).toContain('stats.notEnoughData');
+  });
+});
@@ -0,0 +1,198 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EVENTS } from '../config/events.js';
+import { STORAGE_KEY } from '../config/constants.js';
+import { getSupabaseClient } from '../auth/auth-handler.js';
+import { loadRecords, saveRecord, saveRecords, markRecordsAsSynced } from '../storage/local-storage.js';
+import { mergeRemoteGames, syncLocalRecordsToSupabase } from '../storage/supabase-sync.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+vi.mock('../auth/auth-handler.js', () => ({
+  getSupabaseClient: vi.fn(),
+  getCurrentSession: vi.fn()
+}));
+
+vi.mock('../ui/toast.js', () => ({
+  showSuccess: vi.fn(),
+  showError: vi.fn(),
+  showWarning: vi.fn()
+}));
+
+const iso = ms => new Date(ms).toISOString();
+
+/**
+ * 最小的 Supabase 客户端替身：games 表支持 upsert 和分页查询，best_scores 只做记录
+ */
+function createFakeSupabase(remoteGames = [], { onUpsert } = {}) {
+  const games = [...remoteGames];
+  const upserts = [];
+
+  const query = (rows) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      order: () => builder,
+      range: async (from, to) => ({ data: rows.slice(from, to + 1), error: null }),
+      single: async () => ({ data: null, error: { code: 'PGRST116' } })
+    };
+    return builder;
+  };
+
+  return {
+    games,
+    upserts,
+    from(table) {
+      if (table === 'best_scores') {
+        return { ...query([]), upsert: async () => ({ error: null }) };
+      }
+      return {
+        ...query(games),
+        async upsert(rows, options) {
+          upserts.push({ rows, options });
+          await onUpsert?.();
+          rows.forEach((row) => {
+            if (!games.some(game => game.client_id === row.client_id)) games.push(row);
+          });
+          return { error: null };
+        }
+      };
+    }
+  };
+}
+
+describe('record ids', () => {
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+  });
+
+  it('gives legacy records a deterministic id and new records a random one', async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      easy: { best: 5000, history: [{ time: 5000, at: 1700000000000 }] }
+    }));
+
+    expect(loadRecords().easy.history[0]).toMatchObject({ id: 'legacy-easy-1700000000000-5000', synced: false });
+
+    const record = await saveRecord('easy', 4000);
+    expect(record.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(loadRecords().easy).toMatchObject({ best: 4000, history: [expect.any(Object), record] });
+  });
+
+  it('only marks the given records as synced', () => {
+    saveRecords({
+      easy: {
+        best: 1,
+        history: [
+          { id: 'a', time: 1, at: 1, synced: false },
+          { id: 'b', time: 2, at: 2, synced: false }
+        ]
+      }
+    });
+
+    markRecordsAsSynced(['a']);
+
+    expect(loadRecords().easy.history.map(r => r.synced)).toEqual([true, false]);
+  });
+});
+
+describe('two-way cloud sync', () => {
+  let events;
+
+  beforeEach(() => {
+    clearAll();
+    localStorage.clear();
+    window.i18n = { t: key => key };
+    events = [];
+    on(EVENTS.SYNC_COMPLETED, payload => events.push(payload));
+  });
+
+  it('merges remote games by record id and recomputes the best time', () => {
+    const records = {
+      easy: {
+        best: 90000,
+        history: [
+          { id: 'legacy-easy-1000-90000', time: 90000, at: 1000, synced: false },
+          { id: 'local-only', time: 95000, at: 5000, synced: false }
+        ]
+      }
+    };
+
+    const pulled = mergeRemoteGames(records, [
+      { client_id: null, difficulty: 'easy', duration_ms: 90000, created_at: iso(1000) },
+      { client_id: 'other-device', difficulty: 'easy', duration_ms: 70000, created_at: iso(3000) },
+      { client_id: 'other-device', difficulty: 'easy', duration_ms: 70000, created_at: iso(3000) },
+      { client_id: 'hard-run', difficulty: 'hard', duration_ms: 400000, created_at: iso(2000) }
+    ]);
+
+    expect(pulled).toBe(2);
+    expect(records.easy.best).toBe(70000);
+    expect(records.easy.history.map(r => [r.id, r.synced])).toEqual([
+      ['legacy-easy-1000-90000', true],
+      ['other-device', true],
+      ['local-only', false]
+    ]);
+    expect(records.hard).toEqual({
+      best: 400000,
+      history: [{ id: 'hard-run', time: 400000, at: 2000, synced: true }]
+    });
+  });
+
+  it('does not pull back records deleted on this device', () => {
+    const records = { easy: { best: 90000, history: [{ id: 'kept', time: 90000, at: 1000, synced: true }] } };
+
+    const pulled = mergeRemoteGames(records, [
+      { client_id: 'kept', difficulty: 'easy', duration_ms: 90000, created_at: iso(1000) },
+      { client_id: 'deleted', difficulty: 'easy', duration_ms: 50000, created_at: iso(2000) }
+    ], new Set(['deleted']));
+
+    expect(pulled).toBe(0);
+    expect(records.easy).toEqual({ best: 90000, history: [{ id: 'kept', time: 90000, at: 1000, synced: true }] });
+  });
+
+  it('pushes unsynced records, pulls the rest and reports both counts', async () => {
+    saveRecords({
+      medium: {
+        best: 200000,
+        history: [
+          { id: 'already', time: 250000, at: 1000, synced: true },
+          { id: 'new-here', time: 200000, at: 2000, synced: false }
+        ]
+      }
+    });
+    const supabase = createFakeSupabase([
+      { client_id: 'already', difficulty: 'medium', duration_ms: 250000, created_at: iso(1000) },
+      { client_id: 'from-phone', difficulty: 'medium', duration_ms: 150000, created_at: iso(1500) }
+    ]);
+    getSupabaseClient.mockReturnValue(supabase);
+
+    await syncLocalRecordsToSupabase('user-1');
+
+    expect(supabase.upserts).toHaveLength(1);
+    expect(supabase.upserts[0].rows).toEqual([expect.objectContaining({ user_id: 'user-1', client_id: 'new-here', duration_ms: 200000 })]);
+    expect(supabase.upserts[0].options).toMatchObject({ onConflict: 'user_id,client_id', ignoreDuplicates: true });
+
+    const { medium } = loadRecords();
+    expect(medium.best).toBe(150000);
+    expect(medium.history.map(r => r.id)).toEqual(['already', 'from-phone', 'new-here']);
+    expect(medium.history.every(r => r.synced)).toBe(true);
+    expect(events).toEqual([{ pushed: 1, pulled: 1 }]);
+  });
+
+  it('leaves records saved while the upload is in flight unsynced', async () => {
+    saveRecords({ easy: { best: 60000, history: [{ id: 'first', time: 60000, at: 1000, synced: false }] } });
+    let lateRecord = null;
+    const supabase = createFakeSupabase([], {
+      onUpsert: async () => {
+        lateRecord = lateRecord || await saveRecord('easy', 50000);
+      }
+    });
+    getSupabaseClient.mockReturnValue(supabase);
+
+    await syncLocalRecordsToSupabase('user-1');
+
+    const history = loadRecords().easy.history;
+    expect(history.find(r => r.id === 'first').synced).toBe(true);
+    expect(history.find(r => r.id === lateRecord.id).synced).toBe(false);
+    expect(events).toEqual([{ pushed: 1, pulled: 0 }]);
+  });
+});
@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { getCellRegions, getExtraRegions, getPeers, getRegions, isVariant } from '../core/regions.js';
+import { isValidPlacement } from '../core/sudoku-engine.js';
+import { countSolutions, hasUniqueSolution } from '../core/solver.js';
+import { detectConflicts, getCandidates, getRelatedCells, validateSolution } from '../core/validator.js';
+import { generatePuzzle } from '../core/generator.js';
+import { createShareLink, parseShareFragment } from '../core/puzzle-format.js';
+import { getVariantRecordsSummary, loadVariantRecords, saveVariantRecord } from '../storage/variant-records.js';
+import { renderRecordsList } from '../ui/records.js';
+import { EVENTS } from '../config/events.js';
+import { clearAll, on } from '../utils/event-bus.js';
+
+const emptyBoard = () => Array.from({ length: 9 }, () => Array(9).fill(0));
+
+describe('constraint regions', () => {
+  it('adds the diagonals and windows on top of rows, columns and boxes', () => {
+    expect(getRegions('classic')).toHaveLength(27);
+    expect(getRegions('diagonal')).toHaveLength(29);
+    expect(getRegions('hyper')).toHaveLength(31);
+    expect(getExtraRegions('hyper').map(region => region.cells[0])).toEqual([[1, 1], [1, 5], [5, 1], [5, 5]]);
+    expect(getCellRegions('diagonal')[40]).toHaveLength(5);
+    expect(() => getRegions('killer')).toThrow('Unsupported sudoku variant: killer');
+    expect(isVariant('hyper')).toBe(true);
+    expect(isVariant('toString')).toBe(false);
+  });
+
+  it('counts peers across every region a cell belongs to', () => {
+    expect(getPeers(4, 4, 'classic')).toHaveLength(20);
+    expect(getPeers(4, 4, 'diagonal')).toHaveLength(32);
+    expect(getPeers(0, 4, 'diagonal')).toHaveLength(20);
+    expect(getPeers(1, 1, 'hyper')).toHaveLength(23);
+    expect(getRelatedCells(4, 4, 'diagonal')).not.toBe(getPeers(4, 4, 'diagonal'));
+  });
+});
+
+describe('variant rules', () => {
+  it('checks placements and candidates against the extra regions', () => {
+    const board = emptyBoard();
+    board[0][0] = 5;
+
+    expect(isValidPlacement(board, 8, 8, 5)).toBe(true);
+    expect(isValidPlacement(board, 8, 8, 5, 'diagonal')).toBe(false);
+    expect(getCandidates(board, 8, 8, 'diagonal')).not.toContain(5);
+
+    board[0][0] = 0;
+    board[1][1] = 7;
+    expect(isValidPlacement(board, 3, 3, 7, 'hyper')).toBe(false);
+    expect(isValidPlacement(board, 3, 3, 7, 'classic')).toBe(true);
+  });
+
+  it('reports conflicts on a diagonal only for the diagonal variant', () => {
+    const board = emptyBoard();
+    board[0][8] = 3;
+    board[8][0] = 3;
+
+    expect(detectConflicts(board).hasConflicts).toBe(false);
+    expect([...detectConflicts(board, 'diagonal').conflicts].sort()).toEqual(['0,8', '8,0']);
+  });
+
+  it.each(['diagonal', 'hyper'])('generates unique %s puzzles that respect every region', (variant) => {
+    const { puzzle, solution, variant: generated } = generatePuzzle('easy', { seed: 'variant1', variant });
+
+    expect(generated).toBe(variant);
+    expect(hasUniqueSolution(puzzle, variant)).toBe(true);
+    expect(detectConflicts(solution, variant).hasConflicts).toBe(false);
+    expect(validateSolution(solution, solution, variant).isCorrect).toBe(true);
+    getRegions(variant).forEach(({ cells }) => {
+      expect(new Set(cells.map(([r, c]) => solution[r][c])).size).toBe(9);
+    });
+    expect(generatePuzzle('easy', { seed: 'variant1', variant }).puzzle).toEqual(puzzle);
+  });
+
+  it('keeps classic seeded puzzles unchanged', () => {
+    const { puzzle, variant } = generatePuzzle('easy', { seed: 'variant1' });
+
+    // 固定值：区域模型不能改变经典数独已有种子的题目
+    expect(puzzle.flat().join('')).toBe('068092103001540008400013000890401362000620580700080019054230600387060900612057034');
+    expect(variant).toBe('classic');
+  });
+
+  it('counts fewer solutions once the extra regions apply', () => {
+    const board = emptyBoard();
+    board[0] = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    expect(countSolutions(board, 2, 'diagonal')).toBe(2);
+    board[1][1] = 1;
+    expect(countSolutions(board, 2, 'hyper')).toBe(0);
+  });
+
+  it('carries the variant in share links', () => {
+    const { puzzle } = generatePuzzle('easy', { seed: 'variant1', variant: 'diagonal' });
+    const link = createShareLink(puzzle, { difficulty: 'easy', variant: 'diagonal', baseUrl: 'https://example.com/' });
+
+    expect(parseShareFragment(new URL(link).hash)).toMatchObject({ ok: true, variant: 'diagonal' });
+    expect(createShareLink(puzzle, { baseUrl: 'https://example.com/' })).not.toContain('v=');
+  });
+});
+
+describe('board regions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="board"></div>';
+    vi.resetModules();
+  });
+
+  afterEach(async () => {
+    const { clearAll: clearBus } = await import('../utils/event-bus.js');
+    clearBus();
+  });
+
+  it('marks the extra regions and highlights conflicts for the board variant', async () => {
+    const { initBoardRenderer, renderBoard, setBoardVariant, getBoardVariant } = await import('../ui/board-renderer.js');
+    const board = emptyBoard();
+    board[0][0] = 4;
+    board[8][8] = 4;
+    const given = board.map(row => row.map(value => value !== 0));
+
+    initBoardRenderer('#board');
+    renderBoard(board, given);
+
+    const cell = (r, c) => document.querySelectorAll('.cell')[r * 9 + c];
+    expect(document.querySelector('.region-diagonal')).toBeNull();
+    expect(cell(0, 0).classList.contains('conflict')).toBe(false);
+
+    setBoardVariant('diagonal');
+    expect(getBoardVariant()).toBe('diagonal');
+    expect(document.getElementById('board').dataset.variant).toBe('diagonal');
+    expect(document.querySelectorAll('.region-diagonal')).toHaveLength(17);
+    expect(cell(0, 0).classList.contains('conflict')).toBe(true);
+
+    setBoardVariant('hyper');
+    expect(document.querySelector('.region-diagonal')).toBeNull();
+    expect(document.querySelectorAll('.region-window')).toHaveLength(36);
+    expect(cell(1, 1).classList.contains('region-window')).toBe(true);
+    expect(cell(0, 0).classList.contains('conflict')).toBe(false);
+  });
+});
+
+describe('variant records', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    clearAll();
+  });
+
+  it('keeps the best time per variant and difficulty apart from classic records', () => {
+    const saved = vi.fn();
+    on(EVENTS.VARIANT_RECORD_SAVED, saved);
+
+    expect(saveVariantRecord('diagonal', 'easy', 90000, { hints: 1 })).toBe(true);
+    expect(saveVariantRecord('diagonal', 'easy', 95000)).toBe(false);
+    expect(saveVariantRecord('hyper', 'hard', 300000)).toBe(true);
+
+    expect(loadVariantRecords().diagonal.easy).toMatchObject({ best: 90000, lastTime: 95000, plays: 2 });
+    expect(getVariantRecordsSummary()).toEqual({ diagonal: { easy: 90000 }, hyper: { hard: 300000 } });
+    expect(saved).toHaveBeenLastCalledWith({ variant: 'hyper', size: 9, difficulty: 'hard', time: 300000, isBest: true });
+    expect(localStorage.getItem('sudoku_records_v1')).toBeNull();
+  });
+
+  it('adds a records row for each variant with results', () => {
+    const container = document.createElement('div');
+    renderRecordsList(container, {}, null, null, null, { diagonal: { easy: 90000, hard: 200000 }, hyper: {} });
+
+    const rows = container.querySelectorAll('.record-row-variant');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].dataset.variant).toBe('diagonal');
+    expect(rows[0].textContent).toContain('records.variant');
+    expect(rows[0].querySelector('.small').textContent).toBe('difficulty.easy 01:30.00 · difficulty.hard 03:20.00');
+  });
+});
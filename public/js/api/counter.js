@@ -3,34 +3,9 @@
  * 与 Cloudflare Pages Functions 通信
  */
 
-const API_BASE = '/api/counter';
-
-/**
- * Validate and parse JSON response from API
- * @param {Response} response - The fetch response object
- * @returns {Promise<object>} - Parsed JSON data
- * @throws {Error} - If response is not OK or not JSON
- */
-async function parseJSONResponse(response) {
-    // Check if response is OK
-    if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+import { parseJSONResponse } from './http.js';
 
-    // Check Content-Type
-    const contentType = response.headers.get('content-type');
-    if (!contentType?.includes('application/json')) {
-        // Log for debugging
-        console.warn('API returned non-JSON response:', {
-            url: response.url,
-            status: response.status,
-            contentType: contentType
-        });
-        throw new Error(`Expected JSON, got ${contentType || 'unknown content type'}`);
-    }
-
-    return response.json();
-}
+const API_BASE = '/api/counter';
 
 /**
  * 获取当前游戏计数
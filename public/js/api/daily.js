@@ -0,0 +1,38 @@
+/**
+ * 每日一题 API 模块
+ * 与 Cloudflare Pages Functions 通信（/api/daily/:date）
+ */
+
+import { parseJSONResponse } from './http.js';
+
+const API_BASE = '/api/daily';
+
+/**
+ * 获取每日一题（不包含答案）
+ * @param {string} difficulty - 难度级别
+ * @param {string} [date='today'] - YYYY-MM-DD（UTC）或 today
+ * @returns {Promise<{date: string, difficulty: string, puzzle: number[][], rating: number}>}
+ * @throws {Error} 网络错误或服务端返回错误
+ */
+export async function fetchDailyPuzzle(difficulty, date = 'today') {
+    const response = await fetch(`${API_BASE}/${encodeURIComponent(date)}?difficulty=${encodeURIComponent(difficulty)}`);
+    return parseJSONResponse(response);
+}
+
+/**
+ * 提交每日一题答案，由服务端校验
+ * @param {string} date - YYYY-MM-DD（UTC）
+ * @param {string} difficulty - 难度级别
+ * @param {number[][]} board - 用户填写的棋盘
+ * @returns {Promise<boolean>} 答案是否正确
+ * @throws {Error} 网络错误或服务端返回错误
+ */
+export async function submitDailySolution(date, difficulty, board) {
+    const response = await fetch(`${API_BASE}/${encodeURIComponent(date)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ difficulty, board })
+    });
+    const data = await parseJSONResponse(response);
+    return data.correct === true;
+}
@@ -0,0 +1,31 @@
+/**
+ * API 通用工具
+ * 与 Cloudflare Pages Functions 通信时共用的响应处理
+ */
+
+/**
+ * Validate and parse JSON response from API
+ * @param {Response} response - The fetch response object
+ * @returns {Promise<object>} - Parsed JSON data
+ * @throws {Error} - If response is not OK or not JSON
+ */
+export async function parseJSONResponse(response) {
+    // Check if response is OK
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    // Check Content-Type
+    const contentType = response.headers.get('content-type');
+    if (!contentType?.includes('application/json')) {
+        // Log for debugging
+        console.warn('API returned non-JSON response:', {
+            url: response.url,
+            status: response.status,
+            contentType: contentType
+        });
+        throw new Error(`Expected JSON, got ${contentType || 'unknown content type'}`);
+    }
+
+    return response.json();
+}
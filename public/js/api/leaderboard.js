@@ -0,0 +1,29 @@
+/**
+ * 排行榜 API 模块
+ * 与 Cloudflare Pages Functions 通信（/api/leaderboard）
+ */
+
+import { parseJSONResponse } from './http.js';
+
+const API_BASE = '/api/leaderboard';
+
+/**
+ * 获取排行榜
+ * @param {Object} [options]
+ * @param {string} [options.difficulty='medium'] - 难度级别，或 all 表示跨难度积分榜
+ * @param {string} [options.period='all'] - day | week | month | all
+ * @param {number} [options.page=1] - 页码（从 1 开始）
+ * @param {number} [options.pageSize=10] - 每页条数
+ * @param {string|null} [options.userId] - 当前登录用户，用于定位排名
+ * @returns {Promise<{entries: Object[], total: number, page: number, pageSize: number, userRank: Object|null}>}
+ * @throws {Error} 网络错误或服务端返回错误
+ */
+export async function fetchLeaderboard({ difficulty = 'medium', period = 'all', page = 1, pageSize = 10, userId = null } = {}) {
+    const params = new URLSearchParams({ difficulty, period, page: String(page), pageSize: String(pageSize) });
+    if (userId) {
+        params.set('userId', userId);
+    }
+
+    const response = await fetch(`${API_BASE}?${params}`);
+    return parseJSONResponse(response);
+}
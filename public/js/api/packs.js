@@ -0,0 +1,77 @@
+/**
+ * 题包目录模块
+ * 读取 public/packs/catalogue.json（静态文件，由 Cloudflare Pages 直接提供）
+ */
+
+import { parseJSONResponse } from './http.js';
+import { parsePuzzleString, boardToString } from '../core/puzzle-format.js';
+import { DIFFICULTY_HOLES } from '../config/constants.js';
+
+const CATALOGUE_URL = '/packs/catalogue.json';
+
+/**
+ * 已请求的目录（整个会话只请求一次，失败后允许重试）
+ * @type {Promise<Object>|null}
+ */
+let cataloguePromise = null;
+
+/**
+ * 整理题包目录：忽略无法读取的题目和没有题目的题包
+ * @param {Object} data - catalogue.json 的内容
+ * @returns {{packs: Array<{id: string, name: Object|string, description: Object|string, puzzles: Array<{key: string, puzzle: number[][], difficulty: string|null, rating: number|null}>}>}}
+ *   key 为 81 字符题目串，用作进度的键
+ */
+export function normalizePackCatalogue(data) {
+    const packs = (Array.isArray(data?.packs) ? data.packs : [])
+        .filter(pack => typeof pack?.id === 'string' && Array.isArray(pack.puzzles))
+        .map(pack => ({
+            id: pack.id,
+            name: pack.name ?? pack.id,
+            description: pack.description ?? '',
+            puzzles: pack.puzzles
+                .map(entry => ({ entry, parsed: parsePuzzleString(entry?.puzzle) }))
+                .filter(({ parsed }) => parsed.ok)
+                .map(({ entry, parsed }) => ({
+                    key: boardToString(parsed.board),
+                    puzzle: parsed.board,
+                    difficulty: Object.hasOwn(DIFFICULTY_HOLES, entry.difficulty) ? entry.difficulty : null,
+                    rating: Number.isFinite(entry.rating) ? entry.rating : null
+                }))
+        }))
+        .filter(pack => pack.puzzles.length > 0);
+
+    return { packs };
+}
+
+/**
+ * 获取题包目录
+ * @returns {Promise<ReturnType<typeof normalizePackCatalogue>>}
+ * @throws {Error} 网络错误或目录不是 JSON
+ */
+export function fetchPackCatalogue() {
+    if (!cataloguePromise) {
+        cataloguePromise = fetch(CATALOGUE_URL)
+            .then(parseJSONResponse)
+            .then(normalizePackCatalogue)
+            .catch((error) => {
+                cataloguePromise = null;
+                throw error;
+            });
+    }
+    return cataloguePromise;
+}
+
+/**
+ * 读取题包名称或说明的当前语言版本
+ * @param {Object|string} text - 按语言代码组织的文本，或不区分语言的字符串
+ * @param {string} lang - 当前语言
+ * @returns {string}
+ * @example
+ * getPackText({ 'en-US': 'Weekend', 'zh-CN': '周末' }, 'ja-JP'); // 'Weekend'
+ */
+export function getPackText(text, lang) {
+    if (typeof text === 'string') {
+        return text;
+    }
+    return text?.[lang] ?? text?.['en-US'] ?? Object.values(text ?? {})[0] ?? '';
+}
@@ -14,6 +14,24 @@ export const DIFFICULTY_HOLES = {
   expert: 58     // 专家：58个空格
 };
 
+/**
+ * 难度与技巧评级区间映射（评级见 core/grader.js）
+ * 区间为 (min, max]：不含下界、含上界，相邻区间互不重叠，每个评级只属于一个难度
+ * @type {Object.<string, {min: number, max: number}>}
+ */
+export const DIFFICULTY_RATINGS = {
+  easy: { min: -Infinity, max: 1.2 }, // 仅需隐性唯一数
+  medium: { min: 1.2, max: 2.8 },     // 显性唯一数 + 区块摒除
+  hard: { min: 2.8, max: 3.4 },       // 数对、X-Wing
+  expert: { min: 3.4, max: Infinity } // 三数组、剑鱼、XY-Wing 或需要试错
+};
+
+/**
+ * 按评级生成题目的最大尝试次数
+ * @type {number}
+ */
+export const MAX_GENERATION_ATTEMPTS = 30;
+
 
 /**
  * localStorage 存储键
@@ -21,12 +39,109 @@ export const DIFFICULTY_HOLES = {
  */
 export const STORAGE_KEY = 'sudoku_records_v1';
 
+/**
+ * 结构迁移前备份的存储键前缀（完整键见 storage/migrations.js getBackupKey）
+ * @type {string}
+ */
+export const MIGRATION_BACKUP_KEY_PREFIX = 'sudoku_backup_';
+
+/**
+ * IndexedDB 记录库（每局一行，按难度、日期、用时等建索引）
+ * - name / version: 数据库名称和结构版本
+ * @type {{name: string, version: number}}
+ */
+export const RECORDS_DB = {
+  name: 'sudoku_records',
+  version: 1
+};
+
 /**
  * 游戏状态存储键
  * @type {string}
  */
 export const GAME_STATE_STORAGE_KEY = 'sudoku_game_state_v1';
 
+/**
+ * 每日一题记录存储键（与普通记录分开存放）
+ * @type {string}
+ */
+export const DAILY_RECORDS_STORAGE_KEY = 'sudoku_daily_records_v1';
+
+/**
+ * 自定义题目记录存储键（手动输入的题目，与难度记录分开存放）
+ * @type {string}
+ */
+export const CUSTOM_RECORDS_STORAGE_KEY = 'sudoku_custom_records_v1';
+
+/**
+ * 变体记录存储键（对角线、窗口等变体按变体和难度记录，与经典记录分开存放）
+ * @type {string}
+ */
+export const VARIANT_RECORDS_STORAGE_KEY = 'sudoku_variant_records_v1';
+
+/**
+ * 题包进度存储键（按题目串记录解出状态和最佳时间）
+ * @type {string}
+ */
+export const PACK_PROGRESS_STORAGE_KEY = 'sudoku_pack_progress_v1';
+
+/**
+ * 存档槽存储键（搁置的对局，与当前对局分开存放）
+ * @type {string}
+ */
+export const SAVE_SLOTS_STORAGE_KEY = 'sudoku_save_slots_v1';
+
+/**
+ * 已开始的对局计数存储键（统计完成率用）
+ * @type {string}
+ */
+export const STARTED_GAMES_STORAGE_KEY = 'sudoku_started_games_v1';
+
+/**
+ * 已删除记录 ID 存储键（同步时不再从云端拉回这些记录）
+ * @type {string}
+ */
+export const DELETED_RECORDS_STORAGE_KEY = 'sudoku_deleted_records_v1';
+
+/**
+ * 手动存档槽数量上限（每个难度另有一个自动存档槽）
+ * @type {number}
+ */
+export const MAX_MANUAL_SAVE_SLOTS = 5;
+
+/**
+ * 存档有效期（毫秒）：超过后启动时不再恢复，本地和云端存档相同
+ * @type {number}
+ */
+export const SAVED_GAME_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * 本设备 ID 存储键（区分云端存档来自哪台设备）
+ * @type {string}
+ */
+export const DEVICE_ID_STORAGE_KEY = 'sudoku_device_id_v1';
+
+/**
+ * 待上传记录队列（outbox）存储键
+ * @type {string}
+ */
+export const OUTBOX_STORAGE_KEY = 'sudoku_outbox_v1';
+
+/**
+ * outbox 重试设置（毫秒）
+ * - baseDelay / maxDelay: 每次失败后按指数退避推迟下一次尝试
+ * - flushInterval: 定时检查到期条目的间隔
+ * - retryAttempts / retryDelay: 单次发送内的快速重试（utils/helpers.js retry）
+ * @type {Object}
+ */
+export const OUTBOX_CONFIG = {
+  baseDelay: 5000,
+  maxDelay: 10 * 60 * 1000,
+  flushInterval: 30000,
+  retryAttempts: 2,
+  retryDelay: 1000
+};
+
 /**
  * Supabase 配置
  * @type {Object}
@@ -59,3 +174,9 @@ export const BLOCK_SIZE = 3;
  * @type {number}
  */
 export const TOAST_DURATION = 3000;
+
+/**
+ * 撤销历史最多保留的步数
+ * @type {number}
+ */
+export const MOVE_HISTORY_LIMIT = 500;
@@ -31,6 +31,22 @@ export const EVENTS = {
   GAME_STATE_SAVED: 'game:state:saved',
   /** 游戏状态已恢复 */
   GAME_STATE_RESTORED: 'game:state:restored',
+  /** 保存当前对局到新存档槽请求 */
+  SAVE_SLOT_SAVE_REQUEST: 'save-slot:save:request',
+  /** 继续存档槽中的对局请求 */
+  SAVE_SLOT_LOAD_REQUEST: 'save-slot:load:request',
+  /** 复制分享链接或题目串请求 */
+  PUZZLE_SHARE_REQUEST: 'puzzle:share:request',
+  /** 锁定手动输入的题目并开始游戏请求 */
+  PUZZLE_ENTRY_LOCK_REQUEST: 'puzzle-entry:lock:request',
+  /** 取消输入题目请求 */
+  PUZZLE_ENTRY_CANCEL_REQUEST: 'puzzle-entry:cancel:request',
+  /** 开始题目文件中的题目请求 */
+  PUZZLE_FILE_PLAY_REQUEST: 'puzzle-file:play:request',
+  /** 把当前题目导出为文件请求 */
+  PUZZLE_EXPORT_REQUEST: 'puzzle:export:request',
+  /** 开始题包中的题目请求 */
+  PACK_PUZZLE_PLAY_REQUEST: 'pack:puzzle:play:request',
 
   // ========== 棋盘事件 ==========
   /** 棋盘发生改变 */
@@ -41,6 +57,22 @@ export const EVENTS = {
   CELL_INPUT: 'cell:input',
   /** 单元格获得焦点 */
   CELL_FOCUS: 'cell:focus',
+  /** 切换笔记模式请求 */
+  NOTES_MODE_TOGGLE: 'notes:mode:toggle',
+  /** 笔记模式已改变 */
+  NOTES_MODE_CHANGED: 'notes:mode:changed',
+  /** 撤销请求 */
+  HISTORY_UNDO_REQUEST: 'history:undo:request',
+  /** 重做请求 */
+  HISTORY_REDO_REQUEST: 'history:redo:request',
+  /** 撤销/重做历史已改变 */
+  HISTORY_CHANGED: 'history:changed',
+  /** 提示请求 */
+  HINT_REQUEST: 'hint:request',
+  /** 提示已显示 */
+  HINT_SHOWN: 'hint:shown',
+  /** 提示已填入 */
+  HINT_APPLIED: 'hint:applied',
 
   // ========== 计时器事件 ==========
   /** 计时器已启动 */
@@ -65,10 +97,28 @@ export const EVENTS = {
   RECORDS_SAVED: 'records:saved',
   /** 记录已导入 */
   RECORDS_IMPORTED: 'records:imported',
+  /** 游戏模式变化（经典 / 每日一题 / 自定义题目） */
+  GAME_MODE_CHANGED: 'game-mode:changed',
+  /** 数独变体变化（经典 / 对角线 / 窗口） */
+  GAME_VARIANT_CHANGED: 'game-variant:changed',
+  /** 棋盘尺寸变化（4x4 / 6x6 / 9x9 / 12x12 / 16x16） */
+  GRID_SIZE_CHANGED: 'grid-size:changed',
 
   // ========== 存储事件 ==========
   /** 记录已保存 */
   RECORD_SAVED: 'record:saved',
+  /** 单条记录已删除 */
+  RECORD_DELETED: 'record:deleted',
+  /** 每日一题记录已保存 */
+  DAILY_RECORD_SAVED: 'daily-record:saved',
+  /** 自定义题目记录已保存 */
+  CUSTOM_RECORD_SAVED: 'custom-record:saved',
+  /** 变体记录已保存 */
+  VARIANT_RECORD_SAVED: 'variant-record:saved',
+  /** 题包进度已变化（本地解出或同步合并） */
+  PACK_PROGRESS_CHANGED: 'pack-progress:changed',
+  /** 解出了题包中的题目 */
+  PACK_PUZZLE_SOLVED: 'pack:puzzle:solved',
   /** 存储错误 */
   STORAGE_ERROR: 'storage:error',
   /** 存储空间已满 */
@@ -79,6 +129,10 @@ export const EVENTS = {
   SYNC_FAILED: 'sync:failed',
   /** 手动触发同步 */
   SYNC_MANUAL_TRIGGER: 'sync:manual-trigger',
+  /** 待上传队列已变化 */
+  OUTBOX_CHANGED: 'outbox:changed',
+  /** 存档槽已变化 */
+  SAVE_SLOTS_CHANGED: 'save-slots:changed',
   /** 魔法链接已发送 */
   AUTH_MAGIC_LINK_SENT: 'auth:magic-link-sent',
 
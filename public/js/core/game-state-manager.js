@@ -16,6 +16,14 @@ class GameStateManager {
     this.solution = null;
     this.puzzle = null;
     this.givenMask = null;
+    this.seed = null;
+    this.hintsUsed = 0;
+    this.mistakes = 0;
+    this.mode = 'classic';
+    this.dailyDate = null;
+    this.difficulty = null;
+    this.variant = 'classic';
+    this.size = 9;
     this.lastSaveTime = 0;
   }
 
@@ -25,8 +33,16 @@ class GameStateManager {
    * @param {number[][]|null} [state.solution]
    * @param {number[][]|null} [state.puzzle]
    * @param {boolean[][]|null} [state.givenMask]
+   * @param {string|null} [state.seed] - 题目种子（与难度一起唯一确定题目）
+   * @param {number} [state.hintsUsed] - 已使用的提示次数
+   * @param {number} [state.mistakes] - 提交错误答案的次数
+   * @param {string} [state.mode] - 游戏模式（'classic' | 'daily' | 'custom' | 'pack'）
+   * @param {string|null} [state.dailyDate] - 每日一题日期（YYYY-MM-DD，UTC）
+   * @param {string|null} [state.difficulty] - 本局难度（开局后切换难度选择框不会改变它）
+   * @param {string} [state.variant] - 本局变体（'classic' | 'diagonal' | 'hyper'，见 core/regions）
+   * @param {number} [state.size] - 本局棋盘边长（4、6、9、12 或 16，见 core/geometry）
    */
-  setGame({ solution, puzzle, givenMask }) {
+  setGame({ solution, puzzle, givenMask, seed, hintsUsed, mistakes, mode, dailyDate, difficulty, variant, size }) {
     if (typeof solution !== 'undefined') {
       this.solution = solution;
     }
@@ -36,6 +52,48 @@ class GameStateManager {
     if (typeof givenMask !== 'undefined') {
       this.givenMask = givenMask;
     }
+    if (typeof seed !== 'undefined') {
+      this.seed = seed;
+    }
+    if (typeof hintsUsed !== 'undefined') {
+      this.hintsUsed = hintsUsed;
+    }
+    if (typeof mistakes !== 'undefined') {
+      this.mistakes = mistakes;
+    }
+    if (typeof mode !== 'undefined') {
+      this.mode = mode;
+    }
+    if (typeof dailyDate !== 'undefined') {
+      this.dailyDate = dailyDate;
+    }
+    if (typeof difficulty !== 'undefined') {
+      this.difficulty = difficulty;
+    }
+    if (typeof variant !== 'undefined') {
+      this.variant = variant;
+    }
+    if (typeof size !== 'undefined') {
+      this.size = size;
+    }
+  }
+
+  /**
+   * 提示次数加一
+   * @returns {number} 新的提示次数
+   */
+  incrementHintsUsed() {
+    this.hintsUsed += 1;
+    return this.hintsUsed;
+  }
+
+  /**
+   * 错误次数加一
+   * @returns {number} 新的错误次数
+   */
+  incrementMistakes() {
+    this.mistakes += 1;
+    return this.mistakes;
   }
 
   /**
@@ -48,13 +106,21 @@ class GameStateManager {
 
   /**
    * 获取快照（只读视图）
-   * @returns {{solution:number[][]|null,puzzle:number[][]|null,givenMask:boolean[][]|null,lastSaveTime:number}}
+   * @returns {{solution:number[][]|null,puzzle:number[][]|null,givenMask:boolean[][]|null,seed:string|null,hintsUsed:number,mistakes:number,mode:string,dailyDate:string|null,difficulty:string|null,variant:string,size:number,lastSaveTime:number}}
    */
   getSnapshot() {
     return {
       solution: this.solution,
       puzzle: this.puzzle,
       givenMask: this.givenMask,
+      seed: this.seed,
+      hintsUsed: this.hintsUsed,
+      mistakes: this.mistakes,
+      mode: this.mode,
+      dailyDate: this.dailyDate,
+      difficulty: this.difficulty,
+      variant: this.variant,
+      size: this.size,
       lastSaveTime: this.lastSaveTime
     };
   }
@@ -0,0 +1,180 @@
+/**
+ * 题目生成客户端 - 通过 Web Worker 在后台生成题目
+ * 支持进度回调、取消进行中的请求；Worker 不可用时回退到主线程生成
+ * @module core/generator-client
+ */
+
+import { generatePuzzle } from './generator.js';
+import { generateSeed } from '../utils/random.js';
+import { DEFAULT_VARIANT } from './regions.js';
+import { DEFAULT_SIZE } from './geometry.js';
+
+/**
+ * 复用的生成 Worker（取消请求时会被终止并重建）
+ * @type {Worker|null}
+ */
+let worker = null;
+
+/**
+ * Worker 加载失败后不再尝试，直接走主线程
+ * @type {boolean}
+ */
+let workerUnavailable = false;
+
+/**
+ * 当前进行中的请求
+ * @type {{id: number, reject: Function, cleanup: Function, usesWorker: boolean}|null}
+ */
+let activeRequest = null;
+let nextRequestId = 1;
+
+function createAbortError() {
+  const error = new Error('Puzzle generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * 检查当前环境是否可以使用 Web Worker
+ * @returns {boolean} 是否支持
+ */
+export function isWorkerSupported() {
+  return !workerUnavailable && typeof Worker !== 'undefined';
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./generator-worker.js', import.meta.url), { type: 'module' });
+  }
+  return worker;
+}
+
+function terminateWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+/**
+ * 取消进行中的生成请求
+ * 该请求的 Promise 会以 AbortError 拒绝
+ * @returns {boolean} 是否有请求被取消
+ * @example
+ * cancelGeneration();
+ */
+export function cancelGeneration() {
+  if (!activeRequest) return false;
+
+  const { reject, cleanup, usesWorker } = activeRequest;
+  activeRequest = null;
+  cleanup();
+  // Worker 内的生成是同步循环，无法中途响应消息，只能终止
+  if (usesWorker) {
+    terminateWorker();
+  }
+  reject(createAbortError());
+  return true;
+}
+
+/**
+ * 请求生成一道题目（会先取消进行中的请求）
+ * @param {string} difficulty - 难度级别
+ * @param {Object} [options]
+ * @param {string} [options.seed] - 种子（默认随机生成）
+ * @param {string} [options.variant=DEFAULT_VARIANT] - 变体（见 core/regions）
+ * @param {number} [options.size=DEFAULT_SIZE] - 棋盘边长（见 core/geometry）
+ * @param {Function} [options.onProgress] - 进度回调 ({ attempt, maxAttempts, rating })
+ * @returns {Promise<{solution: number[][], puzzle: number[][], grade: Object, attempts: number, seed: string, variant: string, size: number}>} 生成结果；被取消时以 AbortError 拒绝
+ * @example
+ * const { solution, puzzle } = await requestPuzzle('expert', {
+ *   onProgress: ({ attempt, maxAttempts }) => console.log(attempt, maxAttempts)
+ * });
+ */
+export function requestPuzzle(difficulty, { seed = generateSeed(), variant = DEFAULT_VARIANT, size = DEFAULT_SIZE, onProgress } = {}) {
+  cancelGeneration();
+
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const request = { id, reject, cleanup: () => {}, usesWorker: false };
+    activeRequest = request;
+
+    const settle = (callback, value) => {
+      if (activeRequest !== request) return;
+      activeRequest = null;
+      request.cleanup();
+      callback(value);
+    };
+
+    const runOnMainThread = () => {
+      request.usesWorker = false;
+      // 让出一帧，保证“生成中”提示先渲染
+      const timer = setTimeout(() => {
+        if (activeRequest !== request) return;
+        try {
+          settle(resolve, generatePuzzle(difficulty, {
+            seed,
+            variant,
+            size,
+            onProgress: (progress) => {
+              if (activeRequest === request && onProgress) onProgress(progress);
+            }
+          }));
+        } catch (error) {
+          settle(reject, error);
+        }
+      }, 0);
+      request.cleanup = () => clearTimeout(timer);
+    };
+
+    if (!isWorkerSupported()) {
+      runOnMainThread();
+      return;
+    }
+
+    let target;
+    try {
+      target = getWorker();
+    } catch (error) {
+      console.warn('Generator worker unavailable, falling back to main thread:', error);
+      workerUnavailable = true;
+      runOnMainThread();
+      return;
+    }
+
+    const handleMessage = ({ data }) => {
+      if (!data || data.id !== id) return;
+
+      if (data.type === 'progress') {
+        if (activeRequest === request && onProgress) onProgress(data.progress);
+      } else if (data.type === 'result') {
+        settle(resolve, data.result);
+      } else if (data.type === 'error') {
+        settle(reject, new Error(data.message));
+      }
+    };
+
+    const handleError = (event) => {
+      // 脚本加载失败（如浏览器不支持 module worker）时回退到主线程
+      console.warn('Generator worker failed, falling back to main thread:', event.message);
+      if (typeof event.preventDefault === 'function') event.preventDefault();
+      request.cleanup();
+      terminateWorker();
+      workerUnavailable = true;
+      if (activeRequest === request) {
+        runOnMainThread();
+      }
+    };
+
+    target.addEventListener('message', handleMessage);
+    target.addEventListener('error', handleError);
+    request.usesWorker = true;
+    request.cleanup = () => {
+      target.removeEventListener('message', handleMessage);
+      target.removeEventListener('error', handleError);
+    };
+
+    target.postMessage({ type: 'generate', id, difficulty, seed, variant, size });
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * 题目生成 Worker - 在后台线程中运行 generatePuzzle，避免阻塞 UI
+ * 协议：接收 { type: 'generate', id, difficulty, seed, variant, size }，
+ * 回传 { type: 'progress' | 'result' | 'error', id, ... }
+ * @module core/generator-worker
+ */
+
+import { generatePuzzle } from './generator.js';
+
+self.addEventListener('message', (event) => {
+  const { type, id, difficulty, seed, variant, size } = event.data || {};
+  if (type !== 'generate') return;
+
+  try {
+    const result = generatePuzzle(difficulty, {
+      seed,
+      variant,
+      size,
+      onProgress: (progress) => self.postMessage({ type: 'progress', id, progress })
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+});
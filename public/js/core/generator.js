@@ -0,0 +1,143 @@
+/**
+ * 题目生成器 - 按技巧评级生成指定难度的题目
+ * @module core/generator
+ */
+
+import { generateFullBoard } from './sudoku-engine.js';
+import { digHolesWithValidation } from './solver.js';
+import { gradePuzzle } from './grader.js';
+import { DEFAULT_VARIANT } from './regions.js';
+import { DEFAULT_SIZE, getGeometry } from './geometry.js';
+import { createRandom, generateSeed } from '../utils/random.js';
+import { DIFFICULTY_HOLES, DIFFICULTY_RATINGS, MAX_GENERATION_ATTEMPTS } from '../config/constants.js';
+
+/**
+ * 评级正好等于区间下界（不含）时的距离，小于任意两个技巧权重之差
+ * @type {number}
+ */
+const RATING_BOUNDARY_GAP = 0.01;
+
+/**
+ * 计算评级与难度区间的距离（在区间内为 0，区间见 DIFFICULTY_RATINGS）
+ * @param {number} rating - 题目评级
+ * @param {string} difficulty - 难度级别
+ * @returns {number} 距离
+ */
+export function getRatingDistance(rating, difficulty) {
+  const band = DIFFICULTY_RATINGS[difficulty];
+  if (!band) return 0;
+  if (rating <= band.min) return band.min - rating + RATING_BOUNDARY_GAP;
+  if (rating > band.max) return rating - band.max;
+  return 0;
+}
+
+/**
+ * 检查评级是否落在难度区间内
+ * @param {number} rating - 题目评级
+ * @param {string} difficulty - 难度级别
+ * @returns {boolean} 是否匹配
+ * @example
+ * isRatingInBand(1.2, 'easy'); // true
+ */
+export function isRatingInBand(rating, difficulty) {
+  return getRatingDistance(rating, difficulty) === 0;
+}
+
+/**
+ * 根据评级选择难度（区间互不重叠，超出所有区间时为 expert）
+ * @param {number} rating - 题目评级
+ * @returns {string} 难度级别
+ * @example
+ * getDifficultyForRating(1.0); // 'easy'
+ */
+export function getDifficultyForRating(rating) {
+  return Object.keys(DIFFICULTY_RATINGS).find(difficulty => isRatingInBand(rating, difficulty)) ?? 'expert';
+}
+
+/**
+ * 根据难度和种子创建随机数生成器（同一种子在不同难度、变体或尺寸下得到不同题目）
+ * @param {string} difficulty - 难度级别
+ * @param {string} seed - 种子
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（经典数独保持原来的种子格式，已分享的种子不变）
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长（9x9 保持原来的种子格式）
+ * @returns {function(): number} 随机数生成器
+ */
+export function createPuzzleRandom(difficulty, seed, variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  const key = variant === DEFAULT_VARIANT ? `${difficulty}:${seed}` : `${variant}:${difficulty}:${seed}`;
+  return createRandom(size === DEFAULT_SIZE ? key : `${size}:${key}`);
+}
+
+/**
+ * 挖空比例的缩放系数（16x16 按 9x9 比例挖空时，唯一解检查在空格很多的大棋盘上耗时过长）
+ * @type {Object.<number, number>}
+ */
+const HOLE_SCALE = { 16: 0.8 };
+
+/**
+ * 难度对应的挖空数量（按 9x9 的挖空比例换算到其他尺寸）
+ * @param {string} difficulty - 难度级别
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {number} 目标空格数量
+ * @example
+ * getHolesTarget('easy', 4); // 7
+ */
+export function getHolesTarget(difficulty, size = DEFAULT_SIZE) {
+  const holes = DIFFICULTY_HOLES[difficulty] ?? DIFFICULTY_HOLES.medium;
+  if (size === DEFAULT_SIZE) return holes;
+  const scale = HOLE_SCALE[size] ?? 1;
+  return Math.round(holes * scale * getGeometry(size).cellCount / (DEFAULT_SIZE * DEFAULT_SIZE));
+}
+
+/**
+ * 生成指定难度的题目（反复生成直到评级落入难度区间）
+ * 相同的难度和种子总是得到相同的题目
+ * @param {string} difficulty - 难度级别
+ * @param {Object} [options]
+ * @param {string} [options.seed] - 种子（默认随机生成）
+ * @param {string} [options.variant=DEFAULT_VARIANT] - 变体（见 core/regions），生成、唯一解检查和评级都按变体的区域进行
+ * @param {number} [options.size=DEFAULT_SIZE] - 棋盘边长（见 core/geometry）；评级区间按 9x9 校准，
+ *   其他尺寸只按挖空比例区分难度，默认只尝试一次
+ * @param {number} [options.maxAttempts] - 最大尝试次数，超过后返回最接近的题目（9x9 默认 MAX_GENERATION_ATTEMPTS）
+ * @param {Function} [options.onProgress] - 每次尝试后回调 ({ attempt, maxAttempts, rating })
+ * @returns {{solution: number[][], puzzle: number[][], grade: Object, attempts: number, seed: string, variant: string, size: number}} 生成结果
+ * @example
+ * const { solution, puzzle, grade, seed } = generatePuzzle('hard');
+ * const same = generatePuzzle('hard', { seed }); // same.puzzle 与 puzzle 一致
+ * const diagonal = generatePuzzle('medium', { variant: 'diagonal' });
+ * const kids = generatePuzzle('easy', { size: 4 });
+ */
+export function generatePuzzle(difficulty, {
+  seed = generateSeed(),
+  variant = DEFAULT_VARIANT,
+  size = DEFAULT_SIZE,
+  maxAttempts = size === DEFAULT_SIZE ? MAX_GENERATION_ATTEMPTS : 1,
+  onProgress
+} = {}) {
+  const holesTarget = getHolesTarget(difficulty, size);
+  const random = createPuzzleRandom(difficulty, seed, variant, size);
+  let closest = null;
+  let closestDistance = Infinity;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts++;
+
+    const solution = generateFullBoard(random, variant, size);
+    const puzzle = digHolesWithValidation(solution, holesTarget, random, variant);
+    const grade = gradePuzzle(puzzle, variant);
+    const distance = getRatingDistance(grade.rating, difficulty);
+
+    if (distance < closestDistance) {
+      closest = { solution, puzzle, grade };
+      closestDistance = distance;
+    }
+
+    if (onProgress) {
+      onProgress({ attempt: attempts, maxAttempts, rating: grade.rating });
+    }
+
+    if (distance === 0) break;
+  }
+
+  return { ...closest, attempts, seed, variant, size };
+}
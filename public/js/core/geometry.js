@@ -0,0 +1,100 @@
+/**
+ * 棋盘几何 - 每种尺寸的宫格形状和格子符号
+ *
+ * 棋盘边长 N 决定宫格形状（6x6、12x12 为矩形宫）和可填的数字 1-N；
+ * 大于 9 的数字显示为字母（10 = A … 16 = G），16x16 用 1-9 和 A-G 输入。
+ * 接收棋盘的函数从 board.length 读取尺寸，不依赖 GRID_SIZE 常量。
+ * @module core/geometry
+ */
+
+import { GRID_SIZE } from '../config/constants.js';
+
+/**
+ * 默认棋盘尺寸（经典 9x9）
+ * @type {number}
+ */
+export const DEFAULT_SIZE = GRID_SIZE;
+
+/**
+ * 各尺寸的宫格形状（行数 x 列数）
+ * @type {Object.<number, {boxRows: number, boxCols: number}>}
+ */
+const BOX_SHAPES = {
+  4: { boxRows: 2, boxCols: 2 },
+  6: { boxRows: 2, boxCols: 3 },
+  9: { boxRows: 3, boxCols: 3 },
+  12: { boxRows: 3, boxCols: 4 },
+  16: { boxRows: 4, boxCols: 4 }
+};
+
+/**
+ * 支持的棋盘尺寸
+ * @type {number[]}
+ */
+export const GRID_SIZES = Object.keys(BOX_SHAPES).map(Number);
+
+/**
+ * 格子数字对应的符号（下标 0 为数字 1）
+ * @type {string}
+ */
+const CELL_SYMBOLS = '123456789ABCDEFG';
+
+/**
+ * 棋盘几何
+ * @typedef {Object} Geometry
+ * @property {number} size - 边长
+ * @property {number} boxRows - 每宫行数
+ * @property {number} boxCols - 每宫列数
+ * @property {number} cellCount - 格子总数
+ */
+
+/**
+ * 检查是否为支持的棋盘尺寸
+ * @param {*} size - 边长
+ * @returns {boolean}
+ */
+export function isGridSize(size) {
+  return Object.hasOwn(BOX_SHAPES, size);
+}
+
+/**
+ * 获取棋盘几何
+ * @param {number} [size=DEFAULT_SIZE] - 边长
+ * @returns {Geometry}
+ * @throws {Error} 不支持的尺寸
+ * @example
+ * getGeometry(6); // { size: 6, boxRows: 2, boxCols: 3, cellCount: 36 }
+ */
+export function getGeometry(size = DEFAULT_SIZE) {
+  if (!isGridSize(size)) {
+    throw new Error(`Unsupported grid size: ${size}`);
+  }
+  return { size, ...BOX_SHAPES[size], cellCount: size * size };
+}
+
+/**
+ * 格子数字转换为显示符号
+ * @param {number} value - 数字（0 为空格）
+ * @returns {string} 空格为 ''
+ * @example
+ * formatCellValue(7); // '7'
+ * formatCellValue(12); // 'C'
+ */
+export function formatCellValue(value) {
+  return CELL_SYMBOLS[value - 1] ?? '';
+}
+
+/**
+ * 解析输入的符号（字母不区分大小写）
+ * @param {string} symbol - 单个字符
+ * @param {number} [size=DEFAULT_SIZE] - 边长（超出 1-N 的符号无效）
+ * @returns {number} 数字，无效或空格时为 0
+ * @example
+ * parseCellValue('b', 16); // 11
+ * parseCellValue('b', 9); // 0
+ */
+export function parseCellValue(symbol, size = DEFAULT_SIZE) {
+  if (!symbol || symbol.length !== 1) return 0;
+  const value = CELL_SYMBOLS.indexOf(symbol.toUpperCase()) + 1;
+  return value <= size ? value : 0;
+}
@@ -0,0 +1,447 @@
+/**
+ * 难度评级器 - 模拟人类解题技巧的逻辑求解器
+ * 按技巧从易到难逐步推理，记录用到的技巧并给出数值评级（棋盘尺寸取自 board.length）
+ * @module core/grader
+ */
+
+import { DEFAULT_VARIANT, getPeers, getRegions } from './regions.js';
+import { getGeometry } from './geometry.js';
+
+/**
+ * 技巧权重（数值越大越难，参考 Sudoku Explainer 评级）
+ * @type {Object.<string, number>}
+ */
+export const TECHNIQUE_WEIGHTS = {
+  hiddenSingle: 1.2,
+  nakedSingle: 2.3,
+  pointing: 2.6,
+  boxLineReduction: 2.8,
+  nakedPair: 3.0,
+  xWing: 3.2,
+  hiddenPair: 3.4,
+  nakedTriple: 3.6,
+  swordfish: 3.8,
+  hiddenTriple: 4.0,
+  xyWing: 4.2
+};
+
+/**
+ * 逻辑技巧无法解开时的评级（需要猜测）
+ * @type {number}
+ */
+export const GUESSING_RATING = 10;
+
+/**
+ * 按变体和尺寸缓存的单元和相关格子
+ * @type {Map<string, {size: number, units: import('./regions.js').Region[], peers: Array<Array<Array<[number, number]>>>, peerKeys: Array<Array<Set<number>>>, boxIndex: number[][]}>}
+ */
+const contexts = new Map();
+
+/**
+ * 变体的所有单元（行、列、宫及额外区域）、每个格子的相关格子（不含自身）和所在宫的序号
+ * @param {string} variant - 变体
+ * @param {number} size - 棋盘边长
+ */
+function getContext(variant, size) {
+  const key = `${variant}:${size}`;
+  if (!contexts.has(key)) {
+    const { boxRows, boxCols } = getGeometry(size);
+    const units = getRegions(variant, size);
+    const peers = Array.from({ length: size }, (_, r) =>
+      Array.from({ length: size }, (_, c) => getPeers(r, c, variant, size))
+    );
+    const peerKeys = peers.map(row => row.map(list => new Set(list.map(([r, c]) => r * size + c))));
+    const boxIndex = Array.from({ length: size }, (_, r) =>
+      Array.from({ length: size }, (_, c) => Math.floor(r / boxRows) * (size / boxCols) + Math.floor(c / boxCols))
+    );
+    contexts.set(key, { size, units, peers, peerKeys, boxIndex });
+  }
+  return contexts.get(key);
+}
+
+function sees(context, a, b) {
+  return context.peerKeys[a[0]][a[1]].has(b[0] * context.size + b[1]);
+}
+
+/**
+ * 生成数组中取 k 个元素的所有组合
+ * @param {Array} items - 源数组
+ * @param {number} k - 组合大小
+ * @returns {Array<Array>} 组合列表
+ */
+function combinations(items, k) {
+  const result = [];
+  const combo = [];
+
+  function pick(start) {
+    if (combo.length === k) {
+      result.push(combo.slice());
+      return;
+    }
+    for (let i = start; i < items.length; i++) {
+      combo.push(items[i]);
+      pick(i + 1);
+      combo.pop();
+    }
+  }
+
+  pick(0);
+  return result;
+}
+
+/**
+ * 根据棋盘计算每个空格的候选数
+ * @param {number[][]} board - 棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（见 core/regions）
+ * @returns {Array<Array<Set<number>>>} 候选数网格（已填格子为空集合）
+ * @example
+ * const candidates = createCandidateGrid(puzzle);
+ */
+export function createCandidateGrid(board, variant = DEFAULT_VARIANT) {
+  const size = board.length;
+  const { peers } = getContext(variant, size);
+  return Array.from({ length: size }, (_, r) =>
+    Array.from({ length: size }, (_, c) => {
+      const cands = new Set();
+      if (board[r][c] !== 0) return cands;
+
+      for (let n = 1; n <= size; n++) {
+        cands.add(n);
+      }
+      peers[r][c].forEach(([pr, pc]) => cands.delete(board[pr][pc]));
+      return cands;
+    })
+  );
+}
+
+/**
+ * 收集消除项（只保留确实存在的候选数）
+ */
+function collectEliminations(candidates, cells, values) {
+  const eliminations = [];
+  cells.forEach(([r, c]) => {
+    values.forEach(value => {
+      if (candidates[r][c].has(value)) {
+        eliminations.push({ row: r, col: c, value });
+      }
+    });
+  });
+  return eliminations;
+}
+
+function findNakedSingle(board, candidates) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      if (board[r][c] === 0 && candidates[r][c].size === 1) {
+        const [value] = candidates[r][c];
+        return {
+          placements: [{ row: r, col: c, value }],
+          eliminations: [],
+          cells: [[r, c]]
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function findHiddenSingle(board, candidates, { units }) {
+  for (const unit of units) {
+    for (let n = 1; n <= board.length; n++) {
+      const positions = unit.cells.filter(([r, c]) => candidates[r][c].has(n));
+      if (positions.length === 1) {
+        const [r, c] = positions[0];
+        return {
+          placements: [{ row: r, col: c, value: n }],
+          eliminations: [],
+          cells: unit.cells,
+          unit: { type: unit.type, index: unit.index }
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function findNakedSubset(candidates, size, { units }) {
+  for (const unit of units) {
+    const open = unit.cells.filter(([r, c]) => {
+      const count = candidates[r][c].size;
+      return count >= 2 && count <= size;
+    });
+    if (open.length < size) continue;
+
+    for (const group of combinations(open, size)) {
+      const union = new Set();
+      group.forEach(([r, c]) => candidates[r][c].forEach(n => union.add(n)));
+      if (union.size !== size) continue;
+
+      const others = unit.cells.filter(cell => !group.includes(cell));
+      const eliminations = collectEliminations(candidates, others, union);
+      if (eliminations.length > 0) {
+        return { placements: [], eliminations, cells: group, unit: { type: unit.type, index: unit.index } };
+      }
+    }
+  }
+  return null;
+}
+
+function findHiddenSubset(candidates, size, { units }) {
+  for (const unit of units) {
+    const positionsByDigit = new Map();
+    for (let n = 1; n <= candidates.length; n++) {
+      const positions = unit.cells.filter(([r, c]) => candidates[r][c].has(n));
+      if (positions.length >= 2 && positions.length <= size) {
+        positionsByDigit.set(n, positions);
+      }
+    }
+    if (positionsByDigit.size < size) continue;
+
+    for (const digits of combinations([...positionsByDigit.keys()], size)) {
+      const cellSet = new Set();
+      digits.forEach(n => positionsByDigit.get(n).forEach(cell => cellSet.add(cell)));
+      if (cellSet.size !== size) continue;
+
+      const group = [...cellSet];
+      const extras = [];
+      for (let n = 1; n <= candidates.length; n++) {
+        if (!digits.includes(n)) extras.push(n);
+      }
+      const eliminations = collectEliminations(candidates, group, extras);
+      if (eliminations.length > 0) {
+        return { placements: [], eliminations, cells: group, unit: { type: unit.type, index: unit.index } };
+      }
+    }
+  }
+  return null;
+}
+
+function findPointing(candidates, { units, boxIndex }) {
+  for (const unit of units) {
+    if (unit.type !== 'box') continue;
+
+    for (let n = 1; n <= candidates.length; n++) {
+      const positions = unit.cells.filter(([r, c]) => candidates[r][c].has(n));
+      if (positions.length < 2) continue;
+
+      const sameRow = positions.every(([r]) => r === positions[0][0]);
+      const sameCol = positions.every(([, c]) => c === positions[0][1]);
+      if (!sameRow && !sameCol) continue;
+
+      const line = units.find(u => sameRow
+        ? u.type === 'row' && u.index === positions[0][0]
+        : u.type === 'col' && u.index === positions[0][1]);
+      const outside = line.cells.filter(([r, c]) => boxIndex[r][c] !== unit.index);
+      const eliminations = collectEliminations(candidates, outside, [n]);
+      if (eliminations.length > 0) {
+        return { placements: [], eliminations, cells: positions, unit: { type: unit.type, index: unit.index } };
+      }
+    }
+  }
+  return null;
+}
+
+function findBoxLineReduction(candidates, { units, boxIndex }) {
+  for (const unit of units) {
+    if (unit.type !== 'row' && unit.type !== 'col') continue;
+
+    for (let n = 1; n <= candidates.length; n++) {
+      const positions = unit.cells.filter(([r, c]) => candidates[r][c].has(n));
+      if (positions.length < 2) continue;
+
+      const box = boxIndex[positions[0][0]][positions[0][1]];
+      if (!positions.every(([r, c]) => boxIndex[r][c] === box)) continue;
+
+      const boxUnit = units.find(u => u.type === 'box' && u.index === box);
+      const outside = boxUnit.cells.filter(([r, c]) =>
+        unit.type === 'row' ? r !== unit.index : c !== unit.index
+      );
+      const eliminations = collectEliminations(candidates, outside, [n]);
+      if (eliminations.length > 0) {
+        return { placements: [], eliminations, cells: positions, unit: { type: unit.type, index: unit.index } };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 鱼形技巧（X-Wing 为 2，Swordfish 为 3）
+ */
+function findFish(candidates, size) {
+  const gridSize = candidates.length;
+  for (const baseType of ['row', 'col']) {
+    for (let n = 1; n <= gridSize; n++) {
+      const lines = [];
+      for (let i = 0; i < gridSize; i++) {
+        const covers = [];
+        for (let j = 0; j < gridSize; j++) {
+          const [r, c] = baseType === 'row' ? [i, j] : [j, i];
+          if (candidates[r][c].has(n)) covers.push(j);
+        }
+        if (covers.length >= 2 && covers.length <= size) {
+          lines.push({ index: i, covers });
+        }
+      }
+      if (lines.length < size) continue;
+
+      for (const group of combinations(lines, size)) {
+        const coverSet = new Set();
+        group.forEach(line => line.covers.forEach(j => coverSet.add(j)));
+        if (coverSet.size !== size) continue;
+
+        const baseIndexes = group.map(line => line.index);
+        const targets = [];
+        coverSet.forEach(j => {
+          for (let i = 0; i < gridSize; i++) {
+            if (baseIndexes.includes(i)) continue;
+            targets.push(baseType === 'row' ? [i, j] : [j, i]);
+          }
+        });
+
+        const eliminations = collectEliminations(candidates, targets, [n]);
+        if (eliminations.length > 0) {
+          const cells = [];
+          group.forEach(line => line.covers.forEach(j => {
+            cells.push(baseType === 'row' ? [line.index, j] : [j, line.index]);
+          }));
+          return { placements: [], eliminations, cells };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function findXYWing(candidates, context) {
+  const { size, peers } = context;
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (candidates[r][c].size !== 2) continue;
+
+      const [x, y] = candidates[r][c];
+      const pincers = peers[r][c].filter(([pr, pc]) => candidates[pr][pc].size === 2);
+
+      for (const a of pincers) {
+        const aCands = candidates[a[0]][a[1]];
+        if (!aCands.has(x) || aCands.has(y)) continue;
+        const z = [...aCands].find(n => n !== x);
+
+        for (const b of pincers) {
+          const bCands = candidates[b[0]][b[1]];
+          if (!bCands.has(y) || !bCands.has(z)) continue;
+
+          const targets = peers[a[0]][a[1]].filter(cell =>
+            !(cell[0] === r && cell[1] === c) &&
+            !(cell[0] === b[0] && cell[1] === b[1]) &&
+            sees(context, cell, b)
+          );
+          const eliminations = collectEliminations(candidates, targets, [z]);
+          if (eliminations.length > 0) {
+            return { placements: [], eliminations, cells: [[r, c], a, b] };
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 技巧列表（按权重从易到难排列）
+ * @type {Array<{name: string, find: Function}>}
+ */
+const TECHNIQUES = [
+  { name: 'hiddenSingle', find: findHiddenSingle },
+  { name: 'nakedSingle', find: findNakedSingle },
+  { name: 'pointing', find: (board, cands, context) => findPointing(cands, context) },
+  { name: 'boxLineReduction', find: (board, cands, context) => findBoxLineReduction(cands, context) },
+  { name: 'nakedPair', find: (board, cands, context) => findNakedSubset(cands, 2, context) },
+  { name: 'xWing', find: (board, cands) => findFish(cands, 2) },
+  { name: 'hiddenPair', find: (board, cands, context) => findHiddenSubset(cands, 2, context) },
+  { name: 'nakedTriple', find: (board, cands, context) => findNakedSubset(cands, 3, context) },
+  { name: 'swordfish', find: (board, cands) => findFish(cands, 3) },
+  { name: 'hiddenTriple', find: (board, cands, context) => findHiddenSubset(cands, 3, context) },
+  { name: 'xyWing', find: (board, cands, context) => findXYWing(cands, context) }
+];
+
+/**
+ * 查找下一步逻辑推理
+ * @param {number[][]} board - 当前棋盘
+ * @param {Array<Array<Set<number>>>} [candidates] - 候选数网格（默认根据棋盘计算）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @returns {{technique: string, placements: Array<{row:number,col:number,value:number}>, eliminations: Array<{row:number,col:number,value:number}>, cells: Array<[number, number]>}|null} 推理步骤，无可用技巧返回 null
+ * @example
+ * const step = findNextStep(board);
+ * if (step) {
+ *   console.log(step.technique, step.placements);
+ * }
+ */
+export function findNextStep(board, candidates, variant = DEFAULT_VARIANT) {
+  const context = getContext(variant, board.length);
+  const grid = candidates ?? createCandidateGrid(board, variant);
+  for (const { name, find } of TECHNIQUES) {
+    const step = find(board, grid, context);
+    if (step) {
+      return { technique: name, ...step };
+    }
+  }
+  return null;
+}
+
+/**
+ * 应用推理步骤（原地修改棋盘和候选数）
+ * @param {number[][]} board - 棋盘
+ * @param {Array<Array<Set<number>>>} candidates - 候选数网格
+ * @param {Object} step - findNextStep 返回的步骤
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ */
+export function applyStep(board, candidates, step, variant = DEFAULT_VARIANT) {
+  const { peers } = getContext(variant, board.length);
+  step.placements.forEach(({ row, col, value }) => {
+    board[row][col] = value;
+    candidates[row][col].clear();
+    peers[row][col].forEach(([pr, pc]) => candidates[pr][pc].delete(value));
+  });
+
+  step.eliminations.forEach(({ row, col, value }) => {
+    candidates[row][col].delete(value);
+  });
+}
+
+/**
+ * 用人类技巧求解题目并评级
+ * @param {number[][]} puzzle - 题目
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（额外区域同样参与排除和唯一数推理）
+ * @returns {{solved: boolean, rating: number, techniques: Object.<string, number>, steps: number, board: number[][]}} 评级结果
+ * @example
+ * const { rating, techniques } = gradePuzzle(puzzle);
+ * // rating = 2.6, techniques = { hiddenSingle: 40, pointing: 1, ... }
+ */
+export function gradePuzzle(puzzle, variant = DEFAULT_VARIANT) {
+  const board = puzzle.map(row => row.slice());
+  const candidates = createCandidateGrid(board, variant);
+  const techniques = {};
+  let rating = 0;
+  let steps = 0;
+
+  for (;;) {
+    const step = findNextStep(board, candidates, variant);
+    if (!step) break;
+
+    applyStep(board, candidates, step, variant);
+    techniques[step.technique] = (techniques[step.technique] || 0) + 1;
+    rating = Math.max(rating, TECHNIQUE_WEIGHTS[step.technique]);
+    steps++;
+  }
+
+  const solved = board.every(row => row.every(value => value !== 0));
+
+  return {
+    solved,
+    rating: solved ? rating : GUESSING_RATING,
+    techniques,
+    steps,
+    board
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * 提示系统 - 基于逻辑技巧找出下一步可填的格子
+ * @module core/hint
+ */
+
+import { applyStep, createCandidateGrid, findNextStep } from './grader.js';
+import { getCandidates } from './validator.js';
+import { DEFAULT_VARIANT } from './regions.js';
+
+/**
+ * 提示
+ * @typedef {Object} Hint
+ * @property {string} type - 'mistake'（已填错误）| 'technique'（逻辑推理）| 'reveal'（技巧无法推进，直接给出答案）
+ * @property {{row: number, col: number, value: number}} placement - 再次按提示时填入的格子
+ * @property {Array<[number, number]>} cells - 需要高亮的相关格子
+ * @property {string} [technique] - 得出填数的技巧（nakedSingle / hiddenSingle）
+ * @property {string[]} [eliminations] - 填数前需要的删减技巧（按使用顺序，去重）
+ * @property {{type: string, index: number}} [unit] - 技巧所在的行/列/宫（变体中也可能是对角线或窗口）
+ */
+
+function findMistakes(board, solution) {
+  const mistakes = [];
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      if (board[r][c] !== 0 && board[r][c] !== solution[r][c]) {
+        mistakes.push([r, c]);
+      }
+    }
+  }
+  return mistakes;
+}
+
+/**
+ * 候选数最少的空格（技巧无法推进时用来揭示答案）
+ */
+function findMostConstrainedCell(board, variant) {
+  let best = null;
+  let bestCount = Infinity;
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      if (board[r][c] !== 0) continue;
+      const count = getCandidates(board, r, c, variant).length;
+      if (count < bestCount) {
+        best = [r, c];
+        bestCount = count;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * 根据当前棋盘找出下一条提示
+ * 先检查与答案不符的格子，再用逻辑技巧推进直到得出一个填数
+ * @param {number[][]} board - 用户当前棋盘
+ * @param {number[][]} solution - 完整解
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @returns {Hint|null} 提示，棋盘已填满且无错误时返回 null
+ * @example
+ * const hint = findHint(readUserBoard(), solution);
+ * if (hint) highlightCells(hint.cells, 'hint');
+ */
+export function findHint(board, solution, variant = DEFAULT_VARIANT) {
+  const mistakes = findMistakes(board, solution);
+  if (mistakes.length > 0) {
+    const [row, col] = mistakes[0];
+    return {
+      type: 'mistake',
+      placement: { row, col, value: solution[row][col] },
+      cells: mistakes
+    };
+  }
+
+  const work = board.map(row => [...row]);
+  const candidates = createCandidateGrid(work, variant);
+  const eliminations = [];
+
+  // 删减类技巧不填数，继续推进直到出现单数（singles）
+  for (let step = findNextStep(work, candidates, variant); step; step = findNextStep(work, candidates, variant)) {
+    if (step.placements.length > 0) {
+      return {
+        type: 'technique',
+        technique: step.technique,
+        eliminations,
+        placement: step.placements[0],
+        cells: step.cells,
+        unit: step.unit
+      };
+    }
+
+    if (!eliminations.includes(step.technique)) {
+      eliminations.push(step.technique);
+    }
+    applyStep(work, candidates, step, variant);
+  }
+
+  const cell = findMostConstrainedCell(board, variant);
+  if (!cell) return null;
+
+  const [row, col] = cell;
+  return {
+    type: 'reveal',
+    placement: { row, col, value: solution[row][col] },
+    cells: [cell]
+  };
+}
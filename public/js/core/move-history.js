@@ -0,0 +1,154 @@
+/**
+ * 落子历史 - 记录格子的数值与笔记变化，支持撤销/重做
+ * @module core/move-history
+ */
+
+import { MOVE_HISTORY_LIMIT } from '../config/constants.js';
+
+/**
+ * 格子状态
+ * @typedef {Object} CellState
+ * @property {number} value - 数值（0 表示空）
+ * @property {number[]} notes - 笔记（候选数）
+ */
+
+/**
+ * 单个格子的变化
+ * @typedef {Object} CellChange
+ * @property {number} row - 行索引
+ * @property {number} col - 列索引
+ * @property {CellState} from - 变化前
+ * @property {CellState} to - 变化后
+ */
+
+/**
+ * 历史条目（一次操作可能改变多个格子，如重置）
+ * @typedef {Object} HistoryEntry
+ * @property {string} type - 操作类型（'input' | 'reset'）
+ * @property {CellChange[]} changes - 格子变化列表
+ */
+
+function normalizeCellState(state) {
+  return {
+    value: Number.isInteger(state?.value) ? state.value : 0,
+    notes: Array.isArray(state?.notes) ? [...state.notes] : []
+  };
+}
+
+function isSameCellState(a, b) {
+  return a.value === b.value &&
+    a.notes.length === b.notes.length &&
+    a.notes.every((n, i) => n === b.notes[i]);
+}
+
+function isValidEntry(entry) {
+  return !!entry &&
+    typeof entry.type === 'string' &&
+    Array.isArray(entry.changes) &&
+    entry.changes.every(change =>
+      Number.isInteger(change?.row) && Number.isInteger(change?.col) && change.from && change.to
+    );
+}
+
+export class MoveHistory {
+  /**
+   * @param {number} [limit=MOVE_HISTORY_LIMIT] - 最多保留的撤销步数
+   */
+  constructor(limit = MOVE_HISTORY_LIMIT) {
+    this.limit = limit;
+    this.clear();
+  }
+
+  /**
+   * 清空历史
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * 记录一次操作（会清空重做栈），没有实际变化的格子会被忽略
+   * @param {string} type - 操作类型
+   * @param {CellChange[]} changes - 格子变化列表
+   * @returns {boolean} 是否记录成功
+   * @example
+   * moveHistory.record('input', [{ row: 0, col: 0, from: { value: 0, notes: [] }, to: { value: 5, notes: [] } }]);
+   */
+  record(type, changes) {
+    const effective = changes
+      .map(({ row, col, from, to }) => ({ row, col, from: normalizeCellState(from), to: normalizeCellState(to) }))
+      .filter(({ from, to }) => !isSameCellState(from, to));
+
+    if (effective.length === 0) return false;
+
+    this.undoStack.push({ type, changes: effective });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    return true;
+  }
+
+  /**
+   * 撤销最近一次操作
+   * @returns {HistoryEntry|null} 被撤销的条目（调用方应将各格子恢复到 from 状态）
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * 重做最近一次撤销的操作
+   * @returns {HistoryEntry|null} 被重做的条目（调用方应将各格子设置为 to 状态）
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * @returns {boolean} 是否可以撤销
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} 是否可以重做
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 导出可序列化的历史（用于保存游戏状态）
+   * @returns {{undo: HistoryEntry[], redo: HistoryEntry[]}}
+   */
+  toJSON() {
+    return {
+      undo: this.undoStack,
+      redo: this.redoStack
+    };
+  }
+
+  /**
+   * 从保存的数据恢复历史，数据无效时清空
+   * @param {{undo: HistoryEntry[], redo: HistoryEntry[]}|null|undefined} data
+   */
+  load(data) {
+    this.clear();
+    if (!data || !Array.isArray(data.undo) || !Array.isArray(data.redo)) return;
+    if (!data.undo.every(isValidEntry) || !data.redo.every(isValidEntry)) return;
+
+    this.undoStack = data.undo.slice(-this.limit);
+    this.redoStack = [...data.redo];
+  }
+}
+
+export const moveHistory = new MoveHistory();
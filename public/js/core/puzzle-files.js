@@ -0,0 +1,212 @@
+/**
+ * 题目文件格式 - 读取和导出常见的纯文本题库格式
+ *
+ * - sdk: SadMan Sudoku，9 行题目（'.' 或 '0' 为空格），'#' 开头的行为说明，可以有 [Puzzle] 段
+ * - sdm: 每行一个 81 字符题目（'0' 为空格），一个文件包含多道题目
+ * - ss: Simple Sudoku，9 行题目，用 '|' 分隔宫、'-' 行分隔宫的行（'.' 或 'X' 为空格）
+ * - opensudoku: OpenSudoku XML，每道题目是一个 <game data="..."/>（'0' 为空格）
+ * @module core/puzzle-files
+ */
+
+import { boardToString, parsePuzzleString } from './puzzle-format.js';
+import { hasUniqueSolution } from './solver.js';
+import { BLOCK_SIZE, GRID_SIZE } from '../config/constants.js';
+
+/**
+ * 支持的格式（文件扩展名和导出时的 MIME 类型）
+ * @type {Object.<string, {extension: string, mimeType: string}>}
+ */
+export const PUZZLE_FILE_FORMATS = {
+  sdk: { extension: 'sdk', mimeType: 'text/plain' },
+  sdm: { extension: 'sdm', mimeType: 'text/plain' },
+  ss: { extension: 'ss', mimeType: 'text/plain' },
+  opensudoku: { extension: 'opensudoku', mimeType: 'application/xml' }
+};
+
+const EXTENSION_FORMATS = {
+  sdk: 'sdk',
+  sdm: 'sdm',
+  ss: 'ss',
+  xml: 'opensudoku',
+  opensudoku: 'opensudoku'
+};
+
+const lines = text => text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+/**
+ * 根据文件名或内容判断格式
+ * @param {string} text - 文件内容
+ * @param {string} [fileName=''] - 文件名（优先按扩展名判断）
+ * @returns {string} PUZZLE_FILE_FORMATS 中的格式名
+ */
+export function detectPuzzleFormat(text, fileName = '') {
+  const extension = fileName.toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  if (extension && EXTENSION_FORMATS[extension]) {
+    return EXTENSION_FORMATS[extension];
+  }
+
+  const content = text.trim();
+  if (content.startsWith('<')) return 'opensudoku';
+  if (content.includes('|')) return 'ss';
+  const rows = lines(content);
+  if (rows.length > 1 && rows.every(row => row.length === GRID_SIZE * GRID_SIZE)) return 'sdm';
+  return 'sdk';
+}
+
+function parseSdk(text) {
+  let rows = text.split(/\r?\n/).map(line => line.trim());
+  // 完整的 SadMan 文件把题目放在 [Puzzle] 段，之后的 [State] 等段是进度
+  const start = rows.findIndex(row => /^\[puzzle\]$/i.test(row));
+  if (start !== -1) {
+    const rest = rows.slice(start + 1);
+    const end = rest.findIndex(row => row.startsWith('['));
+    rows = end === -1 ? rest : rest.slice(0, end);
+  }
+
+  const description = rows.find(row => row.startsWith('#D'))?.slice(2).trim() || null;
+  const grid = rows.filter(row => row && !row.startsWith('#') && !row.startsWith('['));
+  return { title: description, boards: [parsePuzzleString(grid.join(''))] };
+}
+
+function parseSdm(text) {
+  return { title: null, boards: lines(text).map(row => parsePuzzleString(row)) };
+}
+
+function parseSs(text) {
+  const grid = lines(text)
+    // 分隔行可能带有 '+' 交叉点或 '*' 边角
+    .filter(row => !/^[-+*|]+$/.test(row))
+    .map(row => row.replace(/\|/g, '').replace(/[xX]/g, '.'));
+  return { title: null, boards: [parsePuzzleString(grid.join(''))] };
+}
+
+function parseOpenSudoku(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.nodeName !== 'opensudoku') {
+    return null;
+  }
+
+  // 版本 1 的集合名称在根节点的 <name>，版本 2 在 <folder name="...">
+  const name = [...doc.documentElement.children].find(node => node.nodeName === 'name')?.textContent.trim();
+  const folder = doc.getElementsByTagName('folder')[0]?.getAttribute('name');
+  const games = [...doc.getElementsByTagName('game')];
+  return {
+    title: name || folder || null,
+    boards: games.map(game => parsePuzzleString(game.getAttribute('data') ?? ''))
+  };
+}
+
+const PARSERS = {
+  sdk: parseSdk,
+  sdm: parseSdm,
+  ss: parseSs,
+  opensudoku: parseOpenSudoku
+};
+
+/**
+ * 读取题目文件（不检查唯一解，大题库读取时不做求解；显示时用 checkPuzzleFileEntries 按页检查）
+ * @param {string} text - 文件内容
+ * @param {Object} [options]
+ * @param {string} [options.fileName=''] - 文件名（用于判断格式）
+ * @param {string} [options.format] - 指定格式（默认自动判断）
+ * @returns {{ok: true, format: string, title: string|null, puzzles: Array<{puzzle: number[][], unique?: boolean}>, invalid: number}|{ok: false, reason: 'empty'|'format'|'noPuzzles'}}
+ *   puzzle 可以直接作为 gameStateManager.setGame 的 puzzle；invalid 为无法读取的题目数量
+ * @example
+ * const result = parsePuzzleFile(await file.text(), { fileName: file.name });
+ * if (result.ok) checkPuzzleFileEntries(result.puzzles, 0, 20).filter(p => p.unique);
+ */
+export function parsePuzzleFile(text, { fileName = '', format = detectPuzzleFormat(String(text ?? ''), fileName) } = {}) {
+  const content = String(text ?? '');
+  if (!content.trim()) {
+    return { ok: false, reason: 'empty' };
+  }
+
+  const parsed = PARSERS[format]?.(content);
+  if (!parsed) {
+    return { ok: false, reason: 'format' };
+  }
+
+  const valid = parsed.boards.filter(result => result.ok);
+  if (valid.length === 0) {
+    return { ok: false, reason: 'noPuzzles' };
+  }
+
+  return {
+    ok: true,
+    format,
+    title: parsed.title,
+    puzzles: valid.map(({ board }) => ({ puzzle: board })),
+    invalid: parsed.boards.length - valid.length
+  };
+}
+
+/**
+ * 检查 [start, end) 范围内的题目是否有唯一解，结果记在 entry.unique 上（已检查过的跳过）
+ * @param {Array<{puzzle: number[][], unique?: boolean}>} puzzles - parsePuzzleFile() 的 puzzles
+ * @param {number} [start=0] - 起始下标
+ * @param {number} [end=puzzles.length] - 结束下标（不含）
+ * @returns {Array<{puzzle: number[][], unique: boolean}>} 范围内的题目
+ */
+export function checkPuzzleFileEntries(puzzles, start = 0, end = puzzles.length) {
+  const entries = puzzles.slice(start, end);
+  entries.forEach((entry) => {
+    if (entry.unique === undefined) {
+      entry.unique = hasUniqueSolution(entry.puzzle);
+    }
+  });
+  return entries;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function toRows(board, blank) {
+  return board.map(row => boardToString([row], { blank }));
+}
+
+/**
+ * 把题目导出为指定格式的文件内容
+ * @param {number[][]} board - 题目
+ * @param {string} format - PUZZLE_FILE_FORMATS 中的格式名
+ * @param {Object} [options]
+ * @param {string} [options.name] - 题目名称（sdk 写入 #D，opensudoku 写入 <name>）
+ * @returns {string}
+ * @throws {Error} 不是 9x9 题目或不支持的格式
+ * @example
+ * exportPuzzle(puzzle, 'ss'); // '53.|.7.|...\n...'
+ */
+export function exportPuzzle(board, format, { name } = {}) {
+  // 这些格式都是 9x9 题库格式
+  if (board.length !== GRID_SIZE) {
+    throw new Error(`Puzzle files only support ${GRID_SIZE}x${GRID_SIZE} puzzles`);
+  }
+
+  switch (format) {
+    case 'sdk':
+      return `${name ? `#D ${name}\n` : ''}${toRows(board, '.').join('\n')}\n`;
+    case 'sdm':
+      return `${boardToString(board, { blank: '0' })}\n`;
+    case 'ss': {
+      const rows = toRows(board, '.').map(row => row.match(new RegExp(`.{${BLOCK_SIZE}}`, 'g')).join('|'));
+      const separator = '-'.repeat(GRID_SIZE + BLOCK_SIZE - 1);
+      const output = [];
+      rows.forEach((row, r) => {
+        if (r > 0 && r % BLOCK_SIZE === 0) output.push(separator);
+        output.push(row);
+      });
+      return `${output.join('\n')}\n`;
+    }
+    case 'opensudoku':
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opensudoku>',
+        ...(name ? [`  <name>${escapeXml(name)}</name>`] : []),
+        `  <game data="${boardToString(board, { blank: '0' })}"/>`,
+        '</opensudoku>',
+        ''
+      ].join('\n');
+    default:
+      throw new Error(`Unsupported puzzle format: ${format}`);
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * 题目格式 - 标准 81 字符题目串和分享链接
+ *
+ * - 题目串: 按行排列的 81 个字符，1-9 为已知数，'.' 或 '0' 为空格（忽略空白字符）；
+ *   其他尺寸为 N*N 个字符，大于 9 的数字用 A-G 表示（见 core/geometry）
+ * - 分享链接: #p=<紧凑编码>&d=<难度>&v=<变体>&s=<边长>，紧凑编码把 N*N 个格子看作一个 N+1 进制大数，
+ *   再转换为 base64url 字符（9x9 约 45 个字符）；经典数独省略 v，9x9 省略 s
+ * @module core/puzzle-format
+ */
+
+import { countSolutions, solvePuzzle } from './solver.js';
+import { gradePuzzle } from './grader.js';
+import { getDifficultyForRating } from './generator.js';
+import { DEFAULT_VARIANT, isVariantSupported } from './regions.js';
+import { DEFAULT_SIZE, formatCellValue, getGeometry, isGridSize, parseCellValue } from './geometry.js';
+import { DIFFICULTY_HOLES } from '../config/constants.js';
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const FRAGMENT_PUZZLE_KEY = 'p';
+const FRAGMENT_DIFFICULTY_KEY = 'd';
+const FRAGMENT_VARIANT_KEY = 'v';
+const FRAGMENT_SIZE_KEY = 's';
+
+/**
+ * 检查唯一解的最大边长
+ *
+ * 唯一解在主线程同步计数，没有节点上限；12x12、16x16 的输入题目可能要算几分钟，
+ * 所以手动输入和分享链接只接受到 9x9 的题目（生成的大棋盘题目本来就是唯一解）。
+ * @type {number}
+ */
+export const MAX_CHECKED_SIZE = DEFAULT_SIZE;
+
+/**
+ * 棋盘转换为 81 字符题目串（其他尺寸为 N*N 个字符）
+ * @param {number[][]} board - 棋盘（0 为空格）
+ * @param {Object} [options]
+ * @param {string} [options.blank='.'] - 空格使用的字符（'.' 或 '0'）
+ * @returns {string}
+ * @example
+ * boardToString(puzzle); // '53..7....6..195....98....6.8...6...34..8.3..17...2...6.6....28....419..5....8..79'
+ */
+export function boardToString(board, { blank = '.' } = {}) {
+  return board.flat().map(value => (value === 0 ? blank : formatCellValue(value))).join('');
+}
+
+/**
+ * 解析 81 字符题目串（其他尺寸为 N*N 个字符）
+ * @param {string} text - 题目串（可以包含换行等空白字符）
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长（超出 1-N 的符号无效）
+ * @returns {{ok: true, board: number[][]}|{ok: false, reason: 'length'|'characters'}}
+ * @example
+ * const { ok, board } = parsePuzzleString('53..7....6..195....98....6.8...6...3...');
+ * parsePuzzleString('1.3..4.1.1..3.2.', 4);
+ */
+export function parsePuzzleString(text, size = DEFAULT_SIZE) {
+  const compact = String(text ?? '').replace(/\s+/g, '');
+  if (compact.length !== getGeometry(size).cellCount) {
+    return { ok: false, reason: 'length' };
+  }
+
+  const cells = [...compact].map(char => (char === '.' || char === '0' ? 0 : parseCellValue(char, size) || null));
+  if (cells.includes(null)) {
+    return { ok: false, reason: 'characters' };
+  }
+
+  const board = [];
+  for (let r = 0; r < size; r++) {
+    board.push(cells.slice(r * size, (r + 1) * size));
+  }
+  return { ok: true, board };
+}
+
+/**
+ * 检查题目是否有唯一解（超过 MAX_CHECKED_SIZE 的棋盘不计数，直接返回 size）
+ * @param {number[][]} board - 题目
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @returns {{ok: true}|{ok: false, reason: 'size'|'noSolution'|'multipleSolutions'}}
+ */
+export function checkPuzzleSolutions(board, variant = DEFAULT_VARIANT) {
+  if (board.length > MAX_CHECKED_SIZE) return { ok: false, reason: 'size' };
+  const count = countSolutions(board, 2, variant);
+  if (count === 0) return { ok: false, reason: 'noSolution' };
+  if (count > 1) return { ok: false, reason: 'multipleSolutions' };
+  return { ok: true };
+}
+
+/**
+ * 棋盘转换为紧凑编码
+ * @param {number[][]} board - 棋盘（9x9 时与十进制 81 位数字的编码相同）
+ * @returns {string} base64url 字符串
+ */
+export function encodePuzzle(board) {
+  const base = BigInt(board.length + 1);
+  let value = 0n;
+  board.flat().forEach((cell) => {
+    value = value * base + BigInt(cell);
+  });
+  let code = '';
+  do {
+    code = BASE64URL[Number(value % 64n)] + code;
+    value /= 64n;
+  } while (value > 0n);
+  return code;
+}
+
+/**
+ * 解析紧凑编码或 81 字符题目串
+ * @param {string} code - encodePuzzle() 的结果或题目串
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {{ok: true, board: number[][]}|{ok: false, reason: string}}
+ */
+export function decodePuzzle(code, size = DEFAULT_SIZE) {
+  const { cellCount } = getGeometry(size);
+  if (code.length === cellCount) {
+    return parsePuzzleString(code, size);
+  }
+  if (!code || [...code].some(char => !BASE64URL.includes(char))) {
+    return { ok: false, reason: 'characters' };
+  }
+
+  let value = 0n;
+  [...code].forEach((char) => {
+    value = value * 64n + BigInt(BASE64URL.indexOf(char));
+  });
+
+  const base = BigInt(size + 1);
+  const cells = Array(cellCount).fill(0);
+  for (let i = cellCount - 1; i >= 0; i--) {
+    cells[i] = Number(value % base);
+    value /= base;
+  }
+  if (value > 0n) {
+    return { ok: false, reason: 'length' };
+  }
+
+  const board = [];
+  for (let r = 0; r < size; r++) {
+    board.push(cells.slice(r * size, (r + 1) * size));
+  }
+  return { ok: true, board };
+}
+
+/**
+ * 生成分享链接
+ * @param {number[][]} board - 题目
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - 难度级别（可选）
+ * @param {string} [options.variant=DEFAULT_VARIANT] - 变体（经典数独不写入链接）
+ * @param {string} [options.baseUrl] - 页面地址（默认当前页面，不含 hash）
+ * @returns {string}
+ * @example
+ * createShareLink(puzzle, { difficulty: 'hard' }); // 'https://example.com/#p=...&d=hard'
+ */
+export function createShareLink(board, { difficulty, variant = DEFAULT_VARIANT, baseUrl = window.location.href } = {}) {
+  const params = new URLSearchParams({ [FRAGMENT_PUZZLE_KEY]: encodePuzzle(board) });
+  if (difficulty) {
+    params.set(FRAGMENT_DIFFICULTY_KEY, difficulty);
+  }
+  if (variant !== DEFAULT_VARIANT) {
+    params.set(FRAGMENT_VARIANT_KEY, variant);
+  }
+  if (board.length !== DEFAULT_SIZE) {
+    params.set(FRAGMENT_SIZE_KEY, String(board.length));
+  }
+  return `${baseUrl.split('#')[0]}#${params.toString()}`;
+}
+
+/**
+ * 从 URL hash 读取分享的题目（只检查格式，唯一解由 checkPuzzleSolutions 检查）
+ * @param {string} hash - location.hash
+ * @returns {null|{ok: true, board: number[][], difficulty: string|null, variant: string, size: number}|{ok: false, reason: string}} 没有分享题目时为 null
+ */
+export function parseShareFragment(hash) {
+  const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+  const code = params.get(FRAGMENT_PUZZLE_KEY);
+  if (code === null) {
+    return null;
+  }
+
+  const sizeParam = Number(params.get(FRAGMENT_SIZE_KEY));
+  const size = isGridSize(sizeParam) ? sizeParam : DEFAULT_SIZE;
+  if (size > MAX_CHECKED_SIZE) {
+    return { ok: false, reason: 'size' };
+  }
+  const result = decodePuzzle(code.trim(), size);
+  if (!result.ok) {
+    return result;
+  }
+
+  const difficulty = params.get(FRAGMENT_DIFFICULTY_KEY);
+  const variant = params.get(FRAGMENT_VARIANT_KEY);
+  return {
+    ok: true,
+    board: result.board,
+    difficulty: difficulty && Object.hasOwn(DIFFICULTY_HOLES, difficulty) ? difficulty : null,
+    variant: isVariantSupported(variant, size) ? variant : DEFAULT_VARIANT,
+    size
+  };
+}
+
+/**
+ * 检查唯一解并准备开始游戏所需的数据（分享链接和手动输入的题目共用）
+ * @param {number[][]} board - 题目
+ * @param {string|null} [difficulty=null] - 难度级别，未指定时按评级选择
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（按变体的区域检查唯一解和评级）
+ * @returns {{ok: true, game: {puzzle: number[][], solution: number[][], difficulty: string, variant: string, size: number, rating: number, techniques: Object}}|{ok: false, reason: 'size'|'noSolution'|'multipleSolutions'}}
+ */
+export function preparePuzzleGame(board, difficulty = null, variant = DEFAULT_VARIANT) {
+  const check = checkPuzzleSolutions(board, variant);
+  if (!check.ok) {
+    return check;
+  }
+
+  const grade = gradePuzzle(board, variant);
+  return {
+    ok: true,
+    game: {
+      puzzle: board,
+      solution: solvePuzzle(board, variant),
+      difficulty: difficulty ?? getDifficultyForRating(grade.rating),
+      variant,
+      size: board.length,
+      rating: grade.rating,
+      techniques: grade.techniques
+    }
+  };
+}
+
+/**
+ * 读取 URL hash 中的分享题目，检查唯一解并准备开始游戏所需的数据
+ *
+ * 失败原因: length | characters（格式错误）、size（大于 MAX_CHECKED_SIZE）、noSolution | multipleSolutions（不是唯一解）
+ * @param {string} hash - location.hash
+ * @returns {null|ReturnType<typeof preparePuzzleGame>|{ok: false, reason: string}}
+ *   没有分享题目时为 null；难度总是按评级选择，链接里的 d 可以随意修改，不能决定成绩记在哪个难度
+ * @example
+ * const shared = readSharedPuzzle(window.location.hash);
+ * if (shared && !shared.ok) showError(t(`share.errors.${shared.reason}`));
+ */
+export function readSharedPuzzle(hash) {
+  const parsed = parseShareFragment(hash);
+  if (!parsed?.ok) {
+    return parsed;
+  }
+  return preparePuzzleGame(parsed.board, null, parsed.variant);
+}
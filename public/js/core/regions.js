@@ -0,0 +1,210 @@
+/**
+ * 约束区域 - 每种数独变体由一组区域组成，同一区域内的数字不能重复
+ *
+ * 所有变体都包含行、列、宫；变体再追加额外区域：
+ * - diagonal（X 数独）：两条主对角线
+ * - hyper（窗口数独）：四个与宫错开一格的 3x3 窗口（仅 9x9）
+ *
+ * 区域按变体和棋盘尺寸（见 core/geometry）缓存。
+ * @module core/regions
+ */
+
+import { DEFAULT_SIZE, getGeometry } from './geometry.js';
+
+/**
+ * 默认变体
+ * @type {string}
+ */
+export const DEFAULT_VARIANT = 'classic';
+
+/**
+ * 约束区域
+ * @typedef {Object} Region
+ * @property {string} type - 'row' | 'col' | 'box' | 'diagonal' | 'window'
+ * @property {number} index - 同类区域中的序号（从 0 开始）
+ * @property {Array<[number, number]>} cells - 区域内的格子
+ */
+
+function buildBaseRegions({ size, boxRows, boxCols }) {
+  const regions = [];
+
+  for (let i = 0; i < size; i++) {
+    regions.push({ type: 'row', index: i, cells: Array.from({ length: size }, (_, c) => [i, c]) });
+  }
+
+  for (let i = 0; i < size; i++) {
+    regions.push({ type: 'col', index: i, cells: Array.from({ length: size }, (_, r) => [r, i]) });
+  }
+
+  // 宫按行排列：每行 size / boxCols 个宫
+  const boxesPerRow = size / boxCols;
+  for (let i = 0; i < size; i++) {
+    const br = Math.floor(i / boxesPerRow) * boxRows;
+    const bc = (i % boxesPerRow) * boxCols;
+    const cells = [];
+    for (let r = 0; r < boxRows; r++) {
+      for (let c = 0; c < boxCols; c++) {
+        cells.push([br + r, bc + c]);
+      }
+    }
+    regions.push({ type: 'box', index: i, cells });
+  }
+
+  return regions;
+}
+
+function buildDiagonals({ size }) {
+  return [
+    { type: 'diagonal', index: 0, cells: Array.from({ length: size }, (_, i) => [i, i]) },
+    { type: 'diagonal', index: 1, cells: Array.from({ length: size }, (_, i) => [i, size - 1 - i]) }
+  ];
+}
+
+function buildWindows({ boxRows }) {
+  // 窗口左上角在 (1,1)、(1,5)、(5,1)、(5,5)
+  const starts = [1, boxRows * 2 - 1];
+  const windows = [];
+  starts.forEach((top) => {
+    starts.forEach((left) => {
+      const cells = [];
+      for (let r = 0; r < boxRows; r++) {
+        for (let c = 0; c < boxRows; c++) {
+          cells.push([top + r, left + c]);
+        }
+      }
+      windows.push({ type: 'window', index: windows.length, cells });
+    });
+  });
+  return windows;
+}
+
+/**
+ * 支持的变体及其额外区域（sizes 为可用的棋盘尺寸，缺省时所有尺寸可用）
+ * @type {Object.<string, {extraRegions: function(import('./geometry.js').Geometry): Region[], sizes?: number[]}>}
+ */
+const VARIANT_DEFINITIONS = {
+  classic: { extraRegions: () => [] },
+  diagonal: { extraRegions: buildDiagonals },
+  hyper: { extraRegions: buildWindows, sizes: [9] }
+};
+
+/**
+ * 支持的变体名称
+ * @type {string[]}
+ */
+export const VARIANTS = Object.keys(VARIANT_DEFINITIONS);
+
+/**
+ * 按变体和尺寸缓存的区域数据
+ * @type {Map<string, {regions: Region[], cellRegions: number[][], peers: Array<Array<[number, number]>>}>}
+ */
+const cache = new Map();
+
+function getVariantData(variant, size) {
+  const cacheKey = `${variant}:${size}`;
+  if (!cache.has(cacheKey)) {
+    const definition = VARIANT_DEFINITIONS[variant];
+    if (!definition) {
+      throw new Error(`Unsupported sudoku variant: ${variant}`);
+    }
+    if (definition.sizes && !definition.sizes.includes(size)) {
+      throw new Error(`Unsupported sudoku variant for ${size}x${size} grid: ${variant}`);
+    }
+
+    const geometry = getGeometry(size);
+    const regions = [...buildBaseRegions(geometry), ...definition.extraRegions(geometry)];
+    const cellRegions = Array.from({ length: geometry.cellCount }, () => []);
+    regions.forEach((region, index) => {
+      region.cells.forEach(([r, c]) => cellRegions[r * size + c].push(index));
+    });
+
+    const peers = cellRegions.map((indexes, cell) => {
+      const seen = new Set([cell]);
+      const list = [];
+      indexes.forEach((index) => {
+        regions[index].cells.forEach(([r, c]) => {
+          const key = r * size + c;
+          if (!seen.has(key)) {
+            seen.add(key);
+            list.push([r, c]);
+          }
+        });
+      });
+      return list;
+    });
+
+    cache.set(cacheKey, { regions, cellRegions, peers });
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * 检查是否为支持的变体
+ * @param {*} variant - 变体名称
+ * @returns {boolean}
+ */
+export function isVariant(variant) {
+  return Object.hasOwn(VARIANT_DEFINITIONS, variant);
+}
+
+/**
+ * 检查变体能否用于指定尺寸的棋盘
+ * @param {string} variant - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {boolean}
+ * @example
+ * isVariantSupported('hyper', 6); // false
+ */
+export function isVariantSupported(variant, size = DEFAULT_SIZE) {
+  if (!isVariant(variant)) return false;
+  const { sizes } = VARIANT_DEFINITIONS[variant];
+  return !sizes || sizes.includes(size);
+}
+
+/**
+ * 获取变体的全部约束区域（先行、列、宫，再额外区域）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {Region[]} 区域列表（缓存的同一数组，调用方不要修改）
+ * @throws {Error} 不支持的变体或尺寸
+ * @example
+ * getRegions('diagonal').length; // 29
+ * getRegions('classic', 6).length; // 18
+ */
+export function getRegions(variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  return getVariantData(variant, size).regions;
+}
+
+/**
+ * 获取每个格子所属区域在 getRegions() 中的序号
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {number[][]} 按 r * size + c 排列
+ */
+export function getCellRegions(variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  return getVariantData(variant, size).cellRegions;
+}
+
+/**
+ * 获取与指定格子共享区域的所有格子（不含自身）
+ * @param {number} r - 行索引
+ * @param {number} c - 列索引
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {Array<[number, number]>} 相关格子（缓存的同一数组，调用方不要修改）
+ * @example
+ * getPeers(4, 4, 'diagonal').length; // 32
+ */
+export function getPeers(r, c, variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  return getVariantData(variant, size).peers[r * size + c];
+}
+
+/**
+ * 获取变体在行、列、宫之外追加的区域（用于棋盘样式）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {Region[]}
+ */
+export function getExtraRegions(variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  return getRegions(variant, size).slice(size * 3);
+}
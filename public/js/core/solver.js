@@ -1,32 +1,144 @@
 /**
  * 数独求解器 - 解题和唯一性验证
+ * 使用每个约束区域（行/列/宫及变体的额外区域）的位掩码 + 最少候选优先的回溯搜索
+ * 棋盘尺寸取自 board.length（见 core/geometry）
  * @module core/solver
  */
 
 import { cloneBoard, isValidPlacement } from './sudoku-engine.js';
-import { GRID_SIZE } from '../config/constants.js';
+import { DEFAULT_VARIANT, getCellRegions, getRegions } from './regions.js';
+import { shuffle } from '../utils/random.js';
 
 /**
- * 查找棋盘中第一个空格
+ * 挖空时单次唯一解检查最多搜索的节点数（超过时保留该格，避免大棋盘上个别检查耗时过长）
+ * @type {number}
+ */
+const DIG_SEARCH_LIMIT = 20000;
+
+/**
+ * 计算位掩码中置位的数量
+ * @param {number} mask - 位掩码
+ * @returns {number} 置位数量
+ */
+function popcount(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * 格子所在各区域已用数字的并集
+ * @param {number[]} masks - 每个区域的位掩码
+ * @param {number[]} regionIndexes - 格子所属区域
+ * @returns {number} 位掩码
+ */
+function usedDigits(masks, regionIndexes) {
+  let used = 0;
+  for (const index of regionIndexes) {
+    used |= masks[index];
+  }
+  return used;
+}
+
+/**
+ * 根据棋盘创建位掩码求解状态
  * @param {number[][]} board - 棋盘
- * @returns {[number, number]|null} 空格位置 [row, col] 或 null
+ * @param {string} variant - 变体
+ * @returns {{board: number[][], size: number, allDigits: number, masks: number[], cellRegions: number[][], empties: Array<[number, number]>, nodes: number}|null}
+ *   求解状态（allDigits 为全部数字的位掩码，第 n-1 位表示数字 n；nodes 为已访问的搜索节点数），已填数字互相冲突时返回 null
  */
-function findEmpty(board) {
-  for (let i = 0; i < GRID_SIZE; i++) {
-    for (let j = 0; j < GRID_SIZE; j++) {
-      if (board[i][j] === 0) {
-        return [i, j];
+function createSolverState(board, variant) {
+  const size = board.length;
+  const b = cloneBoard(board);
+  const masks = Array(getRegions(variant, size).length).fill(0);
+  const cellRegions = getCellRegions(variant, size);
+  const empties = [];
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const value = b[r][c];
+      if (value === 0) {
+        empties.push([r, c]);
+        continue;
       }
+
+      const bit = 1 << (value - 1);
+      const regionIndexes = cellRegions[r * size + c];
+      if (usedDigits(masks, regionIndexes) & bit) {
+        return null;
+      }
+      regionIndexes.forEach((index) => {
+        masks[index] |= bit;
+      });
     }
   }
-  return null;
+
+  return { board: b, size, allDigits: (1 << size) - 1, masks, cellRegions, empties, nodes: 0 };
+}
+
+/**
+ * 位掩码回溯搜索（每步选择候选数最少的空格）
+ * @param {Object} state - createSolverState 返回的状态（每个节点 state.nodes 加一，设置 state.budget 时超过后停止搜索）
+ * @param {Function} onSolution - 找到解时调用，返回 true 表示停止搜索
+ * @returns {boolean} 是否已停止搜索
+ */
+function search(state, onSolution) {
+  state.nodes++;
+  if (state.budget !== undefined && state.nodes > state.budget) return true;
+
+  const { board, size, allDigits, masks, cellRegions, empties } = state;
+  let bestCell = null;
+  let bestMask = 0;
+  let bestCount = size + 1;
+
+  for (const cell of empties) {
+    const [r, c] = cell;
+    if (board[r][c] !== 0) continue;
+
+    const mask = ~usedDigits(masks, cellRegions[r * size + c]) & allDigits;
+    const count = popcount(mask);
+    if (count === 0) return false; // 死路
+    if (count < bestCount) {
+      bestCell = cell;
+      bestMask = mask;
+      bestCount = count;
+      if (count === 1) break;
+    }
+  }
+
+  if (!bestCell) {
+    return onSolution(board);
+  }
+
+  const [r, c] = bestCell;
+  const regionIndexes = cellRegions[r * size + c];
+  let mask = bestMask;
+
+  while (mask) {
+    const bit = mask & -mask;
+    mask ^= bit;
+
+    board[r][c] = 32 - Math.clz32(bit);
+    for (const index of regionIndexes) masks[index] |= bit;
+
+    if (search(state, onSolution)) return true;
+
+    board[r][c] = 0;
+    for (const index of regionIndexes) masks[index] &= ~bit;
+  }
+
+  return false;
 }
 
 /**
  * 计算题目的解的数量（用于验证唯一性）
  * @param {number[][]} board - 要求解的棋盘
  * @param {number} [limit=2] - 最大计数限制（超过限制提前停止）
- * @returns {number} 解的数量
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（见 core/regions）
+ * @returns {number} 解的数量（已填数字互相冲突时为 0）
  * @example
  * const count = countSolutions(puzzle, 2);
  * if (count === 1) {
@@ -35,54 +147,55 @@ function findEmpty(board) {
  *   console.log('有多解');
  * }
  */
-export function countSolutions(board, limit = 2) {
-  const b = cloneBoard(board);
-  let count = 0;
-
-  /**
-   * 回溯算法计数解
-   */
-  function backtrack() {
-    if (count >= limit) return;
-
-    const pos = findEmpty(b);
-    if (!pos) {
-      count++;
-      return;
-    }
+export function countSolutions(board, limit = 2, variant = DEFAULT_VARIANT) {
+  const state = createSolverState(board, variant);
+  if (!state) return 0;
 
-    const [r, c] = pos;
-    for (let n = 1; n <= 9; n++) {
-      if (isValidPlacement(b, r, c, n)) {
-        b[r][c] = n;
-        backtrack();
-        b[r][c] = 0;
+  let count = 0;
+  search(state, () => {
+    count++;
+    return count >= limit;
+  });
+  return count;
+}
 
-        if (count >= limit) return;
-      }
-    }
-  }
+/**
+ * 统计 countSolutions 在题目上访问的搜索节点数（与机器速度无关的求解开销，用于基准比较）
+ * @param {number[][]} board - 棋盘
+ * @param {number} [limit=2] - 最大计数限制
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @returns {number} 搜索节点数（已填数字互相冲突时为 0）
+ */
+export function countSearchNodes(board, limit = 2, variant = DEFAULT_VARIANT) {
+  const state = createSolverState(board, variant);
+  if (!state) return 0;
 
-  backtrack();
-  return count;
+  let count = 0;
+  search(state, () => {
+    count++;
+    return count >= limit;
+  });
+  return state.nodes;
 }
 
 /**
  * 检查题目是否有唯一解
  * @param {number[][]} board - 要检查的棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {boolean} 是否有唯一解
  * @example
  * if (hasUniqueSolution(puzzle)) {
  *   console.log('题目有唯一解');
  * }
  */
-export function hasUniqueSolution(board) {
-  return countSolutions(board, 2) === 1;
+export function hasUniqueSolution(board, variant = DEFAULT_VARIANT) {
+  return countSolutions(board, 2, variant) === 1;
 }
 
 /**
  * 求解数独题目（返回一个解）
  * @param {number[][]} board - 要求解的棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {number[][]|null} 解答棋盘，无解返回 null
  * @example
  * const solution = solvePuzzle(puzzle);
@@ -90,31 +203,12 @@ export function hasUniqueSolution(board) {
  *   console.log('找到解答');
  * }
  */
-export function solvePuzzle(board) {
-  const b = cloneBoard(board);
-
-  /**
-   * 回溯算法求解
-   * @returns {boolean} 是否成功
-   */
-  function backtrack() {
-    const pos = findEmpty(b);
-    if (!pos) return true; // 已填满，找到解
-
-    const [r, c] = pos;
-    for (let n = 1; n <= 9; n++) {
-      if (isValidPlacement(b, r, c, n)) {
-        b[r][c] = n;
-        if (backtrack()) return true;
-        b[r][c] = 0;
-      }
-    }
-
-    return false;
-  }
+export function solvePuzzle(board, variant = DEFAULT_VARIANT) {
+  const state = createSolverState(board, variant);
+  if (!state) return null;
 
-  const solved = backtrack();
-  return solved ? b : null;
+  const solved = search(state, () => true);
+  return solved ? state.board : null;
 }
 
 /**
@@ -128,10 +222,10 @@ export function solvePuzzle(board) {
  * }
  */
 export function validateAnswer(userBoard, solutionBoard) {
-  if (!userBoard || !solutionBoard) return false;
+  if (!userBoard || !solutionBoard || userBoard.length !== solutionBoard.length) return false;
 
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < solutionBoard.length; r++) {
+    for (let c = 0; c < solutionBoard.length; c++) {
       if (userBoard[r][c] !== solutionBoard[r][c]) {
         return false;
       }
@@ -141,28 +235,46 @@ export function validateAnswer(userBoard, solutionBoard) {
   return true;
 }
 
+/**
+ * 在搜索节点上限内确认题目有唯一解
+ * @param {number[][]} board - 棋盘
+ * @param {string} variant - 变体
+ * @returns {boolean} 确认有唯一解时为 true（超出上限为 false）
+ */
+function isUniqueWithinLimit(board, variant) {
+  const state = createSolverState(board, variant);
+  if (!state) return false;
+
+  state.budget = DIG_SEARCH_LIMIT;
+  let count = 0;
+  search(state, () => {
+    count++;
+    return count >= 2;
+  });
+  return count === 1 && state.nodes <= state.budget;
+}
+
 /**
  * 从完整解挖空并验证唯一性（改进版的挖空算法）
  * @param {number[][]} solBoard - 完整解
  * @param {number} holesTarget - 目标空格数量
+ * @param {function(): number} [random=Math.random] - 随机数来源（传入种子随机数可复现结果）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（按变体的区域检查唯一解）
  * @returns {number[][]} 挖空后的题目
  */
-export function digHolesWithValidation(solBoard, holesTarget) {
+export function digHolesWithValidation(solBoard, holesTarget, random = Math.random, variant = DEFAULT_VARIANT) {
   const board = cloneBoard(solBoard);
   const positions = [];
 
   // 收集所有位置
-  for (let i = 0; i < GRID_SIZE; i++) {
-    for (let j = 0; j < GRID_SIZE; j++) {
+  for (let i = 0; i < board.length; i++) {
+    for (let j = 0; j < board.length; j++) {
       positions.push([i, j]);
     }
   }
 
-  // Fisher-Yates 洗牌
-  for (let i = positions.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [positions[i], positions[j]] = [positions[j], positions[i]];
-  }
+  // 随机打乱位置
+  shuffle(positions, random);
 
   let holes = 0;
 
@@ -174,9 +286,8 @@ export function digHolesWithValidation(solBoard, holesTarget) {
     const backup = board[r][c];
     board[r][c] = 0;
 
-    // 检查是否仍然有唯一解
-    const solutions = countSolutions(board, 2);
-    if (solutions !== 1) {
+    // 检查是否仍然有唯一解（搜索超出上限时按无法确认处理）
+    if (!isUniqueWithinLimit(board, variant)) {
       // 恢复，不挖这个格子
       board[r][c] = backup;
     } else {
@@ -190,21 +301,22 @@ export function digHolesWithValidation(solBoard, holesTarget) {
 /**
  * 检查棋盘状态是否有效（所有已填数字都不冲突）
  * @param {number[][]} board - 棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {boolean} 是否有效
  * @example
  * if (isBoardValid(board)) {
  *   console.log('当前棋盘状态有效');
  * }
  */
-export function isBoardValid(board) {
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+export function isBoardValid(board, variant = DEFAULT_VARIANT) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
       const value = board[r][c];
       if (value === 0) continue;
 
       // 临时移除当前值，检查是否可以放置
       board[r][c] = 0;
-      const valid = isValidPlacement(board, r, c, value);
+      const valid = isValidPlacement(board, r, c, value, variant);
       board[r][c] = value;
 
       if (!valid) {
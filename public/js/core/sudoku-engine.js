@@ -3,17 +3,21 @@
  * @module core/sudoku-engine
  */
 
-import { GRID_SIZE, BLOCK_SIZE } from '../config/constants.js';
+import { shuffle } from '../utils/random.js';
+import { DEFAULT_VARIANT, getPeers } from './regions.js';
+import { DEFAULT_SIZE, getGeometry } from './geometry.js';
 
 /**
  * 创建空棋盘
- * @returns {number[][]} 9x9 的空棋盘（全部填 0）
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {number[][]} size x size 的空棋盘（全部填 0）
  * @example
  * const board = createEmptyBoard();
  * // [[0,0,0,...], [0,0,0,...], ...]
+ * const kids = createEmptyBoard(4);
  */
-export function createEmptyBoard() {
-  return Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(0));
+export function createEmptyBoard(size = DEFAULT_SIZE) {
+  return Array.from({ length: size }, () => Array(size).fill(0));
 }
 
 /**
@@ -27,88 +31,58 @@ export function cloneBoard(board) {
   return board.map(row => row.slice());
 }
 
-/**
- * Fisher-Yates 洗牌算法
- * @param {Array} array - 要打乱的数组
- */
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-}
-
 /**
  * 检查在指定位置放置数字是否合法
  * @param {number[][]} board - 棋盘
- * @param {number} r - 行索引 (0-8)
- * @param {number} c - 列索引 (0-8)
- * @param {number} value - 要放置的数字 (1-9)，0 表示空格
+ * @param {number} r - 行索引
+ * @param {number} c - 列索引
+ * @param {number} value - 要放置的数字 (1-N)，0 表示空格
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（决定除行、列、宫之外还要检查哪些区域，见 core/regions）
  * @returns {boolean} 是否合法
  * @example
  * if (isValidPlacement(board, 0, 0, 5)) {
  *   board[0][0] = 5;
  * }
  */
-export function isValidPlacement(board, r, c, value) {
+export function isValidPlacement(board, r, c, value, variant = DEFAULT_VARIANT) {
   if (value === 0) return true;
 
-  // 检查行
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (i !== c && board[r][i] === value) {
-      return false;
-    }
-  }
-
-  // 检查列
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (i !== r && board[i][c] === value) {
-      return false;
-    }
-  }
-
-  // 检查 3x3 宫格
-  const br = Math.floor(r / BLOCK_SIZE) * BLOCK_SIZE;
-  const bc = Math.floor(c / BLOCK_SIZE) * BLOCK_SIZE;
-  for (let i = 0; i < BLOCK_SIZE; i++) {
-    for (let j = 0; j < BLOCK_SIZE; j++) {
-      const rr = br + i;
-      const cc = bc + j;
-      if ((rr !== r || cc !== c) && board[rr][cc] === value) {
-        return false;
-      }
-    }
-  }
-
-  return true;
+  return getPeers(r, c, variant, board.length).every(([pr, pc]) => board[pr][pc] !== value);
 }
 
 /**
  * 生成完整的数独解（使用回溯算法）
- * @returns {number[][]} 完整的 9x9 数独解
+ * @param {function(): number} [random=Math.random] - 随机数来源（传入种子随机数可复现结果）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {number[][]} 完整的数独解
  * @throws {Error} 如果生成失败
  * @example
  * const solution = generateFullBoard();
+ * const seeded = generateFullBoard(createRandom('abc123'));
+ * const diagonal = generateFullBoard(Math.random, 'diagonal');
+ * const large = generateFullBoard(Math.random, 'classic', 16);
  */
-export function generateFullBoard() {
-  const board = createEmptyBoard();
-  const nums = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+export function generateFullBoard(random = Math.random, variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  const { cellCount } = getGeometry(size);
+  const board = createEmptyBoard(size);
+  const nums = Array.from({ length: size }, (_, i) => i + 1);
 
   /**
    * 回溯算法填充棋盘
-   * @param {number} pos - 当前位置 (0-80)
+   * @param {number} pos - 当前位置 (0 到 cellCount - 1)
    * @returns {boolean} 是否成功
    */
   function backtrack(pos = 0) {
-    if (pos === 81) return true;
+    if (pos === cellCount) return true;
 
-    const r = Math.floor(pos / 9);
-    const c = pos % 9;
+    const r = Math.floor(pos / size);
+    const c = pos % size;
 
     // 随机顺序尝试数字
-    shuffle(nums);
+    shuffle(nums, random);
     for (const n of nums) {
-      if (isValidPlacement(board, r, c, n)) {
+      if (isValidPlacement(board, r, c, n, variant)) {
         board[r][c] = n;
         if (backtrack(pos + 1)) return true;
         board[r][c] = 0;
@@ -118,7 +92,34 @@ export function generateFullBoard() {
     return false;
   }
 
-  const success = backtrack();
+  /**
+   * 变体的额外区域和大棋盘让按顺序填充频繁走进死路，改为每步填候选最少的格子
+   * @returns {boolean} 是否成功
+   */
+  function fillMostConstrained() {
+    let best = null;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (board[r][c] !== 0) continue;
+        const candidates = nums.filter(n => isValidPlacement(board, r, c, n, variant));
+        if (candidates.length === 0) return false;
+        if (!best || candidates.length < best.candidates.length) {
+          best = { r, c, candidates };
+        }
+      }
+    }
+    if (!best) return true;
+
+    for (const n of shuffle(best.candidates, random)) {
+      board[best.r][best.c] = n;
+      if (fillMostConstrained()) return true;
+    }
+    board[best.r][best.c] = 0;
+    return false;
+  }
+
+  // 经典 9x9 数独保持按顺序填充，已有种子生成的题目不变
+  const success = variant === DEFAULT_VARIANT && size === DEFAULT_SIZE ? backtrack() : fillMostConstrained();
   if (!success) {
     throw new Error('Failed to generate full board');
   }
@@ -130,14 +131,15 @@ export function generateFullBoard() {
  * 从完整解挖空生成题目（确保唯一解）
  * @param {number[][]} solBoard - 完整的数独解
  * @param {number} holesTarget - 目标空格数量
+ * @param {function(): number} [random=Math.random] - 随机数来源
  * @returns {number[][]} 挖空后的题目
  * @throws {Error} 如果输入的棋盘无效
  * @example
  * const solution = generateFullBoard();
  * const puzzle = digHolesFromSolution(solution, 46);
  */
-export function digHolesFromSolution(solBoard, holesTarget) {
-  if (!solBoard || solBoard.length !== GRID_SIZE) {
+export function digHolesFromSolution(solBoard, holesTarget, random = Math.random) {
+  if (!solBoard || solBoard.length !== solBoard[0]?.length) {
     throw new Error('Invalid solution board');
   }
 
@@ -145,14 +147,14 @@ export function digHolesFromSolution(solBoard, holesTarget) {
   const positions = [];
 
   // 收集所有位置
-  for (let i = 0; i < GRID_SIZE; i++) {
-    for (let j = 0; j < GRID_SIZE; j++) {
+  for (let i = 0; i < board.length; i++) {
+    for (let j = 0; j < board.length; j++) {
       positions.push([i, j]);
     }
   }
 
   // 随机打乱位置
-  shuffle(positions);
+  shuffle(positions, random);
 
   let holes = 0;
 
@@ -187,8 +189,8 @@ export function digHolesFromSolution(solBoard, holesTarget) {
  * }
  */
 export function isBoardFull(board) {
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
       if (board[r][c] === 0) {
         return false;
       }
@@ -201,14 +203,16 @@ export function isBoardFull(board) {
  * 获取指定单元格所在的宫格索引
  * @param {number} r - 行索引
  * @param {number} c - 列索引
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长（决定宫格形状）
  * @returns {{blockRow: number, blockCol: number}} 宫格索引
  * @example
  * const {blockRow, blockCol} = getBlockIndex(4, 5);
  * // blockRow = 1, blockCol = 1
  */
-export function getBlockIndex(r, c) {
+export function getBlockIndex(r, c, size = DEFAULT_SIZE) {
+  const { boxRows, boxCols } = getGeometry(size);
   return {
-    blockRow: Math.floor(r / BLOCK_SIZE),
-    blockCol: Math.floor(c / BLOCK_SIZE)
+    blockRow: Math.floor(r / boxRows),
+    blockCol: Math.floor(c / boxCols)
   };
 }
@@ -1,9 +1,10 @@
 /**
- * 数独验证器 - 冲突检测和完整性检查
+ * 数独验证器 - 冲突检测和完整性检查（棋盘尺寸取自 board.length）
  * @module core/validator
  */
 
-import { GRID_SIZE, BLOCK_SIZE } from '../config/constants.js';
+import { DEFAULT_VARIANT, getPeers } from './regions.js';
+import { DEFAULT_SIZE } from './geometry.js';
 
 // 获取全局i18n实例
 const getI18n = () => window.i18n;
@@ -11,6 +12,7 @@ const getI18n = () => window.i18n;
 /**
  * 检测棋盘中的冲突单元格
  * @param {number[][]} board - 要检测的棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（同一约束区域内的重复数字视为冲突，见 core/regions）
  * @returns {{hasConflicts: boolean, conflicts: Set<string>}} 冲突信息
  * @example
  * const {hasConflicts, conflicts} = detectConflicts(board);
@@ -18,43 +20,21 @@ const getI18n = () => window.i18n;
  *   console.log('Found conflicts:', conflicts);
  * }
  */
-export function detectConflicts(board) {
+export function detectConflicts(board, variant = DEFAULT_VARIANT) {
   const conflicts = new Set();
+  const size = board.length;
 
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       const value = board[r][c];
       if (!value) continue;
 
-      // 检查行冲突
-      for (let i = 0; i < GRID_SIZE; i++) {
-        if (i !== c && board[r][i] === value) {
+      getPeers(r, c, variant, size).forEach(([pr, pc]) => {
+        if (board[pr][pc] === value) {
           conflicts.add(`${r},${c}`);
-          conflicts.add(`${r},${i}`);
+          conflicts.add(`${pr},${pc}`);
         }
-      }
-
-      // 检查列冲突
-      for (let i = 0; i < GRID_SIZE; i++) {
-        if (i !== r && board[i][c] === value) {
-          conflicts.add(`${r},${c}`);
-          conflicts.add(`${i},${c}`);
-        }
-      }
-
-      // 检查 3x3 宫格冲突
-      const br = Math.floor(r / BLOCK_SIZE) * BLOCK_SIZE;
-      const bc = Math.floor(c / BLOCK_SIZE) * BLOCK_SIZE;
-      for (let i = 0; i < BLOCK_SIZE; i++) {
-        for (let j = 0; j < BLOCK_SIZE; j++) {
-          const rr = br + i;
-          const cc = bc + j;
-          if ((rr !== r || cc !== c) && board[rr][cc] === value) {
-            conflicts.add(`${r},${c}`);
-            conflicts.add(`${rr},${cc}`);
-          }
-        }
-      }
+      });
     }
   }
 
@@ -67,16 +47,17 @@ export function detectConflicts(board) {
 /**
  * 检查棋盘是否已完成（全部填满且无冲突）
  * @param {number[][]} board - 棋盘
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {boolean} 是否完成
  * @example
  * if (isComplete(board)) {
  *   console.log('Game completed!');
  * }
  */
-export function isComplete(board) {
+export function isComplete(board, variant = DEFAULT_VARIANT) {
   // 检查是否全部填满
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
       if (board[r][c] === 0) {
         return false;
       }
@@ -84,7 +65,7 @@ export function isComplete(board) {
   }
 
   // 检查是否有冲突
-  const { hasConflicts } = detectConflicts(board);
+  const { hasConflicts } = detectConflicts(board, variant);
   return !hasConflicts;
 }
 
@@ -92,6 +73,7 @@ export function isComplete(board) {
  * 验证用户解答是否正确
  * @param {number[][]} userBoard - 用户填写的棋盘
  * @param {number[][]} solutionBoard - 标准解答
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {{isCorrect: boolean, errors: string[]}} 验证结果
  * @example
  * const {isCorrect, errors} = validateSolution(userBoard, solution);
@@ -99,12 +81,12 @@ export function isComplete(board) {
  *   console.log('Errors:', errors);
  * }
  */
-export function validateSolution(userBoard, solutionBoard) {
+export function validateSolution(userBoard, solutionBoard, variant = DEFAULT_VARIANT) {
   const errors = [];
 
   // 检查是否全部填满
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < userBoard.length; r++) {
+    for (let c = 0; c < userBoard.length; c++) {
       if (userBoard[r][c] === 0) {
         errors.push(getI18n().t('errors.emptyCells'));
         return { isCorrect: false, errors };
@@ -113,7 +95,7 @@ export function validateSolution(userBoard, solutionBoard) {
   }
 
   // 检查冲突
-  const { hasConflicts, conflicts } = detectConflicts(userBoard);
+  const { hasConflicts, conflicts } = detectConflicts(userBoard, variant);
   if (hasConflicts) {
     errors.push(getI18n().t('errors.conflicts', { count: conflicts.size }));
     return { isCorrect: false, errors };
@@ -121,9 +103,9 @@ export function validateSolution(userBoard, solutionBoard) {
 
   // 与标准解答比对
   if (solutionBoard) {
-    for (let r = 0; r < GRID_SIZE; r++) {
-      for (let c = 0; c < GRID_SIZE; c++) {
-        if (userBoard[r][c] !== solutionBoard[r][c]) {
+    for (let r = 0; r < solutionBoard.length; r++) {
+      for (let c = 0; c < solutionBoard.length; c++) {
+        if (userBoard[r]?.[c] !== solutionBoard[r][c]) {
           errors.push(getI18n().t('errors.incorrectAnswer'));
           return { isCorrect: false, errors };
         }
@@ -135,49 +117,18 @@ export function validateSolution(userBoard, solutionBoard) {
 }
 
 /**
- * 获取指定单元格相关的所有单元格（同行、同列、同宫格）
+ * 获取指定单元格相关的所有单元格（同行、同列、同宫格，以及变体的额外区域）
  * @param {number} r - 行索引
  * @param {number} c - 列索引
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
  * @returns {Array<[number, number]>} 相关单元格位置列表
  * @example
  * const related = getRelatedCells(4, 4);
  * // 返回所有与 (4,4) 相关的单元格坐标
  */
-export function getRelatedCells(r, c) {
-  const related = [];
-
-  // 同行
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (i !== c) {
-      related.push([r, i]);
-    }
-  }
-
-  // 同列
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (i !== r) {
-      related.push([i, c]);
-    }
-  }
-
-  // 同宫格
-  const br = Math.floor(r / BLOCK_SIZE) * BLOCK_SIZE;
-  const bc = Math.floor(c / BLOCK_SIZE) * BLOCK_SIZE;
-  for (let i = 0; i < BLOCK_SIZE; i++) {
-    for (let j = 0; j < BLOCK_SIZE; j++) {
-      const rr = br + i;
-      const cc = bc + j;
-      if (rr !== r || cc !== c) {
-        // 避免重复添加
-        const exists = related.some(([er, ec]) => er === rr && ec === cc);
-        if (!exists) {
-          related.push([rr, cc]);
-        }
-      }
-    }
-  }
-
-  return related;
+export function getRelatedCells(r, c, variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  return getPeers(r, c, variant, size).map(([pr, pc]) => [pr, pc]);
 }
 
 /**
@@ -185,47 +136,23 @@ export function getRelatedCells(r, c) {
  * @param {number[][]} board - 棋盘
  * @param {number} r - 行索引
  * @param {number} c - 列索引
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {number[]} 可选数字列表
  * @example
  * const candidates = getCandidates(board, 0, 0);
  * console.log('Possible values:', candidates);
  */
-export function getCandidates(board, r, c) {
+export function getCandidates(board, r, c, variant = DEFAULT_VARIANT) {
   if (board[r][c] !== 0) {
     return []; // 已有数字，无候选
   }
 
-  const used = new Set();
-
-  // 收集行中的数字
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (board[r][i] !== 0) {
-      used.add(board[r][i]);
-    }
-  }
-
-  // 收集列中的数字
-  for (let i = 0; i < GRID_SIZE; i++) {
-    if (board[i][c] !== 0) {
-      used.add(board[i][c]);
-    }
-  }
-
-  // 收集宫格中的数字
-  const br = Math.floor(r / BLOCK_SIZE) * BLOCK_SIZE;
-  const bc = Math.floor(c / BLOCK_SIZE) * BLOCK_SIZE;
-  for (let i = 0; i < BLOCK_SIZE; i++) {
-    for (let j = 0; j < BLOCK_SIZE; j++) {
-      const value = board[br + i][bc + j];
-      if (value !== 0) {
-        used.add(value);
-      }
-    }
-  }
+  // 收集相关格子中的数字
+  const used = new Set(getPeers(r, c, variant, board.length).map(([pr, pc]) => board[pr][pc]));
 
   // 返回未使用的数字
   const candidates = [];
-  for (let n = 1; n <= 9; n++) {
+  for (let n = 1; n <= board.length; n++) {
     if (!used.has(n)) {
       candidates.push(n);
     }
@@ -239,16 +166,17 @@ export function getCandidates(board, r, c) {
  * @param {number[][]} board - 棋盘
  * @param {number} r - 行索引
  * @param {number} c - 列索引
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
  * @returns {boolean} 是否有错误
  * @example
  * if (isCellInvalid(board, 0, 0)) {
  *   console.log('Cell has conflict');
  * }
  */
-export function isCellInvalid(board, r, c) {
+export function isCellInvalid(board, r, c, variant = DEFAULT_VARIANT) {
   const value = board[r][c];
   if (value === 0) return false;
 
-  const { conflicts } = detectConflicts(board);
+  const { conflicts } = detectConflicts(board, variant);
   return conflicts.has(`${r},${c}`);
 }
@@ -4,39 +4,63 @@
  */
 
 // 核心模块
-import { generateFullBoard } from './core/sudoku-engine.js';
-import { digHolesWithValidation } from './core/solver.js';
+import { requestPuzzle, cancelGeneration } from './core/generator-client.js';
 import { validateSolution } from './core/validator.js';
 import { gameStateManager } from './core/game-state-manager.js';
+import { moveHistory } from './core/move-history.js';
+import { findHint } from './core/hint.js';
+import { readSharedPuzzle, createShareLink, boardToString, preparePuzzleGame, MAX_CHECKED_SIZE } from './core/puzzle-format.js';
+import { DEFAULT_VARIANT } from './core/regions.js';
+import { DEFAULT_SIZE } from './core/geometry.js';
 
 // UI 模块
-import { initBoardRenderer, renderBoard, readUserBoard, cleanupBoardRenderer } from './ui/board-renderer.js';
+import { initBoardRenderer, renderBoard, readUserBoard, cleanupBoardRenderer, getNotes, setNotesMode, isNotesMode, setCellState, getCellState, setBoardVariant, getBoardVariant } from './ui/board-renderer.js';
 import { initTimer, startTimer, startTimerWithElapsed, stopTimer, resetTimer, pauseTimer, resumeTimer, getElapsedTime, setTimerDisplay, updatePauseButton, setElapsedTime } from './ui/timer.js';
-import { showSuccess, showError, showWarning, showToast } from './ui/toast.js';
-import { initializeControls, getDifficulty, setLoading, disableControls, enableControls, setDifficulty } from './ui/controls.js';
+import { showSuccess, showError, showWarning, showToast, showInfo } from './ui/toast.js';
+import { initializeControls, getDifficulty, setLoading, disableControls, enableControls, setDifficulty, updateNotesButton, updateHistoryButtons, getGameMode, setGameMode, getVariant, setVariant, getGridSize, setGridSize, updateSyncBadge, updateSeedDisplay, confirmContinueRemoteGame, confirmShelveGame } from './ui/controls.js';
 import { initPauseOverlay, showPauseOverlay as showPauseOverlayDirect, hidePauseOverlay } from './ui/pause-overlay.js';
 import { renderRecordsList } from './ui/records.js';
+import { formatHintMessage, showHintHighlight, clearHintHighlight } from './ui/hints.js';
+import { initLeaderboard, rerenderLeaderboard } from './ui/leaderboard.js';
+import { initSaveSlots, refreshSaveSlots, getSlotName } from './ui/save-slots.js';
+import { initRecordsBackup } from './ui/records-backup.js';
+import { initStats, refreshStats } from './ui/stats.js';
+import { initHistory, refreshHistory } from './ui/history.js';
+import { initPuzzleEntry, startPuzzleEntry, stopPuzzleEntry, refreshPuzzleEntry, isPuzzleEntryActive } from './ui/puzzle-entry.js';
+import { initPuzzleFiles, downloadPuzzleFile } from './ui/puzzle-files.js';
+import { initPacks, refreshPacks, findNextPackPuzzle } from './ui/packs.js';
 
 // 存储模块
-import { saveRecord, loadRecords, getAllStats, clearRecords } from './storage/local-storage.js';
+import { initRecordsStorage, saveRecord, getAllStats, clearRecords, markRecordsAsSynced } from './storage/local-storage.js';
 import { initSyncModule, uploadRecordOnComplete } from './storage/supabase-sync.js';
-import { saveGameState, loadGameState, clearGameState } from './storage/game-state.js';
+import { saveGameState, loadGameState, clearGameState, isGameStateExpired } from './storage/game-state.js';
+import { saveDailyRecord, getDailyResults } from './storage/daily-records.js';
+import { saveCustomRecord, getCustomRecordsSummary } from './storage/custom-records.js';
+import { saveVariantRecord, getVariantRecordsSummary } from './storage/variant-records.js';
+import { recordPackSolve, loadPackProgress, setLastPack } from './storage/pack-progress.js';
+import { recordGameStarted, recordGameFinished, clearStartedGames } from './storage/started-games.js';
+import { cloudGameStateAdapter, chooseSavedGame } from './storage/cloud-game-state.js';
+import { saveToSlot, loadSlot, deleteSlot, listSaveSlots, createManualSlotId, getDifficultySlotId, getGameProgress } from './storage/save-slots.js';
 
 // 认证模块
 import { initAuth } from './auth/auth-handler.js';
 
 // 工具模块
 import { on, emit, setGlobalState, getGlobalState } from './utils/event-bus.js';
-import { formatTime } from './utils/helpers.js';
+import { formatTime, getUtcDate } from './utils/helpers.js';
+import { isValidSeed } from './utils/random.js';
 import { createListenerGroup } from './utils/listener-manager.js';
 import { EVENTS } from './config/events.js';
+import { MAX_MANUAL_SAVE_SLOTS } from './config/constants.js';
 import { i18nInstance } from './i18n/i18n.js';
 
-// 配置
-import { DIFFICULTY_HOLES } from './config/constants.js';
 // 计数器模块
 import { initCounter, incrementGameCount } from './api/counter.js';
 
+// 每日一题模块
+import { fetchDailyPuzzle, submitDailySolution } from './api/daily.js';
+import { fetchPackCatalogue, getPackText } from './api/packs.js';
+
 // 获取全局i18n实例（将在初始化后设置）
 let i18n = null;
 
@@ -46,6 +70,28 @@ const languageListeners = createListenerGroup('languageListeners');
 
 // 自动保存节流
 const SAVE_INTERVAL = 5000; // 每5秒保存一次
+const CLOUD_SAVE_INTERVAL = 30000; // 云端存档每30秒最多一次
+
+// 提示说明较长，延长显示时间
+const HINT_TOAST_DURATION = 6000;
+
+/**
+ * 已显示但尚未填入的提示（再次点击提示时填入）
+ * @type {import('./core/hint.js').Hint|null}
+ */
+let pendingHint = null;
+
+/**
+ * 最近一次“新游戏”请求的编号，用于丢弃过期的异步结果
+ * @type {number}
+ */
+let newGameRequestId = 0;
+
+/**
+ * 上一次写入云端存档的时间
+ * @type {number}
+ */
+let lastCloudSaveTime = 0;
 
 /**
  * 应用初始化
@@ -58,11 +104,22 @@ async function init() {
     // 初始化多语言系统（优先初始化）
     await initializeI18n();
 
+    // 选择记录存储后端（IndexedDB，不可用时为 localStorage），必须在读取记录之前完成
+    await initRecordsStorage();
+
     // 初始化各个模块
     initBoardRenderer('#board');
     initTimer('#timer');
     initPauseOverlay();
     initializeControls();
+    initLeaderboard();
+    initSaveSlots();
+    initRecordsBackup();
+    initStats();
+    initHistory();
+    initPuzzleEntry();
+    initPuzzleFiles();
+    initPacks();
 
     // 注册事件处理器
     registerEventHandlers();
@@ -78,6 +135,9 @@ async function init() {
     // 检查并恢复游戏状态
     await checkAndRestoreGameState();
 
+    // 打开的是分享链接时开始链接中的题目（之前的对局可以放入存档）
+    await loadSharedPuzzleFromUrl();
+
     // 现在可以安全地渲染记录，因为翻译已经加载完成
     renderRecords();
 
@@ -127,6 +187,20 @@ function registerEventHandlers() {
   on(EVENTS.GAME_PAUSE_REQUEST, handlePause);
   on(EVENTS.GAME_RESUME_REQUEST, handleResume);
   on(EVENTS.BOARD_COMPLETE, handleBoardComplete);
+  on(EVENTS.NOTES_MODE_TOGGLE, handleNotesToggle);
+  on(EVENTS.CELL_INPUT, handleCellInput);
+  on(EVENTS.HISTORY_UNDO_REQUEST, handleUndo);
+  on(EVENTS.HISTORY_REDO_REQUEST, handleRedo);
+  on(EVENTS.HINT_REQUEST, handleHint);
+  on(EVENTS.SAVE_SLOT_SAVE_REQUEST, handleSaveToSlot);
+  on(EVENTS.SAVE_SLOT_LOAD_REQUEST, handleLoadSlot);
+  on(EVENTS.GAME_STARTED, ({ difficulty, mode, variant, size }) => {
+    // 完成率只统计经典模式的 9x9 经典数独（每日一题、变体和其他尺寸的成绩单独保存）
+    if (mode === 'classic' && variant === DEFAULT_VARIANT && size === DEFAULT_SIZE) recordGameStarted(difficulty);
+  });
+  on(EVENTS.GAME_COMPLETED, ({ difficulty, mode, variant, size }) => {
+    if (mode === 'classic' && variant === DEFAULT_VARIANT && size === DEFAULT_SIZE) recordGameFinished(difficulty);
+  });
 
   // 计时器事件（用于自动保存）
   on(EVENTS.TIMER_TICK, handleTimerTick);
@@ -134,6 +208,8 @@ function registerEventHandlers() {
   // 记录事件
   on(EVENTS.RECORDS_CLEAR, handleClearRecordsRequest);
   on(EVENTS.RECORDS_CLEARED, handleRecordsCleared);
+  on(EVENTS.RECORDS_IMPORTED, renderRecords);
+  on(EVENTS.RECORD_DELETED, renderRecords);
 
   // 认证事件（可选的额外处理）
   on(EVENTS.AUTH_LOGIN, ({ user }) => {
@@ -144,14 +220,40 @@ function registerEventHandlers() {
   on(EVENTS.SYNC_FAILED, ({ error }) => {
     console.warn('同步失败:', error);
   });
+  on(EVENTS.OUTBOX_CHANGED, ({ pending }) => {
+    updateSyncBadge(pending);
+  });
+
+  // 切到后台时保存（本地 + 云端）
+  uiListeners.add(document, 'visibilitychange', handleVisibilityChange);
+
+  // 在已打开的页面中粘贴分享链接
+  uiListeners.add(window, 'hashchange', loadSharedPuzzleFromUrl);
+  on(EVENTS.PUZZLE_SHARE_REQUEST, handleSharePuzzle);
+
+  // 输入题目模式
+  on(EVENTS.PUZZLE_ENTRY_LOCK_REQUEST, handleLockEnteredPuzzle);
+  on(EVENTS.PUZZLE_ENTRY_CANCEL_REQUEST, handleCancelPuzzleEntry);
+
+  // 题目文件
+  on(EVENTS.PUZZLE_FILE_PLAY_REQUEST, handlePlayFilePuzzle);
+  on(EVENTS.PUZZLE_EXPORT_REQUEST, handleExportPuzzle);
+
+  // 题包
+  on(EVENTS.PACK_PUZZLE_PLAY_REQUEST, handlePlayPackPuzzle);
+
+  // 变体和棋盘尺寸
+  on(EVENTS.GAME_VARIANT_CHANGED, handleVariantChange);
+  on(EVENTS.GRID_SIZE_CHANGED, handleGridSizeChange);
 }
 
 /**
  * 渲染空棋盘
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
  */
-function renderEmptyBoard() {
-  const emptyBoard = Array.from({ length: 9 }, () => Array(9).fill(0));
-  const emptyMask = Array.from({ length: 9 }, () => Array(9).fill(false));
+function renderEmptyBoard(size = DEFAULT_SIZE) {
+  const emptyBoard = Array.from({ length: size }, () => Array(size).fill(0));
+  const emptyMask = Array.from({ length: size }, () => Array(size).fill(false));
   renderBoard(emptyBoard, emptyMask);
 }
 
@@ -178,12 +280,183 @@ function warnPauseStateMismatch(action) {
 }
 
 /**
- * 处理新游戏
+ * 组装要保存的游戏状态
+ * @param {number} elapsedTime - 已用时间
+ * @param {boolean} isPaused - 是否暂停
+ * @returns {Object} 传给 saveGameState 的状态
+ */
+function buildGameStatePayload(elapsedTime, isPaused) {
+  const { puzzle, solution, givenMask, seed, hintsUsed, mistakes, mode, dailyDate, difficulty, variant, size } = gameStateManager.getSnapshot();
+  return {
+    solution,
+    puzzle,
+    givenMask,
+    seed,
+    hintsUsed,
+    mistakes,
+    mode,
+    dailyDate,
+    variant,
+    size,
+    currentBoard: readUserBoard(),
+    notes: getNotes(),
+    history: moveHistory.toJSON(),
+    elapsedTime,
+    difficulty: difficulty ?? getDifficulty(),
+    isPaused
+  };
+}
+
+/**
+ * 把当前对局写入云端存档（未登录时适配器直接返回 false）
+ * @param {Object} payload - buildGameStatePayload 的结果
+ */
+function saveGameToCloud(payload) {
+  lastCloudSaveTime = Date.now();
+  cloudGameStateAdapter.save('gameState', payload).catch((error) => {
+    console.warn('云端存档保存失败:', error);
+  });
+}
+
+/**
+ * 对局结束或放弃时删除云端存档，避免其他设备继续提示
+ */
+function clearCloudGame() {
+  lastCloudSaveTime = 0;
+  cloudGameStateAdapter.clear('gameState').catch((error) => {
+    console.warn('云端存档删除失败:', error);
+  });
+}
+
+/**
+ * 页面切到后台时立即保存，方便马上在另一台设备继续
+ */
+function handleVisibilityChange() {
+  const { puzzle } = gameStateManager.getSnapshot();
+  if (document.visibilityState !== 'hidden' || !puzzle) return;
+
+  const payload = buildGameStatePayload(getElapsedTime(), getGlobalState('isPaused'));
+  saveGameState(payload);
+  saveGameToCloud(payload);
+}
+
+/**
+ * 获取可以放入存档的未完成对局（已完成、未开始或还没填任何数字时为 null）
+ * @returns {Object|null} buildGameStatePayload 的结果，附带 progress
+ */
+function getUnfinishedGame() {
+  const { puzzle } = gameStateManager.getSnapshot();
+  // 完成后会清除保存的状态，所以以它判断对局是否仍在进行
+  if (!puzzle || !loadGameState()) return null;
+
+  const payload = buildGameStatePayload(getElapsedTime(), getGlobalState('isPaused'));
+  const progress = getGameProgress(payload);
+  return progress > 0 ? { ...payload, progress } : null;
+}
+
+/**
+ * 询问是否把未完成的对局放入该难度的自动存档槽
+ */
+function offerToShelveUnfinishedGame() {
+  const game = getUnfinishedGame();
+  if (!game) return;
+
+  const slotId = getDifficultySlotId(game.difficulty);
+  const { progress, ...state } = game;
+  if (confirmShelveGame(game, loadSlot(slotId) !== null)) {
+    saveToSlot(slotId, state);
+  }
+}
+
+/**
+ * 把当前对局保存到新的手动存档槽（对局继续进行）
+ * @param {{name: string}} payload
+ */
+function handleSaveToSlot({ name }) {
+  if (!gameStateManager.getSnapshot().puzzle) {
+    showWarning(i18n.t('errors.gameNotStarted'));
+    return;
+  }
+
+  const slot = saveToSlot(createManualSlotId(), buildGameStatePayload(getElapsedTime(), getGlobalState('isPaused')), { name });
+  if (!slot) {
+    showWarning(i18n.t('saveSlots.full', { max: MAX_MANUAL_SAVE_SLOTS }));
+    return;
+  }
+  showSuccess(i18n.t('saveSlots.saved', { name }));
+}
+
+/**
+ * 继续存档槽中的对局：对局从存档中取出，成为当前对局
+ * @param {{id: string}} payload
  */
-async function handleNewGame() {
+function handleLoadSlot({ id }) {
+  const slot = listSaveSlots().find(item => item.id === id);
+  const state = loadSlot(id);
+  if (!slot || !state) return;
+
+  // 取消进行中的新游戏请求，并先取出存档，让当前对局可以放进同一个自动槽
+  newGameRequestId++;
+  deleteSlot(id);
+  offerToShelveUnfinishedGame();
+
+  stopTimer();
+  clearPendingHint();
+  setLoading(false);
+  setGlobalState('isPaused', false);
+  ensurePauseUiReady();
+  hidePauseOverlay();
+  enableControls();
+
+  saveGameState(state);
+  saveGameToCloud(state);
+  restoreGame(state);
+  showSuccess(i18n.t('saveSlots.loaded', { name: getSlotName(slot, i18n) }));
+}
+
+/**
+ * 处理新游戏（自定义题目模式下进入输入题目模式，题包模式下继续下一道未解出的题目）
+ * @param {Object} [options]
+ * @param {string} [options.seed] - 指定种子以复现题目（默认随机）
+ * @param {Object} [options.shared] - 分享链接中的题目（readSharedPuzzle 的 game），不再生成新题目
+ * @param {Object} [options.custom] - 锁定的手动输入题目（preparePuzzleGame 的 game）
+ * @param {{game: Object, name: string, number: number}} [options.pack] - 题包中的题目（preparePuzzleGame 的 game、题包名称和题号）
+ */
+async function handleNewGame({ seed, shared, custom, pack } = {}) {
+  if (!shared && !custom && !pack) {
+    if (getGameMode() === 'custom') {
+      startCustomPuzzleEntry();
+      return;
+    }
+    if (getGameMode() === 'pack') {
+      await continuePack();
+      return;
+    }
+  }
+
+  const requestId = ++newGameRequestId;
+  const provided = shared ?? custom ?? pack?.game;
+  stopPuzzleEntry();
+  if (provided) {
+    setDifficulty(provided.difficulty);
+    setGameMode(custom ? 'custom' : pack ? 'pack' : 'classic');
+    setGridSize(provided.puzzle.length);
+    setVariant(provided.variant ?? DEFAULT_VARIANT);
+  } else if (getGameMode() === 'daily') {
+    // 每日一题由服务端按 9x9 经典规则生成
+    setGridSize(DEFAULT_SIZE);
+    setVariant(DEFAULT_VARIANT);
+  }
+  const difficulty = getDifficulty();
+  const mode = getGameMode();
+  const variant = getVariant();
+  const size = getGridSize();
+
   try {
-    // 清除保存的游戏状态
+    // 未完成的对局先询问是否放入存档，然后清除保存的游戏状态
+    offerToShelveUnfinishedGame();
     clearGameState();
+    clearCloudGame();
     setGlobalState('isPaused', false);
     ensurePauseUiReady();
     hidePauseOverlay();
@@ -192,25 +465,33 @@ async function handleNewGame() {
     stopTimer();
     setTimerDisplay(i18n.t('buttons.generating'));
 
-    // 延迟让 UI 更新
-    await new Promise(r => setTimeout(r, 100));
-
-    const difficulty = getDifficulty();
-    const holesTarget = DIFFICULTY_HOLES[difficulty];
+    let game;
+    if (provided) {
+      cancelGeneration();
+      game = { ...provided, seed: null, dailyDate: null };
+    } else {
+      game = mode === 'daily'
+        ? await loadDailyGame(difficulty)
+        : await generateClassicGame(difficulty, seed, variant, size);
+    }
 
-    // 生成完整解
-    const solution = generateFullBoard();
+    // 等待期间又发起了新的请求，由新请求负责更新 UI
+    if (requestId !== newGameRequestId) return;
 
-    // 挖空并验证唯一性
-    const puzzle = digHolesWithValidation(solution, holesTarget);
+    const { solution, puzzle, seed: puzzleSeed, dailyDate, rating, techniques } = game;
 
     // 创建 givenMask（标记预填格子）
     const givenMask = puzzle.map(row => row.map(cell => cell !== 0));
-    gameStateManager.setGame({ solution, puzzle, givenMask });
+    gameStateManager.setGame({ solution, puzzle, givenMask, seed: puzzleSeed, hintsUsed: 0, mistakes: 0, mode, dailyDate, difficulty, variant, size });
     gameStateManager.setLastSaveTime(0);
+    updateSeedDisplay(puzzleSeed);
 
     // 渲染棋盘
+    clearPendingHint();
+    setBoardVariant(variant);
     renderBoard(puzzle, givenMask);
+    moveHistory.clear();
+    syncHistoryButtons();
 
     // 启动计时器
     resetTimer();
@@ -220,19 +501,284 @@ async function handleNewGame() {
     updatePauseButton(false, i18n ? i18n.t.bind(i18n) : null);
 
     setLoading(false);
-    showSuccess(i18n.t('puzzleGenerated', { difficulty: i18n.t(`difficulty.${difficulty}`) }));
-    emit(EVENTS.GAME_STARTED, { difficulty });
+    const difficultyLabel = i18n.t(`difficulty.${difficulty}`);
+    if (shared) {
+      showSuccess(i18n.t('share.loaded', { difficulty: difficultyLabel }));
+    } else if (custom) {
+      showSuccess(i18n.t('customPuzzle.started', { difficulty: difficultyLabel }));
+    } else if (pack) {
+      showSuccess(i18n.t('packs.started', { pack: pack.name, number: pack.number, difficulty: difficultyLabel }));
+    } else {
+      showSuccess(mode === 'daily'
+        ? i18n.t('dailyLoaded', { date: dailyDate, difficulty: difficultyLabel })
+        : i18n.t('puzzleGenerated', { difficulty: difficultyLabel }));
+    }
+    emit(EVENTS.GAME_STARTED, { difficulty, mode, variant, size, seed: puzzleSeed, dailyDate, rating, techniques });
 
     // 增加全局计数（非阻塞，不影响游戏体验）
     incrementGameCount();
   } catch (error) {
+    // 被新的“新游戏”请求取消，由新请求负责更新 UI
+    if (error.name === 'AbortError' || requestId !== newGameRequestId) {
+      return;
+    }
     console.error('生成失败:', error);
-    showError(i18n.t('errors.generationFailed'));
+    showError(i18n.t(mode === 'daily' ? 'errors.dailyUnavailable' : 'errors.generationFailed'));
     setLoading(false);
     emit(EVENTS.ERROR_GENERATION, { error });
   }
 }
 
+/**
+ * 开始地址栏中分享链接的题目
+ *
+ * 读取后移除 hash，之后刷新页面会恢复这局而不是重新开始。
+ * 链接格式错误或题目不是唯一解时提示原因。
+ * @returns {Promise<boolean>} 是否开始了分享的题目
+ */
+async function loadSharedPuzzleFromUrl() {
+  const shared = readSharedPuzzle(window.location.hash);
+  if (!shared) return false;
+
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  if (!shared.ok) {
+    showError(i18n.t(`share.errors.${shared.reason}`));
+    return false;
+  }
+
+  await handleNewGame({ shared: shared.game });
+  return true;
+}
+
+/**
+ * 进入输入题目模式：清空棋盘让所有格子可编辑，锁定前不计时
+ */
+function startCustomPuzzleEntry() {
+  // 取消进行中的新游戏请求，未完成的对局先询问是否放入存档
+  newGameRequestId++;
+  cancelGeneration();
+  offerToShelveUnfinishedGame();
+  clearGameState();
+  clearCloudGame();
+
+  gameStateManager.setGame({ solution: null, puzzle: null, givenMask: null, seed: null, hintsUsed: 0, mistakes: 0, mode: 'custom', dailyDate: null, difficulty: null, variant: getVariant(), size: getGridSize() });
+  setGlobalState('isPaused', false);
+  ensurePauseUiReady();
+  hidePauseOverlay();
+  stopTimer();
+  resetTimer();
+  setLoading(false);
+  updateSeedDisplay(null);
+
+  clearPendingHint();
+  if (isNotesMode()) handleNotesToggle();
+  setBoardVariant(getVariant());
+  renderEmptyBoard(getGridSize());
+  moveHistory.clear();
+  syncHistoryButtons();
+
+  startPuzzleEntry();
+  showInfo(i18n.t('customPuzzle.entryStarted'));
+}
+
+/**
+ * 锁定输入的题目：输入的格子成为预填格子，开始计时
+ * @param {{board: number[][]}} payload
+ */
+async function handleLockEnteredPuzzle({ board }) {
+  if (!isPuzzleEntryActive()) return;
+
+  const prepared = preparePuzzleGame(board, null, getBoardVariant());
+  if (!prepared.ok) {
+    showError(i18n.t(`customPuzzle.status.${prepared.reason}`));
+    return;
+  }
+
+  await handleNewGame({ custom: prepared.game });
+}
+
+/**
+ * 输入题目时切换变体：按新变体的区域标记棋盘并重新检查输入的题目
+ * （对局中切换只影响下一局）
+ * @param {{variant: string}} payload
+ */
+function handleVariantChange({ variant }) {
+  if (!isPuzzleEntryActive()) return;
+
+  gameStateManager.setGame({ variant });
+  setBoardVariant(variant);
+  refreshPuzzleEntry();
+}
+
+/**
+ * 输入题目时切换棋盘尺寸：换成新尺寸的空棋盘
+ * （对局中切换只影响下一局）
+ * @param {{size: number}} payload
+ */
+function handleGridSizeChange({ size }) {
+  if (!isPuzzleEntryActive()) return;
+
+  gameStateManager.setGame({ size });
+  renderEmptyBoard(size);
+  refreshPuzzleEntry();
+}
+
+/**
+ * 取消输入题目，回到空棋盘
+ */
+function handleCancelPuzzleEntry() {
+  stopPuzzleEntry();
+  setGameMode('classic');
+  renderEmptyBoard(getGridSize());
+}
+
+/**
+ * 开始题目文件中的题目（按自定义题目保存成绩）
+ * @param {{puzzle: number[][]}} payload
+ */
+async function handlePlayFilePuzzle({ puzzle }) {
+  const prepared = preparePuzzleGame(puzzle);
+  if (!prepared.ok) {
+    showError(i18n.t(`customPuzzle.status.${prepared.reason}`));
+    return;
+  }
+
+  await handleNewGame({ custom: prepared.game });
+}
+
+/**
+ * 开始题包中的一道题目（按题目串记录题包进度）
+ * @param {{packId: string, index: number}} payload
+ */
+async function handlePlayPackPuzzle({ packId, index }) {
+  let catalogue;
+  try {
+    catalogue = await fetchPackCatalogue();
+  } catch (error) {
+    console.warn('读取题包目录失败:', error);
+    showError(i18n.t('packs.errors.unavailable'));
+    return;
+  }
+
+  const pack = catalogue.packs.find(item => item.id === packId);
+  const entry = pack?.puzzles[index];
+  if (!entry) return;
+
+  const prepared = preparePuzzleGame(entry.puzzle, entry.difficulty);
+  if (!prepared.ok) {
+    showError(i18n.t(`customPuzzle.status.${prepared.reason}`));
+    return;
+  }
+
+  setLastPack(packId);
+  await handleNewGame({
+    pack: { game: prepared.game, name: getPackText(pack.name, i18n.currentLang), number: index + 1 }
+  });
+}
+
+/**
+ * 继续最近开始的题包中下一道未解出的题目（该题包已全部解出时继续其他题包）
+ */
+async function continuePack() {
+  let catalogue;
+  try {
+    catalogue = await fetchPackCatalogue();
+  } catch (error) {
+    console.warn('读取题包目录失败:', error);
+    showError(i18n.t('packs.errors.unavailable'));
+    return;
+  }
+
+  const progress = loadPackProgress();
+  const next = findNextPackPuzzle(catalogue, progress, progress.lastPackId);
+  if (!next) {
+    showInfo(i18n.t('packs.allSolved'));
+    return;
+  }
+
+  await handlePlayPackPuzzle(next);
+}
+
+/**
+ * 把当前题目导出为题目文件
+ * @param {{format: string}} payload
+ */
+function handleExportPuzzle({ format }) {
+  const { puzzle } = gameStateManager.getSnapshot();
+  if (!puzzle) {
+    showWarning(i18n.t('errors.gameNotStarted'));
+    return;
+  }
+  if (puzzle.length !== DEFAULT_SIZE) {
+    showWarning(i18n.t('puzzleFiles.errors.size'));
+    return;
+  }
+
+  downloadPuzzleFile(puzzle, format);
+}
+
+/**
+ * 复制当前题目的分享链接或 81 字符题目串（其他尺寸为 N*N 个字符，链接带上尺寸）
+ * 大于 MAX_CHECKED_SIZE 的题目打开链接时无法检查唯一解，只能复制题目串。
+ * @param {{format: 'link'|'string'}} payload
+ */
+async function handleSharePuzzle({ format }) {
+  const { puzzle, difficulty, variant } = gameStateManager.getSnapshot();
+  if (!puzzle) {
+    showWarning(i18n.t('errors.gameNotStarted'));
+    return;
+  }
+  if (format === 'link' && puzzle.length > MAX_CHECKED_SIZE) {
+    showWarning(i18n.t('share.errors.size'));
+    return;
+  }
+
+  const text = format === 'string'
+    ? boardToString(puzzle)
+    : createShareLink(puzzle, { difficulty, variant });
+  try {
+    await navigator.clipboard.writeText(text);
+    showSuccess(i18n.t(format === 'string' ? 'share.stringCopied' : 'share.linkCopied'));
+  } catch (error) {
+    // 剪贴板不可用（如非安全上下文）时让用户手动复制
+    prompt(i18n.t('share.copyManually'), text);
+  }
+}
+
+/**
+ * 生成经典模式题目（在 Worker 中生成，直到技巧评级落入所选难度区间）
+ * @param {string} difficulty - 难度级别
+ * @param {string} [seed] - 指定种子
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {Promise<Object>} 题目数据
+ */
+async function generateClassicGame(difficulty, seed, variant = DEFAULT_VARIANT, size = DEFAULT_SIZE) {
+  const { solution, puzzle, grade, seed: puzzleSeed } = await requestPuzzle(difficulty, {
+    seed: isValidSeed(seed) ? seed : undefined,
+    variant,
+    size,
+    onProgress: ({ attempt, maxAttempts }) => {
+      setTimerDisplay(i18n.t('buttons.generatingProgress', { attempt, maxAttempts }));
+    }
+  });
+  return { solution, puzzle, seed: puzzleSeed, dailyDate: null, rating: grade.rating, techniques: grade.techniques };
+}
+
+/**
+ * 加载今天的每日一题（服务端不返回答案，完成后由服务端校验）
+ * @param {string} difficulty - 难度级别
+ * @returns {Promise<Object>} 题目数据
+ */
+async function loadDailyGame(difficulty) {
+  // 取消可能仍在进行的经典模式生成
+  cancelGeneration();
+  setTimerDisplay(i18n.t('buttons.loadingDaily'));
+
+  const { date, puzzle, rating } = await fetchDailyPuzzle(difficulty);
+  return { solution: null, puzzle, seed: null, dailyDate: date, rating, techniques: null };
+}
+
 /**
  * 处理重置
  */
@@ -250,7 +796,21 @@ function handleReset() {
 
   setGlobalState('isResetting', true);
   stopTimer();
+
+  clearPendingHint();
+
+  // 记录重置前后每个可编辑格子的状态，使重置可以撤销
+  const before = captureEditableCells(givenMask);
   renderBoard(puzzle, givenMask);
+  const after = captureEditableCells(givenMask);
+  moveHistory.record('reset', before.map((cell, i) => ({
+    row: cell.row,
+    col: cell.col,
+    from: cell.state,
+    to: after[i].state
+  })));
+  syncHistoryButtons();
+
   resetTimer();
   startTimer();
 
@@ -261,6 +821,127 @@ function handleReset() {
   }, 100);
 }
 
+/**
+ * 读取所有可编辑格子的当前状态
+ * @param {boolean[][]} givenMask - 预填格子标记
+ * @returns {Array<{row: number, col: number, state: {value: number, notes: number[]}}>}
+ */
+function captureEditableCells(givenMask) {
+  const board = readUserBoard();
+  const notes = getNotes();
+  const cells = [];
+  givenMask.forEach((row, r) => row.forEach((given, c) => {
+    if (!given) {
+      cells.push({ row: r, col: c, state: { value: board[r][c], notes: notes[r][c] } });
+    }
+  }));
+  return cells;
+}
+
+/**
+ * 根据历史状态更新撤销/重做按钮
+ */
+function syncHistoryButtons() {
+  const state = { canUndo: moveHistory.canUndo(), canRedo: moveHistory.canRedo() };
+  updateHistoryButtons(state);
+  emit(EVENTS.HISTORY_CHANGED, state);
+}
+
+/**
+ * 处理格子输入 - 记录到撤销历史
+ * @param {Object} payload - CELL_INPUT 事件数据
+ */
+function handleCellInput({ row, col, value, notes, previous }) {
+  if (!previous || !gameStateManager.getSnapshot().puzzle) return;
+
+  clearPendingHint();
+
+  if (moveHistory.record('input', [{ row, col, from: previous, to: { value, notes } }])) {
+    syncHistoryButtons();
+  }
+}
+
+/**
+ * 处理撤销
+ */
+function handleUndo() {
+  if (getGlobalState('isPaused')) return;
+
+  const entry = moveHistory.undo();
+  if (!entry) return;
+
+  clearPendingHint();
+  entry.changes.forEach(({ row, col, from }) => setCellState(row, col, from));
+  syncHistoryButtons();
+}
+
+/**
+ * 处理重做
+ */
+function handleRedo() {
+  if (getGlobalState('isPaused')) return;
+
+  const entry = moveHistory.redo();
+  if (!entry) return;
+
+  clearPendingHint();
+  entry.changes.forEach(({ row, col, to }) => setCellState(row, col, to));
+  syncHistoryButtons();
+}
+
+/**
+ * 清除尚未填入的提示
+ */
+function clearPendingHint() {
+  if (!pendingHint) return;
+  pendingHint = null;
+  clearHintHighlight();
+}
+
+/**
+ * 处理提示：第一次显示下一步推理并高亮相关格子，再次点击填入该格子
+ */
+function handleHint() {
+  const { puzzle, solution } = gameStateManager.getSnapshot();
+  if (!puzzle) {
+    showWarning(i18n.t('errors.pleaseGenerate'));
+    return;
+  }
+  if (getGlobalState('isPaused')) return;
+
+  // 每日一题客户端没有答案，且为保证成绩可比不提供提示
+  if (!solution) {
+    showInfo(i18n.t('hints.unavailableDaily'));
+    return;
+  }
+
+  if (pendingHint) {
+    const { row, col, value } = pendingHint.placement;
+    clearPendingHint();
+
+    const from = getCellState(row, col);
+    const to = { value, notes: from.notes };
+    setCellState(row, col, to);
+    if (moveHistory.record('hint', [{ row, col, from, to }])) {
+      syncHistoryButtons();
+    }
+    emit(EVENTS.HINT_APPLIED, { row, col, value });
+    return;
+  }
+
+  const hint = findHint(readUserBoard(), solution, gameStateManager.getSnapshot().variant);
+  if (!hint) {
+    showInfo(i18n.t('hints.none'));
+    return;
+  }
+
+  pendingHint = hint;
+  const hintsUsed = gameStateManager.incrementHintsUsed();
+  showHintHighlight(hint);
+  showToast(formatHintMessage(hint, i18n.t.bind(i18n)), 'info', HINT_TOAST_DURATION);
+  emit(EVENTS.HINT_SHOWN, { hint, hintsUsed });
+}
+
 /**
  * 初始化多语言系统
  */
@@ -299,6 +980,12 @@ async function initializeI18n() {
     uiListeners.add(window, 'languageChanged', () => {
       // 重新渲染记录（包含翻译的文本）
       renderRecords();
+      rerenderLeaderboard();
+      refreshSaveSlots();
+      refreshStats();
+      refreshHistory();
+      refreshPuzzleEntry();
+      refreshPacks();
       updateLanguageSelector();
     });
   } catch (error) {
@@ -329,11 +1016,28 @@ function updateLanguageSelector() {
   });
 }
 
+/**
+ * 处理笔记模式切换
+ */
+function handleNotesToggle() {
+  setNotesMode(!isNotesMode());
+  updateNotesButton(isNotesMode());
+  emit(EVENTS.NOTES_MODE_CHANGED, { enabled: isNotesMode() });
+}
+
 /**
  * 处理棋盘完成
  */
 async function handleBoardComplete() {
-  const { solution } = gameStateManager.getSnapshot();
+  // 输入题目时填满棋盘不是完成对局
+  if (isPuzzleEntryActive()) return;
+
+  const { solution, mode } = gameStateManager.getSnapshot();
+  if (mode === 'daily') {
+    await handleDailyBoardComplete();
+    return;
+  }
+
   if (!solution) {
     showError(i18n.t('errors.gameNotStarted'));
     return;
@@ -342,38 +1046,41 @@ async function handleBoardComplete() {
   const userBoard = readUserBoard();
 
   // 验证解答
-  const { isCorrect, errors } = validateSolution(userBoard, solution);
+  const { isCorrect, errors } = validateSolution(userBoard, solution, gameStateManager.getSnapshot().variant);
 
   if (isCorrect) {
     // 清除保存的游戏状态
     clearGameState();
+    clearCloudGame();
     setGlobalState('isPaused', false);
 
     // 停止计时器
     stopTimer();
     const elapsed = getElapsedTime();
-    const difficulty = getDifficulty();
-
-    // 保存记录到本地
-    const record = {
-      time: elapsed,
-      at: Date.now(),
-      synced: false
-    };
-    await saveRecord(difficulty, elapsed);
-
-    // 尝试即时上传到云端（如果已登录）
-    const uploaded = await uploadRecordOnComplete(difficulty, record);
-    if (uploaded) {
-      // 更新 synced 标记
-      const records = loadRecords();
-      if (records[difficulty]?.history?.length > 0) {
-        const lastRecord = records[difficulty].history[records[difficulty].history.length - 1];
-        lastRecord.synced = true;
-        // 保存更新后的记录
-        import('./storage/local-storage.js').then(({ saveRecords }) => {
-          saveRecords(records);
-        });
+    const { hintsUsed, mistakes, puzzle, variant, size, difficulty: gameDifficulty } = gameStateManager.getSnapshot();
+    // 按本局开局时的难度记录，对局中切换难度选择框不影响成绩归属
+    const difficulty = gameDifficulty ?? getDifficulty();
+    clearPendingHint();
+
+    let uploaded = false;
+    if (mode === 'custom') {
+      // 自定义题目的成绩按题目单独保存，不计入难度记录和排行榜
+      saveCustomRecord(boardToString(puzzle), elapsed, { hints: hintsUsed, mistakes });
+    } else if (mode === 'pack') {
+      // 题包进度同样按题目保存，登录时由 supabase-sync 同步
+      recordPackSolve(boardToString(puzzle), elapsed);
+    } else if (variant !== DEFAULT_VARIANT || size !== DEFAULT_SIZE) {
+      // 变体和其他尺寸的成绩按变体、尺寸和难度单独保存，不计入经典记录和排行榜
+      saveVariantRecord(variant, difficulty, elapsed, { hints: hintsUsed, mistakes, size });
+    } else {
+      // 保存记录到本地
+      const record = await saveRecord(difficulty, elapsed, { hints: hintsUsed, mistakes });
+
+      // 尝试即时上传到云端（如果已登录）
+      uploaded = record ? await uploadRecordOnComplete(difficulty, record) : false;
+      if (uploaded) {
+        // 按记录 ID 更新 synced 标记
+        markRecordsAsSynced([record.id]);
       }
     }
 
@@ -386,18 +1093,69 @@ async function handleBoardComplete() {
     emit(EVENTS.GAME_COMPLETED, {
       difficulty,
       elapsed,
+      hints: hintsUsed,
+      mode,
+      variant,
+      size,
       uploaded
     });
   } else {
+    gameStateManager.incrementMistakes();
     showError(i18n.t('errors.incorrectAnswer'));
     emit(EVENTS.GAME_FAILED, { errors });
   }
 }
 
+/**
+ * 处理每日一题完成：提交服务端校验，成绩单独记录
+ */
+async function handleDailyBoardComplete() {
+  const { dailyDate, hintsUsed, difficulty: gameDifficulty } = gameStateManager.getSnapshot();
+  const difficulty = gameDifficulty ?? getDifficulty();
+  const elapsed = getElapsedTime();
+
+  let correct;
+  try {
+    correct = await submitDailySolution(dailyDate, difficulty, readUserBoard());
+  } catch (error) {
+    console.warn('每日一题校验失败:', error);
+    showError(i18n.t('errors.networkError'));
+    return;
+  }
+
+  if (!correct) {
+    gameStateManager.incrementMistakes();
+    showError(i18n.t('errors.incorrectAnswer'));
+    emit(EVENTS.GAME_FAILED, { errors: [] });
+    return;
+  }
+
+  clearGameState();
+  clearCloudGame();
+  setGlobalState('isPaused', false);
+  stopTimer();
+  clearPendingHint();
+
+  saveDailyRecord(dailyDate, difficulty, elapsed, { hints: hintsUsed });
+  renderRecords();
+
+  showSuccess(i18n.t('dailyComplete', { date: dailyDate, time: formatTime(elapsed) }));
+
+  emit(EVENTS.GAME_COMPLETED, {
+    difficulty,
+    elapsed,
+    hints: hintsUsed,
+    mode: 'daily',
+    dailyDate,
+    uploaded: false
+  });
+}
+
 /**
  * 处理清除记录
  */
 function handleClearRecordsRequest() {
+  clearStartedGames();
   clearRecords();
 }
 
@@ -410,7 +1168,7 @@ function handleRecordsCleared() {
  * 处理暂停
  */
 function handlePause() {
-  const { puzzle, solution, givenMask } = gameStateManager.getSnapshot();
+  const { puzzle } = gameStateManager.getSnapshot();
   if (getGlobalState('isPaused')) return;
   ensurePauseUiReady();
 
@@ -426,16 +1184,9 @@ function handlePause() {
   pauseTimer();
 
   // 保存当前游戏状态
-  const currentBoard = readUserBoard();
-  saveGameState({
-    solution,
-    puzzle,
-    givenMask,
-    currentBoard,
-    elapsedTime: getElapsedTime(),
-    difficulty: getDifficulty(),
-    isPaused: true
-  });
+  const payload = buildGameStatePayload(getElapsedTime(), true);
+  saveGameState(payload);
+  saveGameToCloud(payload);
 
   // 显示遮罩
   showPauseOverlayDirect();
@@ -453,7 +1204,7 @@ function handlePause() {
  * 处理恢复
  */
 function handleResume() {
-  const { puzzle, solution, givenMask } = gameStateManager.getSnapshot();
+  const { puzzle } = gameStateManager.getSnapshot();
   if (!getGlobalState('isPaused')) return;
   ensurePauseUiReady();
 
@@ -482,16 +1233,7 @@ function handleResume() {
   updatePauseButton(false, i18n ? i18n.t.bind(i18n) : null);
 
   // 保存恢复后的状态
-  const currentBoard = readUserBoard();
-  saveGameState({
-    solution,
-    puzzle,
-    givenMask,
-    currentBoard,
-    elapsedTime: getElapsedTime(),
-    difficulty: getDifficulty(),
-    isPaused: false
-  });
+  saveGameState(buildGameStatePayload(getElapsedTime(), false));
 
   emit(EVENTS.GAME_RESUMED);
 }
@@ -500,24 +1242,19 @@ function handleResume() {
  * 处理计时器滴答 - 自动保存游戏状态
  */
 function handleTimerTick({ elapsed }) {
-  const state = gameStateManager.getSnapshot();
-  const { puzzle, solution, givenMask, lastSaveTime } = state;
+  const { puzzle, lastSaveTime } = gameStateManager.getSnapshot();
   if (!puzzle || getGlobalState('isPaused')) return;
 
   const now = Date.now();
   // 节流：每5秒保存一次
   if (now - lastSaveTime >= SAVE_INTERVAL) {
-    const currentBoard = readUserBoard();
-    saveGameState({
-      solution,
-      puzzle,
-      givenMask,
-      currentBoard,
-      elapsedTime: elapsed,
-      difficulty: getDifficulty(),
-      isPaused: false
-    });
+    const payload = buildGameStatePayload(elapsed, false);
+    saveGameState(payload);
     gameStateManager.setLastSaveTime(now);
+
+    if (now - lastCloudSaveTime >= CLOUD_SAVE_INTERVAL) {
+      saveGameToCloud(payload);
+    }
   }
 }
 
@@ -526,30 +1263,83 @@ function handleTimerTick({ elapsed }) {
  */
 async function checkAndRestoreGameState() {
   ensurePauseUiReady();
-  const savedState = loadGameState();
-  if (!savedState) return;
+  let savedState = loadGameState();
 
   // 检查保存状态是否在24小时内
-  const hoursSinceSave = (Date.now() - savedState.savedAt) / (1000 * 60 * 60);
-  if (hoursSinceSave > 24) {
+  if (savedState && isGameStateExpired(savedState)) {
     clearGameState();
-    return;
+    savedState = null;
+  }
+
+  // 已登录时比较云端存档，来自其他设备的存档需要用户确认
+  let remoteState = await cloudGameStateAdapter.load('gameState').catch((error) => {
+    console.warn('云端存档读取失败:', error);
+    return null;
+  });
+  if (remoteState && isGameStateExpired(remoteState)) {
+    clearCloudGame();
+    remoteState = null;
+  }
+
+  const choice = chooseSavedGame(savedState, remoteState);
+  const useRemote = choice === 'remote' ||
+    (choice === 'ask' && confirmContinueRemoteGame(remoteState, !!savedState));
+
+  if (choice === 'ask' && !useRemote) {
+    // 不在本设备继续时删除云端存档，避免每次启动都再询问；本地对局之后会重新上传
+    clearCloudGame();
   }
 
-  // 恢复游戏状态
+  if (useRemote) {
+    const { deviceId, isFromThisDevice, ...state } = remoteState;
+    saveGameState(state);
+    savedState = state;
+    // 立即以本设备身份写回，其他设备下次会看到这里的进度
+    if (!isFromThisDevice) {
+      saveGameToCloud(state);
+    }
+  }
+
+  if (!savedState) return;
+
+  restoreGame(savedState);
+}
+
+/**
+ * 把保存的对局恢复到棋盘上（启动恢复和继续存档共用）
+ * @param {Object} savedState - 游戏状态（loadGameState 的结果）
+ */
+function restoreGame(savedState) {
+  stopPuzzleEntry();
   gameStateManager.setGame({
     solution: savedState.solution,
     puzzle: savedState.puzzle,
-    givenMask: savedState.givenMask
+    givenMask: savedState.givenMask,
+    seed: savedState.seed ?? null,
+    hintsUsed: savedState.hintsUsed ?? 0,
+    mistakes: savedState.mistakes ?? 0,
+    mode: savedState.mode ?? 'classic',
+    dailyDate: savedState.dailyDate ?? null,
+    difficulty: savedState.difficulty,
+    variant: savedState.variant ?? DEFAULT_VARIANT,
+    size: savedState.size ?? savedState.puzzle.length
   });
+  gameStateManager.setLastSaveTime(0);
+  updateSeedDisplay(savedState.seed ?? null);
 
-  const { givenMask } = gameStateManager.getSnapshot();
+  const { givenMask, variant, size } = gameStateManager.getSnapshot();
 
-  // 恢复棋盘
-  renderBoard(savedState.currentBoard, givenMask);
+  // 恢复棋盘和笔记
+  setBoardVariant(variant);
+  renderBoard(savedState.currentBoard, givenMask, savedState.notes);
+  moveHistory.load(savedState.history);
+  syncHistoryButtons();
 
-  // 设置难度
+  // 设置难度和模式
   setDifficulty(savedState.difficulty);
+  setGameMode(savedState.mode ?? 'classic');
+  setGridSize(size);
+  setVariant(variant);
 
   const elapsedTime = savedState.elapsedTime;
 
@@ -588,7 +1378,8 @@ function renderRecords() {
   const recordsList = document.getElementById('recordsList');
 
   if (!recordsList) return;
-  renderRecordsList(recordsList, stats, i18n);
+  const today = getUtcDate();
+  renderRecordsList(recordsList, stats, i18n, { date: today, results: getDailyResults(today) }, getCustomRecordsSummary(), getVariantRecordsSummary());
 }
 
 /**
@@ -0,0 +1,151 @@
+/**
+ * 云端游戏存档模块 - 把已登录用户的进行中对局保存到 Supabase
+ * 表结构见 supabase/migrations/20261019_game_saves.sql（每个用户一行）
+ * @module storage/cloud-game-state
+ */
+
+import { getSupabaseClient, getCurrentSession } from '../auth/auth-handler.js';
+import { DEVICE_ID_STORAGE_KEY } from '../config/constants.js';
+import { normalizeGameState } from './game-state.js';
+import { createRecordId } from './local-storage.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * 获取本设备 ID（首次调用时生成并保存在 localStorage）
+ * @returns {string} 设备 ID
+ */
+export function getDeviceId() {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = createRecordId();
+      localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
+  } catch (error) {
+    // 隐私模式下无法持久化，本次会话内使用临时 ID
+    console.warn('Failed to persist device id:', error);
+    return 'ephemeral';
+  }
+}
+
+/**
+ * 获取当前登录用户 ID 和 Supabase 客户端
+ * @returns {Promise<{supabase: Object, userId: string}|null>} 未登录时为 null
+ */
+async function getSignedInClient() {
+  const supabase = getSupabaseClient();
+  if (!supabase) return null;
+
+  const session = await getCurrentSession();
+  if (!session) return null;
+
+  return { supabase, userId: session.user.id };
+}
+
+/**
+ * 决定启动时恢复哪一份存档
+ *
+ * - 没有云端存档: 使用本地存档
+ * - 云端存档来自本设备: 使用较新的一份，不打扰用户
+ * - 云端存档来自其他设备: 需要询问用户是否在本设备继续
+ * @param {Object|null} local - 本地存档（loadGameState）
+ * @param {Object|null} remote - 云端存档（cloudGameStateAdapter.load）
+ * @returns {'none'|'local'|'remote'|'ask'} 选择结果
+ * @example
+ * chooseSavedGame(null, remoteFromPhone); // 'ask'
+ */
+export function chooseSavedGame(local, remote) {
+  if (!remote) {
+    return local ? 'local' : 'none';
+  }
+  if (remote.isFromThisDevice) {
+    return !local || remote.savedAt > (local.savedAt ?? 0) ? 'remote' : 'local';
+  }
+  return 'ask';
+}
+
+/**
+ * 云端游戏存档适配器
+ *
+ * - save('gameState', state): 覆盖当前用户的存档，返回是否成功
+ * - load('gameState'): 返回存档 { ...state, savedAt, deviceId, isFromThisDevice }，没有存档或未登录时为 null
+ * - clear('gameState'): 删除当前用户的存档
+ */
+class CloudGameStateAdapter extends StorageAdapter {
+  constructor() {
+    super('CloudGameStateAdapter');
+  }
+
+  assertKey(key) {
+    if (key !== 'gameState') {
+      throw new Error(`Unsupported key for cloud game state adapter: ${key}`);
+    }
+  }
+
+  async save(key, data) {
+    this.assertKey(key);
+    const state = normalizeGameState(data);
+    if (!state) return false;
+
+    const client = await getSignedInClient();
+    if (!client) return false;
+
+    const { savedAt, ...rest } = state;
+    const { error } = await client.supabase.from('game_saves').upsert({
+      user_id: client.userId,
+      state: rest,
+      device_id: getDeviceId(),
+      saved_at: new Date(savedAt ?? Date.now()).toISOString()
+    }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.warn('云端存档保存失败:', error);
+      return false;
+    }
+    return true;
+  }
+
+  async load(key) {
+    this.assertKey(key);
+    const client = await getSignedInClient();
+    if (!client) return null;
+
+    const { data, error } = await client.supabase
+      .from('game_saves')
+      .select('state,device_id,saved_at')
+      .eq('user_id', client.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('云端存档读取失败:', error);
+      return null;
+    }
+    if (!data) return null;
+
+    const state = normalizeGameState(data.state);
+    if (!state?.puzzle || !state?.currentBoard) return null;
+
+    return {
+      ...state,
+      savedAt: new Date(data.saved_at).getTime(),
+      deviceId: data.device_id,
+      isFromThisDevice: data.device_id === getDeviceId()
+    };
+  }
+
+  async clear(key) {
+    this.assertKey(key);
+    const client = await getSignedInClient();
+    if (!client) return false;
+
+    const { error } = await client.supabase.from('game_saves').delete().eq('user_id', client.userId);
+    if (error) {
+      console.warn('云端存档删除失败:', error);
+      return false;
+    }
+    return true;
+  }
+}
+
+export const cloudGameStateAdapter = new CloudGameStateAdapter();
@@ -0,0 +1,80 @@
+/**
+ * 自定义题目记录 - 手动输入的题目按题目串保存成绩，与难度记录（loadRecords）分开存储
+ * @module storage/custom-records
+ */
+
+import { CUSTOM_RECORDS_STORAGE_KEY } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+/**
+ * 加载自定义题目记录
+ * @returns {Object} 按 81 字符题目串组织的记录
+ * @example
+ * const custom = loadCustomRecords();
+ * // { '53..7....': { best: 123456, lastTime: 150000, plays: 2, at: 1760000000000 } }
+ */
+export function loadCustomRecords() {
+  try {
+    const raw = localStorage.getItem(CUSTOM_RECORDS_STORAGE_KEY);
+    if (!raw) return {};
+    return safeJSONParse(raw, {});
+  } catch (error) {
+    console.warn('Failed to load custom records:', error);
+    return {};
+  }
+}
+
+/**
+ * 保存全部自定义题目记录
+ * @param {Object} records - 记录对象
+ */
+export function saveCustomRecords(records) {
+  try {
+    localStorage.setItem(CUSTOM_RECORDS_STORAGE_KEY, safeJSONStringify(records, '{}'));
+  } catch (error) {
+    console.warn('Failed to save custom records:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveCustomRecords' });
+  }
+}
+
+/**
+ * 保存一次自定义题目完成记录
+ * @param {string} puzzle - 81 字符题目串（boardToString 的结果）
+ * @param {number} timeMs - 用时（毫秒）
+ * @param {Object} [details]
+ * @param {number} [details.hints=0] - 使用的提示次数
+ * @param {number} [details.mistakes=0] - 提交错误答案的次数
+ * @returns {boolean} 是否为该题目的最佳成绩
+ * @example
+ * saveCustomRecord(boardToString(puzzle), 234567, { hints: 1 });
+ */
+export function saveCustomRecord(puzzle, timeMs, { hints = 0, mistakes = 0 } = {}) {
+  const records = loadCustomRecords();
+  const previous = records[puzzle];
+  const isBest = !previous || timeMs < previous.best;
+
+  records[puzzle] = {
+    best: isBest ? timeMs : previous.best,
+    lastTime: timeMs,
+    plays: (previous?.plays ?? 0) + 1,
+    at: Date.now(),
+    hints,
+    mistakes
+  };
+  saveCustomRecords(records);
+
+  emit(EVENTS.CUSTOM_RECORD_SAVED, { puzzle, time: timeMs, isBest });
+  return isBest;
+}
+
+/**
+ * 自定义题目成绩汇总（记录列表显示）
+ * @returns {{solved: number, lastTime: number|null}} 解出的不同题目数量和最近一次用时
+ */
+export function getCustomRecordsSummary() {
+  const entries = Object.values(loadCustomRecords());
+  const latest = entries.reduce((last, entry) => (!last || entry.at > last.at ? entry : last), null);
+  return { solved: entries.length, lastTime: latest?.lastTime ?? null };
+}
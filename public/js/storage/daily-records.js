@@ -0,0 +1,111 @@
+/**
+ * 每日一题记录 - 与普通难度记录（loadRecords）分开存储
+ * @module storage/daily-records
+ */
+
+import { DAILY_RECORDS_STORAGE_KEY } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * 加载每日一题记录
+ * @returns {Object} 按日期和难度组织的记录
+ * @example
+ * const daily = loadDailyRecords();
+ * // { '2026-10-19': { medium: { time: 123456, at: 1760000000000, hints: 0 } } }
+ */
+export function loadDailyRecords() {
+  try {
+    const raw = localStorage.getItem(DAILY_RECORDS_STORAGE_KEY);
+    if (!raw) return {};
+    return safeJSONParse(raw, {});
+  } catch (error) {
+    console.warn('Failed to load daily records:', error);
+    return {};
+  }
+}
+
+/**
+ * 保存全部每日一题记录
+ * @param {Object} records - 记录对象
+ */
+export function saveDailyRecords(records) {
+  try {
+    localStorage.setItem(DAILY_RECORDS_STORAGE_KEY, safeJSONStringify(records, '{}'));
+  } catch (error) {
+    console.warn('Failed to save daily records:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveDailyRecords' });
+  }
+}
+
+/**
+ * 保存一次每日一题完成记录（同一天同一难度只保留最快的一次）
+ * @param {string} date - YYYY-MM-DD（UTC）
+ * @param {string} difficulty - 难度级别
+ * @param {number} timeMs - 用时（毫秒）
+ * @param {Object} [details]
+ * @param {number} [details.hints=0] - 使用的提示次数
+ * @returns {boolean} 是否为当天该难度的最佳成绩
+ * @example
+ * saveDailyRecord('2026-10-19', 'hard', 234567);
+ */
+export function saveDailyRecord(date, difficulty, timeMs, { hints = 0 } = {}) {
+  const records = loadDailyRecords();
+  const day = records[date] || {};
+  const previous = day[difficulty];
+  const isBest = !previous || timeMs < previous.time;
+
+  if (isBest) {
+    day[difficulty] = { time: timeMs, at: Date.now(), hints };
+    records[date] = day;
+    saveDailyRecords(records);
+  }
+
+  emit(EVENTS.DAILY_RECORD_SAVED, { date, difficulty, time: timeMs, isBest });
+  return isBest;
+}
+
+/**
+ * 获取某一天的每日一题成绩
+ * @param {string} date - YYYY-MM-DD（UTC）
+ * @returns {Object.<string, {time: number, at: number, hints: number}>} 按难度的成绩
+ */
+export function getDailyResults(date) {
+  return loadDailyRecords()[date] || {};
+}
+
+/**
+ * 每日一题记录存储适配器
+ */
+class DailyRecordsAdapter extends StorageAdapter {
+  constructor() {
+    super('DailyRecordsAdapter');
+  }
+
+  async save(key, data) {
+    if (key !== 'dailyRecords') {
+      throw new Error(`Unsupported key for daily records adapter: ${key}`);
+    }
+    saveDailyRecords(data || {});
+    return true;
+  }
+
+  async load(key) {
+    if (key !== 'dailyRecords') {
+      throw new Error(`Unsupported key for daily records adapter: ${key}`);
+    }
+    return loadDailyRecords();
+  }
+
+  async clear(key) {
+    if (key !== 'dailyRecords') {
+      throw new Error(`Unsupported key for daily records adapter: ${key}`);
+    }
+    localStorage.removeItem(DAILY_RECORDS_STORAGE_KEY);
+    return true;
+  }
+}
+
+export const dailyRecordsAdapter = new DailyRecordsAdapter();
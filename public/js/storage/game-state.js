@@ -4,33 +4,42 @@
  * @module storage/game-state
  */
 
-import { GAME_STATE_STORAGE_KEY } from '../config/constants.js';
+import { GAME_STATE_STORAGE_KEY, SAVED_GAME_MAX_AGE } from '../config/constants.js';
 import { StorageAdapter } from './StorageAdapter.js';
+import { GAME_STATE_MIGRATIONS, GAME_STATE_SCHEMA_VERSION, runMigrations, backupBeforeMigration } from './migrations.js';
 
+/**
+ * 把任意版本的游戏状态升级到当前结构（见 storage/migrations.js）
+ *
+ * 没有 schemaVersion 的状态视为版本 0；返回值带上当前的 schemaVersion。
+ * @param {Object} gameState - 游戏状态
+ * @returns {Object|null} 当前结构的游戏状态，参数无效时为 null
+ */
 export function normalizeGameState(gameState) {
   if (!gameState || typeof gameState !== 'object') {
     return null;
   }
 
-  const { elapsed, elapsedTime, ...rest } = gameState;
+  const { schemaVersion = 0, ...state } = gameState;
+  const { data } = runMigrations(state, schemaVersion, GAME_STATE_MIGRATIONS);
 
-  return {
-    ...rest,
-    elapsedTime: typeof elapsedTime === 'number'
-      ? elapsedTime
-      : (typeof elapsed === 'number' ? elapsed : 0)
-  };
+  return { ...data, schemaVersion: Math.max(schemaVersion, GAME_STATE_SCHEMA_VERSION) };
 }
 
 /**
  * 保存当前游戏状态到 localStorage
  * @param {Object} gameState - 游戏状态对象
- * @param {number[][]} gameState.solution - 完整解（9x9 数组）
- * @param {number[][]} gameState.puzzle - 原始题目（9x9 数组，0 表示空格）
- * @param {boolean[][]} gameState.givenMask - 预填格子标记（9x9 布尔数组）
- * @param {number[][]} gameState.currentBoard - 当前用户棋盘（9x9 数组）
+ * @param {number[][]} gameState.solution - 完整解（N x N 数组）
+ * @param {number[][]} gameState.puzzle - 原始题目（N x N 数组，0 表示空格）
+ * @param {boolean[][]} gameState.givenMask - 预填格子标记（N x N 布尔数组）
+ * @param {string|null} [gameState.seed] - 题目种子
+ * @param {number[][][]} [gameState.notes] - 每个格子的笔记（候选数）
+ * @param {{undo: Object[], redo: Object[]}} [gameState.history] - 撤销/重做历史（见 core/move-history）
+ * @param {number[][]} gameState.currentBoard - 当前用户棋盘（N x N 数组）
  * @param {number} gameState.elapsedTime - 已用时间（毫秒）
  * @param {string} gameState.difficulty - 难度级别
+ * @param {string} [gameState.variant] - 数独变体（缺省为经典，见 core/regions）
+ * @param {number} [gameState.size] - 棋盘边长（缺省为 9，见 core/geometry）
  * @param {boolean} gameState.isPaused - 暂停状态
  */
 export function saveGameState(gameState) {
@@ -58,13 +67,30 @@ export function loadGameState() {
   try {
     const raw = localStorage.getItem(GAME_STATE_STORAGE_KEY);
     if (!raw) return null;
-    return normalizeGameState(JSON.parse(raw));
+
+    const stored = JSON.parse(raw);
+    const version = stored?.schemaVersion ?? 0;
+    if (stored && version < GAME_STATE_SCHEMA_VERSION) {
+      // 旧结构：迁移前保留原始数据，下次自动保存时写回新结构
+      backupBeforeMigration('gameState', version, raw);
+    }
+    return normalizeGameState(stored);
   } catch (error) {
     console.warn('Failed to load game state:', error);
     return null;
   }
 }
 
+/**
+ * 检查存档是否已超过有效期（本地存档和云端存档共用）
+ * @param {{savedAt: number}} gameState - 带 savedAt 的游戏状态
+ * @param {number} [now=Date.now()] - 当前时间
+ * @returns {boolean} 是否已过期
+ */
+export function isGameStateExpired(gameState, now = Date.now()) {
+  return now - gameState.savedAt > SAVED_GAME_MAX_AGE;
+}
+
 /**
  * 清除保存的游戏状态
  */
@@ -0,0 +1,267 @@
+/**
+ * IndexedDB 记录存储 - 每局成绩一行，替代 localStorage 中不断变大的 JSON
+ *
+ * 对象仓库:
+ * - games: { id, difficulty, time, at, hints, mistakes, synced }，按难度、日期、用时、提示、失误建索引
+ * - meta: { key, value }，保存各难度最佳时间和迁移标记
+ *
+ * 一般不直接使用，由 storage/local-storage 在启动时选择后端。
+ * @module storage/indexeddb-records
+ */
+
+import { RECORDS_DB } from '../config/constants.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+const GAMES_STORE = 'games';
+const META_STORE = 'meta';
+const BEST_TIMES_KEY = 'bestTimes';
+
+/**
+ * 把 IDBRequest 包装成 Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 等待事务完成
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function upgradeDatabase(db) {
+  if (!db.objectStoreNames.contains(GAMES_STORE)) {
+    const games = db.createObjectStore(GAMES_STORE, { keyPath: 'id' });
+    games.createIndex('difficulty', 'difficulty');
+    games.createIndex('at', 'at');
+    games.createIndex('time', 'time');
+    games.createIndex('hints', 'hints');
+    games.createIndex('mistakes', 'mistakes');
+    games.createIndex('difficulty_at', ['difficulty', 'at']);
+  }
+  if (!db.objectStoreNames.contains(META_STORE)) {
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  }
+}
+
+/**
+ * 记录对象 -> games 仓库中的一行
+ * @param {string} difficulty - 难度级别
+ * @param {Object} record - 历史记录 { id, time, at, hints, mistakes, synced }
+ * @returns {Object}
+ */
+export function toGameRow(difficulty, record) {
+  return { ...record, difficulty };
+}
+
+/**
+ * 把 games 仓库中的行按难度组装回记录对象（与 localStorage 中的格式相同）
+ * @param {Object[]} rows - 按完成时间排序的行
+ * @param {Object} bestTimes - 各难度最佳时间
+ * @returns {Object} { [difficulty]: { best, history } }
+ */
+export function rowsToRecords(rows, bestTimes = {}) {
+  const records = {};
+  rows.forEach(({ difficulty, ...record }) => {
+    if (!records[difficulty]) {
+      records[difficulty] = { best: null, history: [] };
+    }
+    records[difficulty].history.push(record);
+  });
+
+  Object.entries(bestTimes).forEach(([difficulty, best]) => {
+    if (!records[difficulty]) {
+      records[difficulty] = { best: null, history: [] };
+    }
+    records[difficulty].best = best;
+  });
+  return records;
+}
+
+/**
+ * IndexedDB 记录存储适配器
+ *
+ * - save('records', records): 用完整的记录对象替换数据库内容（迁移和导入时使用）
+ * - load('records'): 读取完整的记录对象
+ * - clear('records'): 删除所有记录
+ * - applyChanges(): 只写入变化的行，日常保存使用
+ */
+export class IndexedDBRecordsAdapter extends StorageAdapter {
+  /**
+   * @param {IDBFactory} [factory] - IndexedDB 工厂（默认使用全局 indexedDB）
+   */
+  constructor(factory) {
+    super('IndexedDBRecordsAdapter');
+    this.factory = factory;
+    this.dbPromise = null;
+  }
+
+  /**
+   * 当前环境是否支持 IndexedDB
+   * @returns {boolean}
+   */
+  isSupported() {
+    return !!this.getFactory();
+  }
+
+  getFactory() {
+    return this.factory ?? (typeof indexedDB !== 'undefined' ? indexedDB : null);
+  }
+
+  /**
+   * 打开数据库（只打开一次）
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      const factory = this.getFactory();
+      if (!factory) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+      }
+
+      const request = factory.open(RECORDS_DB.name, RECORDS_DB.version);
+      request.onupgradeneeded = () => upgradeDatabase(request.result);
+      this.dbPromise = promisifyRequest(request).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 关闭数据库连接
+   */
+  async close() {
+    if (!this.dbPromise) return;
+    const db = await this.dbPromise.catch(() => null);
+    db?.close();
+    this.dbPromise = null;
+  }
+
+  assertKey(key) {
+    if (key !== 'records') {
+      throw new Error(`Unsupported key for IndexedDB records adapter: ${key}`);
+    }
+  }
+
+  async save(key, records) {
+    this.assertKey(key);
+    const db = await this.open();
+    const transaction = db.transaction([GAMES_STORE, META_STORE], 'readwrite');
+    const games = transaction.objectStore(GAMES_STORE);
+    const bestTimes = {};
+
+    games.clear();
+    Object.entries(records || {}).forEach(([difficulty, data]) => {
+      bestTimes[difficulty] = data?.best ?? null;
+      (data?.history || []).forEach((record) => {
+        if (record && typeof record === 'object' && record.id) {
+          games.put(toGameRow(difficulty, record));
+        }
+      });
+    });
+    transaction.objectStore(META_STORE).put({ key: BEST_TIMES_KEY, value: bestTimes });
+
+    await waitForTransaction(transaction);
+    return true;
+  }
+
+  async load(key) {
+    this.assertKey(key);
+    const db = await this.open();
+    const transaction = db.transaction([GAMES_STORE, META_STORE], 'readonly');
+    const [rows, bestTimes] = await Promise.all([
+      promisifyRequest(transaction.objectStore(GAMES_STORE).getAll()),
+      promisifyRequest(transaction.objectStore(META_STORE).get(BEST_TIMES_KEY))
+    ]);
+    // 按完成时间排序，与原来 history 追加的顺序一致
+    rows.sort((a, b) => (a.at ?? 0) - (b.at ?? 0));
+    return rowsToRecords(rows, bestTimes?.value);
+  }
+
+  async clear(key) {
+    this.assertKey(key);
+    const db = await this.open();
+    const transaction = db.transaction([GAMES_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(GAMES_STORE).clear();
+    transaction.objectStore(META_STORE).delete(BEST_TIMES_KEY);
+    await waitForTransaction(transaction);
+    return true;
+  }
+
+  /**
+   * 在一个事务中写入变化
+   * @param {Object} changes
+   * @param {Object[]} [changes.put] - 新增或修改的行（toGameRow 的结果）
+   * @param {string[]} [changes.remove] - 要删除的记录 ID
+   * @param {Object} [changes.bestTimes] - 各难度最佳时间（有变化时传入）
+   * @returns {Promise<void>}
+   */
+  async applyChanges({ put = [], remove = [], bestTimes } = {}) {
+    const db = await this.open();
+    const transaction = db.transaction([GAMES_STORE, META_STORE], 'readwrite');
+    const games = transaction.objectStore(GAMES_STORE);
+
+    put.forEach(row => games.put(row));
+    remove.forEach(id => games.delete(id));
+    if (bestTimes) {
+      transaction.objectStore(META_STORE).put({ key: BEST_TIMES_KEY, value: bestTimes });
+    }
+    await waitForTransaction(transaction);
+  }
+
+  /**
+   * 读取元数据
+   * @param {string} key
+   * @returns {Promise<*>} 不存在时为 undefined
+   */
+  async getMeta(key) {
+    const db = await this.open();
+    const entry = await promisifyRequest(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(key));
+    return entry?.value;
+  }
+
+  /**
+   * 写入元数据
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  async setMeta(key, value) {
+    const db = await this.open();
+    const transaction = db.transaction(META_STORE, 'readwrite');
+    transaction.objectStore(META_STORE).put({ key, value });
+    await waitForTransaction(transaction);
+  }
+
+  /**
+   * 按索引查询某个难度的记录
+   * @param {string} difficulty - 难度级别
+   * @param {Object} [range]
+   * @param {number} [range.from] - 起始时间戳（含）
+   * @param {number} [range.to] - 结束时间戳（含）
+   * @returns {Promise<Object[]>} 按完成时间排序的行
+   * @example
+   * await adapter.queryByDifficulty('hard', { from: Date.now() - 7 * 86400000 });
+   */
+  async queryByDifficulty(difficulty, { from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+    const db = await this.open();
+    const index = db.transaction(GAMES_STORE, 'readonly').objectStore(GAMES_STORE).index('difficulty_at');
+    return promisifyRequest(index.getAll(IDBKeyRange.bound([difficulty, from], [difficulty, to])));
+  }
+}
+
+export const indexedDBRecordsAdapter = new IndexedDBRecordsAdapter();
@@ -1,18 +1,74 @@
 /**
- * 本地存储模块 - localStorage 抽象层
+ * 本地存储模块 - 成绩记录的存储抽象层
+ *
+ * 对外的读写函数保持同步；initRecordsStorage() 之后记录保存在 IndexedDB
+ * （每局一行，见 storage/indexeddb-records），内存中保留一份副本供同步读取。
+ * IndexedDB 不可用时继续把整个记录对象以 JSON 保存在 localStorage。
  * @module storage/local-storage
  */
 
-import { STORAGE_KEY } from '../config/constants.js';
+import { STORAGE_KEY, DELETED_RECORDS_STORAGE_KEY } from '../config/constants.js';
 import { emit } from '../utils/event-bus.js';
-import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { safeJSONParse, safeJSONStringify, generateId } from '../utils/helpers.js';
 import { showWarning, showError } from '../ui/toast.js';
 import { EVENTS } from '../config/events.js';
 import { StorageAdapter } from './StorageAdapter.js';
+import { indexedDBRecordsAdapter, toGameRow } from './indexeddb-records.js';
+import { RECORDS_MIGRATIONS, RECORDS_SCHEMA_VERSION, runMigrations, backupBeforeMigration, getBackupKey } from './migrations.js';
+import { createRecordsBackup, mergeRecords, parseRecordsBackup } from './records-backup.js';
 
 // 获取全局i18n实例
 const getI18n = () => window.i18n;
 
+/**
+ * IndexedDB 中标记 localStorage 数据已迁移的元数据键
+ */
+const MIGRATED_META_KEY = 'migratedFromLocalStorage';
+
+/**
+ * IndexedDB 中记录结构版本的元数据键
+ */
+const SCHEMA_VERSION_META_KEY = 'schemaVersion';
+
+/**
+ * 当前使用的记录后端（'localStorage' | 'indexedDB'）
+ * @type {string}
+ */
+let backend = 'localStorage';
+
+/**
+ * IndexedDB 后端的适配器
+ * @type {import('./indexeddb-records.js').IndexedDBRecordsAdapter|null}
+ */
+let recordsAdapter = null;
+
+/**
+ * IndexedDB 后端的内存副本
+ * @type {Object}
+ */
+let cachedRecords = {};
+
+/**
+ * IndexedDB 写入队列，保证按保存顺序写入
+ * @type {Promise<void>}
+ */
+let pendingWrite = Promise.resolve();
+
+function cloneRecords(records) {
+  return safeJSONParse(safeJSONStringify(records, '{}'), {});
+}
+
+/**
+ * 生成新记录的稳定 ID（跨设备同步时用于去重）
+ * @returns {string} 记录 ID
+ */
+export function createRecordId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return generateId();
+}
+
 /**
  * 加载记录
  * @returns {Object} 记录对象
@@ -21,12 +77,16 @@ const getI18n = () => window.i18n;
  * // { easy: { best: 123456, history: [...] }, ... }
  */
 export function loadRecords() {
+  if (backend === 'indexedDB') {
+    // 返回副本，调用方可以像以前一样直接修改
+    return cloneRecords(cachedRecords);
+  }
+
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return {};
 
-    const records = safeJSONParse(raw, {});
-    return migrateOldFormat(records);
+    return upgradeStoredRecords(safeJSONParse(raw, {}), raw);
   } catch (error) {
     // 处理隐私模式或localStorage不可用的情况
     if (error.name === 'SecurityError' || error.name === 'TypeError') {
@@ -46,8 +106,16 @@ export function loadRecords() {
  * saveRecords(records);
  */
 export function saveRecords(records) {
+  if (backend === 'indexedDB') {
+    const previous = cachedRecords;
+    cachedRecords = cloneRecords(records);
+    queueWrite(() => recordsAdapter.applyChanges(diffRecords(previous, cachedRecords)));
+    emit(EVENTS.RECORDS_SAVED, { records });
+    return;
+  }
+
   try {
-    const json = safeJSONStringify(records, '{}');
+    const json = safeJSONStringify({ schemaVersion: RECORDS_SCHEMA_VERSION, records }, '{}');
     localStorage.setItem(STORAGE_KEY, json);
     emit(EVENTS.RECORDS_SAVED, { records });
   } catch (error) {
@@ -58,27 +126,169 @@ export function saveRecords(records) {
       emit(EVENTS.RECORDS_SAVED, { records });
       return;
     }
-    console.error('保存记录失败:', error);
+    reportSaveError(error);
+  }
+}
+
+function reportSaveError(error) {
+  console.error('保存记录失败:', error);
+
+  if (error.name === 'QuotaExceededError') {
+    emit(EVENTS.STORAGE_QUOTA_EXCEEDED, { error });
+    showWarning(getI18n().t('errors.storageFull'));
+  } else {
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'save' });
+    showError(getI18n().t('errors.saveFailed'));
+  }
+}
+
+/**
+ * 把写入操作排进 IndexedDB 写入队列
+ * @param {Function} write - 返回 Promise 的写入操作
+ */
+function queueWrite(write) {
+  pendingWrite = pendingWrite.then(write).catch(reportSaveError);
+}
 
-    if (error.name === 'QuotaExceededError') {
-      emit(EVENTS.STORAGE_QUOTA_EXCEEDED, { error });
-      showWarning(getI18n().t('errors.storageFull'));
-    } else {
-      emit(EVENTS.STORAGE_ERROR, { error, operation: 'save' });
-      showError(getI18n().t('errors.saveFailed'));
+/**
+ * 计算两个记录对象之间需要写入 IndexedDB 的变化
+ * @param {Object} previous - 旧记录
+ * @param {Object} next - 新记录
+ * @returns {{put: Object[], remove: string[], bestTimes: Object|undefined}}
+ */
+function diffRecords(previous, next) {
+  const rowsById = (records) => {
+    const rows = new Map();
+    Object.entries(records).forEach(([difficulty, data]) => {
+      (data?.history || []).forEach((record) => {
+        if (record?.id) rows.set(record.id, toGameRow(difficulty, record));
+      });
+    });
+    return rows;
+  };
+  const bestTimesOf = records => Object.fromEntries(
+    Object.entries(records).map(([difficulty, data]) => [difficulty, data?.best ?? null])
+  );
+
+  const before = rowsById(previous);
+  const after = rowsById(next);
+  const put = [...after.values()].filter(row => safeJSONStringify(row) !== safeJSONStringify(before.get(row.id)));
+  const remove = [...before.keys()].filter(id => !after.has(id));
+
+  const bestTimes = bestTimesOf(next);
+  const bestTimesChanged = safeJSONStringify(bestTimes) !== safeJSONStringify(bestTimesOf(previous));
+
+  return { put, remove, bestTimes: bestTimesChanged ? bestTimes : undefined };
+}
+
+/**
+ * 初始化记录存储：优先使用 IndexedDB，第一次使用时迁移 localStorage 中的旧数据
+ *
+ * 应在读取记录之前调用一次；失败时继续使用 localStorage。
+ * @param {Object} [options]
+ * @param {import('./indexeddb-records.js').IndexedDBRecordsAdapter} [options.adapter] - IndexedDB 适配器
+ * @returns {Promise<string>} 实际使用的后端（'indexedDB' | 'localStorage'）
+ * @example
+ * await initRecordsStorage();
+ */
+export async function initRecordsStorage({ adapter = indexedDBRecordsAdapter } = {}) {
+  if (!adapter.isSupported()) {
+    return backend;
+  }
+
+  try {
+    await migrateLocalStorageRecords(adapter);
+    let records = await adapter.load('records');
+    const version = (await adapter.getMeta(SCHEMA_VERSION_META_KEY)) ?? 0;
+    if (version < RECORDS_SCHEMA_VERSION) {
+      records = await upgradeIndexedDBRecords(adapter, records, version);
     }
+
+    recordsAdapter = adapter;
+    cachedRecords = records;
+    backend = 'indexedDB';
+  } catch (error) {
+    // 例如部分浏览器的隐私模式禁止打开 IndexedDB
+    console.warn('IndexedDB is not available, records stay in localStorage:', error);
+  }
+  return backend;
+}
+
+/**
+ * 把 localStorage 中的记录迁移到 IndexedDB（只执行一次，之后删除 localStorage 中的旧数据）
+ *
+ * 旧数据删不掉时报告存储错误：它不再更新，之后打不开 IndexedDB 时会被当作当前记录读取。
+ * @param {import('./indexeddb-records.js').IndexedDBRecordsAdapter} adapter
+ */
+async function migrateLocalStorageRecords(adapter) {
+  if (await adapter.getMeta(MIGRATED_META_KEY)) return;
+
+  // 此时仍是 localStorage 后端，loadRecords 会顺便补全旧格式
+  const records = loadRecords();
+  if (Object.keys(records).length > 0) {
+    await adapter.save('records', records);
+  }
+  await adapter.setMeta(SCHEMA_VERSION_META_KEY, RECORDS_SCHEMA_VERSION);
+  await adapter.setMeta(MIGRATED_META_KEY, Date.now());
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('删除已迁移的记录失败:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'migrate' });
+  }
+}
+
+/**
+ * 升级 IndexedDB 中旧结构的记录（迁移前把原始数据备份到 meta 仓库）
+ * @param {import('./indexeddb-records.js').IndexedDBRecordsAdapter} adapter
+ * @param {Object} records - 读出的记录
+ * @param {number} version - 记录的结构版本
+ * @returns {Promise<Object>} 升级后的记录；失败时为原始记录（不写回）
+ */
+async function upgradeIndexedDBRecords(adapter, records, version) {
+  try {
+    await adapter.setMeta(getBackupKey('records', version), records);
+    const { data } = runMigrations(records, version, RECORDS_MIGRATIONS);
+    await adapter.save('records', data);
+    await adapter.setMeta(SCHEMA_VERSION_META_KEY, RECORDS_SCHEMA_VERSION);
+    return data;
+  } catch (error) {
+    console.error('记录迁移失败:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'migrate' });
+    return records;
   }
 }
 
+/**
+ * 等待已排队的 IndexedDB 写入完成
+ * @returns {Promise<void>}
+ */
+export function flushRecordWrites() {
+  return pendingWrite;
+}
+
+/**
+ * 获取当前使用的记录后端
+ * @returns {string} 'indexedDB' | 'localStorage'
+ */
+export function getRecordsBackend() {
+  return backend;
+}
+
 /**
  * 保存单条记录
  * @param {string} difficulty - 难度级别
  * @param {number} timeMs - 用时（毫秒）
- * @returns {Promise<void>}
+ * @param {Object} [details]
+ * @param {number} [details.hints=0] - 本局使用的提示次数
+ * @param {number} [details.mistakes=0] - 本局提交错误答案的次数
+ * @returns {Promise<Object|null>} 新记录 { id, time, at, hints, mistakes, synced }，失败时为 null
  * @example
  * await saveRecord('medium', 123456);
+ * await saveRecord('hard', 234567, { hints: 2, mistakes: 1 });
  */
-export async function saveRecord(difficulty, timeMs) {
+export async function saveRecord(difficulty, timeMs, { hints = 0, mistakes = 0 } = {}) {
   try {
     const rec = loadRecords();
 
@@ -88,8 +298,11 @@ export async function saveRecord(difficulty, timeMs) {
 
     // 添加新记录，默认未同步
     const newRecord = {
+      id: createRecordId(),
       time: timeMs,
       at: Date.now(),
+      hints,
+      mistakes,
       synced: false
     };
 
@@ -108,9 +321,12 @@ export async function saveRecord(difficulty, timeMs) {
       time: timeMs,
       isBest
     });
+
+    return newRecord;
   } catch (error) {
     console.error('保存记录失败:', error);
     emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveRecord' });
+    return null;
   }
 }
 
@@ -120,6 +336,13 @@ export async function saveRecord(difficulty, timeMs) {
  * clearRecords();
  */
 export function clearRecords() {
+  if (backend === 'indexedDB') {
+    cachedRecords = {};
+    queueWrite(() => recordsAdapter.clear('records'));
+    emit(EVENTS.RECORDS_CLEARED);
+    return;
+  }
+
   try {
     localStorage.removeItem(STORAGE_KEY);
     emit(EVENTS.RECORDS_CLEARED);
@@ -135,6 +358,58 @@ export function clearRecords() {
   }
 }
 
+/**
+ * 删除一条记录，并按剩余历史重新计算该难度的最佳时间
+ *
+ * 已同步的记录加入删除列表（getDeletedRecordIds），之后同步时不会再从云端拉回。
+ * @param {string} difficulty - 难度级别
+ * @param {string} id - 记录 ID
+ * @returns {Object|null} 被删除的记录，不存在时为 null
+ * @example
+ * deleteRecord('easy', record.id);
+ */
+export function deleteRecord(difficulty, id) {
+  const records = loadRecords();
+  const history = records[difficulty]?.history;
+  const index = Array.isArray(history) ? history.findIndex(record => record.id === id) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const [record] = history.splice(index, 1);
+  recomputeBestTimes({ [difficulty]: records[difficulty] });
+  if (record.synced) {
+    addDeletedRecordId(id);
+  }
+  saveRecords(records);
+
+  emit(EVENTS.RECORD_DELETED, { difficulty, record, best: records[difficulty].best });
+  return record;
+}
+
+/**
+ * 获取已删除的已同步记录 ID
+ * @returns {Set<string>}
+ */
+export function getDeletedRecordIds() {
+  try {
+    const ids = safeJSONParse(localStorage.getItem(DELETED_RECORDS_STORAGE_KEY), []);
+    return new Set(Array.isArray(ids) ? ids : []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+function addDeletedRecordId(id) {
+  const ids = getDeletedRecordIds();
+  ids.add(id);
+  try {
+    localStorage.setItem(DELETED_RECORDS_STORAGE_KEY, safeJSONStringify([...ids], '[]'));
+  } catch (error) {
+    console.warn('Failed to save deleted record ids:', error);
+  }
+}
+
 /**
  * 获取最佳时间
  * @param {string} difficulty - 难度级别
@@ -196,39 +471,46 @@ export function getAllStats() {
 }
 
 /**
- * 迁移旧格式数据（向后兼容）
- * @param {Object} records - 记录对象
- * @returns {Object} 迁移后的记录
+ * 拆出保存的数据中的结构版本和记录
+ *
+ * 当前格式为 { schemaVersion, records }；没有版本号的旧格式（直接是记录对象）视为版本 0。
+ * @param {*} stored - 解析后的数据
+ * @returns {{version: number, records: Object}}
  */
-function migrateOldFormat(records) {
-  if (!records || typeof records !== 'object') {
-    return {};
+function unwrapStoredRecords(stored) {
+  if (!stored || typeof stored !== 'object') {
+    return { version: RECORDS_SCHEMA_VERSION, records: {} };
   }
+  if (typeof stored.schemaVersion === 'number') {
+    return { version: stored.schemaVersion, records: stored.records || {} };
+  }
+  return { version: 0, records: stored };
+}
 
-  let migrated = false;
-
-  // 为旧记录添加 synced 标记
-  Object.keys(records).forEach(diff => {
-    if (records[diff]?.history && Array.isArray(records[diff].history)) {
-      records[diff].history = records[diff].history.map(r => {
-        if (typeof r === 'object' && r !== null && !('synced' in r)) {
-          migrated = true;
-          return {
-            ...r,
-            synced: false  // 默认未同步
-          };
-        }
-        return r;
-      });
-    }
-  });
-
-  // 如果进行了迁移，保存更新后的格式
-  if (migrated) {
-    saveRecords(records);
+/**
+ * 把保存的数据升级到当前结构（见 storage/migrations.js）
+ *
+ * 需要迁移时先备份原始数据再写回新结构；迁移失败时返回原始记录且不写回。
+ * @param {*} stored - 解析后的数据
+ * @param {string} raw - 原始 JSON 字符串（用于备份）
+ * @returns {Object} 记录对象
+ */
+function upgradeStoredRecords(stored, raw) {
+  const { version, records } = unwrapStoredRecords(stored);
+  if (version >= RECORDS_SCHEMA_VERSION) {
+    return records;
   }
 
-  return records;
+  backupBeforeMigration('records', version, raw);
+  try {
+    const { data } = runMigrations(records, version, RECORDS_MIGRATIONS);
+    saveRecords(data);
+    return data;
+  } catch (error) {
+    console.error('记录迁移失败:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'migrate' });
+    return records;
+  }
 }
 
 /**
@@ -254,40 +536,24 @@ export function getUnsyncedRecords() {
 }
 
 /**
- * 标记记录为已同步
- * @param {string} difficulty - 难度级别
- * @param {number} timestamp - 记录时间戳
+ * 按 ID 标记记录为已同步
+ *
+ * 只标记调用方实际上传过的记录，同步期间新增的记录保持未同步。
+ * @param {Iterable<string>} ids - 记录 ID
  * @example
- * markRecordAsSynced('medium', 1234567890000);
+ * markRecordsAsSynced([record.id]);
  */
-export function markRecordAsSynced(difficulty, timestamp) {
-  const records = loadRecords();
-
-  if (records[difficulty]?.history) {
-    records[difficulty].history = records[difficulty].history.map(r => {
-      if (r.at === timestamp) {
-        return { ...r, synced: true };
-      }
-      return r;
-    });
-
-    saveRecords(records);
-  }
-}
+export function markRecordsAsSynced(ids) {
+  const idSet = new Set(ids);
+  if (idSet.size === 0) return;
 
-/**
- * 标记所有未同步记录为已同步
- * @example
- * markAllAsSynced();
- */
-export function markAllAsSynced() {
   const records = loadRecords();
   let updated = false;
 
   Object.keys(records).forEach(diff => {
     if (records[diff]?.history) {
       records[diff].history = records[diff].history.map(r => {
-        if (!r.synced) {
+        if (!r.synced && idSet.has(r.id)) {
           updated = true;
           return { ...r, synced: true };
         }
@@ -302,34 +568,60 @@ export function markAllAsSynced() {
 }
 
 /**
- * 导出记录为 JSON（用于备份）
+ * 根据历史记录重新计算每个难度的最佳时间（就地修改）
+ * @param {Object} records - 记录对象
+ * @returns {Object} 同一个记录对象
+ * @example
+ * saveRecords(recomputeBestTimes(records));
+ */
+export function recomputeBestTimes(records) {
+  Object.keys(records).forEach(diff => {
+    const history = records[diff]?.history;
+    if (!Array.isArray(history)) return;
+
+    records[diff].best = history.length > 0
+      ? Math.min(...history.map(r => r.time))
+      : null;
+  });
+  return records;
+}
+
+/**
+ * 导出记录为带版本和校验和的备份文件（格式见 storage/records-backup）
+ * @param {Object} [options] - 传给 createRecordsBackup 的选项
  * @returns {string} JSON 字符串
  * @example
  * const json = exportRecords();
  * // 可以下载或复制
  */
-export function exportRecords() {
-  const records = loadRecords();
-  return safeJSONStringify(records, '{}');
+export function exportRecords(options) {
+  return JSON.stringify(createRecordsBackup(loadRecords(), options), null, 2);
 }
 
 /**
- * 导入记录（用于恢复备份）
- * @param {string} jsonString - JSON 字符串
+ * 导入备份文件（用于恢复备份）
+ *
+ * 文件先经过 parseRecordsBackup 校验（格式、版本、校验和、记录结构），旧版本的备份和没有校验和的旧格式文件会先迁移。
+ * 导入的记录标记为未同步，登录后由 supabase-sync 补传（云端按记录 ID 去重）。
+ * @param {string} jsonString - 备份文件内容
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] - 合并到本地记录，或替换本地记录
  * @returns {boolean} 是否成功
  * @example
- * const success = importRecords(jsonString);
+ * const success = importRecords(jsonString, { mode: 'merge' });
  */
-export function importRecords(jsonString) {
+export function importRecords(jsonString, { mode = 'merge' } = {}) {
   try {
-    const records = safeJSONParse(jsonString, null);
-    if (!records) {
-      showError(getI18n().t('errors.invalidData'));
+    const result = parseRecordsBackup(jsonString);
+    if (!result.ok) {
+      showError(getI18n().t(`backup.errors.${result.reason}`));
       return false;
     }
 
+    const imported = markRecordsAsUnsynced(result.records);
+    const records = mode === 'replace' ? imported : mergeRecords(loadRecords(), imported);
     saveRecords(records);
-    emit(EVENTS.RECORDS_IMPORTED, { records });
+    emit(EVENTS.RECORDS_IMPORTED, { records, mode });
     return true;
   } catch (error) {
     console.error('导入记录失败:', error);
@@ -338,6 +630,14 @@ export function importRecords(jsonString) {
   }
 }
 
+function markRecordsAsUnsynced(records) {
+  const result = {};
+  Object.entries(records).forEach(([difficulty, data]) => {
+    result[difficulty] = { ...data, history: data.history.map(record => ({ ...record, synced: false })) };
+  });
+  return result;
+}
+
 /**
  * 本地记录存储适配器
  */
@@ -0,0 +1,196 @@
+/**
+ * 存储结构版本与迁移
+ *
+ * 每种持久化数据都有一个有序的迁移步骤表，步骤的 version 表示执行后数据的版本。
+ * 没有版本号的旧数据视为版本 0。读取时从数据的版本开始依次执行后续步骤，
+ * 执行前把原始数据备份到 localStorage（见 backupBeforeMigration）。
+ *
+ * 新增格式变化时：在对应的表末尾追加一步，并在 __tests__/migrations.test.js 中为它写测试。
+ * 步骤必须是纯函数（不修改传入的数据），并且对已经是新格式的数据不产生影响。
+ * @module storage/migrations
+ */
+
+import { MIGRATION_BACKUP_KEY_PREFIX } from '../config/constants.js';
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} version - 执行后数据的版本
+ * @property {string} description - 变化说明
+ * @property {function(*): *} migrate - 迁移函数（返回新对象）
+ */
+
+/**
+ * 旧记录（没有 ID）的确定性 ID
+ *
+ * 本地旧记录与此前上传到云端的同一条记录会得到相同的 ID。
+ * @param {string} difficulty - 难度级别
+ * @param {number} at - 完成时间戳（毫秒）
+ * @param {number} time - 用时（毫秒）
+ * @returns {string} 记录 ID
+ */
+export function getLegacyRecordId(difficulty, at, time) {
+  return `legacy-${difficulty}-${at}-${time}`;
+}
+
+/**
+ * 对每个难度的每条历史记录执行 mapRecord（非对象条目原样保留）
+ * @param {Object} records - 记录对象
+ * @param {function(Object, string): Object} mapRecord - (record, difficulty) => 新记录
+ * @returns {Object} 新的记录对象
+ */
+function mapHistory(records, mapRecord) {
+  const result = {};
+  Object.entries(records || {}).forEach(([difficulty, data]) => {
+    if (!Array.isArray(data?.history)) {
+      result[difficulty] = data;
+      return;
+    }
+    result[difficulty] = {
+      ...data,
+      history: data.history.map(record => (
+        typeof record === 'object' && record !== null ? mapRecord(record, difficulty) : record
+      ))
+    };
+  });
+  return result;
+}
+
+/**
+ * 成绩记录（sudoku_records_v1 / IndexedDB）的迁移步骤
+ * @type {MigrationStep[]}
+ */
+export const RECORDS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add a synced flag to every record (unsynced by default)',
+    migrate: records => mapHistory(records, record => ('synced' in record ? record : { ...record, synced: false }))
+  },
+  {
+    version: 2,
+    description: 'Give every record a stable id (deterministic for legacy records)',
+    migrate: records => mapHistory(records, (record, difficulty) => (
+      record.id ? record : { ...record, id: getLegacyRecordId(difficulty, record.at, record.time) }
+    ))
+  }
+];
+
+/**
+ * 当前游戏状态（sudoku_game_state_v1、云端存档、存档槽）的迁移步骤
+ * @type {MigrationStep[]}
+ */
+export const GAME_STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rename elapsed to elapsedTime',
+    migrate: (state) => {
+      const { elapsed, elapsedTime, ...rest } = state;
+      return {
+        ...rest,
+        elapsedTime: typeof elapsedTime === 'number'
+          ? elapsedTime
+          : (typeof elapsed === 'number' ? elapsed : 0)
+      };
+    }
+  }
+];
+
+/**
+ * 检查迁移步骤按版本严格递增
+ * @param {MigrationStep[]} steps
+ * @returns {number} 最新版本
+ */
+export function getLatestVersion(steps) {
+  let latest = 0;
+  steps.forEach((step) => {
+    if (!Number.isInteger(step.version) || step.version <= latest) {
+      throw new Error(`Migration steps must have strictly increasing versions (got ${step.version} after ${latest})`);
+    }
+    latest = step.version;
+  });
+  return latest;
+}
+
+/**
+ * 成绩记录的当前结构版本
+ * @type {number}
+ */
+export const RECORDS_SCHEMA_VERSION = getLatestVersion(RECORDS_MIGRATIONS);
+
+/**
+ * 游戏状态的当前结构版本
+ * @type {number}
+ */
+export const GAME_STATE_SCHEMA_VERSION = getLatestVersion(GAME_STATE_MIGRATIONS);
+
+/**
+ * 从 fromVersion 开始依次执行迁移
+ * @param {*} data - 旧数据
+ * @param {number} fromVersion - 数据当前的版本（没有版本号时为 0）
+ * @param {MigrationStep[]} steps - 迁移步骤表
+ * @returns {{data: *, version: number, migrated: boolean}} 迁移后的数据和版本
+ * @throws {Error} 某一步失败时抛出，说明失败的版本
+ * @example
+ * const { data } = runMigrations(parsed, 0, RECORDS_MIGRATIONS);
+ */
+export function runMigrations(data, fromVersion, steps) {
+  getLatestVersion(steps);
+
+  let result = data;
+  let version = fromVersion;
+  steps.filter(step => step.version > fromVersion).forEach((step) => {
+    try {
+      result = step.migrate(result);
+    } catch (error) {
+      throw new Error(`Migration to v${step.version} (${step.description}) failed: ${error.message}`);
+    }
+    version = step.version;
+  });
+
+  return { data: result, version, migrated: version !== fromVersion };
+}
+
+/**
+ * 获取迁移前备份的存储键
+ * @param {string} name - 数据名称（'records' | 'gameState'）
+ * @param {number} version - 备份数据的版本
+ * @returns {string}
+ * @example
+ * getBackupKey('records', 0); // 'sudoku_backup_records_v0'
+ */
+export function getBackupKey(name, version) {
+  return `${MIGRATION_BACKUP_KEY_PREFIX}${name}_v${version}`;
+}
+
+/**
+ * 迁移前备份原始数据（同一版本只保留第一次的备份）
+ * @param {string} name - 数据名称
+ * @param {number} version - 原始数据的版本
+ * @param {string} raw - 原始 JSON 字符串
+ * @returns {boolean} 备份是否存在
+ */
+export function backupBeforeMigration(name, version, raw) {
+  const key = getBackupKey(name, version);
+  try {
+    if (localStorage.getItem(key) === null) {
+      localStorage.setItem(key, raw);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`Failed to back up ${name} before migration:`, error);
+    return false;
+  }
+}
+
+/**
+ * 读取迁移前的备份
+ * @param {string} name - 数据名称
+ * @param {number} version - 备份数据的版本
+ * @returns {string|null} 原始 JSON 字符串
+ */
+export function getMigrationBackup(name, version) {
+  try {
+    return localStorage.getItem(getBackupKey(name, version));
+  } catch (error) {
+    return null;
+  }
+}
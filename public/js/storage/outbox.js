@@ -0,0 +1,119 @@
+/**
+ * 待上传记录队列（outbox）- 持久化在 localStorage，刷新页面后仍然保留
+ *
+ * 只负责队列本身；实际上传和触发时机由 storage/supabase-sync 处理。
+ * @module storage/outbox
+ */
+
+import { OUTBOX_STORAGE_KEY, OUTBOX_CONFIG } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - 记录 ID（与本地记录的 id 相同）
+ * @property {string} difficulty - 难度级别
+ * @property {Object} record - 记录对象 { id, time, at, hints }
+ * @property {number} attempts - 已失败的次数
+ * @property {number} nextAttemptAt - 下一次可以尝试的时间戳（毫秒）
+ */
+
+/**
+ * 加载队列
+ * @returns {OutboxEntry[]} 队列条目
+ */
+export function loadOutbox() {
+  try {
+    const entries = safeJSONParse(localStorage.getItem(OUTBOX_STORAGE_KEY), []);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.warn('Failed to load outbox:', error);
+    return [];
+  }
+}
+
+function saveOutbox(entries) {
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    } else {
+      localStorage.setItem(OUTBOX_STORAGE_KEY, safeJSONStringify(entries, '[]'));
+    }
+  } catch (error) {
+    console.warn('Failed to save outbox:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveOutbox' });
+  }
+  emit(EVENTS.OUTBOX_CHANGED, { pending: entries.length });
+}
+
+/**
+ * 计算第 attempts 次失败后的等待时间（指数退避）
+ * @param {number} attempts - 已失败次数（从 1 开始）
+ * @returns {number} 等待时间（毫秒）
+ * @example
+ * getOutboxBackoff(1); // 5000
+ * getOutboxBackoff(3); // 20000
+ */
+export function getOutboxBackoff(attempts) {
+  return Math.min(OUTBOX_CONFIG.baseDelay * 2 ** (attempts - 1), OUTBOX_CONFIG.maxDelay);
+}
+
+/**
+ * 加入待上传记录（同一记录只保留一条）
+ * @param {string} difficulty - 难度级别
+ * @param {Object} record - 记录对象（需要 id）
+ * @param {number} [now=Date.now()] - 当前时间
+ */
+export function enqueueUpload(difficulty, record, now = Date.now()) {
+  const entries = loadOutbox();
+  if (entries.some(entry => entry.id === record.id)) return;
+
+  entries.push({ id: record.id, difficulty, record, attempts: 0, nextAttemptAt: now });
+  saveOutbox(entries);
+}
+
+/**
+ * 获取已到期、可以尝试上传的条目
+ * @param {number} [now=Date.now()] - 当前时间；传 Infinity 表示忽略退避
+ * @returns {OutboxEntry[]}
+ */
+export function getDueOutboxEntries(now = Date.now()) {
+  return loadOutbox().filter(entry => entry.nextAttemptAt <= now);
+}
+
+/**
+ * 获取待上传条目数量
+ * @returns {number}
+ */
+export function getPendingUploadCount() {
+  return loadOutbox().length;
+}
+
+/**
+ * 移除条目（上传成功或记录已通过其他途径同步）
+ * @param {Iterable<string>} ids - 记录 ID
+ */
+export function removeOutboxEntries(ids) {
+  const idSet = new Set(ids);
+  const entries = loadOutbox();
+  const remaining = entries.filter(entry => !idSet.has(entry.id));
+  if (remaining.length !== entries.length) {
+    saveOutbox(remaining);
+  }
+}
+
+/**
+ * 记录一次失败，并按指数退避推迟下一次尝试
+ * @param {string} id - 记录 ID
+ * @param {number} [now=Date.now()] - 当前时间
+ */
+export function markOutboxAttemptFailed(id, now = Date.now()) {
+  const entries = loadOutbox();
+  const entry = entries.find(item => item.id === id);
+  if (!entry) return;
+
+  entry.attempts++;
+  entry.nextAttemptAt = now + getOutboxBackoff(entry.attempts);
+  saveOutbox(entries);
+}
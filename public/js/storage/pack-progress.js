@@ -0,0 +1,130 @@
+/**
+ * 题包进度 - 按 81 字符题目串记录解出时间和最佳成绩，与难度记录分开存储
+ * @module storage/pack-progress
+ */
+
+import { PACK_PROGRESS_STORAGE_KEY } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { StorageAdapter } from './StorageAdapter.js';
+
+/**
+ * @typedef {Object} PackProgress
+ * @property {string|null} lastPackId - 最近开始的题包（继续时使用）
+ * @property {Object.<string, {best: number, solvedAt: number}>} puzzles - 按题目串组织的成绩
+ */
+
+const emptyProgress = () => ({ lastPackId: null, puzzles: {} });
+
+/**
+ * 加载题包进度
+ * @returns {PackProgress}
+ */
+export function loadPackProgress() {
+  try {
+    const raw = localStorage.getItem(PACK_PROGRESS_STORAGE_KEY);
+    if (!raw) return emptyProgress();
+    return { ...emptyProgress(), ...safeJSONParse(raw, {}) };
+  } catch (error) {
+    console.warn('Failed to load pack progress:', error);
+    return emptyProgress();
+  }
+}
+
+/**
+ * 保存题包进度
+ * @param {PackProgress} progress
+ */
+export function savePackProgress(progress) {
+  try {
+    localStorage.setItem(PACK_PROGRESS_STORAGE_KEY, safeJSONStringify(progress, '{}'));
+    emit(EVENTS.PACK_PROGRESS_CHANGED, { progress });
+  } catch (error) {
+    console.warn('Failed to save pack progress:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'savePackProgress' });
+  }
+}
+
+/**
+ * 合并同一道题目的两份成绩（最佳时间取较小值，解出时间取较早值）
+ * @param {{best: number, solvedAt: number}|undefined} a
+ * @param {{best: number, solvedAt: number}|undefined} b
+ * @returns {{best: number, solvedAt: number}}
+ */
+export function mergePackEntries(a, b) {
+  if (!a || !b) return a ?? b;
+  return { best: Math.min(a.best, b.best), solvedAt: Math.min(a.solvedAt, b.solvedAt) };
+}
+
+/**
+ * 记录解出一道题包题目
+ * @param {string} key - 81 字符题目串
+ * @param {number} timeMs - 用时（毫秒）
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - 完成时间
+ * @returns {{entry: {best: number, solvedAt: number}, isBest: boolean}}
+ * @example
+ * recordPackSolve(boardToString(puzzle), 123456);
+ */
+export function recordPackSolve(key, timeMs, { now = Date.now() } = {}) {
+  const progress = loadPackProgress();
+  const previous = progress.puzzles[key];
+  const entry = mergePackEntries(previous, { best: timeMs, solvedAt: now });
+  const isBest = !previous || timeMs < previous.best;
+
+  progress.puzzles[key] = entry;
+  savePackProgress(progress);
+
+  emit(EVENTS.PACK_PUZZLE_SOLVED, { key, entry, time: timeMs, isBest });
+  return { entry, isBest };
+}
+
+/**
+ * 记住最近开始的题包
+ * @param {string} packId - 题包 ID
+ */
+export function setLastPack(packId) {
+  const progress = loadPackProgress();
+  if (progress.lastPackId === packId) return;
+  savePackProgress({ ...progress, lastPackId: packId });
+}
+
+/**
+ * 题包进度存储适配器
+ *
+ * - save('packProgress', progress): 覆盖全部进度
+ * - load('packProgress'): 返回 PackProgress
+ * - clear('packProgress'): 删除全部进度
+ */
+class PackProgressAdapter extends StorageAdapter {
+  constructor() {
+    super('PackProgressAdapter');
+  }
+
+  assertKey(key) {
+    if (key !== 'packProgress') {
+      throw new Error(`Unsupported key for pack progress adapter: ${key}`);
+    }
+  }
+
+  async save(key, data) {
+    this.assertKey(key);
+    savePackProgress({ ...emptyProgress(), ...data });
+    return true;
+  }
+
+  async load(key) {
+    this.assertKey(key);
+    return loadPackProgress();
+  }
+
+  async clear(key) {
+    this.assertKey(key);
+    localStorage.removeItem(PACK_PROGRESS_STORAGE_KEY);
+    emit(EVENTS.PACK_PROGRESS_CHANGED, { progress: emptyProgress() });
+    return true;
+  }
+}
+
+export const packProgressAdapter = new PackProgressAdapter();
@@ -0,0 +1,235 @@
+/**
+ * 成绩记录备份文件 - 生成、校验、比较与合并
+ *
+ * 文件格式:
+ * {
+ *   format: 'sudoku-records-backup',
+ *   version: 1,                // 备份文件格式版本
+ *   schemaVersion: 2,          // 记录结构版本（见 storage/migrations.js）
+ *   exportedAt: '2026-10-19T08:00:00.000Z',
+ *   checksum: 'fnv1a:1a2b3c4d', // records 的 JSON 散列，用于发现损坏或手改的文件
+ *   records: { easy: { best, history }, ... }
+ * }
+ * 也接受没有这层外壳的旧文件：记录对象本身（结构版本 0），或 localStorage 中的 { schemaVersion, records }。
+ * 旧文件没有校验和，解析结果标记为未验证。
+ * 这里只有纯函数；读写本地记录由 storage/local-storage 的 exportRecords / importRecords 负责。
+ * @module storage/records-backup
+ */
+
+import { DIFFICULTY_HOLES } from '../config/constants.js';
+import { hashSeed } from '../utils/random.js';
+import { RECORDS_MIGRATIONS, RECORDS_SCHEMA_VERSION, runMigrations } from './migrations.js';
+
+/**
+ * 备份文件格式标识
+ * @type {string}
+ */
+export const BACKUP_FORMAT = 'sudoku-records-backup';
+
+/**
+ * 备份文件格式版本
+ * @type {number}
+ */
+export const BACKUP_VERSION = 1;
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_HOLES);
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * 计算记录的校验和
+ * @param {Object} records - 记录对象
+ * @returns {string} 'fnv1a:' + 8 位十六进制
+ */
+export function computeChecksum(records) {
+  return `fnv1a:${hashSeed(JSON.stringify(records)).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * 生成备份文件内容
+ * @param {Object} records - 记录对象（loadRecords 的结果）
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - 导出时间
+ * @param {number} [options.schemaVersion] - 记录结构版本（默认当前版本）
+ * @returns {Object} 备份对象（JSON.stringify 后写入文件）
+ */
+export function createRecordsBackup(records, { now = new Date(), schemaVersion = RECORDS_SCHEMA_VERSION } = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion,
+    exportedAt: now.toISOString(),
+    checksum: computeChecksum(records),
+    records
+  };
+}
+
+function isValidRecord(record) {
+  return isPlainObject(record) &&
+    typeof record.id === 'string' && record.id.length > 0 &&
+    isPositiveNumber(record.time) &&
+    Number.isFinite(record.at) &&
+    (record.hints === undefined || (Number.isInteger(record.hints) && record.hints >= 0));
+}
+
+function isValidRecords(records) {
+  return isPlainObject(records) && Object.entries(records).every(([difficulty, data]) => (
+    DIFFICULTIES.includes(difficulty) &&
+    isPlainObject(data) &&
+    (data.best === null || isPositiveNumber(data.best)) &&
+    Array.isArray(data.history) &&
+    data.history.every(isValidRecord)
+  ));
+}
+
+/**
+ * 解析并校验备份文件
+ *
+ * 失败原因:
+ * - notJson: 不是 JSON
+ * - format: 不是成绩备份文件
+ * - newerVersion: 由更新版本的应用导出，无法识别
+ * - checksum: 校验和不匹配（文件损坏或被修改）
+ * - schema: 记录内容不合法
+ * @param {string} text - 文件内容
+ * @returns {{ok: true, records: Object, exportedAt: string|null, verified: boolean}|{ok: false, reason: string}}
+ *   verified 为 false 表示旧格式文件，没有校验和可以核对
+ * @example
+ * const result = parseRecordsBackup(await file.text());
+ * if (!result.ok) showError(t(`backup.errors.${result.reason}`));
+ */
+export function parseRecordsBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { ok: false, reason: 'notJson' };
+  }
+
+  if (!isPlainObject(backup)) {
+    return { ok: false, reason: 'format' };
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    return parseLegacyBackup(backup);
+  }
+  if (!Number.isInteger(backup.schemaVersion)) {
+    return { ok: false, reason: 'format' };
+  }
+  if (backup.version > BACKUP_VERSION || backup.schemaVersion > RECORDS_SCHEMA_VERSION) {
+    return { ok: false, reason: 'newerVersion' };
+  }
+  if (!isPlainObject(backup.records) || backup.checksum !== computeChecksum(backup.records)) {
+    return { ok: false, reason: 'checksum' };
+  }
+
+  return migrateBackupRecords(backup.records, backup.schemaVersion, { exportedAt: backup.exportedAt, verified: true });
+}
+
+/**
+ * 解析没有备份外壳的旧文件（记录对象本身，或 { schemaVersion, records }）
+ * @param {Object} data - 解析后的 JSON
+ * @returns {{ok: true, records: Object, exportedAt: null, verified: false}|{ok: false, reason: string}}
+ */
+function parseLegacyBackup(data) {
+  const wrapped = Number.isInteger(data.schemaVersion) && isPlainObject(data.records);
+  const records = wrapped ? data.records : data;
+  const schemaVersion = wrapped ? data.schemaVersion : 0;
+
+  // 至少有一个难度键，避免把任意 JSON 当成空的记录导入
+  const keys = Object.keys(records);
+  if (keys.length === 0 || !keys.every(key => DIFFICULTIES.includes(key))) {
+    return { ok: false, reason: 'format' };
+  }
+  if (schemaVersion > RECORDS_SCHEMA_VERSION) {
+    return { ok: false, reason: 'newerVersion' };
+  }
+
+  return migrateBackupRecords(records, schemaVersion, { exportedAt: null, verified: false });
+}
+
+/**
+ * 把备份中的记录迁移到当前结构并校验
+ * @param {Object} records - 备份中的记录
+ * @param {number} schemaVersion - 记录结构版本
+ * @param {{exportedAt: string|null, verified: boolean}} info - 随结果返回的文件信息
+ * @returns {{ok: true, records: Object, exportedAt: string|null, verified: boolean}|{ok: false, reason: string}}
+ */
+function migrateBackupRecords(records, schemaVersion, info) {
+  let migrated;
+  try {
+    migrated = runMigrations(records, schemaVersion, RECORDS_MIGRATIONS).data;
+  } catch (error) {
+    return { ok: false, reason: 'schema' };
+  }
+  if (!isValidRecords(migrated)) {
+    return { ok: false, reason: 'schema' };
+  }
+
+  return { ok: true, records: migrated, ...info };
+}
+
+const idsOf = data => new Set((data?.history || []).map(record => record.id));
+
+/**
+ * 比较导入的记录和本地记录，用于导入前预览
+ * @param {Object} current - 本地记录
+ * @param {Object} imported - 备份中的记录
+ * @returns {{
+ *   totalImported: number,
+ *   newRecords: Object.<string, number>,
+ *   newTotal: number,
+ *   betterBests: Array<{difficulty: string, current: number|null, imported: number}>,
+ *   removedOnReplace: number
+ * }} newRecords 为各难度新增的记录数；removedOnReplace 为“替换”时会丢失的本地记录数
+ */
+export function diffImportedRecords(current, imported) {
+  const diff = { totalImported: 0, newRecords: {}, newTotal: 0, betterBests: [], removedOnReplace: 0 };
+
+  DIFFICULTIES.forEach((difficulty) => {
+    const currentIds = idsOf(current[difficulty]);
+    const importedIds = idsOf(imported[difficulty]);
+    const added = [...importedIds].filter(id => !currentIds.has(id)).length;
+
+    diff.totalImported += importedIds.size;
+    diff.removedOnReplace += [...currentIds].filter(id => !importedIds.has(id)).length;
+    if (added > 0) {
+      diff.newRecords[difficulty] = added;
+      diff.newTotal += added;
+    }
+
+    const currentBest = current[difficulty]?.best ?? null;
+    const importedBest = imported[difficulty]?.best ?? null;
+    if (importedBest !== null && (currentBest === null || importedBest < currentBest)) {
+      diff.betterBests.push({ difficulty, current: currentBest, imported: importedBest });
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * 合并导入的记录（按记录 ID 去重，最佳时间取两者中更快的）
+ * @param {Object} current - 本地记录
+ * @param {Object} imported - 备份中的记录
+ * @returns {Object} 新的记录对象
+ */
+export function mergeRecords(current, imported) {
+  const merged = {};
+
+  [...new Set([...Object.keys(current), ...Object.keys(imported)])].forEach((difficulty) => {
+    const local = current[difficulty] || { best: null, history: [] };
+    const incoming = imported[difficulty] || { best: null, history: [] };
+    const localIds = idsOf(local);
+
+    const history = [
+      ...local.history,
+      ...incoming.history.filter(record => !localIds.has(record.id))
+    ].sort((a, b) => a.at - b.at);
+    const bests = [local.best, incoming.best].filter(best => best !== null && best !== undefined);
+
+    merged[difficulty] = { best: bests.length > 0 ? Math.min(...bests) : null, history };
+  });
+
+  return merged;
+}
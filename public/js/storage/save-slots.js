@@ -0,0 +1,174 @@
+/**
+ * 存档槽模块 - 保存被搁置的对局，可以随时取回继续
+ *
+ * 当前对局仍由 storage/game-state 保存；这里只存放不在棋盘上的对局：
+ * - 自动槽 auto-<difficulty>: 开始新游戏时搁置的对局，每个难度一个
+ * - 手动槽 manual-<id>: 玩家在存档列表中手动保存，最多 MAX_MANUAL_SAVE_SLOTS 个
+ * @module storage/save-slots
+ */
+
+import { SAVE_SLOTS_STORAGE_KEY, MAX_MANUAL_SAVE_SLOTS } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { generateId, safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { normalizeGameState } from './game-state.js';
+
+const AUTO_SLOT_PREFIX = 'auto-';
+const MANUAL_SLOT_PREFIX = 'manual-';
+
+/**
+ * @typedef {Object} SaveSlotSummary
+ * @property {string} id - 存档槽 ID
+ * @property {string|null} name - 手动槽名称（自动槽为 null）
+ * @property {boolean} isAuto - 是否为自动槽
+ * @property {string} difficulty - 难度级别
+ * @property {string} mode - 游戏模式（classic / daily / custom / pack）
+ * @property {number} progress - 完成百分比（0-100）
+ * @property {number} elapsedTime - 已用时间（毫秒）
+ * @property {number} savedAt - 保存时间戳（毫秒）
+ */
+
+/**
+ * 获取难度对应的自动槽 ID
+ * @param {string} difficulty - 难度级别
+ * @returns {string} 存档槽 ID
+ * @example
+ * getDifficultySlotId('hard'); // 'auto-hard'
+ */
+export function getDifficultySlotId(difficulty) {
+  return `${AUTO_SLOT_PREFIX}${difficulty}`;
+}
+
+/**
+ * 计算对局完成百分比（已填的空格 / 题目的空格）
+ * @param {Object} state - 游戏状态（需要 puzzle 和 currentBoard）
+ * @returns {number} 0-100 的整数
+ */
+export function getGameProgress(state) {
+  let empty = 0;
+  let filled = 0;
+  state.puzzle.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      if (cell !== 0) return;
+      empty++;
+      if (state.currentBoard?.[r]?.[c]) filled++;
+    });
+  });
+  return empty === 0 ? 100 : Math.round((filled / empty) * 100);
+}
+
+function loadSlotMap() {
+  try {
+    const slots = safeJSONParse(localStorage.getItem(SAVE_SLOTS_STORAGE_KEY), {});
+    return slots && typeof slots === 'object' && !Array.isArray(slots) ? slots : {};
+  } catch (error) {
+    console.warn('Failed to load save slots:', error);
+    return {};
+  }
+}
+
+function saveSlotMap(slots) {
+  try {
+    localStorage.setItem(SAVE_SLOTS_STORAGE_KEY, safeJSONStringify(slots, '{}'));
+  } catch (error) {
+    console.warn('Failed to save save slots:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveSlots' });
+    return false;
+  }
+  emit(EVENTS.SAVE_SLOTS_CHANGED, { count: Object.keys(slots).length });
+  return true;
+}
+
+function toSummary(slot) {
+  const { state } = slot;
+  return {
+    id: slot.id,
+    name: slot.name ?? null,
+    isAuto: slot.id.startsWith(AUTO_SLOT_PREFIX),
+    difficulty: state.difficulty,
+    mode: state.mode ?? 'classic',
+    progress: getGameProgress(state),
+    elapsedTime: state.elapsedTime,
+    savedAt: state.savedAt
+  };
+}
+
+function countManualSlots(slots) {
+  return Object.keys(slots).filter(id => id.startsWith(MANUAL_SLOT_PREFIX)).length;
+}
+
+/**
+ * 列出所有存档槽（最近保存的在前）
+ * @returns {SaveSlotSummary[]}
+ */
+export function listSaveSlots() {
+  return Object.values(loadSlotMap())
+    .filter(slot => slot?.state?.puzzle)
+    .map(toSummary)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * 把对局保存到存档槽（同 ID 覆盖）
+ * @param {string} id - 存档槽 ID（getDifficultySlotId 或 createManualSlotId 的结果）
+ * @param {Object} gameState - 游戏状态（与 saveGameState 的参数相同）
+ * @param {Object} [options]
+ * @param {string} [options.name] - 手动槽名称
+ * @returns {SaveSlotSummary|null} 保存后的摘要；状态无效、手动槽已满或写入失败时为 null
+ */
+export function saveToSlot(id, gameState, { name } = {}) {
+  const state = normalizeGameState(gameState);
+  if (!state?.puzzle) return null;
+
+  const slots = loadSlotMap();
+  const isNewManualSlot = id.startsWith(MANUAL_SLOT_PREFIX) && !slots[id];
+  if (isNewManualSlot && countManualSlots(slots) >= MAX_MANUAL_SAVE_SLOTS) {
+    return null;
+  }
+
+  const slot = {
+    id,
+    name: name ?? slots[id]?.name ?? null,
+    state: { ...state, savedAt: Date.now() }
+  };
+  slots[id] = slot;
+  return saveSlotMap(slots) ? toSummary(slot) : null;
+}
+
+/**
+ * 生成新的手动槽 ID
+ * @returns {string} 存档槽 ID
+ */
+export function createManualSlotId() {
+  return `${MANUAL_SLOT_PREFIX}${generateId()}`;
+}
+
+/**
+ * 手动槽是否已满
+ * @returns {boolean}
+ */
+export function isManualSlotsFull() {
+  return countManualSlots(loadSlotMap()) >= MAX_MANUAL_SAVE_SLOTS;
+}
+
+/**
+ * 读取存档槽中的游戏状态
+ * @param {string} id - 存档槽 ID
+ * @returns {Object|null} 游戏状态，不存在时为 null
+ */
+export function loadSlot(id) {
+  const slot = loadSlotMap()[id];
+  return slot?.state ? normalizeGameState(slot.state) : null;
+}
+
+/**
+ * 删除存档槽
+ * @param {string} id - 存档槽 ID
+ */
+export function deleteSlot(id) {
+  const slots = loadSlotMap();
+  if (!slots[id]) return;
+
+  delete slots[id];
+  saveSlotMap(slots);
+}
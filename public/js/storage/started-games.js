@@ -0,0 +1,74 @@
+/**
+ * 本设备开始与完成的对局计数 - 用于计算完成率
+ *
+ * 开始和完成的对局都在这里按难度计数；成绩记录里还有从云端同步或从备份导入的对局，
+ * 不能用来计算本设备的完成率。since 为开始计数的时间。
+ * @module storage/started-games
+ */
+
+import { STARTED_GAMES_STORAGE_KEY } from '../config/constants.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+
+const isCountMap = value => typeof value === 'object' && value !== null;
+
+/**
+ * 读取开始与完成计数（没有完成计数的旧数据无法算出完成率，从头开始计数）
+ * @returns {{since: number|null, counts: Object.<string, number>, finished: Object.<string, number>}}
+ * @example
+ * loadStartedGames(); // { since: 1760000000000, counts: { easy: 3, hard: 1 }, finished: { easy: 2 } }
+ */
+export function loadStartedGames() {
+  try {
+    const data = safeJSONParse(localStorage.getItem(STARTED_GAMES_STORAGE_KEY), null);
+    if (data && isCountMap(data.counts) && isCountMap(data.finished)) {
+      return { since: Number.isFinite(data.since) ? data.since : null, counts: data.counts, finished: data.finished };
+    }
+  } catch (error) {
+    console.warn('Failed to load started games:', error);
+  }
+  return { since: null, counts: {}, finished: {} };
+}
+
+function saveStartedGames(data) {
+  try {
+    localStorage.setItem(STARTED_GAMES_STORAGE_KEY, safeJSONStringify(data, '{}'));
+  } catch (error) {
+    console.warn('Failed to save started games:', error);
+  }
+}
+
+/**
+ * 记录开始了一局（经典模式）
+ * @param {string} difficulty - 难度级别
+ * @param {number} [now=Date.now()] - 当前时间戳
+ */
+export function recordGameStarted(difficulty, now = Date.now()) {
+  const data = loadStartedGames();
+  data.since = data.since ?? now;
+  data.counts[difficulty] = (data.counts[difficulty] || 0) + 1;
+  saveStartedGames(data);
+}
+
+/**
+ * 记录在本设备完成了一局（经典模式）
+ * @param {string} difficulty - 难度级别
+ */
+export function recordGameFinished(difficulty) {
+  const data = loadStartedGames();
+  // 计数开始之前开局的对局不计入
+  if (data.since === null) return;
+
+  data.finished[difficulty] = (data.finished[difficulty] || 0) + 1;
+  saveStartedGames(data);
+}
+
+/**
+ * 清除开始计数（清除记录时一起清除）
+ */
+export function clearStartedGames() {
+  try {
+    localStorage.removeItem(STARTED_GAMES_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Failed to clear started games:', error);
+  }
+}
@@ -4,23 +4,66 @@
  */
 
 import { getSupabaseClient, getCurrentSession } from '../auth/auth-handler.js';
-import { loadRecords, saveRecords, getUnsyncedRecords, markAllAsSynced } from './local-storage.js';
+import { loadRecords, saveRecords, getUnsyncedRecords, markRecordsAsSynced, recomputeBestTimes, getDeletedRecordIds } from './local-storage.js';
+import { getLegacyRecordId } from './migrations.js';
 import { emit } from '../utils/event-bus.js';
+import { enqueueUpload, getDueOutboxEntries, getPendingUploadCount, removeOutboxEntries, markOutboxAttemptFailed, loadOutbox } from './outbox.js';
+import { packProgressAdapter, mergePackEntries } from './pack-progress.js';
 import { showSuccess, showError, showWarning } from '../ui/toast.js';
+import { isOnline, retry } from '../utils/helpers.js';
 import { EVENTS } from '../config/events.js';
+import { OUTBOX_CONFIG } from '../config/constants.js';
 import { StorageAdapter } from './StorageAdapter.js';
 
 // 获取全局i18n实例
 const getI18n = () => window.i18n;
 
+// 拉取远端记录时每页的行数（Supabase 默认单次最多返回 1000 行）
+const PULL_PAGE_SIZE = 1000;
+
+/**
+ * 本地记录转换为 games 表的一行
+ * @param {string} userId - 用户 ID
+ * @param {string} difficulty - 难度级别
+ * @param {Object} record - 记录对象 { id, time, at }
+ * @returns {Object} games 行
+ */
+function toGameRow(userId, difficulty, record) {
+  return {
+    user_id: userId,
+    client_id: record.id,
+    difficulty: difficulty,
+    duration_ms: record.time,
+    created_at: new Date(record.at).toISOString(),
+    success: true
+  };
+}
+
+/**
+ * 写入 games 表；client_id 已存在的行会被跳过，重复上传不会产生重复记录
+ * @param {Object} supabase - Supabase 客户端
+ * @param {Object[]} rows - games 行
+ * @returns {Promise<void>}
+ */
+async function upsertGames(supabase, rows) {
+  const { error } = await supabase
+    .from('games')
+    .upsert(rows, { onConflict: 'user_id,client_id', ignoreDuplicates: true });
+
+  if (error) {
+    throw error;
+  }
+}
+
 /**
  * 上传单条记录到 Supabase
  * @param {string} userId - 用户 ID
  * @param {string} difficulty - 难度级别
- * @param {Object} record - 记录对象 { time, at, synced }
+ * @param {Object} record - 记录对象 { id, time, at, synced }
  * @returns {Promise<boolean>} 是否成功
  * @example
- * await uploadSingleRecord(userId, 'medium', { time: 123456, at: Date.now() });
+ * const record = await saveRecord('medium', 123456);
+ * await uploadSingleRecord(userId, 'medium', record);
  */
 export async function uploadSingleRecord(userId, difficulty, record) {
   const supabase = getSupabaseClient();
@@ -30,27 +73,98 @@ export async function uploadSingleRecord(userId, difficulty, record) {
   }
 
   try {
-    const { error } = await supabase.from('games').insert([{
-      user_id: userId,
-      difficulty: difficulty,
-      duration_ms: record.time,
-      created_at: new Date(record.at).toISOString(),
-      success: true
-    }]);
+    await upsertGames(supabase, [toGameRow(userId, difficulty, record)]);
+    return true;
+  } catch (error) {
+    console.error('上传单条记录失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 分页拉取用户在 games 表中的全部成功记录
+ * @param {Object} supabase - Supabase 客户端
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<Object[]>} games 行
+ */
+async function fetchRemoteGames(supabase, userId) {
+  const rows = [];
+
+  for (let from = 0; ; from += PULL_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('games')
+      .select('client_id,difficulty,duration_ms,created_at')
+      .eq('user_id', userId)
+      .eq('success', true)
+      .order('created_at', { ascending: true })
+      .range(from, from + PULL_PAGE_SIZE - 1);
 
     if (error) {
       throw error;
     }
 
-    return true;
-  } catch (error) {
-    console.error('上传单条记录失败:', error);
-    return false;
+    rows.push(...(data || []));
+    if (!data || data.length < PULL_PAGE_SIZE) {
+      return rows;
+    }
   }
 }
 
 /**
- * 同步本地记录到 Supabase
+ * 把远端 games 行合并进本地记录（就地修改，按记录 ID 去重）
+ *
+ * - 本地没有的远端记录会被追加，并标记为已同步
+ * - 本地已存在且远端也有的记录标记为已同步
+ * - 本地已删除的记录（deletedIds）不会被拉回
+ * - 合并后每个难度的历史按完成时间排序，并重新计算 best
+ * @param {Object} records - loadRecords() 的结果
+ * @param {Object[]} rows - games 行 { client_id, difficulty, duration_ms, created_at }
+ * @param {Set<string>} [deletedIds] - 已删除的记录 ID（默认为 getDeletedRecordIds()）
+ * @returns {number} 新增（拉取）的记录数
+ * @example
+ * const pulled = mergeRemoteGames(records, rows);
+ */
+export function mergeRemoteGames(records, rows, deletedIds = getDeletedRecordIds()) {
+  let pulled = 0;
+  const touched = new Set();
+
+  rows.forEach((row) => {
+    const at = new Date(row.created_at).getTime();
+    // 早期上传的行没有 client_id，用与本地旧记录相同的规则推导 ID
+    const id = row.client_id || getLegacyRecordId(row.difficulty, at, row.duration_ms);
+    if (deletedIds.has(id)) {
+      return;
+    }
+
+    if (!records[row.difficulty]) {
+      records[row.difficulty] = { best: null, history: [] };
+    }
+    const history = records[row.difficulty].history;
+    const local = history.find(r => r.id === id);
+
+    if (local) {
+      local.synced = true;
+      return;
+    }
+
+    history.push({ id, time: row.duration_ms, at, synced: true });
+    touched.add(row.difficulty);
+    pulled++;
+  });
+
+  touched.forEach((diff) => {
+    records[diff].history.sort((a, b) => a.at - b.at);
+  });
+  recomputeBestTimes(records);
+
+  return pulled;
+}
+
+/**
+ * 与 Supabase 双向同步记录
+ *
+ * 先上传本地未同步记录，再拉取远端全部记录合并到本地。
+ * 完成后触发 SYNC_COMPLETED { pushed, pulled }。
  * @param {string} userId - 用户 ID
  * @returns {Promise<void>}
  * @example
@@ -65,46 +179,28 @@ export async function syncLocalRecordsToSupabase(userId) {
   }
 
   try {
-    const records = loadRecords();
-    const rowsToInsert = [];
-
-    // 收集所有未同步的记录
-    for (const diff of ['easy', 'medium', 'hard', 'expert']) {
-      const obj = records[diff];
-      if (!obj || !obj.history || obj.history.length === 0) continue;
-
-      for (const h of obj.history) {
-        if (!h.synced) {
-          rowsToInsert.push({
-            user_id: userId,
-            difficulty: diff,
-            duration_ms: h.time,
-            created_at: new Date(h.at).toISOString(),
-            success: true
-          });
-        }
-      }
+    // 只上传并标记此刻收集到的记录，同步过程中新增的记录留到下次
+    const pending = getUnsyncedRecords();
+    if (pending.length > 0) {
+      await upsertGames(supabase, pending.map(({ difficulty, record }) => toGameRow(userId, difficulty, record)));
+      markRecordsAsSynced(pending.map(({ record }) => record.id));
     }
 
-    if (rowsToInsert.length === 0) {
-      emit(EVENTS.SYNC_COMPLETED, { count: 0 });
-      return;
-    }
+    const remoteRows = await fetchRemoteGames(supabase, userId);
 
-    // 批量插入未同步的记录
-    const { error: insertError } = await supabase.from('games').insert(rowsToInsert);
-    if (insertError) {
-      throw insertError;
-    }
-
-    // 标记所有记录为已同步
-    markAllAsSynced();
+    // 重新读取本地记录，避免覆盖等待网络期间保存的新记录
+    const records = loadRecords();
+    const pulled = mergeRemoteGames(records, remoteRows);
+    saveRecords(records);
 
     // 更新 best_scores
     await updateBestScores(userId, records);
 
-    showSuccess(getI18n().t('buttons.synced', { count: rowsToInsert.length }));
-    emit(EVENTS.SYNC_COMPLETED, { count: rowsToInsert.length });
+    const pushed = pending.length;
+    if (pushed > 0 || pulled > 0) {
+      showSuccess(getI18n().t('buttons.synced', { pushed, pulled }));
+    }
+    emit(EVENTS.SYNC_COMPLETED, { pushed, pulled });
   } catch (error) {
     console.error('同步失败:', error);
     showWarning(getI18n().t('errors.syncFailed'));
@@ -168,6 +264,271 @@ async function updateBestScores(userId, records) {
   }
 }
 
+/**
+ * 是否正在发送 outbox，避免 online 事件与定时器同时触发时重复上传
+ * @type {boolean}
+ */
+let outboxFlushing = false;
+
+/**
+ * 定时发送 outbox 的计时器
+ * @type {number|null}
+ */
+let outboxTimer = null;
+
+/**
+ * 发送 outbox 中已到期的记录
+ *
+ * 每条记录先用 retry 做几次快速重试；仍然失败则按指数退避推迟到下一轮。
+ * 离线或未登录时保持队列不变。
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - 忽略退避时间，立即尝试全部条目（网络恢复时使用）
+ * @returns {Promise<number>} 成功上传的条数
+ * @example
+ * window.addEventListener('online', () => flushOutbox({ force: true }));
+ */
+export async function flushOutbox({ force = false } = {}) {
+  if (outboxFlushing || !isOnline()) {
+    return 0;
+  }
+
+  const due = getDueOutboxEntries(force ? Infinity : Date.now());
+  if (due.length === 0) {
+    return 0;
+  }
+
+  outboxFlushing = true;
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      return 0;
+    }
+
+    const userId = session.user.id;
+    const sentIds = [];
+
+    for (const entry of due) {
+      try {
+        await retry(async () => {
+          if (!await uploadSingleRecord(userId, entry.difficulty, entry.record)) {
+            throw new Error('Upload failed');
+          }
+        }, OUTBOX_CONFIG.retryAttempts, OUTBOX_CONFIG.retryDelay);
+        sentIds.push(entry.id);
+      } catch (error) {
+        markOutboxAttemptFailed(entry.id);
+      }
+    }
+
+    if (sentIds.length > 0) {
+      markRecordsAsSynced(sentIds);
+      removeOutboxEntries(sentIds);
+      await updateBestScores(userId, loadRecords());
+    }
+
+    return sentIds.length;
+  } finally {
+    outboxFlushing = false;
+  }
+}
+
+/**
+ * 移除已经通过完整同步上传过的 outbox 条目
+ */
+function pruneSyncedOutboxEntries() {
+  const records = loadRecords();
+  const syncedIds = loadOutbox()
+    .filter(entry => records[entry.difficulty]?.history?.some(r => r.id === entry.id && r.synced))
+    .map(entry => entry.id);
+
+  removeOutboxEntries(syncedIds);
+}
+
+/**
+ * 从 games 表删除一条已同步的记录（如果已登录）
+ *
+ * 被删除的是云端最佳成绩时，best_scores 改为本地重新计算的最佳时间（没有记录时删除该行）。
+ * 失败时只记录警告：记录已在本地删除列表中，同步时不会再被拉回。
+ * @param {string} difficulty - 难度级别
+ * @param {Object} record - 被删除的记录 { id, time }
+ * @param {number|null} best - 删除后本地的最佳时间
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function deleteRemoteRecord(difficulty, record, best) {
+  const session = await getCurrentSession();
+  const supabase = getSupabaseClient();
+  if (!session || !supabase) {
+    return false;
+  }
+
+  const userId = session.user.id;
+  try {
+    const { error } = await supabase
+      .from('games')
+      .delete()
+      .eq('user_id', userId)
+      .eq('client_id', record.id);
+    if (error) {
+      throw error;
+    }
+
+    const { data: existing } = await supabase
+      .from('best_scores')
+      .select('best_duration_ms')
+      .eq('user_id', userId)
+      .eq('difficulty', difficulty)
+      .single();
+    if (existing?.best_duration_ms === record.time) {
+      const { error: bestError } = best === null
+        ? await supabase.from('best_scores').delete().eq('user_id', userId).eq('difficulty', difficulty)
+        : await supabase.from('best_scores').upsert({
+          user_id: userId,
+          difficulty,
+          best_duration_ms: best,
+          achieved_at: new Date().toISOString()
+        }, { onConflict: ['user_id', 'difficulty'] });
+      if (bestError) {
+        throw bestError;
+      }
+    }
+    return true;
+  } catch (error) {
+    console.warn('删除云端记录失败:', error);
+    return false;
+  }
+}
+
+/**
+ * pack_progress 行转换为本地题包成绩
+ * @param {Object} row - { puzzle, best_ms, solved_at }
+ * @returns {{best: number, solvedAt: number}}
+ */
+function fromPackProgressRow(row) {
+  return { best: row.best_ms, solvedAt: new Date(row.solved_at).getTime() };
+}
+
+/**
+ * 本地题包成绩转换为 pack_progress 行
+ * @param {string} userId - 用户 ID
+ * @param {string} key - 81 字符题目串
+ * @param {{best: number, solvedAt: number}} entry - 成绩
+ * @returns {Object} pack_progress 行
+ */
+function toPackProgressRow(userId, key, entry) {
+  return {
+    user_id: userId,
+    puzzle: key,
+    best_ms: entry.best,
+    solved_at: new Date(entry.solvedAt).toISOString()
+  };
+}
+
+/**
+ * 把远端 pack_progress 行合并进本地题包成绩（就地修改）
+ * @param {Object.<string, {best: number, solvedAt: number}>} puzzles - loadPackProgress().puzzles
+ * @param {Object[]} rows - pack_progress 行 { puzzle, best_ms, solved_at }
+ * @returns {{pulled: number, outdated: string[]}} 本地变化的题目数，以及需要上传的题目串（远端没有或较差）
+ * @example
+ * const { outdated } = mergeRemotePackProgress(progress.puzzles, rows);
+ */
+export function mergeRemotePackProgress(puzzles, rows) {
+  const remote = new Map(rows.map(row => [row.puzzle, fromPackProgressRow(row)]));
+  let pulled = 0;
+
+  remote.forEach((entry, key) => {
+    const merged = mergePackEntries(puzzles[key], entry);
+    if (!puzzles[key] || merged.best !== puzzles[key].best || merged.solvedAt !== puzzles[key].solvedAt) {
+      puzzles[key] = merged;
+      pulled++;
+    }
+  });
+
+  const outdated = Object.keys(puzzles).filter((key) => {
+    const entry = remote.get(key);
+    return !entry || entry.best !== puzzles[key].best || entry.solvedAt !== puzzles[key].solvedAt;
+  });
+
+  return { pulled, outdated };
+}
+
+/**
+ * 与 Supabase 双向同步题包进度（先拉取合并，再上传远端没有或较差的成绩）
+ * @param {string} userId - 用户 ID
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function syncPackProgress(userId) {
+  const supabase = getSupabaseClient();
+  if (!supabase) return false;
+
+  try {
+    const { data, error } = await supabase
+      .from('pack_progress')
+      .select('puzzle,best_ms,solved_at')
+      .eq('user_id', userId);
+    if (error) {
+      throw error;
+    }
+
+    // 在拿到远端数据后再读取本地进度，避免覆盖等待期间解出的题目
+    const progress = await packProgressAdapter.load('packProgress');
+    const { pulled, outdated } = mergeRemotePackProgress(progress.puzzles, data || []);
+    if (pulled > 0) {
+      await packProgressAdapter.save('packProgress', progress);
+    }
+
+    if (outdated.length > 0) {
+      const { error: upsertError } = await supabase
+        .from('pack_progress')
+        .upsert(outdated.map(key => toPackProgressRow(userId, key, progress.puzzles[key])), { onConflict: 'user_id,puzzle' });
+      if (upsertError) {
+        throw upsertError;
+      }
+    }
+    return true;
+  } catch (error) {
+    console.warn('题包进度同步失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 上传刚解出的题包成绩（如果已登录）
+ *
+ * 远端已有更好的成绩时不覆盖；失败时不重试，下次完整同步会补上。
+ * @param {string} key - 81 字符题目串
+ * @param {{best: number, solvedAt: number}} entry - 本地合并后的成绩
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function uploadPackSolve(key, entry) {
+  const session = await getCurrentSession();
+  const supabase = getSupabaseClient();
+  if (!session || !supabase || !isOnline()) {
+    return false;
+  }
+
+  const userId = session.user.id;
+  try {
+    const { data: existing } = await supabase
+      .from('pack_progress')
+      .select('puzzle,best_ms,solved_at')
+      .eq('user_id', userId)
+      .eq('puzzle', key)
+      .maybeSingle();
+
+    const merged = mergePackEntries(existing ? fromPackProgressRow(existing) : undefined, entry);
+    const { error } = await supabase
+      .from('pack_progress')
+      .upsert(toPackProgressRow(userId, key, merged), { onConflict: 'user_id,puzzle' });
+    if (error) {
+      throw error;
+    }
+    return true;
+  } catch (error) {
+    console.warn('上传题包成绩失败:', error);
+    return false;
+  }
+}
+
 /**
  * 初始化同步模块（注册事件监听器）
  */
@@ -176,16 +537,44 @@ export function initSyncModule() {
   import('../utils/event-bus.js').then(({ on }) => {
     on(EVENTS.AUTH_LOGIN, async ({ user }) => {
       await syncLocalRecordsToSupabase(user.id);
+      await syncPackProgress(user.id);
     });
 
     on(EVENTS.SYNC_MANUAL_TRIGGER, async ({ userId }) => {
       await syncLocalRecordsToSupabase(userId);
+      await syncPackProgress(userId);
+    });
+
+    on(EVENTS.PACK_PUZZLE_SOLVED, async ({ key, entry }) => {
+      await uploadPackSolve(key, entry);
+    });
+
+    // 完整同步会上传所有未同步记录，队列中对应的条目不再需要
+    on(EVENTS.SYNC_COMPLETED, pruneSyncedOutboxEntries);
+
+    // 删除的记录不再上传；已上传的从云端删除
+    on(EVENTS.RECORD_DELETED, async ({ difficulty, record, best }) => {
+      removeOutboxEntries([record.id]);
+      if (record.synced) {
+        await deleteRemoteRecord(difficulty, record, best);
+      }
     });
   });
+
+  // 网络恢复时立即重试，并定时处理到期的条目
+  window.addEventListener('online', () => flushOutbox({ force: true }));
+  if (outboxTimer === null) {
+    outboxTimer = setInterval(() => flushOutbox(), OUTBOX_CONFIG.flushInterval);
+  }
+
+  // 刷新页面后恢复待上传数量显示
+  emit(EVENTS.OUTBOX_CHANGED, { pending: getPendingUploadCount() });
 }
 
 /**
  * 在游戏完成时立即上传记录（如果已登录）
+ *
+ * 已登录但上传失败（如离线）时，记录进入 outbox，稍后自动重试。
  * @param {string} difficulty - 难度级别
  * @param {Object} record - 记录对象
  * @returns {Promise<boolean>} 是否成功
@@ -203,8 +592,9 @@ export async function uploadRecordOnComplete(difficulty, record) {
 
   try {
     // 上传记录
-    const success = await uploadSingleRecord(session.user.id, difficulty, record);
+    const success = isOnline() && await uploadSingleRecord(session.user.id, difficulty, record);
     if (!success) {
+      enqueueUpload(difficulty, record);
       return false;
     }
 
@@ -0,0 +1,120 @@
+/**
+ * 变体记录 - 对角线、窗口等变体的成绩按变体和难度保存，与经典数独的难度记录（loadRecords）分开存储
+ *
+ * 9x9 以外尺寸的成绩（包括经典规则）同样保存在这里，记录键为 '<变体>-<边长>'，例如 'classic-4'。
+ * @module storage/variant-records
+ */
+
+import { VARIANT_RECORDS_STORAGE_KEY } from '../config/constants.js';
+import { emit } from '../utils/event-bus.js';
+import { safeJSONParse, safeJSONStringify } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { DEFAULT_SIZE } from '../core/geometry.js';
+
+/**
+ * 变体和棋盘尺寸对应的记录键（9x9 为变体名称本身）
+ * @param {string} variant - 变体名称
+ * @param {number} [size=DEFAULT_SIZE] - 棋盘边长
+ * @returns {string}
+ * @example
+ * getVariantRecordKey('diagonal'); // 'diagonal'
+ * getVariantRecordKey('classic', 4); // 'classic-4'
+ */
+export function getVariantRecordKey(variant, size = DEFAULT_SIZE) {
+  return size === DEFAULT_SIZE ? variant : `${variant}-${size}`;
+}
+
+/**
+ * 解析记录键
+ * @param {string} key - getVariantRecordKey 的结果
+ * @returns {{variant: string, size: number}}
+ */
+export function parseVariantRecordKey(key) {
+  const [variant, size] = key.split('-');
+  return { variant, size: size ? Number(size) : DEFAULT_SIZE };
+}
+
+/**
+ * 加载变体记录
+ * @returns {Object} 按变体、难度组织的记录
+ * @example
+ * const records = loadVariantRecords();
+ * // { diagonal: { easy: { best: 123456, lastTime: 150000, plays: 2, at: 1760000000000 } } }
+ */
+export function loadVariantRecords() {
+  try {
+    const raw = localStorage.getItem(VARIANT_RECORDS_STORAGE_KEY);
+    if (!raw) return {};
+    return safeJSONParse(raw, {});
+  } catch (error) {
+    console.warn('Failed to load variant records:', error);
+    return {};
+  }
+}
+
+/**
+ * 保存全部变体记录
+ * @param {Object} records - 记录对象
+ */
+export function saveVariantRecords(records) {
+  try {
+    localStorage.setItem(VARIANT_RECORDS_STORAGE_KEY, safeJSONStringify(records, '{}'));
+  } catch (error) {
+    console.warn('Failed to save variant records:', error);
+    emit(EVENTS.STORAGE_ERROR, { error, operation: 'saveVariantRecords' });
+  }
+}
+
+/**
+ * 保存一次变体对局完成记录
+ * @param {string} variant - 变体名称（见 core/regions）
+ * @param {string} difficulty - 难度
+ * @param {number} timeMs - 用时（毫秒）
+ * @param {Object} [details]
+ * @param {number} [details.hints=0] - 使用的提示次数
+ * @param {number} [details.mistakes=0] - 提交错误答案的次数
+ * @param {number} [details.size=DEFAULT_SIZE] - 棋盘边长（每种尺寸单独记录）
+ * @returns {boolean} 是否为该变体该难度的最佳成绩
+ * @example
+ * saveVariantRecord('diagonal', 'hard', 234567, { hints: 1 });
+ * saveVariantRecord('classic', 'easy', 45678, { size: 4 });
+ */
+export function saveVariantRecord(variant, difficulty, timeMs, { hints = 0, mistakes = 0, size = DEFAULT_SIZE } = {}) {
+  const records = loadVariantRecords();
+  const key = getVariantRecordKey(variant, size);
+  const byDifficulty = records[key] ?? {};
+  const previous = byDifficulty[difficulty];
+  const isBest = !previous || timeMs < previous.best;
+
+  byDifficulty[difficulty] = {
+    best: isBest ? timeMs : previous.best,
+    lastTime: timeMs,
+    plays: (previous?.plays ?? 0) + 1,
+    at: Date.now(),
+    hints,
+    mistakes
+  };
+  records[key] = byDifficulty;
+  saveVariantRecords(records);
+
+  emit(EVENTS.VARIANT_RECORD_SAVED, { variant, size, difficulty, time: timeMs, isBest });
+  return isBest;
+}
+
+/**
+ * 变体成绩汇总（记录列表显示）
+ * @returns {Object.<string, Object.<string, number>>} 每个有成绩的记录键（见 getVariantRecordKey）下各难度的最佳用时
+ * @example
+ * getVariantRecordsSummary(); // { diagonal: { easy: 123456 }, 'classic-4': { easy: 45678 } }
+ */
+export function getVariantRecordsSummary() {
+  const summary = {};
+  Object.entries(loadVariantRecords()).forEach(([key, byDifficulty]) => {
+    const best = {};
+    Object.entries(byDifficulty ?? {}).forEach(([difficulty, entry]) => {
+      if (Number.isFinite(entry?.best)) best[difficulty] = entry.best;
+    });
+    if (Object.keys(best).length > 0) summary[key] = best;
+  });
+  return summary;
+}
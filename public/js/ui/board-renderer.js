@@ -1,11 +1,15 @@
 /**
  * 棋盘渲染器 - DOM 操作和用户交互
+ *
+ * 棋盘尺寸取自 renderBoard 传入的棋盘（board.length），宫的粗边框按尺寸的宫格形状加类名；
+ * 大于 9 的数字显示和输入为字母（见 core/geometry）。
  * @module ui/board-renderer
  */
 
 import { emit, getGlobalState } from '../utils/event-bus.js';
 import { detectConflicts } from '../core/validator.js';
-import { GRID_SIZE } from '../config/constants.js';
+import { DEFAULT_VARIANT, getExtraRegions, isVariantSupported } from '../core/regions.js';
+import { DEFAULT_SIZE, formatCellValue, getGeometry, parseCellValue } from '../core/geometry.js';
 import { EVENTS } from '../config/events.js';
 
 /**
@@ -19,15 +23,54 @@ let boardElement = null;
  * @type {boolean[][]|null}
  */
 let givenMask = null;
+
+/**
+ * 当前棋盘的边长
+ * @type {number}
+ */
+let boardSize = DEFAULT_SIZE;
+
 let cachedCells = [];
 let cachedInputs = [];
 let cachedPrefilledCells = [];
 let cachedInputGrid = createInputGrid();
+let cachedNotesGrid = createInputGrid();
 let checkCompleteTimeout = null;
 let filledCellCount = 0;
 
+/**
+ * 笔记（候选数）- 每个格子一个 Set
+ * @type {Set<number>[][]}
+ */
+let notesGrid = createNotesGrid();
+
+/**
+ * 是否处于笔记模式（输入数字时切换候选数而非填入）
+ * @type {boolean}
+ */
+let notesMode = false;
+
+/**
+ * 当前棋盘的变体（决定冲突检测的区域和额外区域的样式）
+ * @type {string}
+ */
+let boardVariant = DEFAULT_VARIANT;
+
 function createInputGrid() {
-  return Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(null));
+  return Array.from({ length: boardSize }, () => Array(boardSize).fill(null));
+}
+
+function createNotesGrid() {
+  return Array.from({ length: boardSize }, () => Array.from({ length: boardSize }, () => new Set()));
+}
+
+/**
+ * 用于冲突检测和区域样式的变体（变体不支持当前尺寸时按经典规则，
+ * 例如切换尺寸后、设置新变体前的渲染）
+ * @returns {string}
+ */
+function getActiveVariant() {
+  return isVariantSupported(boardVariant, boardSize) ? boardVariant : DEFAULT_VARIANT;
 }
 
 /**
@@ -42,24 +85,31 @@ export function initBoardRenderer(boardSelector = '#board') {
 }
 
 /**
- * 渲染棋盘
+ * 渲染棋盘（棋盘尺寸按 board.length）
  * @param {number[][]} board - 棋盘数据
  * @param {boolean[][]} given - 预填格子标记
+ * @param {number[][][]} [notes] - 每个格子的笔记（候选数列表），用于恢复游戏
  * @example
  * renderBoard(puzzle, givenMask);
+ * renderBoard(savedState.currentBoard, givenMask, savedState.notes);
  */
-export function renderBoard(board, given) {
+export function renderBoard(board, given, notes = null) {
   if (!boardElement) {
     initBoardRenderer();
   }
 
   // 重置标志由事件总线管理，这里不需要设置
   givenMask = given;
+  boardSize = board.length;
+  const { boxRows, boxCols } = getGeometry(boardSize);
+  boardElement.dataset.size = boardSize;
   boardElement.innerHTML = '';
   cachedCells = [];
   cachedInputs = [];
   cachedPrefilledCells = [];
   cachedInputGrid = createInputGrid();
+  cachedNotesGrid = createInputGrid();
+  notesGrid = createNotesGrid();
   filledCellCount = 0;
   if (checkCompleteTimeout) {
     clearTimeout(checkCompleteTimeout);
@@ -67,15 +117,18 @@ export function renderBoard(board, given) {
   }
   const fragment = document.createDocumentFragment();
 
-  for (let r = 0; r < GRID_SIZE; r++) {
-    for (let c = 0; c < GRID_SIZE; c++) {
+  for (let r = 0; r < boardSize; r++) {
+    for (let c = 0; c < boardSize; c++) {
       const cell = document.createElement('div');
       cell.className = 'cell';
+      // 宫的右边和下边加粗（棋盘外边框除外）
+      if ((c + 1) % boxCols === 0 && c < boardSize - 1) cell.classList.add('box-right');
+      if ((r + 1) % boxRows === 0 && r < boardSize - 1) cell.classList.add('box-bottom');
 
       if (given[r][c]) {
         // 预填格子
         cell.classList.add('prefilled');
-        cell.textContent = board[r][c] || '';
+        cell.textContent = formatCellValue(board[r][c]);
         cell.dataset.r = r;
         cell.dataset.c = c;
         cell.dataset.value = board[r][c] || ''; // 添加值到dataset
@@ -88,20 +141,43 @@ export function renderBoard(board, given) {
         // 可编辑格子
         const input = document.createElement('input');
         input.type = 'text';
-        input.inputMode = 'numeric';
+        // 16x16 需要输入字母
+        input.inputMode = boardSize > 9 ? 'text' : 'numeric';
         input.maxLength = 1;
         input.className = 'cell-input';
         input.dataset.r = r;
         input.dataset.c = c;
-        input.value = board[r][c] ? board[r][c] : '';
+        input.value = formatCellValue(board[r][c]);
+        input.dataset.oldValue = input.value;
+        if (input.value) {
+          filledCellCount++;
+          cell.classList.add('has-value');
+        }
 
         // 事件监听 - 使用 passive 事件监听器
         input.addEventListener('input', onCellInput, { passive: true });
         input.addEventListener('keydown', onCellKeyDown, { passive: true });
 
+        // 笔记迷你宫格（与宫的形状相同）
+        const notesEl = document.createElement('div');
+        notesEl.className = 'cell-notes';
+        notesEl.setAttribute('aria-hidden', 'true');
+        for (let n = 1; n <= boardSize; n++) {
+          const noteEl = document.createElement('span');
+          noteEl.dataset.n = n;
+          notesEl.appendChild(noteEl);
+        }
+
         cell.appendChild(input);
+        cell.appendChild(notesEl);
         cachedInputs.push(input);
         cachedInputGrid[r][c] = input;
+        cachedNotesGrid[r][c] = notesEl;
+
+        (notes?.[r]?.[c] || []).forEach(n => {
+          if (n >= 1 && n <= boardSize) notesGrid[r][c].add(n);
+        });
+        renderCellNotes(r, c);
       }
 
       cachedCells.push(cell);
@@ -111,9 +187,43 @@ export function renderBoard(board, given) {
 
   boardElement.appendChild(fragment);
 
+  applyRegionClasses();
+  updateConflicts();
+}
+
+/**
+ * 给变体额外区域中的格子加上 region-<类型> 类名
+ */
+function applyRegionClasses() {
+  if (!boardElement) return;
+
+  boardElement.dataset.variant = boardVariant;
+  cachedCells.forEach(cell => cell.classList.remove('region-diagonal', 'region-window'));
+  getExtraRegions(getActiveVariant(), boardSize).forEach(({ type, cells }) => {
+    cells.forEach(([r, c]) => cachedCells[r * boardSize + c]?.classList.add(`region-${type}`));
+  });
+}
+
+/**
+ * 设置棋盘变体（重新标记额外区域并按新变体检测冲突）
+ * @param {string} variant - 变体名称（见 core/regions）
+ * @example
+ * setBoardVariant('diagonal');
+ */
+export function setBoardVariant(variant) {
+  boardVariant = variant;
+  applyRegionClasses();
   updateConflicts();
 }
 
+/**
+ * 获取棋盘当前的变体
+ * @returns {string}
+ */
+export function getBoardVariant() {
+  return boardVariant;
+}
+
 /**
  * 单元格输入处理
  * @param {Event} e - 输入事件
@@ -134,38 +244,78 @@ function onCellInput(e) {
     return;
   }
 
-  // 只保留 1-9 的数字
-  const raw = input.value.replace(/[^\d]/g, '');
-  let v = raw.slice(0, 1);
-  if (v === '0') v = '';
-
-  // 更新已填格子计数
   const oldValue = input.dataset.oldValue || '';
-  if (oldValue && !v) {
-    // 从有值变为空值
-    filledCellCount--;
-  } else if (!oldValue && v) {
-    // 从空值变为有值
-    filledCellCount++;
+
+  if (notesMode) {
+    // 笔记模式：输入的数字切换候选数，格子本身的值保持不变
+    const digit = [...input.value].map(char => parseCellValue(char, boardSize)).filter(Boolean).pop();
+    input.value = oldValue;
+    if (digit && !oldValue) {
+      const row = +input.dataset.r;
+      const col = +input.dataset.c;
+      const previous = getCellState(row, col);
+      toggleNote(row, col, digit);
+      emit(EVENTS.CELL_INPUT, {
+        row,
+        col,
+        value: 0,
+        notes: getCellNotes(row, col),
+        previous
+      });
+    }
+    return;
   }
-  input.dataset.oldValue = v;
 
-  input.value = v;
+  // 只保留 1-N 的数字（大于 9 的数字为字母，统一为大写）
+  const value = [...input.value].map(char => parseCellValue(char, boardSize)).find(Boolean) ?? 0;
+  const v = formatCellValue(value);
+
+  const row = +input.dataset.r;
+  const col = +input.dataset.c;
+  const previous = {
+    value: parseCellValue(oldValue, boardSize),
+    notes: getCellNotes(row, col)
+  };
+
+  writeInputValue(input, v);
 
   // 更新冲突高亮
   updateConflicts();
 
   // 触发事件
   emit(EVENTS.CELL_INPUT, {
-    row: +input.dataset.r,
-    col: +input.dataset.c,
-    value: v ? parseInt(v) : 0
+    row,
+    col,
+    value,
+    notes: previous.notes,
+    previous
   });
 
   // 检查是否完成
   checkAutoComplete();
 }
 
+/**
+ * 写入输入框的值，同步已填格子计数和样式
+ * @param {HTMLInputElement} input - 输入框
+ * @param {string} v - 新值（'' 或数字的符号，见 core/geometry）
+ */
+function writeInputValue(input, v) {
+  // 更新已填格子计数
+  const oldValue = input.dataset.oldValue || '';
+  if (oldValue && !v) {
+    // 从有值变为空值
+    filledCellCount--;
+  } else if (!oldValue && v) {
+    // 从空值变为有值
+    filledCellCount++;
+  }
+  input.dataset.oldValue = v;
+
+  input.value = v;
+  input.parentElement?.classList.toggle('has-value', !!v);
+}
+
 /**
  * 键盘导航处理
  * @param {KeyboardEvent} e - 键盘事件
@@ -189,23 +339,27 @@ function moveFocus(direction, input) {
   let nr = r;
   let nc = c;
 
+  const size = boardSize;
+  const back = i => (i + size - 1) % size;
+  const forward = i => (i + 1) % size;
+
   switch (direction) {
     case 'ArrowLeft':
-      nc = (c + 8) % 9;
+      nc = back(c);
       break;
     case 'ArrowRight':
-      nc = (c + 1) % 9;
+      nc = forward(c);
       break;
     case 'ArrowUp':
-      nr = (r + 8) % 9;
+      nr = back(r);
       break;
     case 'ArrowDown':
-      nr = (r + 1) % 9;
+      nr = forward(r);
       break;
   }
 
   // 查找下一个可编辑的格子
-  for (let i = 0; i < 81; i++) {
+  for (let i = 0; i < size * size; i++) {
     const next = cachedInputGrid[nr]?.[nc];
     if (next) {
       next.focus();
@@ -214,11 +368,11 @@ function moveFocus(direction, input) {
 
     // 继续寻找下一个
     if (direction === 'ArrowLeft' || direction === 'ArrowRight') {
-      nc = direction === 'ArrowLeft' ? (nc + 8) % 9 : (nc + 1) % 9;
-      if (nc === c) nr = direction === 'ArrowLeft' ? (nr + 8) % 9 : (nr + 1) % 9;
+      nc = direction === 'ArrowLeft' ? back(nc) : forward(nc);
+      if (nc === c) nr = direction === 'ArrowLeft' ? back(nr) : forward(nr);
     } else {
-      nr = direction === 'ArrowUp' ? (nr + 8) % 9 : (nr + 1) % 9;
-      if (nr === r) nc = direction === 'ArrowUp' ? (nc + 8) % 9 : (nc + 1) % 9;
+      nr = direction === 'ArrowUp' ? back(nr) : forward(nr);
+      if (nr === r) nc = direction === 'ArrowUp' ? back(nc) : forward(nc);
     }
   }
 }
@@ -237,12 +391,12 @@ export function updateConflicts() {
   const board = readUserBoard();
 
   // 检测冲突
-  const { conflicts } = detectConflicts(board);
+  const { conflicts } = detectConflicts(board, getActiveVariant());
 
   // 标记冲突格子
   conflicts.forEach(key => {
     const [r, c] = key.split(',').map(Number);
-    const idx = r * 9 + c;
+    const idx = r * boardSize + c;
     const cell = cells[idx];
     if (cell) {
       cell.classList.add('conflict');
@@ -255,7 +409,7 @@ export function updateConflicts() {
  * @returns {number[][]} 当前棋盘状态
  */
 export function readUserBoard() {
-  const board = Array.from({ length: GRID_SIZE }, () => Array(GRID_SIZE).fill(0));
+  const board = Array.from({ length: boardSize }, () => Array(boardSize).fill(0));
 
   if (!boardElement) return board;
 
@@ -264,8 +418,7 @@ export function readUserBoard() {
   inputs.forEach(inp => {
     const r = +inp.dataset.r;
     const c = +inp.dataset.c;
-    const v = parseInt(inp.value);
-    board[r][c] = (!isNaN(v) && v >= 1 && v <= 9) ? v : 0;
+    board[r][c] = parseCellValue(inp.value, boardSize);
   });
 
   // 读取预填格子（优先使用 dataset.value）
@@ -274,8 +427,8 @@ export function readUserBoard() {
     const r = +cell.dataset.r;
     const c = +cell.dataset.c;
     // 优先从 dataset.value 读取，如果不存在则从 textContent 读取
-    const value = parseInt(cell.dataset.value || cell.textContent);
-    if (!isNaN(value) && value >= 1 && value <= 9) {
+    const value = parseInt(cell.dataset.value) || parseCellValue(cell.textContent, boardSize);
+    if (value >= 1 && value <= boardSize) {
       board[r][c] = value;
     }
   });
@@ -305,8 +458,8 @@ function checkAutoComplete() {
   }
 
   checkCompleteTimeout = setTimeout(() => {
-    // 使用计数器快速检查是否全部填满（避免遍历81个格子）
-    if (filledCellCount < 81) {
+    // 使用计数器快速检查是否全部填满（避免遍历所有格子）
+    if (filledCellCount < boardSize * boardSize) {
       return;
     }
 
@@ -332,6 +485,8 @@ export function clearBoard() {
   cachedInputs = [];
   cachedPrefilledCells = [];
   cachedInputGrid = createInputGrid();
+  cachedNotesGrid = createInputGrid();
+  notesGrid = createNotesGrid();
   filledCellCount = 0;
   if (checkCompleteTimeout) {
     clearTimeout(checkCompleteTimeout);
@@ -354,18 +509,138 @@ export function getCellValue(row, col) {
  * 设置指定位置的单元格值
  * @param {number} row - 行索引
  * @param {number} col - 列索引
- * @param {number} value - 值 (0-9)
+ * @param {number} value - 值 (0-N)
  */
 export function setCellValue(row, col, value) {
   if (!boardElement) return;
 
   const input = cachedInputGrid[row]?.[col];
   if (input) {
-    input.value = value > 0 ? value : '';
+    writeInputValue(input, formatCellValue(value));
     updateConflicts();
   }
 }
 
+/**
+ * 获取可编辑格子的状态（数值与笔记）
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @returns {{value: number, notes: number[]}} 格子状态
+ */
+export function getCellState(row, col) {
+  const input = cachedInputGrid[row]?.[col];
+  return {
+    value: input ? parseCellValue(input.value, boardSize) : 0,
+    notes: getCellNotes(row, col)
+  };
+}
+
+/**
+ * 设置可编辑格子的状态（用于撤销/重做），不会触发 CELL_INPUT
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @param {{value: number, notes: number[]}} state - 格子状态
+ * @example
+ * setCellState(0, 0, { value: 0, notes: [1, 2] });
+ */
+export function setCellState(row, col, { value, notes }) {
+  const input = cachedInputGrid[row]?.[col];
+  if (!input) return;
+
+  writeInputValue(input, formatCellValue(value));
+  setCellNotes(row, col, notes);
+  updateConflicts();
+  checkAutoComplete();
+}
+
+/**
+ * 渲染单个格子的笔记
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ */
+function renderCellNotes(row, col) {
+  const notesEl = cachedNotesGrid[row]?.[col];
+  if (!notesEl) return;
+
+  const cellNotes = notesGrid[row][col];
+  Array.from(notesEl.children).forEach(noteEl => {
+    const n = +noteEl.dataset.n;
+    noteEl.textContent = cellNotes.has(n) ? formatCellValue(n) : '';
+  });
+}
+
+/**
+ * 切换笔记模式
+ * @param {boolean} enabled - 是否启用
+ * @example
+ * setNotesMode(!isNotesMode());
+ */
+export function setNotesMode(enabled) {
+  notesMode = !!enabled;
+  if (boardElement) {
+    boardElement.classList.toggle('notes-mode', notesMode);
+  }
+}
+
+/**
+ * 是否处于笔记模式
+ * @returns {boolean} 笔记模式状态
+ */
+export function isNotesMode() {
+  return notesMode;
+}
+
+/**
+ * 切换格子中的某个候选数（预填格子忽略）
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @param {number} value - 候选数 (1-N)
+ * @returns {boolean} 切换后该候选数是否存在
+ */
+export function toggleNote(row, col, value) {
+  if (!cachedNotesGrid[row]?.[col]) return false;
+
+  const cellNotes = notesGrid[row][col];
+  if (cellNotes.has(value)) {
+    cellNotes.delete(value);
+  } else {
+    cellNotes.add(value);
+  }
+  renderCellNotes(row, col);
+  return cellNotes.has(value);
+}
+
+/**
+ * 获取单个格子的笔记
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @returns {number[]} 升序排列的候选数
+ */
+export function getCellNotes(row, col) {
+  return Array.from(notesGrid[row]?.[col] || []).sort((a, b) => a - b);
+}
+
+/**
+ * 设置单个格子的笔记
+ * @param {number} row - 行索引
+ * @param {number} col - 列索引
+ * @param {number[]} values - 候选数列表
+ */
+export function setCellNotes(row, col, values) {
+  if (!cachedNotesGrid[row]?.[col]) return;
+
+  notesGrid[row][col] = new Set(values.filter(n => n >= 1 && n <= boardSize));
+  renderCellNotes(row, col);
+}
+
+/**
+ * 获取全部笔记（可序列化，用于保存游戏状态）
+ * @returns {number[][][]} 每个格子的候选数列表
+ */
+export function getNotes() {
+  return notesGrid.map((row, r) => row.map((_, c) => getCellNotes(r, c)));
+}
+
 /**
  * 高亮指定的单元格列表
  * @param {Array<[number, number]>} positions - 位置列表
@@ -376,7 +651,7 @@ export function highlightCells(positions, className = 'highlight') {
 
   const cells = boardElement.querySelectorAll('.cell');
   positions.forEach(([r, c]) => {
-    const idx = r * 9 + c;
+    const idx = r * boardSize + c;
     if (cells[idx]) {
       cells[idx].classList.add(className);
     }
@@ -408,11 +683,16 @@ export function cleanupBoardRenderer() {
   }
 
   // 清理缓存
+  boardSize = DEFAULT_SIZE;
   cachedCells = [];
   cachedInputs = [];
   cachedPrefilledCells = [];
   cachedInputGrid = createInputGrid();
+  cachedNotesGrid = createInputGrid();
+  notesGrid = createNotesGrid();
+  notesMode = false;
   filledCellCount = 0;
+  boardVariant = DEFAULT_VARIANT;
 
   // 清理 DOM 引用
   boardElement = null;
@@ -6,6 +6,11 @@
 import { emit } from '../utils/event-bus.js';
 import { EVENTS } from '../config/events.js';
 import { initializationManager } from '../utils/InitializationManager.js';
+import { formatTime } from '../utils/helpers.js';
+import { isVariantSupported } from '../core/regions.js';
+import { DEFAULT_SIZE } from '../core/geometry.js';
+import { isValidSeed } from '../utils/random.js';
+import { showWarning } from './toast.js';
 
 // 获取全局i18n实例
 const getI18n = () => window.i18n;
@@ -17,9 +22,36 @@ let pauseBtnRef = null;
  * 控件元素引用
  */
 let difficultyEl = null;
+let modeEl = null;
+let variantEl = null;
+let gridSizeEl = null;
+let seedInputEl = null;
 let newBtn = null;
 let resetBtn = null;
+let notesBtn = null;
+let undoBtn = null;
+let redoBtn = null;
+let hintBtn = null;
 let clearRecordsBtn = null;
+let shareLinkBtn = null;
+let copyPuzzleBtn = null;
+
+/**
+ * 撤销/重做可用状态（启用控件时据此决定按钮是否可点）
+ */
+let historyState = { canUndo: false, canRedo: false };
+
+/**
+ * 切换笔记模式的快捷键
+ * @type {string}
+ */
+const NOTES_SHORTCUT_KEY = 'n';
+
+/**
+ * 显示提示的快捷键
+ * @type {string}
+ */
+const HINT_SHORTCUT_KEY = 'h';
 
 /**
  * 初始化控制器
@@ -34,35 +66,97 @@ export function initializeControls() {
 
   // 获取 DOM 元素
   difficultyEl = document.getElementById('difficulty');
+  modeEl = document.getElementById('gameMode');
+  variantEl = document.getElementById('gameVariant');
+  gridSizeEl = document.getElementById('gridSize');
+  seedInputEl = document.getElementById('seedInput');
   newBtn = document.getElementById('newBtn');
   resetBtn = document.getElementById('resetBtn');
+  notesBtn = document.getElementById('notesBtn');
+  undoBtn = document.getElementById('undoBtn');
+  redoBtn = document.getElementById('redoBtn');
+  hintBtn = document.getElementById('hintBtn');
   clearRecordsBtn = document.getElementById('clearRecords');
+  shareLinkBtn = document.getElementById('shareLinkBtn');
+  copyPuzzleBtn = document.getElementById('copyPuzzleBtn');
 
   // 绑定事件
   if (newBtn) {
     newBtn.addEventListener('click', handleNewGame);
   }
 
+  if (seedInputEl) {
+    seedInputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') handleNewGame();
+    });
+  }
+
   if (resetBtn) {
     resetBtn.addEventListener('click', handleReset);
   }
 
+  if (notesBtn) {
+    notesBtn.addEventListener('click', handleNotesToggle);
+  }
+
+  if (undoBtn) {
+    undoBtn.addEventListener('click', handleUndo);
+  }
+
+  if (redoBtn) {
+    redoBtn.addEventListener('click', handleRedo);
+  }
+
+  if (hintBtn) {
+    hintBtn.addEventListener('click', handleHint);
+  }
+
   if (clearRecordsBtn) {
     clearRecordsBtn.addEventListener('click', handleClearRecords);
   }
 
+  if (shareLinkBtn) {
+    shareLinkBtn.addEventListener('click', () => emit(EVENTS.PUZZLE_SHARE_REQUEST, { format: 'link' }));
+  }
+
+  if (copyPuzzleBtn) {
+    copyPuzzleBtn.addEventListener('click', () => emit(EVENTS.PUZZLE_SHARE_REQUEST, { format: 'string' }));
+  }
+
+  document.addEventListener('keydown', handleShortcutKeyDown);
+
   if (difficultyEl) {
     difficultyEl.addEventListener('change', handleDifficultyChange);
   }
 
+  if (modeEl) {
+    modeEl.addEventListener('change', handleModeChange);
+  }
+
+  if (variantEl) {
+    variantEl.addEventListener('change', handleVariantChange);
+  }
+
+  if (gridSizeEl) {
+    gridSizeEl.addEventListener('change', handleGridSizeChange);
+  }
+
   initializationManager.markInitialized('controls');
 }
 
 /**
- * 处理新游戏按钮点击
+ * 处理新游戏按钮点击（种子输入框有内容时用它复现题目，用过后清空）
  */
 function handleNewGame() {
-  emit(EVENTS.GAME_NEW, { difficulty: getDifficulty() });
+  const seed = seedInputEl?.value.trim().toLowerCase() || undefined;
+  if (seed !== undefined && !isValidSeed(seed)) {
+    showWarning(getI18n().t('seed.invalid'));
+    seedInputEl.focus();
+    return;
+  }
+
+  if (seedInputEl) seedInputEl.value = '';
+  emit(EVENTS.GAME_NEW, { difficulty: getDifficulty(), seed });
 }
 
 /**
@@ -74,6 +168,171 @@ function handleReset() {
   }
 }
 
+/**
+ * 处理笔记按钮点击
+ */
+function handleNotesToggle() {
+  emit(EVENTS.NOTES_MODE_TOGGLE);
+}
+
+/**
+ * 处理全局快捷键
+ * @param {KeyboardEvent} e - 键盘事件
+ */
+function handleShortcutKeyDown(e) {
+  // 在普通文本框（如邮箱输入）中不响应快捷键，棋盘格子除外
+  const target = e.target;
+  const isTextField = target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  if (isTextField && !target.classList.contains('cell-input')) return;
+
+  const key = e.key.toLowerCase();
+
+  if (e.ctrlKey || e.metaKey) {
+    if (e.altKey) return;
+    // Ctrl+Z 撤销；Ctrl+Y 或 Ctrl+Shift+Z 重做（阻止输入框自带的撤销）
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      if (!undoBtn || !undoBtn.disabled) handleUndo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      if (!redoBtn || !redoBtn.disabled) handleRedo();
+    }
+    return;
+  }
+
+  if (e.altKey) return;
+
+  if (key === NOTES_SHORTCUT_KEY) {
+    if (notesBtn && notesBtn.disabled) return;
+    handleNotesToggle();
+  } else if (key === HINT_SHORTCUT_KEY) {
+    if (hintBtn && hintBtn.disabled) return;
+    handleHint();
+  }
+}
+
+/**
+ * 处理提示按钮点击
+ */
+function handleHint() {
+  emit(EVENTS.HINT_REQUEST);
+}
+
+/**
+ * 处理撤销按钮点击
+ */
+function handleUndo() {
+  emit(EVENTS.HISTORY_UNDO_REQUEST);
+}
+
+/**
+ * 处理重做按钮点击
+ */
+function handleRedo() {
+  emit(EVENTS.HISTORY_REDO_REQUEST);
+}
+
+/**
+ * 更新撤销/重做按钮状态
+ * @param {{canUndo: boolean, canRedo: boolean}} state - 历史可用状态
+ * @example
+ * updateHistoryButtons({ canUndo: true, canRedo: false });
+ */
+export function updateHistoryButtons({ canUndo, canRedo }) {
+  historyState = { canUndo, canRedo };
+  if (!undoBtn) {
+    undoBtn = document.getElementById('undoBtn');
+  }
+  if (!redoBtn) {
+    redoBtn = document.getElementById('redoBtn');
+  }
+  if (undoBtn) undoBtn.disabled = !canUndo;
+  if (redoBtn) redoBtn.disabled = !canRedo;
+}
+
+/**
+ * 更新笔记按钮状态
+ * @param {boolean} enabled - 笔记模式是否启用
+ * @example
+ * updateNotesButton(true);
+ */
+export function updateNotesButton(enabled) {
+  if (!notesBtn) {
+    notesBtn = document.getElementById('notesBtn');
+  }
+  if (notesBtn) {
+    notesBtn.classList.toggle('active', enabled);
+    notesBtn.setAttribute('aria-pressed', String(enabled));
+  }
+}
+
+/**
+ * 显示当前对局的种子（同一难度、变体和尺寸下输入这个种子会得到同一道题）
+ * @param {string|null} seed - 种子，每日一题、分享和手动输入的题目没有种子
+ * @example
+ * updateSeedDisplay('k3x9a1z');
+ */
+export function updateSeedDisplay(seed) {
+  const seedInfo = document.getElementById('seedInfo');
+  const currentSeed = document.getElementById('currentSeed');
+  if (!seedInfo || !currentSeed) return;
+
+  currentSeed.textContent = seed ?? '';
+  seedInfo.classList.toggle('is-hidden', !seed);
+}
+
+/**
+ * 更新同步按钮上的待上传数量角标
+ * @param {number} pending - 待上传记录数
+ * @example
+ * updateSyncBadge(2);
+ */
+export function updateSyncBadge(pending) {
+  const syncBtn = document.getElementById('syncBtn');
+  if (!syncBtn) return;
+
+  if (pending > 0) {
+    syncBtn.dataset.pending = String(pending);
+    syncBtn.title = getI18n()?.t('status.pendingUploads', { count: pending }) ?? '';
+  } else {
+    delete syncBtn.dataset.pending;
+    syncBtn.removeAttribute('title');
+  }
+}
+
+/**
+ * 询问是否在本设备继续另一台设备上的对局
+ * @param {{difficulty: string, elapsedTime: number, savedAt: number}} remote - 云端存档
+ * @param {boolean} hasLocalGame - 本设备是否也有进行中的对局（确认后会被替换）
+ * @returns {boolean} 是否使用云端存档
+ */
+export function confirmContinueRemoteGame(remote, hasLocalGame) {
+  const i18n = getI18n();
+  const message = i18n.t(hasLocalGame ? 'cloudSave.replaceLocal' : 'cloudSave.continueHere', {
+    difficulty: i18n.t(`difficulty.${remote.difficulty}`),
+    time: formatTime(remote.elapsedTime),
+    savedAt: new Date(remote.savedAt).toLocaleString(i18n.currentLang)
+  });
+  return confirm(message);
+}
+
+/**
+ * 开始新游戏前询问是否把未完成的对局放入存档
+ * @param {{difficulty: string, elapsedTime: number, progress: number}} game - 未完成的对局
+ * @param {boolean} replacesShelved - 该难度的存档槽里是否已有搁置的对局（确认后会被替换）
+ * @returns {boolean} 是否保存到存档
+ */
+export function confirmShelveGame(game, replacesShelved) {
+  const i18n = getI18n();
+  const message = i18n.t(replacesShelved ? 'saveSlots.shelveReplacePrompt' : 'saveSlots.shelvePrompt', {
+    difficulty: i18n.t(`difficulty.${game.difficulty}`),
+    progress: game.progress,
+    time: formatTime(game.elapsedTime)
+  });
+  return confirm(message);
+}
+
 /**
  * 处理清除记录按钮点击
  */
@@ -90,6 +349,128 @@ function handleDifficultyChange() {
   emit(EVENTS.DIFFICULTY_CHANGED, { difficulty: getDifficulty() });
 }
 
+/**
+ * 处理游戏模式改变
+ */
+function handleModeChange() {
+  emit(EVENTS.GAME_MODE_CHANGED, { mode: getGameMode() });
+}
+
+/**
+ * 处理变体改变
+ */
+function handleVariantChange() {
+  emit(EVENTS.GAME_VARIANT_CHANGED, { variant: getVariant() });
+}
+
+/**
+ * 处理棋盘尺寸改变
+ */
+function handleGridSizeChange() {
+  syncVariantOptions();
+  emit(EVENTS.GRID_SIZE_CHANGED, { size: getGridSize() });
+}
+
+/**
+ * 按棋盘尺寸禁用不可用的变体（窗口数独只有 9x9），当前变体不可用时换回经典
+ */
+function syncVariantOptions() {
+  if (!variantEl) return;
+  const size = getGridSize();
+  [...variantEl.options].forEach((option) => {
+    option.disabled = !isVariantSupported(option.value, size);
+  });
+  if (!isVariantSupported(variantEl.value, size)) {
+    variantEl.value = 'classic';
+    handleVariantChange();
+  }
+}
+
+/**
+ * 获取当前选择的游戏模式
+ * @returns {string} 'classic'（随机题目）、'daily'（每日一题）或 'custom'（输入题目）
+ * @example
+ * if (getGameMode() === 'daily') { ... }
+ */
+export function getGameMode() {
+  if (!modeEl) {
+    modeEl = document.getElementById('gameMode');
+  }
+  return modeEl ? modeEl.value : 'classic';
+}
+
+/**
+ * 设置游戏模式
+ * @param {string} mode - 'classic'、'daily'、'custom' 或 'pack'
+ * @example
+ * setGameMode('daily');
+ */
+export function setGameMode(mode) {
+  if (!modeEl) {
+    modeEl = document.getElementById('gameMode');
+  }
+  if (modeEl) {
+    modeEl.value = mode;
+  }
+}
+
+/**
+ * 获取当前选择的数独变体
+ * @returns {string} 'classic'、'diagonal' 或 'hyper'（见 core/regions）
+ * @example
+ * requestPuzzle(getDifficulty(), { variant: getVariant() });
+ */
+export function getVariant() {
+  if (!variantEl) {
+    variantEl = document.getElementById('gameVariant');
+  }
+  return variantEl ? variantEl.value : 'classic';
+}
+
+/**
+ * 设置数独变体
+ * @param {string} variant - 变体名称
+ * @example
+ * setVariant('diagonal');
+ */
+export function setVariant(variant) {
+  if (!variantEl) {
+    variantEl = document.getElementById('gameVariant');
+  }
+  if (variantEl) {
+    variantEl.value = variant;
+  }
+}
+
+/**
+ * 获取当前选择的棋盘尺寸
+ * @returns {number} 边长（4、6、9、12 或 16，见 core/geometry）
+ * @example
+ * requestPuzzle(getDifficulty(), { size: getGridSize() });
+ */
+export function getGridSize() {
+  if (!gridSizeEl) {
+    gridSizeEl = document.getElementById('gridSize');
+  }
+  return gridSizeEl ? Number(gridSizeEl.value) : DEFAULT_SIZE;
+}
+
+/**
+ * 设置棋盘尺寸
+ * @param {number} size - 边长
+ * @example
+ * setGridSize(4);
+ */
+export function setGridSize(size) {
+  if (!gridSizeEl) {
+    gridSizeEl = document.getElementById('gridSize');
+  }
+  if (gridSizeEl) {
+    gridSizeEl.value = String(size);
+    syncVariantOptions();
+  }
+}
+
 /**
  * 获取当前选择的难度
  * @returns {string} 难度级别
@@ -126,7 +507,15 @@ export function setDifficulty(difficulty) {
 export function disableControls() {
   if (newBtn) newBtn.disabled = true;
   if (resetBtn) resetBtn.disabled = true;
+  if (notesBtn) notesBtn.disabled = true;
+  if (undoBtn) undoBtn.disabled = true;
+  if (redoBtn) redoBtn.disabled = true;
+  if (hintBtn) hintBtn.disabled = true;
   if (difficultyEl) difficultyEl.disabled = true;
+  if (modeEl) modeEl.disabled = true;
+  if (variantEl) variantEl.disabled = true;
+  if (gridSizeEl) gridSizeEl.disabled = true;
+  if (seedInputEl) seedInputEl.disabled = true;
   if (clearRecordsBtn) clearRecordsBtn.disabled = true;
 }
 
@@ -138,7 +527,15 @@ export function disableControls() {
 export function enableControls() {
   if (newBtn) newBtn.disabled = false;
   if (resetBtn) resetBtn.disabled = false;
+  if (notesBtn) notesBtn.disabled = false;
+  if (undoBtn) undoBtn.disabled = !historyState.canUndo;
+  if (redoBtn) redoBtn.disabled = !historyState.canRedo;
+  if (hintBtn) hintBtn.disabled = false;
   if (difficultyEl) difficultyEl.disabled = false;
+  if (modeEl) modeEl.disabled = false;
+  if (variantEl) variantEl.disabled = false;
+  if (gridSizeEl) gridSizeEl.disabled = false;
+  if (seedInputEl) seedInputEl.disabled = false;
   if (clearRecordsBtn) clearRecordsBtn.disabled = false;
 }
 
@@ -153,6 +550,8 @@ export function setLoading(loading) {
   if (loading) {
     disableControls();
     if (newBtn) {
+      // 生成期间保持可点击：再次点击会取消当前生成并重新开始
+      newBtn.disabled = false;
       newBtn.textContent = getI18n().t('buttons.generating');
     }
   } else {
@@ -0,0 +1,71 @@
+/**
+ * 提示展示 - 高亮相关格子并生成本地化说明
+ * @module ui/hints
+ */
+
+import { highlightCells, clearHighlight } from './board-renderer.js';
+import { formatCellValue } from '../core/geometry.js';
+
+/**
+ * 提示相关格子的高亮类名
+ * @type {string}
+ */
+const HINT_CLASS = 'hint';
+
+/**
+ * 提示目标格子的高亮类名
+ * @type {string}
+ */
+const HINT_TARGET_CLASS = 'hint-target';
+
+function describeUnit(unit, t) {
+  if (!unit) return '';
+  return t(`hints.units.${unit.type}`, { index: unit.index + 1 });
+}
+
+/**
+ * 生成提示说明文字
+ * @param {import('../core/hint.js').Hint} hint - 提示
+ * @param {Function} t - 翻译函数
+ * @returns {string} 说明文字
+ * @example
+ * showToast(formatHintMessage(hint, i18n.t.bind(i18n)), 'info');
+ */
+export function formatHintMessage(hint, t) {
+  const { row, col, value } = hint.placement;
+  // 大于 9 的数字按棋盘上的符号显示（10 = A）
+  const params = { row: row + 1, col: col + 1, value: formatCellValue(value) };
+
+  let message;
+  if (hint.type === 'mistake') {
+    message = t('hints.mistake', params);
+  } else if (hint.type === 'reveal') {
+    message = t('hints.reveal', params);
+  } else {
+    message = t(`hints.explanations.${hint.technique}`, { ...params, unit: describeUnit(hint.unit, t) });
+    if (hint.eliminations.length > 0) {
+      const techniques = hint.eliminations.map(name => t(`hints.techniques.${name}`)).join(', ');
+      message = t('hints.withEliminations', { techniques, explanation: message });
+    }
+  }
+
+  return `${message} ${t('hints.fillPrompt')}`;
+}
+
+/**
+ * 高亮提示涉及的格子
+ * @param {import('../core/hint.js').Hint} hint - 提示
+ */
+export function showHintHighlight(hint) {
+  clearHintHighlight();
+  highlightCells(hint.cells, HINT_CLASS);
+  highlightCells([[hint.placement.row, hint.placement.col]], HINT_TARGET_CLASS);
+}
+
+/**
+ * 清除提示高亮
+ */
+export function clearHintHighlight() {
+  clearHighlight(HINT_CLASS);
+  clearHighlight(HINT_TARGET_CLASS);
+}
@@ -0,0 +1,220 @@
+/**
+ * 历史记录面板 - 按难度分页列出每局成绩，可排序、筛选和删除
+ * @module ui/history
+ */
+
+import { loadRecords, deleteRecord } from '../storage/local-storage.js';
+import { on } from '../utils/event-bus.js';
+import { formatTime } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+/**
+ * 每页显示的记录数
+ * @type {number}
+ */
+export const HISTORY_PAGE_SIZE = 10;
+
+const SORTERS = {
+  'date-desc': (a, b) => b.at - a.at,
+  'date-asc': (a, b) => a.at - b.at,
+  'time-asc': (a, b) => a.time - b.time || b.at - a.at,
+  'time-desc': (a, b) => b.time - a.time || b.at - a.at
+};
+
+let panel = null;
+let listElement = null;
+let controls = {};
+let currentPage = 1;
+
+/**
+ * 查询某个难度的历史记录
+ * @param {Object} records - loadRecords() 的结果
+ * @param {Object} query
+ * @param {string} query.difficulty - 难度级别
+ * @param {string} [query.sort='date-desc'] - date-desc | date-asc | time-asc | time-desc
+ * @param {number|null} [query.from=null] - 起始时间戳（含）
+ * @param {number|null} [query.to=null] - 结束时间戳（含）
+ * @param {string} [query.synced='all'] - all | synced | unsynced
+ * @param {number} [query.page=1] - 页码（超出范围时取最后一页）
+ * @param {number} [query.pageSize=HISTORY_PAGE_SIZE] - 每页记录数
+ * @returns {{entries: Object[], total: number, page: number, pages: number, best: number|null}}
+ * @example
+ * queryRecordHistory(loadRecords(), { difficulty: 'hard', sort: 'time-asc', synced: 'unsynced' });
+ */
+export function queryRecordHistory(records, {
+  difficulty,
+  sort = 'date-desc',
+  from = null,
+  to = null,
+  synced = 'all',
+  page = 1,
+  pageSize = HISTORY_PAGE_SIZE
+}) {
+  const data = records[difficulty] || { best: null, history: [] };
+  const matches = data.history.filter(record => (
+    (from === null || record.at >= from) &&
+    (to === null || record.at <= to) &&
+    (synced === 'all' || (synced === 'synced') === !!record.synced)
+  ));
+  matches.sort(SORTERS[sort] || SORTERS['date-desc']);
+
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const current = Math.min(Math.max(1, page), pages);
+  return {
+    entries: matches.slice((current - 1) * pageSize, current * pageSize),
+    total: matches.length,
+    page: current,
+    pages,
+    best: data.best ?? null
+  };
+}
+
+/**
+ * 日期输入框的值（YYYY-MM-DD，本地日期）转换为时间戳
+ * @param {string} value - 输入值
+ * @param {boolean} [endOfDay=false] - 取当天最后一毫秒
+ * @returns {number|null} 空值时为 null
+ */
+export function parseDateInput(value, endOfDay = false) {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, day + 1).getTime() - 1
+    : new Date(year, month - 1, day).getTime();
+}
+
+/**
+ * 渲染历史记录列表
+ * @param {HTMLElement} container - 容器
+ * @param {ReturnType<typeof queryRecordHistory>} result - queryRecordHistory() 的结果
+ * @param {Object} i18n - i18n 实例
+ */
+export function renderHistoryList(container, result, i18n) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const fragment = document.createDocumentFragment();
+
+  if (result.entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'small';
+    empty.textContent = t('history.empty');
+    fragment.appendChild(empty);
+  }
+
+  result.entries.forEach((record) => {
+    const row = document.createElement('div');
+    row.className = record.time === result.best ? 'history-row is-best' : 'history-row';
+
+    const date = document.createElement('span');
+    date.textContent = new Date(record.at).toLocaleString(i18n.currentLang);
+
+    const time = document.createElement('strong');
+    time.textContent = formatTime(record.time);
+
+    const details = document.createElement('span');
+    details.className = 'small';
+    details.textContent = [
+      t('history.hints', { count: record.hints ?? 0 }),
+      t('history.mistakes', { count: record.mistakes ?? 0 }),
+      t(record.synced ? 'history.synced' : 'history.localOnly')
+    ].join(' · ');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-danger';
+    remove.dataset.id = record.id;
+    remove.textContent = t('history.delete');
+
+    row.append(date, time, details, remove);
+    fragment.appendChild(row);
+  });
+
+  container.replaceChildren(fragment);
+}
+
+function getQuery() {
+  return {
+    difficulty: controls.difficulty?.value || 'easy',
+    sort: controls.sort?.value || 'date-desc',
+    synced: controls.synced?.value || 'all',
+    from: parseDateInput(controls.from?.value),
+    to: parseDateInput(controls.to?.value, true),
+    page: currentPage
+  };
+}
+
+/**
+ * 按当前筛选条件重新渲染（面板收起时跳过，展开时再渲染）
+ */
+export function refreshHistory() {
+  if (!panel?.open) return;
+
+  const i18n = getI18n();
+  const result = queryRecordHistory(loadRecords(), getQuery());
+  currentPage = result.page;
+  renderHistoryList(listElement, result, i18n);
+
+  if (controls.pageLabel) {
+    controls.pageLabel.textContent = i18n.t('history.page', { page: result.page, pages: result.pages, total: result.total });
+  }
+  if (controls.prev) controls.prev.disabled = result.page <= 1;
+  if (controls.next) controls.next.disabled = result.page >= result.pages;
+}
+
+function goToPage(page) {
+  currentPage = page;
+  refreshHistory();
+}
+
+function handleListClick(event) {
+  const button = event.target.closest('button[data-id]');
+  if (!button) return;
+
+  const difficulty = controls.difficulty?.value || 'easy';
+  const record = loadRecords()[difficulty]?.history.find(item => item.id === button.dataset.id);
+  if (!record) return;
+
+  const i18n = getI18n();
+  const message = i18n.t('history.confirmDelete', {
+    time: formatTime(record.time),
+    date: new Date(record.at).toLocaleString(i18n.currentLang)
+  });
+  if (confirm(message)) {
+    deleteRecord(difficulty, record.id);
+  }
+}
+
+/**
+ * 初始化历史记录面板
+ */
+export function initHistory() {
+  panel = document.getElementById('historyPanel');
+  listElement = document.getElementById('historyList');
+  if (!panel || !listElement) return;
+
+  controls = {
+    difficulty: document.getElementById('historyDifficulty'),
+    sort: document.getElementById('historySort'),
+    synced: document.getElementById('historySynced'),
+    from: document.getElementById('historyFrom'),
+    to: document.getElementById('historyTo'),
+    prev: document.getElementById('historyPrev'),
+    next: document.getElementById('historyNext'),
+    pageLabel: document.getElementById('historyPage')
+  };
+
+  panel.addEventListener('toggle', refreshHistory);
+  listElement.addEventListener('click', handleListClick);
+  ['difficulty', 'sort', 'synced', 'from', 'to'].forEach((name) => {
+    controls[name]?.addEventListener('change', () => goToPage(1));
+  });
+  controls.prev?.addEventListener('click', () => goToPage(currentPage - 1));
+  controls.next?.addEventListener('click', () => goToPage(currentPage + 1));
+
+  on(EVENTS.RECORDS_SAVED, refreshHistory);
+  on(EVENTS.RECORDS_CLEARED, refreshHistory);
+}
@@ -0,0 +1,195 @@
+/**
+ * 排行榜面板 - 展示 /api/leaderboard 的结果并高亮当前用户
+ * （单个难度显示用时，所有难度显示积分，悬停可查看各难度名次）
+ * @module ui/leaderboard
+ */
+
+import { fetchLeaderboard } from '../api/leaderboard.js';
+import { on } from '../utils/event-bus.js';
+import { formatTime } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+const PAGE_SIZE = 10;
+
+let panel = null;
+let listElement = null;
+let difficultySelect = null;
+let periodSelect = null;
+let prevButton = null;
+let nextButton = null;
+let pageLabel = null;
+
+let currentUserId = null;
+let currentPage = 1;
+let lastData = null;
+
+/**
+ * 最近一次请求的编号，用于丢弃过期的响应
+ * @type {number}
+ */
+let requestId = 0;
+
+function createRow(cells, className, title = '') {
+  const row = document.createElement('div');
+  row.className = className;
+  if (title) row.title = title;
+  cells.forEach((text) => {
+    const cell = document.createElement('span');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+/**
+ * 渲染排行榜列表
+ * @param {HTMLElement} container - 容器
+ * @param {Object} data - /api/leaderboard 的返回结果
+ * @param {Object} i18n - i18n 实例
+ */
+export function renderLeaderboard(container, data, i18n) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const fragment = document.createDocumentFragment();
+  const global = data.difficulty === 'all';
+
+  const score = entry => (global ? t('leaderboard.points', { points: entry.points }) : formatTime(entry.time));
+  const describe = entry => [
+    `#${entry.rank}`,
+    entry.isCurrentUser ? t('leaderboard.you') : t('leaderboard.player', { tag: entry.player }),
+    score(entry)
+  ];
+  const describeRanks = entry => (global
+    ? Object.entries(entry.ranks).map(([difficulty, rank]) => `${t(`difficulty.${difficulty}`)} #${rank}`).join(' · ')
+    : '');
+
+  if (global) {
+    const hint = document.createElement('div');
+    hint.className = 'small leaderboard-hint';
+    hint.textContent = t('leaderboard.globalHint');
+    fragment.appendChild(hint);
+  }
+
+  if (data.entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'small';
+    empty.textContent = t('leaderboard.empty');
+    fragment.appendChild(empty);
+  }
+
+  data.entries.forEach((entry) => {
+    const className = entry.isCurrentUser ? 'leaderboard-row is-current-user' : 'leaderboard-row';
+    fragment.appendChild(createRow(describe(entry), className, describeRanks(entry)));
+  });
+
+  // 当前用户不在本页时，在末尾单独显示其排名
+  const userRank = data.userRank;
+  if (userRank && !data.entries.some(entry => entry.isCurrentUser)) {
+    fragment.appendChild(createRow([
+      `#${userRank.rank}`,
+      t('leaderboard.you'),
+      score(userRank)
+    ], 'leaderboard-row leaderboard-own-rank is-current-user', describeRanks(userRank)));
+  }
+
+  container.replaceChildren(fragment);
+}
+
+function updatePager(data) {
+  const pages = Math.max(1, Math.ceil(data.total / data.pageSize));
+  if (pageLabel) {
+    pageLabel.textContent = getI18n().t('leaderboard.page', { page: data.page, pages });
+  }
+  if (prevButton) prevButton.disabled = data.page <= 1;
+  if (nextButton) nextButton.disabled = data.page >= pages;
+}
+
+async function loadLeaderboard() {
+  const id = ++requestId;
+
+  try {
+    const data = await fetchLeaderboard({
+      difficulty: difficultySelect?.value || 'medium',
+      period: periodSelect?.value || 'all',
+      page: currentPage,
+      pageSize: PAGE_SIZE,
+      userId: currentUserId
+    });
+    if (id !== requestId) return;
+
+    lastData = data;
+    renderLeaderboard(listElement, data, getI18n());
+    updatePager(data);
+  } catch (error) {
+    if (id !== requestId) return;
+
+    console.warn('加载排行榜失败:', error);
+    lastData = null;
+    listElement.textContent = getI18n().t('leaderboard.loadFailed');
+    if (prevButton) prevButton.disabled = true;
+    if (nextButton) nextButton.disabled = true;
+  }
+}
+
+/**
+ * 重新加载排行榜（面板收起时跳过，展开时再加载）
+ * @returns {Promise<void>}
+ */
+export async function refreshLeaderboard() {
+  if (!panel?.open) return;
+  await loadLeaderboard();
+}
+
+/**
+ * 用已加载的数据重新渲染（切换语言时使用）
+ */
+export function rerenderLeaderboard() {
+  if (!lastData) return;
+  renderLeaderboard(listElement, lastData, getI18n());
+  updatePager(lastData);
+}
+
+function goToPage(page) {
+  currentPage = page;
+  refreshLeaderboard();
+}
+
+/**
+ * 初始化排行榜面板（绑定筛选、翻页和登录状态）
+ */
+export function initLeaderboard() {
+  panel = document.getElementById('leaderboard');
+  listElement = document.getElementById('leaderboardList');
+  if (!panel || !listElement) return;
+
+  difficultySelect = document.getElementById('leaderboardDifficulty');
+  periodSelect = document.getElementById('leaderboardPeriod');
+  prevButton = document.getElementById('leaderboardPrev');
+  nextButton = document.getElementById('leaderboardNext');
+  pageLabel = document.getElementById('leaderboardPage');
+
+  panel.addEventListener('toggle', () => refreshLeaderboard());
+  difficultySelect?.addEventListener('change', () => goToPage(1));
+  periodSelect?.addEventListener('change', () => goToPage(1));
+  prevButton?.addEventListener('click', () => goToPage(Math.max(1, currentPage - 1)));
+  nextButton?.addEventListener('click', () => goToPage(currentPage + 1));
+
+  on(EVENTS.AUTH_LOGIN, ({ user }) => {
+    currentUserId = user?.id || null;
+    refreshLeaderboard();
+  });
+  on(EVENTS.AUTH_LOGOUT, () => {
+    currentUserId = null;
+    refreshLeaderboard();
+  });
+
+  // 新成绩上传或同步完成后刷新
+  on(EVENTS.GAME_COMPLETED, ({ uploaded }) => {
+    if (uploaded) refreshLeaderboard();
+  });
+  on(EVENTS.SYNC_COMPLETED, () => refreshLeaderboard());
+}
@@ -0,0 +1,187 @@
+/**
+ * 题包面板 - 浏览内置题包，查看每道题目是否解出和最佳成绩，继续下一道未解出的题目
+ * @module ui/packs
+ */
+
+import { fetchPackCatalogue, getPackText } from '../api/packs.js';
+import { packProgressAdapter } from '../storage/pack-progress.js';
+import { emit, on } from '../utils/event-bus.js';
+import { formatTime } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+let panel = null;
+let listElement = null;
+
+/**
+ * 汇总一个题包的进度
+ * @param {Object} pack - normalizePackCatalogue() 中的题包
+ * @param {import('../storage/pack-progress.js').PackProgress} progress - 题包进度
+ * @returns {{solved: number, total: number, next: number|null, puzzles: Array<{index: number, key: string, difficulty: string|null, solved: boolean, best: number|null}>}}
+ *   next 为第一道未解出题目的序号（全部解出时为 null）
+ */
+export function summarizePack(pack, progress) {
+  const puzzles = pack.puzzles.map(({ key, difficulty }, index) => {
+    const entry = progress.puzzles[key];
+    return { index, key, difficulty, solved: Boolean(entry), best: entry?.best ?? null };
+  });
+
+  return {
+    solved: puzzles.filter(puzzle => puzzle.solved).length,
+    total: puzzles.length,
+    next: puzzles.find(puzzle => !puzzle.solved)?.index ?? null,
+    puzzles
+  };
+}
+
+/**
+ * 找到下一道未解出的题目
+ *
+ * 优先在指定题包中查找；该题包已全部解出（或不存在）时按目录顺序查找其他题包。
+ * @param {{packs: Object[]}} catalogue - 题包目录
+ * @param {import('../storage/pack-progress.js').PackProgress} progress - 题包进度
+ * @param {string|null} [packId=null] - 优先查找的题包
+ * @returns {{packId: string, index: number}|null} 全部解出时为 null
+ * @example
+ * findNextPackPuzzle(catalogue, progress, progress.lastPackId);
+ */
+export function findNextPackPuzzle(catalogue, progress, packId = null) {
+  const preferred = catalogue.packs.find(pack => pack.id === packId);
+  const packs = preferred ? [preferred, ...catalogue.packs.filter(pack => pack !== preferred)] : catalogue.packs;
+
+  for (const pack of packs) {
+    const { next } = summarizePack(pack, progress);
+    if (next !== null) {
+      return { packId: pack.id, index: next };
+    }
+  }
+  return null;
+}
+
+function createPlayButton(packId, index, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm';
+  button.dataset.pack = packId;
+  button.dataset.index = index;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * 渲染题包列表（保留已展开的题包）
+ * @param {HTMLElement} container - 容器
+ * @param {{packs: Object[]}} catalogue - 题包目录
+ * @param {import('../storage/pack-progress.js').PackProgress} progress - 题包进度
+ * @param {Object} i18n - i18n 实例
+ */
+export function renderPackList(container, catalogue, progress, i18n) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const openIds = new Set([...container.querySelectorAll('details[open]')].map(item => item.dataset.pack));
+  const fragment = document.createDocumentFragment();
+
+  catalogue.packs.forEach((pack) => {
+    const summary = summarizePack(pack, progress);
+    const completed = summary.next === null;
+
+    const item = document.createElement('details');
+    item.className = completed ? 'pack-item is-completed' : 'pack-item';
+    item.dataset.pack = pack.id;
+    item.open = openIds.has(pack.id);
+
+    const title = document.createElement('summary');
+    const name = document.createElement('strong');
+    name.textContent = getPackText(pack.name, i18n.currentLang);
+    const count = document.createElement('span');
+    count.className = 'small';
+    count.textContent = t('packs.progress', { solved: summary.solved, total: summary.total });
+    title.append(name, count);
+    item.appendChild(title);
+
+    const description = getPackText(pack.description, i18n.currentLang);
+    if (description) {
+      const text = document.createElement('p');
+      text.className = 'small';
+      text.textContent = description;
+      item.appendChild(text);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'pack-actions';
+    const next = createPlayButton(pack.id, summary.next ?? '', t(completed ? 'packs.completed' : 'packs.continue'));
+    next.disabled = completed;
+    actions.appendChild(next);
+    item.appendChild(actions);
+
+    summary.puzzles.forEach(({ index, difficulty, solved, best }) => {
+      const row = document.createElement('div');
+      row.className = solved ? 'pack-puzzle-row is-solved' : 'pack-puzzle-row';
+
+      const label = document.createElement('span');
+      label.textContent = t('packs.puzzle', { number: index + 1 });
+
+      const level = document.createElement('span');
+      level.className = 'small';
+      level.textContent = difficulty ? t(`difficulty.${difficulty}`) : '';
+
+      const status = document.createElement('span');
+      status.className = 'small pack-puzzle-status';
+      status.textContent = solved ? t('packs.best', { time: formatTime(best) }) : t('packs.unsolved');
+
+      row.append(label, level, status, createPlayButton(pack.id, index, t('packs.play')));
+      item.appendChild(row);
+    });
+
+    fragment.appendChild(item);
+  });
+
+  container.replaceChildren(fragment);
+}
+
+/**
+ * 重新渲染题包列表（面板收起时跳过，展开时再渲染）
+ */
+export async function refreshPacks() {
+  if (!panel?.open) return;
+
+  const i18n = getI18n();
+  if (!listElement.hasChildNodes()) {
+    listElement.textContent = i18n.t('packs.loading');
+  }
+
+  try {
+    const [catalogue, progress] = await Promise.all([
+      fetchPackCatalogue(),
+      packProgressAdapter.load('packProgress')
+    ]);
+    renderPackList(listElement, catalogue, progress, i18n);
+  } catch (error) {
+    console.warn('读取题包目录失败:', error);
+    listElement.textContent = i18n.t('packs.errors.unavailable');
+  }
+}
+
+function handleListClick(event) {
+  const button = event.target.closest('button[data-pack]');
+  if (!button || button.disabled) return;
+
+  emit(EVENTS.PACK_PUZZLE_PLAY_REQUEST, { packId: button.dataset.pack, index: Number(button.dataset.index) });
+}
+
+/**
+ * 初始化题包面板
+ */
+export function initPacks() {
+  panel = document.getElementById('packsPanel');
+  listElement = document.getElementById('packList');
+  if (!panel || !listElement) return;
+
+  panel.addEventListener('toggle', refreshPacks);
+  listElement.addEventListener('click', handleListClick);
+
+  on(EVENTS.PACK_PROGRESS_CHANGED, refreshPacks);
+}
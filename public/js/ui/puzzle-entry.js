@@ -0,0 +1,104 @@
+/**
+ * 输入题目模式 - 在棋盘上输入报纸等来源的题目，实时检查冲突和解的数量，唯一解时可以锁定开始游戏
+ * @module ui/puzzle-entry
+ */
+
+import { readUserBoard, getBoardVariant } from './board-renderer.js';
+import { checkPuzzleSolutions } from '../core/puzzle-format.js';
+import { detectConflicts } from '../core/validator.js';
+import { DEFAULT_VARIANT } from '../core/regions.js';
+import { emit, on } from '../utils/event-bus.js';
+import { EVENTS } from '../config/events.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+let active = false;
+let bar = null;
+let statusElement = null;
+let lockBtn = null;
+
+/**
+ * 检查输入的题目
+ *
+ * 有冲突时不再计算解的数量；否则用 countSolutions 区分无解、唯一解和多解（最多数到 2 个）。
+ * 每次输入都会同步检查，大于 MAX_CHECKED_SIZE 的棋盘只检查冲突，状态为 size，不能锁定。
+ * @param {number[][]} board - 输入的棋盘（0 为空格）
+ * @param {string} [variant=DEFAULT_VARIANT] - 变体（按变体的区域检查冲突和解的数量）
+ * @returns {{status: 'empty'|'conflicts'|'size'|'noSolution'|'unique'|'multipleSolutions', givens: number, conflicts: number}}
+ * @example
+ * analyzePuzzleEntry(readUserBoard()); // { status: 'unique', givens: 24, conflicts: 0 }
+ */
+export function analyzePuzzleEntry(board, variant = DEFAULT_VARIANT) {
+  const givens = board.flat().filter(value => value !== 0).length;
+  if (givens === 0) {
+    return { status: 'empty', givens, conflicts: 0 };
+  }
+
+  const { hasConflicts, conflicts } = detectConflicts(board, variant);
+  if (hasConflicts) {
+    return { status: 'conflicts', givens, conflicts: conflicts.size };
+  }
+
+  const check = checkPuzzleSolutions(board, variant);
+  return { status: check.ok ? 'unique' : check.reason, givens, conflicts: 0 };
+}
+
+/**
+ * 当前是否处于输入题目模式
+ * @returns {boolean}
+ */
+export function isPuzzleEntryActive() {
+  return active;
+}
+
+/**
+ * 重新检查棋盘并更新状态说明和锁定按钮（不在输入模式时跳过）
+ */
+export function refreshPuzzleEntry() {
+  if (!active || !statusElement) return;
+
+  const analysis = analyzePuzzleEntry(readUserBoard(), getBoardVariant());
+  statusElement.textContent = getI18n().t(`customPuzzle.status.${analysis.status}`, {
+    givens: analysis.givens,
+    count: analysis.conflicts
+  });
+  statusElement.dataset.status = analysis.status;
+  if (lockBtn) lockBtn.disabled = analysis.status !== 'unique';
+}
+
+/**
+ * 进入输入题目模式（棋盘应已渲染为全部可编辑的空棋盘）
+ */
+export function startPuzzleEntry() {
+  active = true;
+  bar?.classList.remove('is-hidden');
+  refreshPuzzleEntry();
+}
+
+/**
+ * 离开输入题目模式
+ */
+export function stopPuzzleEntry() {
+  active = false;
+  bar?.classList.add('is-hidden');
+}
+
+/**
+ * 初始化输入题目模式
+ */
+export function initPuzzleEntry() {
+  bar = document.getElementById('puzzleEntryBar');
+  statusElement = document.getElementById('puzzleEntryStatus');
+  lockBtn = document.getElementById('lockPuzzleBtn');
+  if (!bar) return;
+
+  lockBtn?.addEventListener('click', () => {
+    emit(EVENTS.PUZZLE_ENTRY_LOCK_REQUEST, { board: readUserBoard() });
+  });
+  document.getElementById('cancelPuzzleEntryBtn')?.addEventListener('click', () => {
+    emit(EVENTS.PUZZLE_ENTRY_CANCEL_REQUEST);
+  });
+
+  on(EVENTS.CELL_INPUT, refreshPuzzleEntry);
+}
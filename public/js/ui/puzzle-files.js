@@ -0,0 +1,179 @@
+/**
+ * 题目文件面板 - 打开 sdk / sdm / ss / OpenSudoku 文件选择题目开始，或把当前题目导出为这些格式
+ * @module ui/puzzle-files
+ */
+
+import { parsePuzzleFile, checkPuzzleFileEntries, exportPuzzle, PUZZLE_FILE_FORMATS } from '../core/puzzle-files.js';
+import { emit } from '../utils/event-bus.js';
+import { getUtcDate } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { showError, showSuccess } from './toast.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+/**
+ * 列表每页显示的题目数量（只检查当前页题目的唯一解）
+ * @type {number}
+ */
+export const PUZZLE_FILE_PAGE_SIZE = 20;
+
+let listElement = null;
+let fileInput = null;
+let formatSelect = null;
+let pagerElement = null;
+let prevButton = null;
+let nextButton = null;
+let pageLabel = null;
+let loadedResult = null;
+let currentPage = 1;
+
+/**
+ * 渲染文件中的一页题目（渲染前检查这一页题目的唯一解）
+ * @param {HTMLElement} container - 容器
+ * @param {Extract<ReturnType<typeof parsePuzzleFile>, {ok: true}>} result - parsePuzzleFile() 的成功结果
+ * @param {Object} i18n - i18n 实例
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 页码（超出范围时取最后一页）
+ * @returns {{page: number, pages: number}} 实际显示的页码和总页数
+ */
+export function renderPuzzleFileList(container, result, i18n, { page = 1 } = {}) {
+  const pages = Math.max(1, Math.ceil(result.puzzles.length / PUZZLE_FILE_PAGE_SIZE));
+  const current = Math.min(Math.max(1, page), pages);
+  if (!container) return { page: current, pages };
+
+  const t = i18n.t.bind(i18n);
+  const summary = document.createElement('div');
+  summary.className = 'small';
+  summary.textContent = [
+    result.title,
+    t('puzzleFiles.summary', { count: result.puzzles.length }),
+    result.invalid > 0 ? t('puzzleFiles.invalid', { count: result.invalid }) : null
+  ].filter(Boolean).join(' · ');
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(summary);
+
+  const start = (current - 1) * PUZZLE_FILE_PAGE_SIZE;
+  checkPuzzleFileEntries(result.puzzles, start, start + PUZZLE_FILE_PAGE_SIZE).forEach(({ puzzle, unique }, offset) => {
+    const index = start + offset;
+    const row = document.createElement('div');
+    row.className = unique ? 'puzzle-file-row' : 'puzzle-file-row is-invalid';
+
+    const label = document.createElement('span');
+    label.textContent = t('puzzleFiles.puzzle', {
+      index: index + 1,
+      givens: puzzle.flat().filter(value => value !== 0).length
+    });
+
+    const status = document.createElement('span');
+    status.className = 'small';
+    status.textContent = t(unique ? 'puzzleFiles.unique' : 'puzzleFiles.notUnique');
+
+    const play = document.createElement('button');
+    play.type = 'button';
+    play.className = 'btn btn-sm';
+    play.dataset.index = index;
+    play.disabled = !unique;
+    play.textContent = t('puzzleFiles.play');
+
+    row.append(label, status, play);
+    fragment.appendChild(row);
+  });
+
+  container.replaceChildren(fragment);
+  return { page: current, pages };
+}
+
+function showPage(page) {
+  const i18n = getI18n();
+  const shown = renderPuzzleFileList(listElement, loadedResult, i18n, { page });
+  currentPage = shown.page;
+
+  // 只有一页时不显示翻页
+  pagerElement?.classList.toggle('is-hidden', shown.pages <= 1);
+  if (pageLabel) pageLabel.textContent = i18n.t('puzzleFiles.page', shown);
+  if (prevButton) prevButton.disabled = shown.page <= 1;
+  if (nextButton) nextButton.disabled = shown.page >= shown.pages;
+}
+
+/**
+ * 读取题目文件并列出第一页题目（文件无效时提示原因）
+ * @param {File} file - 用户选择的文件
+ * @returns {Promise<boolean>} 是否读取到题目
+ */
+export async function openPuzzleFile(file) {
+  const i18n = getI18n();
+  const result = parsePuzzleFile(await file.text(), { fileName: file.name });
+  if (!result.ok) {
+    showError(i18n.t(`puzzleFiles.errors.${result.reason}`));
+    return false;
+  }
+
+  loadedResult = result;
+  showPage(1);
+  return true;
+}
+
+/**
+ * 把题目下载为指定格式的文件
+ * @param {number[][]} board - 题目
+ * @param {string} format - PUZZLE_FILE_FORMATS 中的格式名
+ */
+export function downloadPuzzleFile(board, format) {
+  const { extension, mimeType } = PUZZLE_FILE_FORMATS[format];
+  const blob = new Blob([exportPuzzle(board, format)], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `sudoku-${getUtcDate()}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  showSuccess(getI18n().t('puzzleFiles.exported'));
+}
+
+function handleListClick(event) {
+  const button = event.target.closest('button[data-index]');
+  const entry = button && loadedResult?.puzzles[Number(button.dataset.index)];
+  if (!entry?.unique) return;
+
+  emit(EVENTS.PUZZLE_FILE_PLAY_REQUEST, { puzzle: entry.puzzle });
+}
+
+async function handleFileChange() {
+  const file = fileInput.files?.[0];
+  // 允许再次选择同一个文件
+  fileInput.value = '';
+  if (!file) return;
+
+  try {
+    await openPuzzleFile(file);
+  } catch (error) {
+    console.error('读取题目文件失败:', error);
+    showError(getI18n().t('errors.importFailed') + error.message);
+  }
+}
+
+/**
+ * 初始化题目文件面板
+ */
+export function initPuzzleFiles() {
+  listElement = document.getElementById('puzzleFileList');
+  fileInput = document.getElementById('puzzleFileInput');
+  formatSelect = document.getElementById('puzzleExportFormat');
+  pagerElement = document.getElementById('puzzleFilePager');
+  prevButton = document.getElementById('puzzleFilePrev');
+  nextButton = document.getElementById('puzzleFileNext');
+  pageLabel = document.getElementById('puzzleFilePage');
+
+  document.getElementById('openPuzzleFileBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleFileChange);
+  listElement?.addEventListener('click', handleListClick);
+  prevButton?.addEventListener('click', () => showPage(currentPage - 1));
+  nextButton?.addEventListener('click', () => showPage(currentPage + 1));
+  document.getElementById('exportPuzzleBtn')?.addEventListener('click', () => {
+    emit(EVENTS.PUZZLE_EXPORT_REQUEST, { format: formatSelect?.value || 'sdk' });
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * 记录备份 - 导出按钮下载备份文件，导入按钮读取文件、预览差异后合并或替换
+ * @module ui/records-backup
+ */
+
+import { exportRecords, importRecords, loadRecords } from '../storage/local-storage.js';
+import { parseRecordsBackup, diffImportedRecords } from '../storage/records-backup.js';
+import { formatTime, getUtcDate } from '../utils/helpers.js';
+import { showError, showSuccess } from './toast.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+let previewElement = null;
+let fileInput = null;
+let pendingImport = null;
+
+/**
+ * 渲染导入预览
+ * @param {HTMLElement} container - 容器
+ * @param {ReturnType<typeof diffImportedRecords>} diff - diffImportedRecords() 的结果
+ * @param {Object} i18n - i18n 实例
+ * @param {Object} [options]
+ * @param {string} [options.exportedAt] - 备份的导出时间（ISO 字符串）
+ * @param {boolean} [options.verified=true] - 是否核对过校验和（旧格式文件为 false）
+ */
+export function renderImportPreview(container, diff, i18n, { exportedAt, verified = true } = {}) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const difficultyName = difficulty => t(`difficulty.${difficulty}`);
+  const date = exportedAt ? new Date(exportedAt).toLocaleString(i18n.currentLang) : '-';
+
+  const title = document.createElement('strong');
+  title.textContent = t('backup.previewTitle', { count: diff.totalImported, date });
+
+  const list = document.createElement('ul');
+  const addItem = (text, className) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    if (className) item.className = className;
+    list.appendChild(item);
+  };
+
+  if (!verified) {
+    addItem(t('backup.unverified'), 'import-preview-warning');
+  }
+  if (diff.newTotal === 0) {
+    addItem(t('backup.noNewRecords'));
+  }
+  Object.entries(diff.newRecords).forEach(([difficulty, count]) => {
+    addItem(t('backup.newRecords', { difficulty: difficultyName(difficulty), count }));
+  });
+  diff.betterBests.forEach(({ difficulty, current, imported }) => {
+    addItem(t('backup.betterBest', {
+      difficulty: difficultyName(difficulty),
+      current: current === null ? '-' : formatTime(current),
+      imported: formatTime(imported)
+    }));
+  });
+  if (diff.removedOnReplace > 0) {
+    addItem(t('backup.replaceRemoves', { count: diff.removedOnReplace }), 'import-preview-warning');
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'import-preview-actions';
+  [['merge', 'btn btn-sm'], ['replace', 'btn btn-sm btn-danger'], ['cancel', 'btn btn-sm']].forEach(([action, className]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.dataset.action = action;
+    button.textContent = t(`backup.${action}`);
+    actions.appendChild(button);
+  });
+
+  container.replaceChildren(title, list, actions);
+  container.classList.remove('is-hidden');
+}
+
+function hidePreview() {
+  pendingImport = null;
+  if (!previewElement) return;
+  previewElement.classList.add('is-hidden');
+  previewElement.replaceChildren();
+}
+
+/**
+ * 下载备份文件
+ */
+export function downloadRecordsBackup() {
+  const blob = new Blob([exportRecords()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `sudoku-records-${getUtcDate()}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  showSuccess(getI18n().t('backup.exported'));
+}
+
+/**
+ * 读取备份文件并显示预览（文件无效时提示原因）
+ * @param {File} file - 用户选择的文件
+ * @returns {Promise<boolean>} 是否显示了预览
+ */
+export async function previewRecordsBackup(file) {
+  const i18n = getI18n();
+  const text = await file.text();
+  const result = parseRecordsBackup(text);
+  if (!result.ok) {
+    hidePreview();
+    showError(i18n.t(`backup.errors.${result.reason}`));
+    return false;
+  }
+
+  pendingImport = text;
+  renderImportPreview(previewElement, diffImportedRecords(loadRecords(), result.records), i18n, {
+    exportedAt: result.exportedAt,
+    verified: result.verified
+  });
+  return true;
+}
+
+function handlePreviewClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button || !pendingImport) return;
+
+  const { action } = button.dataset;
+  const text = pendingImport;
+  hidePreview();
+  if (action === 'cancel') return;
+
+  if (importRecords(text, { mode: action })) {
+    showSuccess(getI18n().t(action === 'replace' ? 'backup.replaced' : 'backup.merged'));
+  }
+}
+
+async function handleFileChange() {
+  const file = fileInput.files?.[0];
+  // 允许再次选择同一个文件
+  fileInput.value = '';
+  if (!file) return;
+
+  try {
+    await previewRecordsBackup(file);
+  } catch (error) {
+    console.error('读取备份文件失败:', error);
+    showError(getI18n().t('errors.importFailed') + error.message);
+  }
+}
+
+/**
+ * 初始化导出/导入按钮
+ */
+export function initRecordsBackup() {
+  previewElement = document.getElementById('importPreview');
+  fileInput = document.getElementById('importRecordsFile');
+
+  document.getElementById('exportRecords')?.addEventListener('click', downloadRecordsBackup);
+  document.getElementById('importRecords')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleFileChange);
+  previewElement?.addEventListener('click', handlePreviewClick);
+}
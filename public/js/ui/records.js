@@ -1,4 +1,6 @@
 import { formatTime } from '../utils/helpers.js';
+import { parseVariantRecordKey } from '../storage/variant-records.js';
+import { DEFAULT_SIZE } from '../core/geometry.js';
 
 const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
 const EMPTY_TIME = '--';
@@ -17,7 +19,16 @@ function getTranslator(i18n) {
   return i18n.t.bind(i18n);
 }
 
-export function renderRecordsList(recordsList, stats, i18n) {
+/**
+ * 渲染记录列表
+ * @param {HTMLElement} recordsList - 容器
+ * @param {Object} stats - getAllStats() 的结果
+ * @param {Object} i18n - i18n 实例
+ * @param {{date: string, results: Object}} [daily] - 每日一题成绩（getDailyResults），有成绩时追加一行
+ * @param {{solved: number, lastTime: number|null}} [custom] - 自定义题目成绩（getCustomRecordsSummary），有成绩时追加一行
+ * @param {Object.<string, Object.<string, number>>} [variants] - 变体最佳成绩（getVariantRecordsSummary），每个有成绩的变体和尺寸追加一行
+ */
+export function renderRecordsList(recordsList, stats, i18n, daily = null, custom = null, variants = null) {
   if (!recordsList) return;
 
   const t = getTranslator(i18n);
@@ -48,5 +59,64 @@ export function renderRecordsList(recordsList, stats, i18n) {
     fragment.appendChild(row);
   });
 
+  const dailyDifficulties = DIFFICULTIES.filter(difficulty => daily?.results?.[difficulty]);
+  if (dailyDifficulties.length > 0) {
+    const row = document.createElement('div');
+    row.className = 'record-row record-row-daily';
+
+    const label = document.createElement('div');
+    label.textContent = t('records.daily', { date: daily.date });
+
+    const times = document.createElement('div');
+    times.className = 'small';
+    times.textContent = dailyDifficulties
+      .map(difficulty => `${t(`difficulty.${difficulty}`)} ${formatTime(daily.results[difficulty].time)}`)
+      .join(' · ');
+
+    row.appendChild(label);
+    row.appendChild(times);
+    fragment.appendChild(row);
+  }
+
+  if (custom?.solved > 0) {
+    const row = document.createElement('div');
+    row.className = 'record-row record-row-custom';
+
+    const label = document.createElement('div');
+    label.textContent = t('records.custom', { count: custom.solved });
+
+    const recent = document.createElement('div');
+    recent.className = 'small';
+    recent.textContent = t('records.recent', { time: custom.lastTime ? formatTime(custom.lastTime) : EMPTY_TIME });
+
+    row.appendChild(label);
+    row.appendChild(recent);
+    fragment.appendChild(row);
+  }
+
+  Object.entries(variants ?? {}).forEach(([key, bestTimes]) => {
+    const variantDifficulties = DIFFICULTIES.filter(difficulty => bestTimes[difficulty]);
+    if (variantDifficulties.length === 0) return;
+
+    const { variant, size } = parseVariantRecordKey(key);
+    const row = document.createElement('div');
+    row.className = 'record-row record-row-variant';
+    row.dataset.variant = key;
+
+    const label = document.createElement('div');
+    const name = size === DEFAULT_SIZE ? t(`variant.${variant}`) : `${t(`variant.${variant}`)} ${t(`size.${size}`)}`;
+    label.textContent = t('records.variant', { variant: name });
+
+    const times = document.createElement('div');
+    times.className = 'small';
+    times.textContent = variantDifficulties
+      .map(difficulty => `${t(`difficulty.${difficulty}`)} ${formatTime(bestTimes[difficulty])}`)
+      .join(' · ');
+
+    row.appendChild(label);
+    row.appendChild(times);
+    fragment.appendChild(row);
+  });
+
   recordsList.replaceChildren(fragment);
 }
@@ -0,0 +1,141 @@
+/**
+ * 存档面板 - 列出搁置的对局，可以继续、删除或把当前对局存到新存档槽
+ * @module ui/save-slots
+ */
+
+import { listSaveSlots, deleteSlot, isManualSlotsFull } from '../storage/save-slots.js';
+import { emit, on } from '../utils/event-bus.js';
+import { formatTime } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+import { MAX_MANUAL_SAVE_SLOTS } from '../config/constants.js';
+import { showWarning } from './toast.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+let listElement = null;
+
+/**
+ * 获取存档槽的显示名称（自动槽按难度命名）
+ * @param {import('../storage/save-slots.js').SaveSlotSummary} slot - 存档槽摘要
+ * @param {Object} i18n - i18n 实例
+ * @returns {string} 显示名称
+ */
+export function getSlotName(slot, i18n) {
+  if (slot.name) return slot.name;
+  return i18n.t('saveSlots.autoName', { difficulty: i18n.t(`difficulty.${slot.difficulty}`) });
+}
+
+function createButton(labelKey, action, slotId, i18n) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = action === 'delete' ? 'btn btn-sm btn-danger' : 'btn btn-sm';
+  button.dataset.action = action;
+  button.dataset.slotId = slotId;
+  button.textContent = i18n.t(labelKey);
+  return button;
+}
+
+/**
+ * 渲染存档列表
+ * @param {HTMLElement} container - 容器
+ * @param {import('../storage/save-slots.js').SaveSlotSummary[]} slots - listSaveSlots() 的结果
+ * @param {Object} i18n - i18n 实例
+ */
+export function renderSaveSlots(container, slots, i18n) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const fragment = document.createDocumentFragment();
+
+  if (slots.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'small';
+    empty.textContent = t('saveSlots.empty');
+    fragment.appendChild(empty);
+  }
+
+  slots.forEach((slot) => {
+    const row = document.createElement('div');
+    row.className = 'save-slot-row';
+
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = getSlotName(slot, i18n);
+    const details = document.createElement('div');
+    details.className = 'small';
+    details.textContent = [
+      t(`difficulty.${slot.difficulty}`),
+      t('saveSlots.progress', { progress: slot.progress }),
+      formatTime(slot.elapsedTime),
+      new Date(slot.savedAt).toLocaleString(i18n.currentLang)
+    ].join(' · ');
+    info.append(name, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'save-slot-actions';
+    actions.append(
+      createButton('saveSlots.continue', 'load', slot.id, i18n),
+      createButton('saveSlots.delete', 'delete', slot.id, i18n)
+    );
+
+    row.append(info, actions);
+    fragment.appendChild(row);
+  });
+
+  container.replaceChildren(fragment);
+}
+
+/**
+ * 按当前存储内容重新渲染（存档变化或切换语言时使用）
+ */
+export function refreshSaveSlots() {
+  if (!listElement) return;
+  renderSaveSlots(listElement, listSaveSlots(), getI18n());
+}
+
+function handleListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+
+  const { action, slotId } = button.dataset;
+  if (action === 'load') {
+    emit(EVENTS.SAVE_SLOT_LOAD_REQUEST, { id: slotId });
+    return;
+  }
+
+  const slot = listSaveSlots().find(item => item.id === slotId);
+  if (!slot) return;
+  const i18n = getI18n();
+  if (confirm(i18n.t('saveSlots.confirmDelete', { name: getSlotName(slot, i18n) }))) {
+    deleteSlot(slotId);
+  }
+}
+
+function handleSaveCurrent() {
+  const i18n = getI18n();
+  if (isManualSlotsFull()) {
+    showWarning(i18n.t('saveSlots.full', { max: MAX_MANUAL_SAVE_SLOTS }));
+    return;
+  }
+
+  const manualCount = listSaveSlots().filter(slot => !slot.isAuto).length;
+  const name = prompt(i18n.t('saveSlots.namePrompt'), i18n.t('saveSlots.defaultName', { n: manualCount + 1 }));
+  if (name === null) return;
+
+  emit(EVENTS.SAVE_SLOT_SAVE_REQUEST, { name: name.trim() || i18n.t('saveSlots.defaultName', { n: manualCount + 1 }) });
+}
+
+/**
+ * 初始化存档面板
+ */
+export function initSaveSlots() {
+  listElement = document.getElementById('savedGamesList');
+  if (!listElement) return;
+
+  listElement.addEventListener('click', handleListClick);
+  document.getElementById('saveSlotBtn')?.addEventListener('click', handleSaveCurrent);
+
+  on(EVENTS.SAVE_SLOTS_CHANGED, refreshSaveSlots);
+  refreshSaveSlots();
+}
@@ -0,0 +1,243 @@
+/**
+ * 统计面板 - 各难度的平均/分位用时、滚动平均趋势图、连续天数、完成率和时段分布
+ *
+ * 图表直接用 SVG 绘制，不依赖图表库。
+ * @module ui/stats
+ */
+
+import { loadRecords } from '../storage/local-storage.js';
+import { loadStartedGames } from '../storage/started-games.js';
+import { computeRecordStats } from '../utils/stats.js';
+import { on } from '../utils/event-bus.js';
+import { formatTime } from '../utils/helpers.js';
+import { EVENTS } from '../config/events.js';
+
+// 获取全局i18n实例
+const getI18n = () => window.i18n;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const EMPTY_VALUE = '--';
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+let panel = null;
+let contentElement = null;
+let trendSelect = null;
+
+const formatOptionalTime = time => (time === null ? EMPTY_VALUE : formatTime(time));
+const formatRate = rate => (rate === null ? EMPTY_VALUE : `${Math.round(rate * 100)}%`);
+
+function createSvg(label) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', label);
+  return svg;
+}
+
+function createSvgElement(name, attributes) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * 绘制滚动平均折线图
+ * @param {number[]} values - 滚动平均用时（毫秒），按时间顺序
+ * @param {string} label - 无障碍说明
+ * @returns {SVGSVGElement}
+ */
+export function createTrendChart(values, label) {
+  const svg = createSvg(label);
+  svg.classList.add('stats-chart', 'stats-trend-chart');
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = CHART_WIDTH / (values.length - 1);
+  // 留出上下边距，避免折线贴边
+  const points = values.map((value, index) => {
+    const x = index * step;
+    const y = CHART_HEIGHT - 4 - ((value - min) / range) * (CHART_HEIGHT - 8);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  svg.appendChild(createSvgElement('polyline', { points: points.join(' '), class: 'stats-trend-line' }));
+  return svg;
+}
+
+/**
+ * 绘制 24 小时分布柱状图
+ * @param {number[]} hours - 每小时完成的对局数（长度 24）
+ * @param {string} label - 无障碍说明
+ * @returns {SVGSVGElement}
+ */
+export function createHourChart(hours, label) {
+  const svg = createSvg(label);
+  svg.classList.add('stats-chart', 'stats-hour-chart');
+
+  const max = Math.max(...hours) || 1;
+  const barWidth = CHART_WIDTH / hours.length;
+  hours.forEach((count, hour) => {
+    const height = (count / max) * CHART_HEIGHT;
+    const bar = createSvgElement('rect', {
+      x: (hour * barWidth + 1).toFixed(1),
+      y: (CHART_HEIGHT - height).toFixed(1),
+      width: (barWidth - 2).toFixed(1),
+      height: height.toFixed(1),
+      class: 'stats-hour-bar'
+    });
+    const title = createSvgElement('title', {});
+    title.textContent = `${String(hour).padStart(2, '0')}:00 · ${count}`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+  });
+  return svg;
+}
+
+function createTile(label, value, detail) {
+  const tile = document.createElement('div');
+  tile.className = 'stats-tile';
+
+  const valueElement = document.createElement('strong');
+  valueElement.textContent = value;
+  const labelElement = document.createElement('div');
+  labelElement.className = 'small';
+  labelElement.textContent = detail ? `${label} (${detail})` : label;
+
+  tile.append(valueElement, labelElement);
+  return tile;
+}
+
+function createSection(title, body) {
+  const section = document.createElement('div');
+  section.className = 'stats-section';
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  section.append(heading, body);
+  return section;
+}
+
+function createEmptyNote(text) {
+  const note = document.createElement('div');
+  note.className = 'small';
+  note.textContent = text;
+  return note;
+}
+
+/**
+ * 渲染统计面板
+ * @param {HTMLElement} container - 容器
+ * @param {ReturnType<typeof computeRecordStats>} stats - computeRecordStats() 的结果
+ * @param {Object} i18n - i18n 实例
+ * @param {Object} [options]
+ * @param {string} [options.trendDifficulty='easy'] - 趋势图显示的难度
+ */
+export function renderStatsDashboard(container, stats, i18n, { trendDifficulty = 'easy' } = {}) {
+  if (!container) return;
+
+  const t = i18n.t.bind(i18n);
+  const fragment = document.createDocumentFragment();
+  const { streaks, completion } = stats;
+
+  const summary = document.createElement('div');
+  summary.className = 'stats-summary';
+  summary.append(
+    createTile(t('stats.currentStreak'), t('stats.days', { count: streaks.current })),
+    createTile(t('stats.longestStreak'), t('stats.days', { count: streaks.longest })),
+    createTile(
+      t('stats.completionRate'),
+      formatRate(completion.rate),
+      completion.started > 0 ? t('stats.finishedOfStarted', { finished: completion.finished, started: completion.started }) : ''
+    )
+  );
+  fragment.appendChild(summary);
+
+  DIFFICULTIES.forEach((difficulty) => {
+    const data = stats.byDifficulty[difficulty];
+    const row = document.createElement('div');
+    row.className = 'record-row stats-row';
+
+    const label = document.createElement('div');
+    label.textContent = `${t(`difficulty.${difficulty}`)} · ${t('stats.games', { count: data.count })}`;
+
+    const details = document.createElement('div');
+    details.className = 'small';
+    details.textContent = [
+      t('stats.mean', { time: formatOptionalTime(data.mean) }),
+      t('stats.median', { time: formatOptionalTime(data.median) }),
+      `P25 ${formatOptionalTime(data.p25)}`,
+      `P75 ${formatOptionalTime(data.p75)}`,
+      `P90 ${formatOptionalTime(data.p90)}`,
+      t('stats.completion', { rate: formatRate(data.completion.rate) })
+    ].join(' · ');
+
+    row.append(label, details);
+    fragment.appendChild(row);
+  });
+
+  const trend = stats.byDifficulty[trendDifficulty]?.trend || [];
+  const trendTitle = t('stats.trend', { difficulty: t(`difficulty.${trendDifficulty}`) });
+  if (trend.length < 2) {
+    fragment.appendChild(createSection(trendTitle, createEmptyNote(t('stats.notEnoughData'))));
+  } else {
+    const body = document.createElement('div');
+    body.append(
+      createTrendChart(trend, trendTitle),
+      createEmptyNote(t('stats.trendRange', {
+        min: formatTime(Math.min(...trend)),
+        max: formatTime(Math.max(...trend)),
+        count: trend.length
+      }))
+    );
+    fragment.appendChild(createSection(trendTitle, body));
+  }
+
+  const hoursTitle = t('stats.timeOfDay');
+  if (stats.hours.every(count => count === 0)) {
+    fragment.appendChild(createSection(hoursTitle, createEmptyNote(t('stats.notEnoughData'))));
+  } else {
+    const axis = document.createElement('div');
+    axis.className = 'stats-hour-axis small';
+    ['0', '6', '12', '18', '24'].forEach((hour) => {
+      const tick = document.createElement('span');
+      tick.textContent = hour;
+      axis.appendChild(tick);
+    });
+    const body = document.createElement('div');
+    body.append(createHourChart(stats.hours, hoursTitle), axis);
+    fragment.appendChild(createSection(hoursTitle, body));
+  }
+
+  container.replaceChildren(fragment);
+}
+
+/**
+ * 按当前记录重新计算并渲染（面板收起时跳过，展开时再计算）
+ */
+export function refreshStats() {
+  if (!panel?.open || !contentElement) return;
+
+  const stats = computeRecordStats(loadRecords(), { started: loadStartedGames() });
+  renderStatsDashboard(contentElement, stats, getI18n(), {
+    trendDifficulty: trendSelect?.value || 'easy'
+  });
+}
+
+/**
+ * 初始化统计面板
+ */
+export function initStats() {
+  panel = document.getElementById('statsPanel');
+  contentElement = document.getElementById('statsContent');
+  if (!panel || !contentElement) return;
+
+  trendSelect = document.getElementById('statsTrendDifficulty');
+
+  panel.addEventListener('toggle', refreshStats);
+  trendSelect?.addEventListener('change', refreshStats);
+
+  on(EVENTS.RECORDS_SAVED, refreshStats);
+  on(EVENTS.RECORDS_CLEARED, refreshStats);
+}
@@ -20,6 +20,17 @@ export function formatTime(ms) {
   return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centis).padStart(2, '0')}`;
 }
 
+/**
+ * 获取 UTC 日期字符串（每日一题按 UTC 日划分）
+ * @param {Date} [now] - 当前时间
+ * @returns {string} YYYY-MM-DD
+ * @example
+ * getUtcDate(new Date('2026-10-19T23:30:00-05:00')) // "2026-10-20"
+ */
+export function getUtcDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
 /**
  * 验证邮箱格式
  * @param {string} email - 邮箱地址
@@ -0,0 +1,88 @@
+/**
+ * 可复现的伪随机数工具
+ * 只使用 32 位整数运算，保证同一种子在所有浏览器和 Pages Functions 运行时中得到相同序列
+ * @module utils/random
+ */
+
+/**
+ * 种子字符串格式（小写字母和数字）
+ * @type {RegExp}
+ */
+const SEED_PATTERN = /^[0-9a-z]{1,16}$/;
+
+/**
+ * 将字符串散列为 32 位无符号整数（FNV-1a）
+ * @param {string} str - 输入字符串
+ * @returns {number} 32 位散列值
+ * @example
+ * hashSeed('medium:abc123'); // 1234567890
+ */
+export function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 创建可复现的随机数生成器（mulberry32）
+ * @param {string|number} seed - 种子
+ * @returns {function(): number} 返回 [0, 1) 区间随机数的函数，可替代 Math.random
+ * @example
+ * const random = createRandom('abc123');
+ * random(); // 每次运行结果相同
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 生成新的种子字符串（7 位以内的 base36）
+ * @returns {string} 种子
+ * @example
+ * const seed = generateSeed(); // "k3x9a1z"
+ */
+export function generateSeed() {
+  let value;
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    value = crypto.getRandomValues(new Uint32Array(1))[0];
+  } else {
+    value = Math.floor(Math.random() * 4294967296);
+  }
+  return value.toString(36);
+}
+
+/**
+ * 检查种子字符串格式是否有效
+ * @param {*} seed - 待检查的种子
+ * @returns {boolean} 是否有效
+ */
+export function isValidSeed(seed) {
+  return typeof seed === 'string' && SEED_PATTERN.test(seed);
+}
+
+/**
+ * Fisher-Yates 洗牌算法（原地打乱）
+ * @param {Array} array - 要打乱的数组
+ * @param {function(): number} [random=Math.random] - 随机数来源
+ * @returns {Array} 打乱后的同一数组
+ * @example
+ * shuffle(positions, createRandom(seed));
+ */
+export function shuffle(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
@@ -0,0 +1,163 @@
+/**
+ * 成绩统计 - 由保存的成绩历史计算平均、分位数、趋势、连续天数和时段分布
+ *
+ * 只有纯函数，界面见 ui/stats。
+ * @module utils/stats
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 分位数（线性插值）
+ * @param {number[]} sorted - 升序排列的数值
+ * @param {number} p - 0 到 1 之间
+ * @returns {number|null} 空数组时为 null
+ * @example
+ * percentile([1, 2, 3, 4], 0.5); // 2.5
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 用时汇总
+ * @param {number[]} times - 用时（毫秒）
+ * @returns {{count: number, mean: number|null, median: number|null, p25: number|null, p75: number|null, p90: number|null}}
+ */
+export function summarizeTimes(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: sorted.length > 0 ? sorted.reduce((sum, time) => sum + time, 0) / sorted.length : null,
+    median: percentile(sorted, 0.5),
+    p25: percentile(sorted, 0.25),
+    p75: percentile(sorted, 0.75),
+    p90: percentile(sorted, 0.9)
+  };
+}
+
+/**
+ * 滚动平均（前 windowSize - 1 项使用已有的数据）
+ * @param {number[]} values - 按时间顺序的数值
+ * @param {number} windowSize - 窗口大小
+ * @returns {number[]} 与 values 等长
+ * @example
+ * rollingAverage([4, 2, 6], 2); // [4, 3, 4]
+ */
+export function rollingAverage(values, windowSize) {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= windowSize) {
+      sum -= values[index - windowSize];
+    }
+    return sum / Math.min(index + 1, windowSize);
+  });
+}
+
+/**
+ * 时间戳所在的本地日期序号（相邻两天相差 1，不受夏令时影响）
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {number}
+ */
+function getLocalDayIndex(timestamp) {
+  const date = new Date(timestamp);
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+/**
+ * 连续完成对局的天数（按本地日期）
+ *
+ * 当前连续天数在今天或昨天有完成对局时有效，否则为 0。
+ * @param {number[]} timestamps - 完成时间戳
+ * @param {number} [now=Date.now()] - 当前时间
+ * @returns {{current: number, longest: number}}
+ */
+export function computeStreaks(timestamps, now = Date.now()) {
+  const days = [...new Set(timestamps.map(getLocalDayIndex))].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, index) => {
+    run = index > 0 && day === days[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const today = getLocalDayIndex(now);
+  const lastDay = days[days.length - 1];
+  const current = lastDay === today || lastDay === today - 1 ? run : 0;
+
+  return { current, longest };
+}
+
+/**
+ * 按本地小时统计完成对局数
+ * @param {number[]} timestamps - 完成时间戳
+ * @returns {number[]} 长度为 24
+ */
+export function hourDistribution(timestamps) {
+  const hours = new Array(24).fill(0);
+  timestamps.forEach((timestamp) => {
+    hours[new Date(timestamp).getHours()] += 1;
+  });
+  return hours;
+}
+
+/**
+ * 计算统计面板所需的全部数据
+ * @param {Object} records - loadRecords() 的结果
+ * @param {Object} [options]
+ * @param {{since: number|null, counts: Object, finished: Object}} [options.started] - 本设备的开始与完成计数（storage/started-games）
+ * @param {number} [options.trendWindow=5] - 趋势滚动平均的窗口
+ * @param {number} [options.trendLength=50] - 趋势最多显示的对局数
+ * @param {number} [options.now=Date.now()] - 当前时间
+ * @returns {{
+ *   byDifficulty: Object.<string, Object>,
+ *   streaks: {current: number, longest: number},
+ *   completion: {started: number, finished: number, rate: number|null},
+ *   hours: number[]
+ * }} byDifficulty 每项为 summarizeTimes 的结果加上 trend（滚动平均）和 completion
+ */
+export function computeRecordStats(records, { started = { since: null, counts: {}, finished: {} }, trendWindow = 5, trendLength = 50, now = Date.now() } = {}) {
+  const byDifficulty = {};
+  const timestamps = [];
+  const completion = { started: 0, finished: 0, rate: null };
+
+  DIFFICULTIES.forEach((difficulty) => {
+    const history = (records[difficulty]?.history || []).filter(record => Number.isFinite(record?.time));
+    const times = history.map(record => record.time);
+    history.forEach(record => timestamps.push(record.at));
+
+    const startedCount = started.counts[difficulty] || 0;
+    // 完成数来自本设备的计数，云端同步或备份导入的记录不计入
+    const finishedCount = started.finished[difficulty] || 0;
+    completion.started += startedCount;
+    completion.finished += finishedCount;
+
+    byDifficulty[difficulty] = {
+      ...summarizeTimes(times),
+      trend: rollingAverage(times, trendWindow).slice(-trendLength),
+      completion: {
+        started: startedCount,
+        finished: finishedCount,
+        rate: startedCount > 0 ? Math.min(1, finishedCount / startedCount) : null
+      }
+    };
+  });
+
+  if (completion.started > 0) {
+    completion.rate = Math.min(1, completion.finished / completion.started);
+  }
+
+  return {
+    byDifficulty,
+    streaks: computeStreaks(timestamps, now),
+    completion,
+    hours: hourDistribution(timestamps)
+  };
+}
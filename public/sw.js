@@ -1,4 +1,5 @@
-const CACHE_NAME = 'sudoku-cache-v1';
+// 缓存内容的结构或策略变化时增加版本号，activate 时会删除旧缓存
+const CACHE_NAME = 'sudoku-cache-v2';
 const APP_SHELL_ASSETS = [
   '/',
   '/index.html',
@@ -39,20 +40,27 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // API 响应（计数、每日一题、排行榜）需要实时数据，不走缓存
+  if (new URL(request.url).pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // 网络优先：页面、脚本和题包（/packs/）更新后老用户立即拿到新版本，离线时才使用缓存
   event.respondWith(
-    caches.match(request).then((cachedResponse) => {
+    fetch(request).then((networkResponse) => {
+      const isCacheable = networkResponse && networkResponse.status === 200 && request.url.startsWith(self.location.origin);
+      if (isCacheable) {
+        const responseClone = networkResponse.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, responseClone));
+      }
+      return networkResponse;
+    }).catch(() => caches.match(request).then((cachedResponse) => {
       if (cachedResponse) {
         return cachedResponse;
       }
-
-      return fetch(request).then((networkResponse) => {
-        const isCacheable = networkResponse && networkResponse.status === 200 && request.url.startsWith(self.location.origin);
-        if (isCacheable) {
-          const responseClone = networkResponse.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(request, responseClone));
-        }
-        return networkResponse;
-      });
-    })
+      // 离线打开没有缓存过的地址时回到应用首页
+      const fallback = request.mode === 'navigate' ? caches.match('/index.html') : Promise.resolve(null);
+      return fallback.then((response) => response || Response.error());
+    }))
   );
 });
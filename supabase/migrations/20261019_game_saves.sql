@@ -0,0 +1,16 @@
+-- 进行中对局的云端存档（public/js/storage/cloud-game-state.js）
+-- 每个用户只保存一局，新的存档覆盖旧的
+
+CREATE TABLE IF NOT EXISTS game_saves (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  state JSONB NOT NULL,
+  device_id TEXT NOT NULL,
+  saved_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE game_saves ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own game save"
+  ON game_saves FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
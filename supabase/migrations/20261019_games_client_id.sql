@@ -0,0 +1,7 @@
+-- 为 games 表增加客户端记录 ID，用于双向同步时去重
+-- （public/js/storage/supabase-sync.js 以 user_id + client_id 做 upsert）
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS client_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_games_user_client
+  ON games(user_id, client_id);
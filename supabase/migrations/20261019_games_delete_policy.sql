@@ -0,0 +1,10 @@
+-- 允许用户删除自己的对局记录和最佳成绩（记录历史中的删除按钮，public/js/storage/supabase-sync.js deleteRemoteRecord）
+
+CREATE POLICY "Users delete their own games"
+  ON games FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- 删除的是最佳成绩时，best_scores 会被改写或删除
+CREATE POLICY "Users delete their own best scores"
+  ON best_scores FOR DELETE
+  USING (auth.uid() = user_id);
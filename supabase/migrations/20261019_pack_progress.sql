@@ -0,0 +1,17 @@
+-- 题包进度（public/js/storage/pack-progress.js，由 supabase-sync.js 同步）
+-- 每个用户每道题目一行，puzzle 为 81 字符题目串
+
+CREATE TABLE IF NOT EXISTS pack_progress (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  puzzle TEXT NOT NULL CHECK (char_length(puzzle) = 81),
+  best_ms INTEGER NOT NULL CHECK (best_ms > 0),
+  solved_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, puzzle)
+);
+
+ALTER TABLE pack_progress ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own pack progress"
+  ON pack_progress FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);